@@ -0,0 +1,22 @@
+// AI provider configuration. AI_PROVIDER selects the implementation for this deployment:
+//   gemini      - Google Gemini (requires GEMINI_API_KEY)
+//   openai      - any OpenAI-compatible chat completions API, including self-hosted servers
+//   rule-based  - deterministic offline provider for demos and tests
+const defaultProvider = process.env.GEMINI_API_KEY ? 'gemini' : 'rule-based';
+const maxRetries = parseInt(process.env.AI_MAX_RETRIES, 10);
+
+module.exports = {
+  provider: (process.env.AI_PROVIDER || defaultProvider).toLowerCase(),
+  requestTimeoutMs: parseInt(process.env.AI_REQUEST_TIMEOUT_MS, 10) || 30000,
+  // Corrective retries after a response fails JSON parsing or schema validation
+  maxRetries: Number.isNaN(maxRetries) ? 2 : Math.max(0, maxRetries),
+  gemini: {
+    apiKey: process.env.GEMINI_API_KEY,
+    model: process.env.GEMINI_MODEL || 'gemini-2.5-flash-lite'
+  },
+  openai: {
+    baseUrl: (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, ''),
+    apiKey: process.env.OPENAI_API_KEY,
+    model: process.env.OPENAI_MODEL || 'gpt-4o-mini'
+  }
+};
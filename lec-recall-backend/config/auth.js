@@ -0,0 +1,17 @@
+const crypto = require('crypto');
+
+let jwtSecret = process.env.JWT_SECRET;
+
+// Validate JWT secret on module load
+if (!jwtSecret) {
+  console.error('❌ JWT_SECRET not found in environment variables');
+  console.error('Using a temporary secret - lecturer logins will not survive a server restart');
+  jwtSecret = crypto.randomBytes(32).toString('hex');
+}
+
+module.exports = {
+  jwtSecret,
+  jwtExpiresIn: process.env.JWT_EXPIRES_IN || '12h',
+  passwordSaltRounds: 10,
+  minPasswordLength: 8
+};
@@ -1,52 +1,50 @@
 const sqlite3 = require('sqlite3').verbose();
-const fs = require('fs');
 const path = require('path');
 
 class Database {
   constructor() {
-    this.dbPath = path.join(__dirname, '..', 'database', 'lec_recall.db');
+    // DATABASE_URL is a file path, relative to the backend directory
+    this.dbPath = process.env.DATABASE_URL
+      ? path.resolve(__dirname, '..', process.env.DATABASE_URL)
+      : path.join(__dirname, '..', 'database', 'lec_recall.db');
     this.db = new sqlite3.Database(this.dbPath);
   }
 
-  // Initialize database tables
-  initialize() {
+  // Get database instance
+  getInstance() {
+    return this.db;
+  }
+
+  // Promise wrappers around the sqlite3 callback API
+  run(query, params = []) {
     return new Promise((resolve, reject) => {
-      const schemaPath = path.join(__dirname, '..', 'database', 'schema.sql');
-      const schema = fs.readFileSync(schemaPath, 'utf8');
-      
-      // Split the schema into individual statements and execute them with IF NOT EXISTS
-      const statements = schema
-        .split(';')
-        .map(stmt => stmt.trim())
-        .filter(stmt => stmt.length > 0)
-        .map(stmt => stmt.replace('CREATE TABLE', 'CREATE TABLE IF NOT EXISTS'));
-      
-      let completed = 0;
-      let hasError = false;
-      
-      statements.forEach((statement, index) => {
-        if (statement.trim()) {
-          this.db.run(statement, (err) => {
-            completed++;
-            if (err && !hasError) {
-              console.error(`Error executing statement ${index + 1}:`, err);
-              hasError = true;
-              reject(err);
-            } else if (completed === statements.length && !hasError) {
-              console.log('✅ Database initialized successfully');
-              resolve();
-            }
-          });
+      this.db.run(query, params, function(err) {
+        if (err) {
+          reject(err);
         } else {
-          completed++;
+          resolve({ lastID: this.lastID, changes: this.changes });
         }
       });
     });
   }
 
-  // Get database instance
-  getInstance() {
-    return this.db;
+  get(query, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.get(query, params, (err, row) => (err ? reject(err) : resolve(row)));
+    });
+  }
+
+  all(query, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(query, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+  }
+
+  // Run a script of one or more statements (no parameters)
+  exec(sql) {
+    return new Promise((resolve, reject) => {
+      this.db.exec(sql, (err) => (err ? reject(err) : resolve()));
+    });
   }
 
   // Close database connection
@@ -0,0 +1,158 @@
+// Versioned schema migrations.
+// Each migration is a pair of SQL files in database/migrations named
+// <version>_<name>.up.sql and <version>_<name>.down.sql, e.g. 002_add_topics.up.sql.
+// Applied versions are recorded in the schema_migrations table.
+
+const fs = require('fs');
+const path = require('path');
+const database = require('./database');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'database', 'migrations');
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// File-name prefix of a migration, e.g. 001_initial_schema
+const migrationLabel = ({ version, name }) => `${String(version).padStart(3, '0')}_${name}`;
+
+// Migration files sorted by version: [{ version, name, upPath, downPath }]
+const listMigrations = () => {
+  const migrations = new Map();
+
+  fs.readdirSync(MIGRATIONS_DIR).forEach(file => {
+    const match = FILE_PATTERN.exec(file);
+    if (!match) {
+      return;
+    }
+    const [, digits, name, direction] = match;
+    const version = Number(digits);
+    const migration = migrations.get(version) || { version, name, upPath: null, downPath: null };
+    if (migration.name !== name) {
+      throw new Error(`Migration version ${version} is used by both "${migration.name}" and "${name}"`);
+    }
+    migration[direction === 'up' ? 'upPath' : 'downPath'] = path.join(MIGRATIONS_DIR, file);
+    migrations.set(version, migration);
+  });
+
+  const sorted = [...migrations.values()].sort((a, b) => a.version - b.version);
+  const missingUp = sorted.find(migration => !migration.upPath);
+  if (missingUp) {
+    throw new Error(`Migration ${migrationLabel(missingUp)} has no .up.sql file`);
+  }
+  return sorted;
+};
+
+const ensureMigrationsTable = () => database.run(`
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )
+`);
+
+const getAppliedMigrations = async () => {
+  await ensureMigrationsTable();
+  return database.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC');
+};
+
+// Run a migration script and update schema_migrations in one transaction
+const runInTransaction = async (sqlPath, recordChange) => {
+  const sql = fs.readFileSync(sqlPath, 'utf8');
+  await database.exec('BEGIN');
+  try {
+    await database.exec(sql);
+    await recordChange();
+    await database.exec('COMMIT');
+  } catch (error) {
+    await database.exec('ROLLBACK').catch(() => {});
+    error.message = `${path.basename(sqlPath)} failed: ${error.message}`;
+    throw error;
+  }
+};
+
+// Apply pending migrations in order, up to and including version `to` when given.
+// Resolves to the migrations that were applied.
+const migrate = async ({ to = Infinity } = {}) => {
+  const applied = new Set((await getAppliedMigrations()).map(row => row.version));
+  const pending = listMigrations().filter(m => !applied.has(m.version) && m.version <= to);
+
+  for (const migration of pending) {
+    await runInTransaction(migration.upPath, () => database.run(
+      'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+      [migration.version, migration.name]
+    ));
+    console.log(`⬆️  Applied migration ${migrationLabel(migration)}`);
+  }
+
+  return pending;
+};
+
+// Revert the latest `steps` applied migrations, or every migration above version `to`.
+// Resolves to the migrations that were reverted.
+const rollback = async ({ steps = 1, to } = {}) => {
+  const files = new Map(listMigrations().map(m => [m.version, m]));
+  const applied = (await getAppliedMigrations()).reverse();
+  const toRevert = to === undefined
+    ? applied.slice(0, steps)
+    : applied.filter(row => row.version > to);
+
+  for (const row of toRevert) {
+    const migration = files.get(row.version);
+    if (!migration || !migration.downPath) {
+      throw new Error(`Migration ${migrationLabel(row)} cannot be rolled back: no .down.sql file`);
+    }
+    await runInTransaction(migration.downPath, () => database.run(
+      'DELETE FROM schema_migrations WHERE version = ?',
+      [row.version]
+    ));
+    console.log(`⬇️  Reverted migration ${migrationLabel(row)}`);
+  }
+
+  return toRevert;
+};
+
+// Every known migration with whether (and when) it was applied.
+// Applied versions whose files are gone are listed with `missing: true`.
+const getStatus = async () => {
+  const applied = new Map((await getAppliedMigrations()).map(row => [row.version, row]));
+  const status = listMigrations().map(m => ({
+    version: m.version,
+    name: m.name,
+    appliedAt: applied.has(m.version) ? applied.get(m.version).applied_at : null,
+    reversible: Boolean(m.downPath),
+    missing: false
+  }));
+
+  applied.forEach(row => {
+    if (!status.some(m => m.version === row.version)) {
+      status.push({ version: row.version, name: row.name, appliedAt: row.applied_at, reversible: false, missing: true });
+    }
+  });
+
+  return status.sort((a, b) => a.version - b.version);
+};
+
+// Write empty up/down files for a new migration numbered after the latest one.
+// Returns the paths of the new files.
+const createMigration = (name) => {
+  const slug = String(name || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  if (!slug) {
+    throw new Error('Migration name is required');
+  }
+
+  const latest = listMigrations().reduce((max, m) => Math.max(max, m.version), 0);
+  const prefix = migrationLabel({ version: latest + 1, name: slug });
+  const upPath = path.join(MIGRATIONS_DIR, `${prefix}.up.sql`);
+  const downPath = path.join(MIGRATIONS_DIR, `${prefix}.down.sql`);
+
+  fs.writeFileSync(upPath, `-- ${prefix}: apply\n`);
+  fs.writeFileSync(downPath, `-- ${prefix}: revert\n`);
+  return { upPath, downPath };
+};
+
+module.exports = {
+  migrationLabel,
+  listMigrations,
+  migrate,
+  rollback,
+  getStatus,
+  createMigration
+};
@@ -0,0 +1,25 @@
+const path = require('path');
+
+// Speech-to-text provider configuration. Lecturer audio is streamed to the server, which relays
+// it to the provider selected by STT_PROVIDER:
+//   deepgram - Deepgram live transcription (requires DEEPGRAM_API_KEY)
+//   replay   - replays a timed transcript file instead of listening, for demos and tests
+const defaultProvider = process.env.DEEPGRAM_API_KEY ? 'deepgram' : 'replay';
+const replaySpeed = parseFloat(process.env.STT_REPLAY_SPEED);
+
+module.exports = {
+  provider: (process.env.STT_PROVIDER || defaultProvider).toLowerCase(),
+  deepgram: {
+    apiKey: process.env.DEEPGRAM_API_KEY,
+    model: process.env.DEEPGRAM_MODEL || 'nova-2',
+    language: process.env.DEEPGRAM_LANGUAGE || 'en-US',
+    // Label segments with who was speaking, e.g. when students ask questions into the microphone
+    diarize: process.env.DEEPGRAM_DIARIZE === 'true'
+  },
+  replay: {
+    // Relative paths are resolved from the backend directory
+    file: path.resolve(__dirname, '..', process.env.STT_REPLAY_FILE || 'samples/replay-lecture.txt'),
+    // 2 replays twice as fast as the timings in the file
+    speed: replaySpeed > 0 ? replaySpeed : 1
+  }
+};
@@ -1,5 +1,9 @@
 const database = require('../config/database');
-const { generateSummary, generateStudentReview } = require('../services/geminiService');
+const { generateSummary, generateStudentReview } = require('../services/aiService');
+const { getAnswerDistributions, getConfidenceStats, findConfidentlyWrongHotspots } = require('../services/quizService');
+const { getConfusionTimeline } = require('../services/confusionService');
+const { getSummaryQuestions, getStudentQuestionStats } = require('../services/studentQuestionService');
+const { getResponseTimeStats, getRanking, leaderboardPayload } = require('../services/scoringService');
 
 const db = database.getInstance();
 
@@ -15,13 +19,14 @@ const getAnalytics = async (req, res) => {
         s.lecturer_name,
         s.created_at,
         s.ended_at,
+        s.scoring_mode,
         COUNT(DISTINCT q.id) as total_questions,
         COUNT(DISTINCT st.id) as total_students,
         COUNT(DISTINCT sa.id) as total_answers,
         ROUND(CAST(COUNT(DISTINCT sa.id) AS FLOAT) / 
               (COUNT(DISTINCT q.id) * COUNT(DISTINCT st.id)) * 100, 2) as participation_rate
       FROM sessions s
-      LEFT JOIN questions q ON s.id = q.session_id
+      LEFT JOIN questions q ON s.id = q.session_id AND q.status = 'published'
       LEFT JOIN students st ON s.id = st.session_id
       LEFT JOIN student_answers sa ON q.id = sa.question_id
       WHERE s.id = ?
@@ -45,34 +50,46 @@ const getAnalytics = async (req, res) => {
           q.formatted_question as question,
           q.correct_answer,
           COUNT(sa.id) as total_answers,
-          COUNT(CASE WHEN sa.selected_answer = q.correct_answer THEN 1 END) as correct_answers,
-          ROUND(CAST(COUNT(CASE WHEN sa.selected_answer = q.correct_answer THEN 1 END) AS FLOAT) / 
-                COUNT(sa.id) * 100, 2) as accuracy_rate,
-          COUNT(CASE WHEN sa.selected_answer = 'A' THEN 1 END) as option_a_count,
-          COUNT(CASE WHEN sa.selected_answer = 'B' THEN 1 END) as option_b_count,
-          COUNT(CASE WHEN sa.selected_answer = 'C' THEN 1 END) as option_c_count,
-          COUNT(CASE WHEN sa.selected_answer = 'D' THEN 1 END) as option_d_count
+          COUNT(CASE WHEN sa.is_correct = 1 THEN 1 END) as correct_answers,
+          ROUND(CAST(COUNT(CASE WHEN sa.is_correct = 1 THEN 1 END) AS FLOAT) / 
+                COUNT(sa.id) * 100, 2) as accuracy_rate
         FROM questions q
         LEFT JOIN student_answers sa ON q.id = sa.question_id
-        WHERE q.session_id = ?
+        WHERE q.session_id = ? AND q.status = 'published'
         GROUP BY q.id
         ORDER BY q.created_at ASC
       `;
       
-      db.all(questionAnalyticsQuery, [sessionId], (err, questionAnalytics) => {
+      db.all(questionAnalyticsQuery, [sessionId], async (err, questionAnalytics) => {
         if (err) {
           console.error('Error getting question analytics:', err);
           return res.status(500).json({ error: 'Database error' });
         }
         
+        let distributions;
+        let studentQuestions;
+        let responseTimes;
+        let confidenceStats;
+        let ranking;
+        try {
+          distributions = await getAnswerDistributions(sessionId);
+          confidenceStats = await getConfidenceStats(sessionId);
+          studentQuestions = await getStudentQuestionStats(sessionId);
+          responseTimes = await getResponseTimeStats(sessionId);
+          ranking = await getRanking(sessionId);
+        } catch (error) {
+          console.error('Error getting answer distributions:', error);
+          return res.status(500).json({ error: 'Database error' });
+        }
+        
         // Get student participation details
         const studentParticipationQuery = `
           SELECT 
             st.id as student_id,
             st.name as student_name,
             COUNT(sa.id) as questions_answered,
-            COUNT(CASE WHEN sa.selected_answer = q.correct_answer THEN 1 END) as correct_answers,
-            ROUND(CAST(COUNT(CASE WHEN sa.selected_answer = q.correct_answer THEN 1 END) AS FLOAT) / 
+            COUNT(CASE WHEN sa.is_correct = 1 THEN 1 END) as correct_answers,
+            ROUND(CAST(COUNT(CASE WHEN sa.is_correct = 1 THEN 1 END) AS FLOAT) / 
                   COUNT(sa.id) * 100, 2) as accuracy_rate
           FROM students st
           LEFT JOIN student_answers sa ON st.id = sa.student_id
@@ -88,6 +105,20 @@ const getAnalytics = async (req, res) => {
             return res.status(500).json({ error: 'Database error' });
           }
           
+          const processedQuestions = questionAnalytics.map(q => ({
+            questionId: q.question_id,
+            type: distributions.get(q.question_id).type,
+            question: q.question,
+            options: distributions.get(q.question_id).options,
+            correctAnswer: q.correct_answer,
+            totalAnswers: q.total_answers,
+            correctAnswers: q.correct_answers,
+            accuracyRate: q.accuracy_rate,
+            answerDistribution: distributions.get(q.question_id).distribution,
+            responseTimes: responseTimes.get(q.question_id),
+            confidence: confidenceStats.get(q.question_id)
+          }));
+          
           // Calculate most missed questions and recommended review
           const mostMissedQuestions = questionAnalytics
             .filter(q => q.total_answers > 0)
@@ -124,20 +155,8 @@ const getAnalytics = async (req, res) => {
               participationRate: analytics.participation_rate,
               overallAccuracy: overallAccuracy
             },
-            questionAnalytics: questionAnalytics.map(q => ({
-              questionId: q.question_id,
-              question: q.question,
-              correctAnswer: q.correct_answer,
-              totalAnswers: q.total_answers,
-              correctAnswers: q.correct_answers,
-              accuracyRate: q.accuracy_rate,
-              answerDistribution: {
-                A: q.option_a_count,
-                B: q.option_b_count,
-                C: q.option_c_count,
-                D: q.option_d_count
-              }
-            })),
+            questionAnalytics: processedQuestions,
+            confidentlyWrongHotspots: findConfidentlyWrongHotspots(processedQuestions),
             studentParticipation: studentParticipation.map(s => ({
               studentId: s.student_id,
               studentName: s.student_name,
@@ -145,6 +164,9 @@ const getAnalytics = async (req, res) => {
               correctAnswers: s.correct_answers,
               accuracyRate: s.accuracy_rate
             })),
+            studentQuestions,
+            scoringMode: analytics.scoring_mode,
+            leaderboard: leaderboardPayload(ranking, { includeIds: true }),
             recommendedReview: {
               mostMissedQuestions: mostMissedQuestions,
               topicsToReview: mostMissedQuestions.map(q => q.question),
@@ -175,12 +197,14 @@ const getStudentAnalytics = async (req, res) => {
         st.name as studentName,
         COUNT(DISTINCT q.id) as total_questions,
         COUNT(sa.id) as questions_answered,
-        COUNT(CASE WHEN sa.selected_answer = q.correct_answer THEN 1 END) as correct_answers,
-        ROUND(CAST(COUNT(CASE WHEN sa.selected_answer = q.correct_answer THEN 1 END) AS FLOAT) / 
+        COUNT(CASE WHEN sa.is_correct = 1 THEN 1 END) as correct_answers,
+        ROUND(CAST(COUNT(CASE WHEN sa.is_correct = 1 THEN 1 END) AS FLOAT) / 
               COUNT(sa.id) * 100, 2) as accuracy_rate,
         q.formatted_question as question,
         q.correct_answer as correctAnswer,
         sa.selected_answer as selectedAnswer,
+        sa.is_correct as isCorrect,
+        sa.confidence,
         sa.answered_at as answeredAt
       FROM students st
       LEFT JOIN student_answers sa ON st.id = sa.student_id
@@ -208,7 +232,8 @@ const getStudentAnalytics = async (req, res) => {
           question: r.question,
           correctAnswer: r.correctAnswer,
           selectedAnswer: r.selectedAnswer,
-          isCorrect: r.selectedAnswer === r.correctAnswer,
+          isCorrect: r.isCorrect === 1,
+          confidence: r.confidence,
           answeredAt: r.answeredAt
         }));
         
@@ -226,8 +251,8 @@ const getStudentAnalytics = async (req, res) => {
             db.all(transcriptQuery, [sessionId], async (err, transcripts) => {
               if (transcripts && transcripts.length > 0) {
                 const fullTranscript = transcripts.map(t => t.text_chunk).join(' ');
-                lectureSummary = await generateSummary(fullTranscript);
-                personalizedReview = await generateStudentReview(missedQuestions, lectureSummary);
+                lectureSummary = await generateSummary(fullTranscript, await getSummaryQuestions(sessionId));
+                personalizedReview = await generateStudentReview(missedQuestions, lectureSummary || '');
               }
               
               res.json({
@@ -264,10 +289,10 @@ const getStudentAnalytics = async (req, res) => {
   }
 };
 
-// Get lecturer statistics across all sessions
+// Get lecturer statistics across all of the authenticated lecturer's sessions
 const getLecturerStatistics = async (req, res) => {
   try {
-    const { lecturerId } = req.params;
+    const lecturerId = req.lecturer.id;
     const { timeRange = 'all' } = req.query; // all, week, month, year
     
     let timeFilter = '';
@@ -301,16 +326,16 @@ const getLecturerStatistics = async (req, res) => {
         COUNT(DISTINCT st.id) as total_students,
         COUNT(DISTINCT q.id) as total_questions,
         COUNT(DISTINCT sa.id) as total_answers,
-        ROUND(CAST(COUNT(CASE WHEN sa.selected_answer = q.correct_answer THEN 1 END) AS FLOAT) / 
+        ROUND(CAST(COUNT(CASE WHEN sa.is_correct = 1 THEN 1 END) AS FLOAT) / 
               COUNT(sa.id) * 100, 2) as overall_accuracy,
         AVG(CAST(s.time_limit AS FLOAT)) as avg_time_limit,
         COUNT(CASE WHEN s.status = 'ended' THEN 1 END) as completed_sessions,
         COUNT(CASE WHEN s.status = 'active' THEN 1 END) as active_sessions
       FROM sessions s
       LEFT JOIN students st ON s.id = st.session_id
-      LEFT JOIN questions q ON s.id = q.session_id
+      LEFT JOIN questions q ON s.id = q.session_id AND q.status = 'published'
       LEFT JOIN student_answers sa ON q.id = sa.question_id
-      WHERE s.lecturer_name = ? ${timeFilter}
+      WHERE s.lecturer_id = ? ${timeFilter}
     `;
     
     db.get(query, params, (err, stats) => {
@@ -329,8 +354,8 @@ const getLecturerStatistics = async (req, res) => {
             COUNT(DISTINCT q.id) as question_count
           FROM sessions s
           LEFT JOIN students st ON s.id = st.session_id
-          LEFT JOIN questions q ON s.id = q.session_id
-          WHERE s.lecturer_name = ? ${timeFilter}
+          LEFT JOIN questions q ON s.id = q.session_id AND q.status = 'published'
+          WHERE s.lecturer_id = ? ${timeFilter}
           GROUP BY s.id
           ORDER BY s.created_at DESC
           LIMIT 5
@@ -373,12 +398,12 @@ const getStudentSessions = async (req, res) => {
         st.joined_at as joinedAt,
         COUNT(DISTINCT q.id) as total_questions,
         COUNT(sa.id) as questions_answered,
-        COUNT(CASE WHEN sa.selected_answer = q.correct_answer THEN 1 END) as correct_answers,
-        ROUND(CAST(COUNT(CASE WHEN sa.selected_answer = q.correct_answer THEN 1 END) AS FLOAT) / 
+        COUNT(CASE WHEN sa.is_correct = 1 THEN 1 END) as correct_answers,
+        ROUND(CAST(COUNT(CASE WHEN sa.is_correct = 1 THEN 1 END) AS FLOAT) / 
               COUNT(sa.id) * 100, 2) as accuracy_rate
       FROM students st
       JOIN sessions s ON st.session_id = s.id
-      LEFT JOIN questions q ON s.id = q.session_id
+      LEFT JOIN questions q ON s.id = q.session_id AND q.status = 'published'
       LEFT JOIN student_answers sa ON st.id = sa.student_id AND q.id = sa.question_id
       WHERE st.name = ?
       GROUP BY s.id
@@ -433,7 +458,7 @@ const getComprehensiveAnalytics = async (req, res) => {
           let summary = null;
           if (transcripts.length > 0) {
             const fullTranscript = transcripts.map(t => t.text_chunk).join(' ');
-            summary = await generateSummary(fullTranscript);
+            summary = await generateSummary(fullTranscript, await getSummaryQuestions(sessionId));
           }
           
           // Get overall session analytics
@@ -442,11 +467,11 @@ const getComprehensiveAnalytics = async (req, res) => {
               COUNT(DISTINCT q.id) as total_questions,
               COUNT(DISTINCT st.id) as total_students,
               COUNT(sa.id) as total_answers,
-              ROUND(CAST(COUNT(CASE WHEN sa.selected_answer = q.correct_answer THEN 1 END) AS FLOAT) / 
+              ROUND(CAST(COUNT(CASE WHEN sa.is_correct = 1 THEN 1 END) AS FLOAT) / 
                     COUNT(sa.id) * 100, 2) as overall_accuracy
             FROM sessions s
             LEFT JOIN students st ON s.id = st.session_id
-            LEFT JOIN questions q ON s.id = q.session_id
+            LEFT JOIN questions q ON s.id = q.session_id AND q.status = 'published'
             LEFT JOIN student_answers sa ON q.id = sa.question_id AND st.id = sa.student_id
             WHERE s.id = ?
           `;
@@ -482,10 +507,26 @@ const getComprehensiveAnalytics = async (req, res) => {
   }
 };
 
+// Get confusion over time, bucketed by ?bucketSeconds= (default 60), with the transcript
+// spoken in each bucket
+const getConfusionTimelineData = async (req, res) => {
+  try {
+    const timeline = await getConfusionTimeline(req.params.sessionId, { bucketSeconds: req.query.bucketSeconds });
+    if (!timeline) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json(timeline);
+  } catch (error) {
+    console.error('Error getting confusion timeline:', error);
+    res.status(500).json({ error: 'Failed to get confusion timeline' });
+  }
+};
+
 module.exports = {
   getAnalytics,
   getStudentAnalytics,
   getLecturerStatistics,
   getStudentSessions,
-  getComprehensiveAnalytics
+  getComprehensiveAnalytics,
+  getConfusionTimelineData
 };
@@ -0,0 +1,111 @@
+const { v4: uuidv4 } = require('uuid');
+const database = require('../config/database');
+const { minPasswordLength } = require('../config/auth');
+const { hashPassword, verifyPassword, signToken } = require('../services/authService');
+
+// Shape a lecturer row for API responses (never includes the password hash)
+const formatLecturer = (lecturer) => ({
+  id: lecturer.id,
+  email: lecturer.email,
+  name: lecturer.name,
+  createdAt: lecturer.created_at
+});
+
+// Credentials arrive as JSON, so a field can be a number or an object instead of text
+const isTextOrMissing = (value) => value === undefined || value === null || typeof value === 'string';
+
+// Register a new lecturer account
+const register = async (req, res) => {
+  try {
+    const { email, password, name } = req.body;
+    if (![email, password, name].every(isTextOrMissing)) {
+      return res.status(400).json({ error: 'Email, password and name must be text' });
+    }
+    const normalizedEmail = (email || '').trim().toLowerCase();
+
+    if (!normalizedEmail || !password || !name || !name.trim()) {
+      return res.status(400).json({ error: 'Email, password and name are required' });
+    }
+
+    if (password.length < minPasswordLength) {
+      return res.status(400).json({ error: `Password must be at least ${minPasswordLength} characters` });
+    }
+
+    const existing = await database.get('SELECT id FROM lecturers WHERE email = ?', [normalizedEmail]);
+    if (existing) {
+      return res.status(409).json({ error: 'An account with this email already exists' });
+    }
+
+    const lecturer = {
+      id: uuidv4(),
+      email: normalizedEmail,
+      name: name.trim(),
+      created_at: new Date().toISOString()
+    };
+    const passwordHash = await hashPassword(password);
+
+    await database.run(
+      'INSERT INTO lecturers (id, email, name, password_hash, created_at) VALUES (?, ?, ?, ?, ?)',
+      [lecturer.id, lecturer.email, lecturer.name, passwordHash, lecturer.created_at]
+    );
+
+    res.status(201).json({
+      token: signToken(lecturer),
+      lecturer: formatLecturer(lecturer)
+    });
+  } catch (error) {
+    console.error('Error in register:', error);
+    res.status(500).json({ error: 'Failed to create account' });
+  }
+};
+
+// Log in with email and password
+const login = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    if (![email, password].every(isTextOrMissing)) {
+      return res.status(400).json({ error: 'Email and password must be text' });
+    }
+    const normalizedEmail = (email || '').trim().toLowerCase();
+
+    if (!normalizedEmail || !password) {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+
+    const lecturer = await database.get('SELECT * FROM lecturers WHERE email = ?', [normalizedEmail]);
+
+    if (!lecturer || !(await verifyPassword(password, lecturer.password_hash))) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    res.json({
+      token: signToken(lecturer),
+      lecturer: formatLecturer(lecturer)
+    });
+  } catch (error) {
+    console.error('Error in login:', error);
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+};
+
+// Get the currently authenticated lecturer
+const getCurrentLecturer = async (req, res) => {
+  try {
+    const lecturer = await database.get('SELECT * FROM lecturers WHERE id = ?', [req.lecturer.id]);
+
+    if (!lecturer) {
+      return res.status(404).json({ error: 'Lecturer not found' });
+    }
+
+    res.json({ lecturer: formatLecturer(lecturer) });
+  } catch (error) {
+    console.error('Error in getCurrentLecturer:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  register,
+  login,
+  getCurrentLecturer
+};
@@ -0,0 +1,184 @@
+const { v4: uuidv4 } = require('uuid');
+const database = require('../config/database');
+const { readQuizInput } = require('../services/quizService');
+const { rowToQuiz, quizToColumns } = require('../services/questionTypes');
+
+// Shape a question bank row for API responses
+const formatBankQuestion = (row) => {
+  const quiz = rowToQuiz(row);
+  return {
+    id: row.id,
+    course: row.course,
+    topic: row.topic,
+    type: quiz.type,
+    question: quiz.question,
+    options: quiz.options,
+    answerKey: quiz.answerKey,
+    correctAnswer: row.correct_answer,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+};
+
+// Validate and normalize a create/update request body. Returns { errors, fields }.
+const readBankQuestionInput = (body) => {
+  const { course = '', topic = '' } = body;
+  const { errors, quiz } = readQuizInput(body);
+
+  if (typeof course !== 'string' || typeof topic !== 'string') {
+    errors.push('Course and topic must be text');
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return {
+    errors,
+    fields: {
+      course: course.trim(),
+      topic: topic.trim(),
+      quiz
+    }
+  };
+};
+
+// List the lecturer's bank questions, optionally filtered by course, topic or text
+const listBankQuestions = async (req, res) => {
+  try {
+    const { course, topic, search } = req.query;
+    const conditions = ['lecturer_id = ?'];
+    const params = [req.lecturer.id];
+
+    if (course) {
+      conditions.push('course = ?');
+      params.push(course);
+    }
+    if (topic) {
+      conditions.push('topic = ?');
+      params.push(topic);
+    }
+    if (search) {
+      // Match the lecturer's text literally: % and _ are not wildcards here
+      conditions.push("question LIKE ? ESCAPE '\\'");
+      params.push(`%${String(search).replace(/[\\%_]/g, '\\$&')}%`);
+    }
+
+    const rows = await database.all(
+      `SELECT * FROM question_bank WHERE ${conditions.join(' AND ')} ORDER BY course, topic, created_at DESC`,
+      params
+    );
+
+    res.json({ questions: rows.map(formatBankQuestion) });
+  } catch (error) {
+    console.error('Error in listBankQuestions:', error);
+    res.status(500).json({ error: 'Failed to load question bank' });
+  }
+};
+
+// Get one bank question
+const getBankQuestion = async (req, res) => {
+  try {
+    const row = await database.get(
+      'SELECT * FROM question_bank WHERE id = ? AND lecturer_id = ?',
+      [req.params.questionId, req.lecturer.id]
+    );
+
+    if (!row) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+
+    res.json({ question: formatBankQuestion(row) });
+  } catch (error) {
+    console.error('Error in getBankQuestion:', error);
+    res.status(500).json({ error: 'Failed to load question' });
+  }
+};
+
+// Add a question to the lecturer's bank
+const createBankQuestion = async (req, res) => {
+  try {
+    const { errors, fields } = readBankQuestionInput(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('. ') });
+    }
+
+    const id = uuidv4();
+    const columns = quizToColumns(fields.quiz);
+    await database.run(`
+      INSERT INTO question_bank (id, lecturer_id, course, topic, question, question_type, options, answer_key,
+                                 option_a, option_b, option_c, option_d, correct_answer)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      id, req.lecturer.id, fields.course, fields.topic, fields.quiz.question,
+      columns.question_type, columns.options, columns.answer_key,
+      columns.option_a, columns.option_b, columns.option_c, columns.option_d, columns.correct_answer
+    ]);
+
+    const row = await database.get('SELECT * FROM question_bank WHERE id = ?', [id]);
+    res.status(201).json({ question: formatBankQuestion(row) });
+  } catch (error) {
+    console.error('Error in createBankQuestion:', error);
+    res.status(500).json({ error: 'Failed to save question' });
+  }
+};
+
+// Replace a bank question's content and tags
+const updateBankQuestion = async (req, res) => {
+  try {
+    const { errors, fields } = readBankQuestionInput(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('. ') });
+    }
+
+    const columns = quizToColumns(fields.quiz);
+    const result = await database.run(`
+      UPDATE question_bank
+      SET course = ?, topic = ?, question = ?, question_type = ?, options = ?, answer_key = ?,
+          option_a = ?, option_b = ?, option_c = ?, option_d = ?, correct_answer = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND lecturer_id = ?
+    `, [
+      fields.course, fields.topic, fields.quiz.question,
+      columns.question_type, columns.options, columns.answer_key,
+      columns.option_a, columns.option_b, columns.option_c, columns.option_d, columns.correct_answer,
+      req.params.questionId, req.lecturer.id
+    ]);
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+
+    const row = await database.get('SELECT * FROM question_bank WHERE id = ?', [req.params.questionId]);
+    res.json({ question: formatBankQuestion(row) });
+  } catch (error) {
+    console.error('Error in updateBankQuestion:', error);
+    res.status(500).json({ error: 'Failed to update question' });
+  }
+};
+
+// Remove a bank question. Quizzes already pushed from it keep their own copy.
+const deleteBankQuestion = async (req, res) => {
+  try {
+    const result = await database.run(
+      'DELETE FROM question_bank WHERE id = ? AND lecturer_id = ?',
+      [req.params.questionId, req.lecturer.id]
+    );
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+
+    res.json({ message: 'Question deleted successfully' });
+  } catch (error) {
+    console.error('Error in deleteBankQuestion:', error);
+    res.status(500).json({ error: 'Failed to delete question' });
+  }
+};
+
+module.exports = {
+  listBankQuestions,
+  getBankQuestion,
+  createBankQuestion,
+  updateBankQuestion,
+  deleteBankQuestion
+};
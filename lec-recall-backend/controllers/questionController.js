@@ -1,6 +1,11 @@
 const { v4: uuidv4 } = require('uuid');
 const database = require('../config/database');
-const { detectQuestion, generateQuiz, generateSummary, generateStudentReview } = require('../services/geminiService');
+const { detectQuestion, generateQuiz, generateSummary, generateStudentReview, AIResponseError } = require('../services/aiService');
+const { getSummaryQuestions } = require('../services/studentQuestionService');
+const { isQuestionOpen, formatQuestionForStudent, recordAnswer } = require('../services/quizService');
+const { QUESTION_TYPES, DEFAULT_QUESTION_TYPE, isQuestionType } = require('../services/questionTypes');
+const { lecturerOwnsSession } = require('../services/authService');
+const { findStudentByReconnectToken } = require('../services/sessionResumeService');
 
 const db = database.getInstance();
 
@@ -18,6 +23,9 @@ const detectQuestionHandler = async (req, res) => {
     
     res.json(result);
   } catch (error) {
+    if (error instanceof AIResponseError) {
+      return res.status(502).json({ error: error.message, ...error.toJSON() });
+    }
     console.error('Error in detectQuestion endpoint:', error);
     res.status(500).json({ error: 'Failed to detect question' });
   }
@@ -26,21 +34,23 @@ const detectQuestionHandler = async (req, res) => {
 // Generate quiz from question
 const generateQuizHandler = async (req, res) => {
   try {
-    const { question } = req.body;
+    const { question, context, type = DEFAULT_QUESTION_TYPE } = req.body;
     
     if (!question) {
       return res.status(400).json({ error: 'Question is required' });
     }
-    
-    console.log('🎯 Generating quiz for question:', question);
-    const result = await generateQuiz(question);
-    
-    if (!result) {
-      return res.status(500).json({ error: 'Failed to generate quiz' });
+    if (!isQuestionType(type)) {
+      return res.status(400).json({ error: `type must be one of ${QUESTION_TYPES.join(', ')}` });
     }
     
+    console.log(`🎯 Generating ${type} quiz for question:`, question);
+    const result = await generateQuiz(question, context, type);
+    
     res.json(result);
   } catch (error) {
+    if (error instanceof AIResponseError) {
+      return res.status(502).json({ error: error.message, ...error.toJSON() });
+    }
     console.error('Error in generateQuiz endpoint:', error);
     res.status(500).json({ error: 'Failed to generate quiz' });
   }
@@ -49,29 +59,30 @@ const generateQuizHandler = async (req, res) => {
 // Submit student answer
 const submitAnswer = async (req, res) => {
   try {
-    const { questionId, studentId, selectedAnswer } = req.body;
+    const { questionId, studentId, selectedAnswer, confidence, reconnectToken } = req.body;
     
-    const query = `
-      INSERT INTO student_answers (id, question_id, student_id, selected_answer)
-      VALUES (?, ?, ?, ?)
-    `;
+    if (!questionId || !studentId || selectedAnswer === undefined || selectedAnswer === null || selectedAnswer === '') {
+      return res.status(400).json({ error: 'questionId, studentId and selectedAnswer are required' });
+    }
     
-    const answerId = uuidv4();
+    // The reconnect token handed out on joining proves the caller is this student
+    const student = await findStudentByReconnectToken(reconnectToken);
+    if (!student || student.id !== studentId) {
+      return res.status(401).json({ error: 'A valid reconnectToken for this student is required', code: 'not_in_session' });
+    }
     
-    db.run(query, [answerId, questionId, studentId, selectedAnswer], function(err) {
-      if (err) {
-        console.error('Error submitting answer:', err);
-        res.status(500).json({ error: 'Failed to submit answer' });
-      } else {
-        res.json({ 
-          answerId,
-          message: 'Answer submitted successfully' 
-        });
-      }
+    // The answer is graded server-side; correctness is released when the quiz closes
+    const { answerId } = await recordAnswer({ questionId, studentId, answer: selectedAnswer, confidence });
+    
+    res.json({ 
+      answerId,
+      message: 'Answer submitted successfully' 
     });
   } catch (error) {
     console.error('Error in submitAnswer:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    res.status(error.statusCode || 500).json(error.statusCode
+      ? { error: error.message, code: error.code }
+      : { error: 'Failed to submit answer' });
   }
 };
 
@@ -79,13 +90,11 @@ const submitAnswer = async (req, res) => {
 const getSessionQuestions = async (req, res) => {
   try {
     const { sessionId } = req.params;
+    const isOwner = await lecturerOwnsSession(req.lecturer && req.lecturer.id, sessionId);
     
     const query = `
-      SELECT id as questionId, formatted_question as question, 
-             option_a, option_b, option_c, option_d, correct_answer as correctAnswer,
-             created_at
-      FROM questions 
-      WHERE session_id = ? 
+      SELECT * FROM questions 
+      WHERE session_id = ? AND status = 'published'
       ORDER BY created_at ASC
     `;
     
@@ -94,19 +103,9 @@ const getSessionQuestions = async (req, res) => {
         console.error('Error getting session questions:', err);
         res.status(500).json({ error: 'Failed to get questions' });
       } else {
-        // Format questions for frontend
-        const formattedQuestions = questions.map(q => ({
-          questionId: q.questionId,
-          question: q.question,
-          options: {
-            A: q.option_a,
-            B: q.option_b,
-            C: q.option_c,
-            D: q.option_d
-          },
-          correctAnswer: q.correctAnswer,
-          answered: false,
-          selectedAnswer: null
+        // Format questions for frontend, hiding the answer of the quiz that is still open from students
+        const formattedQuestions = questions.map(q => formatQuestionForStudent(q, {
+          includeAnswer: isOwner || !isQuestionOpen(sessionId, q.id)
         }));
         
         res.json({ questions: formattedQuestions });
@@ -139,8 +138,12 @@ const generateLectureSummary = async (req, res) => {
       // Combine all transcript chunks
       const fullTranscript = transcripts.map(t => t.text_chunk).join(' ');
       
-      // Generate summary using Gemini
-      const summary = await generateSummary(fullTranscript);
+      // Generate summary using the configured AI provider
+      const summary = await generateSummary(fullTranscript, await getSummaryQuestions(sessionId));
+      
+      if (!summary) {
+        return res.status(502).json({ error: 'Failed to generate summary' });
+      }
       
       res.json({ summary });
     });
@@ -160,11 +163,12 @@ const generateStudentReviewHandler = async (req, res) => {
       SELECT 
         q.formatted_question as question,
         q.correct_answer as correctAnswer,
-        sa.selected_answer as selectedAnswer
+        sa.selected_answer as selectedAnswer,
+        sa.confidence
       FROM students st
       LEFT JOIN student_answers sa ON st.id = sa.student_id
       LEFT JOIN questions q ON sa.question_id = q.id
-      WHERE st.session_id = ? AND st.name = ? AND sa.selected_answer != q.correct_answer
+      WHERE st.session_id = ? AND st.name = ? AND sa.is_correct = 0
       ORDER BY q.created_at ASC
     `;
     
@@ -191,10 +195,10 @@ const generateStudentReviewHandler = async (req, res) => {
         const fullTranscript = transcripts.map(t => t.text_chunk).join(' ');
         
         // Generate summary first
-        const summary = await generateSummary(fullTranscript);
+        const summary = await generateSummary(fullTranscript, await getSummaryQuestions(sessionId));
         
         // Generate personalized review based on missed questions and summary
-        const personalizedReview = await generateStudentReview(missedQuestions, summary);
+        const personalizedReview = await generateStudentReview(missedQuestions, summary || '');
         
         res.json({ 
           summary,
@@ -202,7 +206,8 @@ const generateStudentReviewHandler = async (req, res) => {
           missedQuestions: missedQuestions.map(q => ({
             question: q.question,
             correctAnswer: q.correctAnswer,
-            selectedAnswer: q.selectedAnswer
+            selectedAnswer: q.selectedAnswer,
+            confidence: q.confidence
           }))
         });
       });
@@ -217,18 +222,12 @@ const generateStudentReviewHandler = async (req, res) => {
 const getCurrentQuiz = async (req, res) => {
   try {
     const { sessionId } = req.params;
+    const isOwner = await lecturerOwnsSession(req.lecturer && req.lecturer.id, sessionId);
     
     // Get the most recent question for this session that might still be active
     const query = `
-      SELECT 
-        id as questionId,
-        formatted_question as question,
-        option_a, option_b, option_c, option_d,
-        correct_answer as correctAnswer,
-        created_at,
-        original_text as originalText
-      FROM questions 
-      WHERE session_id = ? 
+      SELECT * FROM questions 
+      WHERE session_id = ? AND status = 'published'
       ORDER BY created_at DESC 
       LIMIT 1
     `;
@@ -240,20 +239,15 @@ const getCurrentQuiz = async (req, res) => {
       } else if (!question) {
         res.json({ hasActiveQuiz: false, message: 'No quiz found for this session' });
       } else {
+        const isOpen = isQuestionOpen(sessionId, question.id);
+        
         // Format the response
         const quizData = {
           hasActiveQuiz: true,
-          questionId: question.questionId,
-          question: question.question,
-          options: {
-            A: question.option_a,
-            B: question.option_b,
-            C: question.option_c,
-            D: question.option_d
-          },
-          correctAnswer: question.correctAnswer,
+          ...formatQuestionForStudent(question, { includeAnswer: isOwner || !isOpen }),
+          isOpen,
           createdAt: question.created_at,
-          originalText: question.originalText
+          originalText: question.original_text
         };
         
         res.json(quizData);
@@ -0,0 +1,18 @@
+const { searchLecturerContent } = require('../services/searchService');
+
+// Search the logged-in lecturer's transcripts and questions (?q=, optional ?type= and ?limit=)
+const search = async (req, res) => {
+  try {
+    const { q, type, limit } = req.query;
+    const result = await searchLecturerContent(req.lecturer.id, { query: q, type, limit });
+    
+    res.json(result);
+  } catch (error) {
+    console.error('Error in search:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Search failed' });
+  }
+};
+
+module.exports = {
+  search
+};
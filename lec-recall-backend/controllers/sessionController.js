@@ -1,21 +1,81 @@
 const { v4: uuidv4 } = require('uuid');
 const database = require('../config/database');
+const { resolveWindowSettings } = require('../services/transcriptWindow');
+const { QUESTION_TYPES, DEFAULT_QUESTION_TYPE, isQuestionType } = require('../services/questionTypes');
+const { alertSettingsFromInput, alertSettingsPayload } = require('../services/confusionService');
+const { SCORING_MODES, DEFAULT_SCORING_MODE, isScoringMode } = require('../services/scoringService');
+const { createReconnectToken } = require('../services/sessionResumeService');
+const {
+  getTranscriptSegments,
+  reviseTranscriptSegment,
+  getSegmentRevisions
+} = require('../services/transcriptService');
+const { proposePracticeQuestions } = require('../services/practiceQuestionService');
+const {
+  TRANSCRIPT_FORMATS,
+  VTT_KINDS,
+  resolveCaptionOptions,
+  loadCaptionData,
+  renderVtt,
+  renderVttChapters,
+  renderSrt,
+  renderText
+} = require('../services/captionService');
+const {
+  EXPORT_FORMATS,
+  CSV_ENTITIES,
+  loadSessionExport,
+  buildExportTables,
+  toCsv,
+  pipeCsvBundle,
+  buildWorkbook,
+  renderHtmlReport
+} = require('../services/exportService');
 
 const db = database.getInstance();
 
 // Create a new session
 const createSession = async (req, res) => {
   try {
-    const { lecturerName, sessionName, timeLimit = 10 } = req.body;
+    const {
+      sessionName,
+      timeLimit = 10,
+      detectionWindowWords,
+      detectionDebounceMs,
+      reviewBeforePublish = false,
+      allowAnswerChanges = false,
+      scoringMode = DEFAULT_SCORING_MODE,
+      showLeaderboard = false,
+      questionType = DEFAULT_QUESTION_TYPE
+    } = req.body;
+    
+    if (!isQuestionType(questionType)) {
+      return res.status(400).json({ error: `questionType must be one of ${QUESTION_TYPES.join(', ')}` });
+    }
+    if (!isScoringMode(scoringMode)) {
+      return res.status(400).json({ error: `scoringMode must be one of ${SCORING_MODES.join(', ')}` });
+    }
+    
     const sessionId = uuidv4();
     const joinCode = Math.random().toString(36).substring(2, 8).toUpperCase();
+    const detection = resolveWindowSettings({ windowWords: detectionWindowWords, debounceMs: detectionDebounceMs });
+    const confusionAlerts = alertSettingsFromInput(req.body);
     
     const query = `
-      INSERT INTO sessions (id, lecturer_name, session_name, join_code, status, time_limit)
-      VALUES (?, ?, ?, ?, 'waiting', ?)
+      INSERT INTO sessions (id, lecturer_id, lecturer_name, session_name, join_code, status, time_limit,
+                            detection_window_words, detection_debounce_ms, review_before_publish, question_type,
+                            confusion_alert_threshold, confusion_alert_level,
+                            confusion_alert_window_seconds, confusion_alert_cooldown_seconds, allow_answer_changes,
+                            scoring_mode, show_leaderboard)
+      VALUES (?, ?, ?, ?, ?, 'waiting', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
     
-    db.run(query, [sessionId, lecturerName, sessionName, joinCode, timeLimit], function(err) {
+    db.run(query, [
+      sessionId, req.lecturer.id, req.lecturer.name, sessionName, joinCode, timeLimit,
+      detection.windowWords, detection.debounceMs, reviewBeforePublish ? 1 : 0, questionType,
+      confusionAlerts.threshold, confusionAlerts.level, confusionAlerts.windowSeconds, confusionAlerts.cooldownSeconds,
+      allowAnswerChanges ? 1 : 0, scoringMode, showLeaderboard ? 1 : 0
+    ], function(err) {
       if (err) {
         console.error('Error creating session:', err);
         res.status(500).json({ error: 'Failed to create session' });
@@ -24,6 +84,14 @@ const createSession = async (req, res) => {
           sessionId, 
           joinCode,
           timeLimit,
+          detectionWindowWords: detection.windowWords,
+          detectionDebounceMs: detection.debounceMs,
+          reviewBeforePublish: Boolean(reviewBeforePublish),
+          allowAnswerChanges: Boolean(allowAnswerChanges),
+          scoringMode,
+          showLeaderboard: Boolean(showLeaderboard),
+          questionType,
+          ...alertSettingsPayload(confusionAlerts),
           message: 'Session created successfully' 
         });
       }
@@ -56,12 +124,13 @@ const joinSession = async (req, res) => {
       
       // Create student record
       const studentId = uuidv4();
+      const reconnectToken = createReconnectToken();
       const studentQuery = `
-        INSERT INTO students (id, session_id, name)
-        VALUES (?, ?, ?)
+        INSERT INTO students (id, session_id, name, reconnect_token)
+        VALUES (?, ?, ?, ?)
       `;
       
-      db.run(studentQuery, [studentId, session.id, studentName], function(err) {
+      db.run(studentQuery, [studentId, session.id, studentName, reconnectToken], function(err) {
         if (err) {
           console.error('Error adding student:', err);
           res.status(500).json({ error: 'Failed to join session' });
@@ -69,6 +138,7 @@ const joinSession = async (req, res) => {
           res.json({ 
             studentId, 
             sessionId: session.id,
+            reconnectToken,
             message: 'Successfully joined session' 
           });
         }
@@ -91,7 +161,7 @@ const getSession = async (req, res) => {
              COUNT(DISTINCT q.id) as question_count
       FROM sessions s
       LEFT JOIN students st ON s.id = st.session_id
-      LEFT JOIN questions q ON s.id = q.session_id
+      LEFT JOIN questions q ON s.id = q.session_id AND q.status = 'published'
       WHERE s.id = ?
       GROUP BY s.id
     `;
@@ -112,10 +182,10 @@ const getSession = async (req, res) => {
   }
 };
 
-// Get all sessions for a lecturer
+// Get all sessions for the authenticated lecturer
 const getAllSessions = async (req, res) => {
   try {
-    const { lecturerId } = req.params;
+    const lecturerId = req.lecturer.id;
     const { status, limit = 50, offset = 0 } = req.query;
     
     let query = `
@@ -132,10 +202,10 @@ const getAllSessions = async (req, res) => {
         COUNT(DISTINCT st.id) as student_count,
         COUNT(DISTINCT sa.id) as answer_count
       FROM sessions s
-      LEFT JOIN questions q ON s.id = q.session_id
+      LEFT JOIN questions q ON s.id = q.session_id AND q.status = 'published'
       LEFT JOIN students st ON s.id = st.session_id
       LEFT JOIN student_answers sa ON q.id = sa.question_id
-      WHERE s.lecturer_name = ?
+      WHERE s.lecturer_id = ?
     `;
     
     const params = [lecturerId];
@@ -162,7 +232,7 @@ const getAllSessions = async (req, res) => {
         const countQuery = `
           SELECT COUNT(*) as total
           FROM sessions 
-          WHERE lecturer_name = ?
+          WHERE lecturer_id = ?
           ${status ? 'AND status = ?' : ''}
         `;
         
@@ -205,10 +275,10 @@ const getSessionDetails = async (req, res) => {
         COUNT(DISTINCT q.id) as question_count,
         COUNT(DISTINCT st.id) as student_count,
         COUNT(DISTINCT sa.id) as answer_count,
-        ROUND(CAST(COUNT(CASE WHEN sa.selected_answer = q.correct_answer THEN 1 END) AS FLOAT) / 
+        ROUND(CAST(COUNT(CASE WHEN sa.is_correct = 1 THEN 1 END) AS FLOAT) / 
               COUNT(sa.id) * 100, 2) as overall_accuracy
       FROM sessions s
-      LEFT JOIN questions q ON s.id = q.session_id
+      LEFT JOIN questions q ON s.id = q.session_id AND q.status = 'published'
       LEFT JOIN students st ON s.id = st.session_id
       LEFT JOIN student_answers sa ON q.id = sa.question_id
       WHERE s.id = ?
@@ -229,8 +299,8 @@ const getSessionDetails = async (req, res) => {
             st.name as studentName,
             st.joined_at as joinedAt,
             COUNT(sa.id) as questions_answered,
-            COUNT(CASE WHEN sa.selected_answer = q.correct_answer THEN 1 END) as correct_answers,
-            ROUND(CAST(COUNT(CASE WHEN sa.selected_answer = q.correct_answer THEN 1 END) AS FLOAT) / 
+            COUNT(CASE WHEN sa.is_correct = 1 THEN 1 END) as correct_answers,
+            ROUND(CAST(COUNT(CASE WHEN sa.is_correct = 1 THEN 1 END) AS FLOAT) / 
                   COUNT(sa.id) * 100, 2) as accuracy_rate
           FROM students st
           LEFT JOIN student_answers sa ON st.id = sa.student_id
@@ -250,17 +320,18 @@ const getSessionDetails = async (req, res) => {
               SELECT 
                 q.id as questionId,
                 q.formatted_question as question,
+                q.question_type as type,
                 q.option_a, q.option_b, q.option_c, q.option_d,
                 q.correct_answer as correctAnswer,
                 q.created_at as createdAt,
                 q.timer_duration as timerDuration,
                 COUNT(sa.id) as answer_count,
-                COUNT(CASE WHEN sa.selected_answer = q.correct_answer THEN 1 END) as correct_count,
-                ROUND(CAST(COUNT(CASE WHEN sa.selected_answer = q.correct_answer THEN 1 END) AS FLOAT) / 
+                COUNT(CASE WHEN sa.is_correct = 1 THEN 1 END) as correct_count,
+                ROUND(CAST(COUNT(CASE WHEN sa.is_correct = 1 THEN 1 END) AS FLOAT) / 
                       COUNT(sa.id) * 100, 2) as success_rate
               FROM questions q
               LEFT JOIN student_answers sa ON q.id = sa.question_id
-              WHERE q.session_id = ?
+              WHERE q.session_id = ? AND q.status = 'published'
               GROUP BY q.id
               ORDER BY q.created_at ASC
             `;
@@ -314,6 +385,95 @@ const getSessionDetails = async (req, res) => {
   }
 };
 
+// Get the session's transcript. ?format= is json (timed segments and question chapters), vtt or
+// srt (captions, laid out with ?maxLineLength= and ?maxCueSeconds=) or txt; `vtt&kind=chapters`
+// is a chapters track marking where questions were detected.
+const getSessionTranscript = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { format = 'json', kind = 'captions' } = req.query;
+    
+    if (!TRANSCRIPT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Invalid format. Must be one of ${TRANSCRIPT_FORMATS.join(', ')}` });
+    }
+    if (format === 'vtt' && !VTT_KINDS.includes(kind)) {
+      return res.status(400).json({ error: `Invalid kind. Must be one of ${VTT_KINDS.join(', ')}` });
+    }
+    
+    const transcript = await getTranscriptSegments(sessionId);
+    const { cues, chapters } = await loadCaptionData(sessionId, transcript, resolveCaptionOptions(req.query));
+    const chaptersTrack = format === 'vtt' && kind === 'chapters';
+    const fileName = `session-${sessionId}${chaptersTrack ? '-chapters' : ''}.${format}`;
+    
+    switch (format) {
+      case 'json':
+        return res.json({ sessionId, ...transcript, chapters });
+        
+      case 'vtt':
+        res.setHeader('Content-Type', 'text/vtt; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        return res.send(chaptersTrack ? renderVttChapters(chapters) : renderVtt(cues, chapters));
+        
+      case 'srt':
+        res.setHeader('Content-Type', 'application/x-subrip; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        return res.send(renderSrt(cues));
+        
+      default:
+        res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        return res.send(renderText(transcript.segments));
+    }
+  } catch (error) {
+    console.error('Error in getSessionTranscript:', error);
+    res.status(500).json({ error: 'Failed to get transcript' });
+  }
+};
+
+// Save the lecturer's correction of one transcript segment
+const updateTranscriptSegment = async (req, res) => {
+  try {
+    const { sessionId, transcriptId } = req.params;
+    const segment = await reviseTranscriptSegment(sessionId, transcriptId, req.body.text);
+    
+    res.json(segment);
+  } catch (error) {
+    console.error('Error in updateTranscriptSegment:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to update transcript' });
+  }
+};
+
+// Get the saved edits of one transcript segment
+const getTranscriptSegmentRevisions = async (req, res) => {
+  try {
+    const { sessionId, transcriptId } = req.params;
+    const revisions = await getSegmentRevisions(sessionId, transcriptId);
+    
+    if (!revisions) {
+      return res.status(404).json({ error: 'Transcript segment not found' });
+    }
+    
+    res.json({ transcriptId, revisions });
+  } catch (error) {
+    console.error('Error in getTranscriptSegmentRevisions:', error);
+    res.status(500).json({ error: 'Failed to get transcript revisions' });
+  }
+};
+
+// Re-run question detection over the (corrected) transcript and propose practice questions
+// the live lecture did not produce
+const getPracticeQuestions = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const result = await proposePracticeQuestions(sessionId);
+    
+    res.json({ sessionId, ...result });
+  } catch (error) {
+    console.error('Error in getPracticeQuestions:', error);
+    res.status(500).json({ error: 'Failed to propose practice questions' });
+  }
+};
+
 // Update session status
 const updateSessionStatus = async (req, res) => {
   try {
@@ -365,7 +525,11 @@ const deleteSession = async (req, res) => {
       db.run('DELETE FROM student_answers WHERE question_id IN (SELECT id FROM questions WHERE session_id = ?)', [sessionId]);
       db.run('DELETE FROM questions WHERE session_id = ?', [sessionId]);
       db.run('DELETE FROM students WHERE session_id = ?', [sessionId]);
+      db.run('DELETE FROM transcript_revisions WHERE session_id = ?', [sessionId]);
       db.run('DELETE FROM transcripts WHERE session_id = ?', [sessionId]);
+      db.run('DELETE FROM confusion_signals WHERE session_id = ?', [sessionId]);
+      db.run('DELETE FROM student_question_votes WHERE question_id IN (SELECT id FROM student_questions WHERE session_id = ?)', [sessionId]);
+      db.run('DELETE FROM student_questions WHERE session_id = ?', [sessionId]);
       db.run('DELETE FROM sessions WHERE id = ?', [sessionId], function(err) {
         if (err) {
           console.error('Error deleting session:', err);
@@ -393,85 +557,58 @@ const deleteSession = async (req, res) => {
 const exportSessionData = async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const { format = 'json' } = req.query;
+    const { format = 'json', entity } = req.query;
     
-    if (!['json', 'csv'].includes(format)) {
-      return res.status(400).json({ error: 'Invalid format. Must be json or csv' });
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Invalid format. Must be one of ${EXPORT_FORMATS.join(', ')}` });
+    }
+    if (format === 'csv' && !CSV_ENTITIES.includes(entity)) {
+      return res.status(400).json({ error: `CSV exports need an entity: one of ${CSV_ENTITIES.join(', ')}` });
     }
     
-    // Get complete session data
-    const sessionQuery = `SELECT * FROM sessions WHERE id = ?`;
+    const data = await loadSessionExport(sessionId);
+    if (!data) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
     
-    db.get(sessionQuery, [sessionId], (err, session) => {
-      if (err) {
-        console.error('Error getting session:', err);
-        res.status(500).json({ error: 'Database error' });
-      } else if (!session) {
-        res.status(404).json({ error: 'Session not found' });
-      } else {
-        // Get all related data
-        const studentsQuery = 'SELECT * FROM students WHERE session_id = ?';
-        const questionsQuery = 'SELECT * FROM questions WHERE session_id = ?';
-        const answersQuery = `
-          SELECT sa.*, q.formatted_question, st.name as student_name
-          FROM student_answers sa
-          JOIN questions q ON sa.question_id = q.id
-          JOIN students st ON sa.student_id = st.id
-          WHERE q.session_id = ?
-        `;
-        const transcriptsQuery = 'SELECT * FROM transcripts WHERE session_id = ?';
+    if (format === 'json') {
+      return res.json({
+        ...data,
+        exportDate: new Date().toISOString(),
+        exportFormat: format
+      });
+    }
+    
+    const tables = buildExportTables(data);
+    const baseName = `session-${sessionId}`;
+    
+    switch (format) {
+      case 'csv':
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${baseName}-${entity}.csv"`);
+        return res.send(toCsv(tables[entity]));
         
-        db.all(studentsQuery, [sessionId], (err, students) => {
-          if (err) {
-            console.error('Error getting students:', err);
-            res.status(500).json({ error: 'Database error' });
-          } else {
-            db.all(questionsQuery, [sessionId], (err, questions) => {
-              if (err) {
-                console.error('Error getting questions:', err);
-                res.status(500).json({ error: 'Database error' });
-              } else {
-                db.all(answersQuery, [sessionId], (err, answers) => {
-                  if (err) {
-                    console.error('Error getting answers:', err);
-                    res.status(500).json({ error: 'Database error' });
-                  } else {
-                    db.all(transcriptsQuery, [sessionId], (err, transcripts) => {
-                      if (err) {
-                        console.error('Error getting transcripts:', err);
-                        res.status(500).json({ error: 'Database error' });
-                      } else {
-                        const exportData = {
-                          session,
-                          students,
-                          questions,
-                          answers,
-                          transcripts,
-                          exportDate: new Date().toISOString(),
-                          exportFormat: format
-                        };
-                        
-                        if (format === 'csv') {
-                          // Convert to CSV format (simplified)
-                          res.setHeader('Content-Type', 'text/csv');
-                          res.setHeader('Content-Disposition', `attachment; filename="session-${sessionId}.csv"`);
-                          res.send(JSON.stringify(exportData, null, 2));
-                        } else {
-                          res.json(exportData);
-                        }
-                      }
-                    });
-                  }
-                });
-              }
-            });
-          }
-        });
-      }
-    });
+      case 'zip':
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename="${baseName}.zip"`);
+        return await pipeCsvBundle(tables, baseName, res);
+        
+      case 'xlsx':
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename="${baseName}.xlsx"`);
+        return res.send(await buildWorkbook(data, tables));
+        
+      default:
+        res.setHeader('Content-Type', 'text/html; charset=utf-8');
+        return res.send(renderHtmlReport(data, tables));
+    }
   } catch (error) {
     console.error('Error in exportSessionData:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    if (res.headersSent) {
+      res.end();
+    } else {
+      res.status(500).json({ error: 'Internal server error' });
+    }
   }
 };
 
@@ -481,6 +618,10 @@ module.exports = {
   getSession,
   getAllSessions,
   getSessionDetails,
+  getSessionTranscript,
+  updateTranscriptSegment,
+  getTranscriptSegmentRevisions,
+  getPracticeQuestions,
   updateSessionStatus,
   deleteSession,
   exportSessionData
@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+// Database migration CLI.
+//
+//   node database/migrate.js up [--to <version>]        Apply pending migrations
+//   node database/migrate.js down [--steps <n> | --to <version>]
+//                                                      Roll back (default: the latest migration)
+//   node database/migrate.js status                     List migrations and whether they are applied
+//   node database/migrate.js create <name>              Add empty up/down files for a new migration
+
+require('dotenv').config();
+
+const database = require('../config/database');
+const { migrationLabel, migrate, rollback, getStatus, createMigration } = require('../config/migrations');
+
+const USAGE = 'Usage: node database/migrate.js <up|down|status|create> [--to <version>] [--steps <n>] [name]';
+
+// Read `--flag value` as a non-negative integer
+const readNumberOption = (args, flag) => {
+  const index = args.indexOf(flag);
+  if (index === -1) {
+    return undefined;
+  }
+  const value = Number(args[index + 1]);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`${flag} needs a whole number`);
+  }
+  return value;
+};
+
+const printStatus = (status) => {
+  if (status.length === 0) {
+    console.log('No migrations found');
+    return;
+  }
+  status.forEach(m => {
+    const state = m.missing ? 'applied, file missing' : (m.appliedAt ? `applied ${m.appliedAt}` : 'pending');
+    console.log(`${migrationLabel(m)}  ${state}${m.reversible ? '' : ' (no down)'}`);
+  });
+};
+
+const run = async ([command, ...args]) => {
+  switch (command) {
+    case 'up': {
+      const applied = await migrate({ to: readNumberOption(args, '--to') });
+      console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : '✅ Already up to date');
+      break;
+    }
+    case 'down': {
+      const reverted = await rollback({
+        steps: readNumberOption(args, '--steps'),
+        to: readNumberOption(args, '--to')
+      });
+      console.log(reverted.length > 0 ? `✅ Reverted ${reverted.length} migration(s)` : '✅ Nothing to roll back');
+      break;
+    }
+    case 'status':
+      printStatus(await getStatus());
+      break;
+    case 'create': {
+      const { upPath, downPath } = createMigration(args.join('_'));
+      console.log(`Created ${upPath}\nCreated ${downPath}`);
+      break;
+    }
+    default:
+      throw new Error(USAGE);
+  }
+};
+
+run(process.argv.slice(2))
+  .then(() => database.close())
+  .catch(async (error) => {
+    console.error(`❌ ${error.message}`);
+    await database.close();
+    process.exit(1);
+  });
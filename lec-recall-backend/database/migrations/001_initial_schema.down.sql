@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS transcripts;
+DROP TABLE IF EXISTS student_answers;
+DROP TABLE IF EXISTS questions;
+DROP TABLE IF EXISTS students;
+DROP TABLE IF EXISTS sessions;
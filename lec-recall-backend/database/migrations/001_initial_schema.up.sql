@@ -0,0 +1,59 @@
+-- Initial schema, as it was before migrations existed. IF NOT EXISTS lets those databases adopt it;
+-- everything added since comes in the migrations after this one.
+
+-- Sessions table
+CREATE TABLE IF NOT EXISTS sessions (
+    id TEXT PRIMARY KEY,
+    lecturer_name TEXT NOT NULL,
+    session_name TEXT NOT NULL,
+    join_code TEXT UNIQUE NOT NULL,
+    status TEXT DEFAULT 'waiting', -- waiting, active, ended
+    time_limit INTEGER DEFAULT 10, -- time limit per question in seconds
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    ended_at DATETIME NULL
+);
+
+-- Students table
+CREATE TABLE IF NOT EXISTS students (
+    id TEXT PRIMARY KEY,
+    session_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (session_id) REFERENCES sessions(id)
+);
+
+-- Questions table
+CREATE TABLE IF NOT EXISTS questions (
+    id TEXT PRIMARY KEY,
+    session_id TEXT NOT NULL,
+    original_text TEXT NOT NULL,
+    formatted_question TEXT NOT NULL,
+    option_a TEXT NOT NULL,
+    option_b TEXT NOT NULL,
+    option_c TEXT NOT NULL,
+    option_d TEXT NOT NULL,
+    correct_answer TEXT NOT NULL, -- 'A', 'B', 'C', or 'D'
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    timer_duration INTEGER DEFAULT 300, -- 5 minutes in seconds
+    FOREIGN KEY (session_id) REFERENCES sessions(id)
+);
+
+-- Student answers table
+CREATE TABLE IF NOT EXISTS student_answers (
+    id TEXT PRIMARY KEY,
+    question_id TEXT NOT NULL,
+    student_id TEXT NOT NULL,
+    selected_answer TEXT NOT NULL, -- 'A', 'B', 'C', or 'D'
+    answered_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (question_id) REFERENCES questions(id),
+    FOREIGN KEY (student_id) REFERENCES students(id)
+);
+
+-- Transcripts table (for lecture summary)
+CREATE TABLE IF NOT EXISTS transcripts (
+    id TEXT PRIMARY KEY,
+    session_id TEXT NOT NULL,
+    text_chunk TEXT NOT NULL,
+    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (session_id) REFERENCES sessions(id)
+);
@@ -0,0 +1,2 @@
+-- Answers are graded by the server when they are submitted
+ALTER TABLE student_answers ADD COLUMN is_correct INTEGER NULL;
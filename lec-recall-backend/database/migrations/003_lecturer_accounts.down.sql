@@ -0,0 +1,2 @@
+ALTER TABLE sessions DROP COLUMN lecturer_id;
+DROP TABLE IF EXISTS lecturers;
@@ -0,0 +1,11 @@
+-- Lecturer accounts
+CREATE TABLE lecturers (
+    id TEXT PRIMARY KEY,
+    email TEXT UNIQUE NOT NULL,
+    name TEXT NOT NULL,
+    password_hash TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Owning lecturer account; sessions from before accounts existed have none
+ALTER TABLE sessions ADD COLUMN lecturer_id TEXT NULL REFERENCES lecturers(id);
@@ -0,0 +1,2 @@
+ALTER TABLE sessions DROP COLUMN detection_debounce_ms;
+ALTER TABLE sessions DROP COLUMN detection_window_words;
@@ -0,0 +1,3 @@
+-- Rolling transcript window used for question detection, and the quiet period before it is checked
+ALTER TABLE sessions ADD COLUMN detection_window_words INTEGER DEFAULT 150;
+ALTER TABLE sessions ADD COLUMN detection_debounce_ms INTEGER DEFAULT 1500;
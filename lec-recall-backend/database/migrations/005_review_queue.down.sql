@@ -0,0 +1,2 @@
+ALTER TABLE questions DROP COLUMN status;
+ALTER TABLE sessions DROP COLUMN review_before_publish;
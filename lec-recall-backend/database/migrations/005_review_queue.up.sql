@@ -0,0 +1,5 @@
+-- 1: detected questions wait for lecturer approval
+ALTER TABLE sessions ADD COLUMN review_before_publish INTEGER DEFAULT 0;
+
+-- pending (awaiting lecturer review), published
+ALTER TABLE questions ADD COLUMN status TEXT DEFAULT 'published';
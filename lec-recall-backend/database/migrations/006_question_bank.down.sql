@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS question_bank;
+ALTER TABLE questions DROP COLUMN bank_question_id;
+ALTER TABLE questions DROP COLUMN source;
@@ -0,0 +1,21 @@
+-- Where a quiz came from: detected (from the transcript), manual or bank, and the question bank
+-- entry it was pushed from
+ALTER TABLE questions ADD COLUMN source TEXT DEFAULT 'detected';
+ALTER TABLE questions ADD COLUMN bank_question_id TEXT NULL;
+
+-- Question bank: reusable lecturer-authored questions, tagged by course and topic
+CREATE TABLE question_bank (
+    id TEXT PRIMARY KEY,
+    lecturer_id TEXT NOT NULL,
+    course TEXT NOT NULL DEFAULT '',
+    topic TEXT NOT NULL DEFAULT '',
+    question TEXT NOT NULL,
+    option_a TEXT NOT NULL,
+    option_b TEXT NOT NULL,
+    option_c TEXT NOT NULL,
+    option_d TEXT NOT NULL,
+    correct_answer TEXT NOT NULL, -- 'A', 'B', 'C', or 'D'
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (lecturer_id) REFERENCES lecturers(id)
+);
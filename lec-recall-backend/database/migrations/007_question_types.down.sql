@@ -0,0 +1,61 @@
+-- Back to four-option multiple choice only. Questions of other types keep their text, with
+-- empty option columns.
+
+CREATE TABLE question_bank_old (
+    id TEXT PRIMARY KEY,
+    lecturer_id TEXT NOT NULL,
+    course TEXT NOT NULL DEFAULT '',
+    topic TEXT NOT NULL DEFAULT '',
+    question TEXT NOT NULL,
+    option_a TEXT NOT NULL,
+    option_b TEXT NOT NULL,
+    option_c TEXT NOT NULL,
+    option_d TEXT NOT NULL,
+    correct_answer TEXT NOT NULL, -- 'A', 'B', 'C', or 'D'
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (lecturer_id) REFERENCES lecturers(id)
+);
+
+INSERT INTO question_bank_old (
+    id, lecturer_id, course, topic, question, option_a, option_b, option_c, option_d,
+    correct_answer, created_at, updated_at
+)
+SELECT id, lecturer_id, course, topic, question, COALESCE(option_a, ''), COALESCE(option_b, ''),
+    COALESCE(option_c, ''), COALESCE(option_d, ''), correct_answer, created_at, updated_at
+FROM question_bank;
+
+DROP TABLE question_bank;
+ALTER TABLE question_bank_old RENAME TO question_bank;
+
+CREATE TABLE questions_old (
+    id TEXT PRIMARY KEY,
+    session_id TEXT NOT NULL,
+    original_text TEXT NOT NULL,
+    formatted_question TEXT NOT NULL,
+    option_a TEXT NOT NULL,
+    option_b TEXT NOT NULL,
+    option_c TEXT NOT NULL,
+    option_d TEXT NOT NULL,
+    correct_answer TEXT NOT NULL, -- 'A', 'B', 'C', or 'D'
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    timer_duration INTEGER DEFAULT 300, -- 5 minutes in seconds
+    status TEXT DEFAULT 'published',
+    source TEXT DEFAULT 'detected',
+    bank_question_id TEXT NULL,
+    FOREIGN KEY (session_id) REFERENCES sessions(id)
+);
+
+INSERT INTO questions_old (
+    id, session_id, original_text, formatted_question, option_a, option_b, option_c, option_d,
+    correct_answer, created_at, timer_duration, status, source, bank_question_id
+)
+SELECT id, session_id, original_text, formatted_question, COALESCE(option_a, ''), COALESCE(option_b, ''),
+    COALESCE(option_c, ''), COALESCE(option_d, ''), correct_answer, created_at, timer_duration,
+    status, source, bank_question_id
+FROM questions;
+
+DROP TABLE questions;
+ALTER TABLE questions_old RENAME TO questions;
+
+ALTER TABLE sessions DROP COLUMN question_type;
@@ -0,0 +1,68 @@
+-- Question types beyond four-option multiple choice. Options and answer keys are stored as JSON,
+-- and the option columns become optional; SQLite cannot drop NOT NULL in place, so the questions
+-- and question_bank tables are rebuilt.
+
+-- Type of quiz generated from detected questions
+ALTER TABLE sessions ADD COLUMN question_type TEXT DEFAULT 'multiple_choice';
+
+CREATE TABLE questions_new (
+    id TEXT PRIMARY KEY,
+    session_id TEXT NOT NULL,
+    original_text TEXT NOT NULL,
+    formatted_question TEXT NOT NULL,
+    question_type TEXT DEFAULT 'multiple_choice', -- multiple_choice, true_false, multi_select, short_text, numeric, ordering
+    options TEXT NULL, -- JSON map of option key to text, null for free-answer types
+    answer_key TEXT NULL, -- JSON answer key, format depends on question_type
+    option_a TEXT NULL, -- option columns are only filled for four-option questions
+    option_b TEXT NULL,
+    option_c TEXT NULL,
+    option_d TEXT NULL,
+    correct_answer TEXT NOT NULL, -- correct answer in display form, e.g. 'B', 'A,C', 'true', '42 ± 0.5'
+    status TEXT DEFAULT 'published', -- pending (awaiting lecturer review), published
+    source TEXT DEFAULT 'detected', -- detected (from the transcript), manual, bank
+    bank_question_id TEXT NULL, -- question bank entry this quiz was pushed from
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    timer_duration INTEGER DEFAULT 300, -- 5 minutes in seconds
+    FOREIGN KEY (session_id) REFERENCES sessions(id)
+);
+
+INSERT INTO questions_new (
+    id, session_id, original_text, formatted_question, option_a, option_b, option_c, option_d,
+    correct_answer, status, source, bank_question_id, created_at, timer_duration
+)
+SELECT id, session_id, original_text, formatted_question, option_a, option_b, option_c, option_d,
+    correct_answer, status, source, bank_question_id, created_at, timer_duration
+FROM questions;
+
+DROP TABLE questions;
+ALTER TABLE questions_new RENAME TO questions;
+
+CREATE TABLE question_bank_new (
+    id TEXT PRIMARY KEY,
+    lecturer_id TEXT NOT NULL,
+    course TEXT NOT NULL DEFAULT '',
+    topic TEXT NOT NULL DEFAULT '',
+    question TEXT NOT NULL,
+    question_type TEXT DEFAULT 'multiple_choice',
+    options TEXT NULL, -- same formats as the questions table
+    answer_key TEXT NULL,
+    option_a TEXT NULL,
+    option_b TEXT NULL,
+    option_c TEXT NULL,
+    option_d TEXT NULL,
+    correct_answer TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (lecturer_id) REFERENCES lecturers(id)
+);
+
+INSERT INTO question_bank_new (
+    id, lecturer_id, course, topic, question, option_a, option_b, option_c, option_d,
+    correct_answer, created_at, updated_at
+)
+SELECT id, lecturer_id, course, topic, question, option_a, option_b, option_c, option_d,
+    correct_answer, created_at, updated_at
+FROM question_bank;
+
+DROP TABLE question_bank;
+ALTER TABLE question_bank_new RENAME TO question_bank;
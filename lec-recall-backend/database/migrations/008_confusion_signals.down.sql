@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS idx_confusion_signals_session;
+DROP TABLE IF EXISTS confusion_signals;
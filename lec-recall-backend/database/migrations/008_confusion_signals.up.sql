@@ -0,0 +1,12 @@
+-- Confusion signals sent by students during a session
+CREATE TABLE confusion_signals (
+    id TEXT PRIMARY KEY,
+    session_id TEXT NOT NULL,
+    student_id TEXT NOT NULL,
+    level INTEGER NOT NULL CHECK (level IN (0, 1, 2)), -- 0: clear, 1: confused, 2: very confused
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (session_id) REFERENCES sessions(id),
+    FOREIGN KEY (student_id) REFERENCES students(id)
+);
+
+CREATE INDEX idx_confusion_signals_session ON confusion_signals (session_id, created_at);
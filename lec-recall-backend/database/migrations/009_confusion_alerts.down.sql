@@ -0,0 +1,4 @@
+ALTER TABLE sessions DROP COLUMN confusion_alert_cooldown_seconds;
+ALTER TABLE sessions DROP COLUMN confusion_alert_window_seconds;
+ALTER TABLE sessions DROP COLUMN confusion_alert_level;
+ALTER TABLE sessions DROP COLUMN confusion_alert_threshold;
@@ -0,0 +1,5 @@
+-- Per-session thresholds for real-time confusion alerts
+ALTER TABLE sessions ADD COLUMN confusion_alert_threshold INTEGER DEFAULT 30; -- % of present students, 0 turns alerts off
+ALTER TABLE sessions ADD COLUMN confusion_alert_level INTEGER DEFAULT 2; -- 1: confused or worse, 2: very confused
+ALTER TABLE sessions ADD COLUMN confusion_alert_window_seconds INTEGER DEFAULT 60; -- only signals this recent count
+ALTER TABLE sessions ADD COLUMN confusion_alert_cooldown_seconds INTEGER DEFAULT 120; -- minimum gap between alerts
@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS student_question_votes;
+DROP INDEX IF EXISTS idx_student_questions_session;
+DROP TABLE IF EXISTS student_questions;
@@ -0,0 +1,25 @@
+-- Anonymous questions students ask during a session
+CREATE TABLE student_questions (
+    id TEXT PRIMARY KEY,
+    session_id TEXT NOT NULL,
+    student_id TEXT NOT NULL, -- kept to stop self-votes, never sent to clients
+    text TEXT NOT NULL,
+    status TEXT DEFAULT 'open', -- open, answered, dismissed
+    upvotes INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    resolved_at DATETIME NULL,
+    FOREIGN KEY (session_id) REFERENCES sessions(id),
+    FOREIGN KEY (student_id) REFERENCES students(id)
+);
+
+CREATE INDEX idx_student_questions_session ON student_questions (session_id);
+
+-- One upvote per student per question
+CREATE TABLE student_question_votes (
+    question_id TEXT NOT NULL,
+    student_id TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (question_id, student_id),
+    FOREIGN KEY (question_id) REFERENCES student_questions(id),
+    FOREIGN KEY (student_id) REFERENCES students(id)
+);
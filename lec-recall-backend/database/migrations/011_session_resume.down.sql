@@ -0,0 +1,3 @@
+ALTER TABLE sessions DROP COLUMN lecture_summary;
+DROP INDEX IF EXISTS idx_students_reconnect_token;
+ALTER TABLE students DROP COLUMN reconnect_token;
@@ -0,0 +1,6 @@
+-- Secret issued to a student at join so a dropped connection can resume the same identity
+ALTER TABLE students ADD COLUMN reconnect_token TEXT;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_students_reconnect_token ON students(reconnect_token);
+
+-- Kept so students who reconnect after the session ended still get their results
+ALTER TABLE sessions ADD COLUMN lecture_summary TEXT;
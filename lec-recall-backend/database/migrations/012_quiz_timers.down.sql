@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS idx_questions_open;
+ALTER TABLE questions DROP COLUMN closed_at;
+ALTER TABLE questions DROP COLUMN closes_at;
+ALTER TABLE questions DROP COLUMN started_at;
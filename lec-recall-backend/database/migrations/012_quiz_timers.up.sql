@@ -0,0 +1,6 @@
+-- When a quiz opened, when it is due to close and when it actually closed (ISO 8601, UTC).
+-- A quiz with started_at but no closed_at is still running; timers are rebuilt from these at startup.
+ALTER TABLE questions ADD COLUMN started_at DATETIME;
+ALTER TABLE questions ADD COLUMN closes_at DATETIME;
+ALTER TABLE questions ADD COLUMN closed_at DATETIME;
+CREATE INDEX IF NOT EXISTS idx_questions_open ON questions(started_at, closed_at);
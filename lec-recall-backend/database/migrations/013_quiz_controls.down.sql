@@ -0,0 +1,2 @@
+ALTER TABLE questions DROP COLUMN rerun_of;
+ALTER TABLE questions DROP COLUMN paused_at;
@@ -0,0 +1,5 @@
+-- Set while the lecturer has paused a running quiz; the time left is closes_at - paused_at
+ALTER TABLE questions ADD COLUMN paused_at DATETIME;
+
+-- A re-run is a fresh copy of an earlier question with its own answers
+ALTER TABLE questions ADD COLUMN rerun_of TEXT REFERENCES questions(id);
@@ -0,0 +1,2 @@
+-- Set once the lecturer has shown a closed quiz's answer distribution to students
+ALTER TABLE questions ADD COLUMN results_shared INTEGER DEFAULT 0;
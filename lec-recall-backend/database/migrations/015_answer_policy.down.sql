@@ -0,0 +1,2 @@
+ALTER TABLE sessions DROP COLUMN allow_answer_changes;
+DROP INDEX IF EXISTS idx_student_answers_question_student;
@@ -0,0 +1,9 @@
+-- One answer per student per question. Where a student answered more than once, only their
+-- first answer is kept.
+DELETE FROM student_answers
+WHERE rowid NOT IN (SELECT MIN(rowid) FROM student_answers GROUP BY question_id, student_id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_student_answers_question_student ON student_answers(question_id, student_id);
+
+-- Whether students may change their answer until the quiz closes
+ALTER TABLE sessions ADD COLUMN allow_answer_changes INTEGER DEFAULT 0;
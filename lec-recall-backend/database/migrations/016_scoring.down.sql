@@ -0,0 +1,4 @@
+ALTER TABLE sessions DROP COLUMN show_leaderboard;
+ALTER TABLE sessions DROP COLUMN scoring_mode;
+ALTER TABLE student_answers DROP COLUMN points;
+ALTER TABLE student_answers DROP COLUMN response_ms;
@@ -0,0 +1,9 @@
+-- How long after the quiz opened each answer was submitted, and the points it earned
+ALTER TABLE student_answers ADD COLUMN response_ms INTEGER;
+ALTER TABLE student_answers ADD COLUMN points INTEGER DEFAULT 0;
+
+-- Answers from before scoring existed get the standard points for a correct answer
+UPDATE student_answers SET points = 1000 WHERE is_correct = 1;
+
+ALTER TABLE sessions ADD COLUMN scoring_mode TEXT DEFAULT 'standard'; -- standard or speed
+ALTER TABLE sessions ADD COLUMN show_leaderboard INTEGER DEFAULT 0; -- students see the live leaderboard
@@ -0,0 +1,2 @@
+-- How sure the student was of their answer: sure, unsure or guessing (NULL when they did not say)
+ALTER TABLE student_answers ADD COLUMN confidence TEXT;
@@ -0,0 +1,8 @@
+DROP INDEX IF EXISTS idx_transcripts_session_start;
+ALTER TABLE transcripts DROP COLUMN is_edited;
+ALTER TABLE transcripts DROP COLUMN words;
+ALTER TABLE transcripts DROP COLUMN speaker;
+ALTER TABLE transcripts DROP COLUMN confidence;
+ALTER TABLE transcripts DROP COLUMN end_seconds;
+ALTER TABLE transcripts DROP COLUMN start_seconds;
+ALTER TABLE sessions DROP COLUMN recording_started_at;
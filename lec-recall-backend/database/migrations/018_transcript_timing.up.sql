@@ -0,0 +1,26 @@
+-- When the session's recording clock started; transcript offsets are measured from it
+ALTER TABLE sessions ADD COLUMN recording_started_at DATETIME;
+
+-- Timing and speech-to-text metadata of each final transcript segment
+ALTER TABLE transcripts ADD COLUMN start_seconds REAL; -- offset from the recording start
+ALTER TABLE transcripts ADD COLUMN end_seconds REAL;
+ALTER TABLE transcripts ADD COLUMN confidence REAL; -- speech-to-text confidence, 0-1
+ALTER TABLE transcripts ADD COLUMN speaker TEXT;
+ALTER TABLE transcripts ADD COLUMN words TEXT; -- JSON [{ word, start, end, confidence }]
+ALTER TABLE transcripts ADD COLUMN is_edited INTEGER DEFAULT 0;
+
+-- Existing sessions start their clock at their first transcript, and existing segments are
+-- placed by when they were stored
+UPDATE sessions SET recording_started_at = (
+  SELECT strftime('%Y-%m-%dT%H:%M:%fZ', MIN(t.timestamp)) FROM transcripts t WHERE t.session_id = sessions.id
+);
+
+UPDATE transcripts SET
+  start_seconds = ROUND((julianday(timestamp) - (
+    SELECT julianday(MIN(t.timestamp)) FROM transcripts t WHERE t.session_id = transcripts.session_id
+  )) * 86400, 3),
+  end_seconds = ROUND((julianday(timestamp) - (
+    SELECT julianday(MIN(t.timestamp)) FROM transcripts t WHERE t.session_id = transcripts.session_id
+  )) * 86400, 3);
+
+CREATE INDEX IF NOT EXISTS idx_transcripts_session_start ON transcripts(session_id, start_seconds);
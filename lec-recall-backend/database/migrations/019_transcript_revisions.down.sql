@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS idx_transcript_revisions_transcript;
+DROP TABLE IF EXISTS transcript_revisions;
+ALTER TABLE transcripts DROP COLUMN original_text;
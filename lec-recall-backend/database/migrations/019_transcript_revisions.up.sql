@@ -0,0 +1,16 @@
+-- Corrections lecturers make to transcript segments after the lecture. The recognized text is
+-- kept in original_text on the first edit, and every saved edit is recorded as a revision.
+ALTER TABLE transcripts ADD COLUMN original_text TEXT;
+
+CREATE TABLE transcript_revisions (
+    id TEXT PRIMARY KEY,
+    transcript_id TEXT NOT NULL,
+    session_id TEXT NOT NULL,
+    previous_text TEXT NOT NULL,
+    text TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (transcript_id) REFERENCES transcripts(id),
+    FOREIGN KEY (session_id) REFERENCES sessions(id)
+);
+
+CREATE INDEX idx_transcript_revisions_transcript ON transcript_revisions (transcript_id, created_at);
@@ -0,0 +1,8 @@
+DROP TRIGGER IF EXISTS question_search_delete;
+DROP TRIGGER IF EXISTS question_search_update;
+DROP TRIGGER IF EXISTS question_search_insert;
+DROP TRIGGER IF EXISTS transcript_search_delete;
+DROP TRIGGER IF EXISTS transcript_search_update;
+DROP TRIGGER IF EXISTS transcript_search_insert;
+DROP TABLE IF EXISTS question_search;
+DROP TABLE IF EXISTS transcript_search;
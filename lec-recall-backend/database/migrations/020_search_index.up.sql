@@ -0,0 +1,58 @@
+-- Full-text search over lecture transcripts and questions. Each index row carries the id of the
+-- transcripts or questions row it was built from (rowids of tables with TEXT primary keys can
+-- change on VACUUM, so they are not used), and triggers keep the index up to date.
+-- The porter tokenizer lets "eigenvector" match "eigenvectors".
+CREATE VIRTUAL TABLE transcript_search USING fts5(text, transcript_id UNINDEXED, tokenize = 'porter unicode61');
+CREATE VIRTUAL TABLE question_search USING fts5(question, options, question_id UNINDEXED, tokenize = 'porter unicode61');
+
+CREATE TRIGGER transcript_search_insert AFTER INSERT ON transcripts BEGIN
+    INSERT INTO transcript_search (text, transcript_id) VALUES (NEW.text_chunk, NEW.id);
+END;
+
+CREATE TRIGGER transcript_search_update AFTER UPDATE OF text_chunk ON transcripts BEGIN
+    UPDATE transcript_search SET text = NEW.text_chunk WHERE transcript_id = NEW.id;
+END;
+
+CREATE TRIGGER transcript_search_delete AFTER DELETE ON transcripts BEGIN
+    DELETE FROM transcript_search WHERE transcript_id = OLD.id;
+END;
+
+-- Option texts are indexed as one column, from the JSON options or, for questions stored
+-- before question types existed, from the four option columns
+CREATE TRIGGER question_search_insert AFTER INSERT ON questions BEGIN
+    INSERT INTO question_search (question, options, question_id) VALUES (
+        NEW.formatted_question,
+        CASE
+            WHEN json_valid(NEW.options) THEN (SELECT group_concat(value, ' · ') FROM json_each(NEW.options))
+            WHEN NEW.option_a IS NOT NULL THEN NEW.option_a || ' · ' || NEW.option_b || ' · ' || NEW.option_c || ' · ' || NEW.option_d
+        END,
+        NEW.id
+    );
+END;
+
+CREATE TRIGGER question_search_update
+AFTER UPDATE OF formatted_question, options, option_a, option_b, option_c, option_d ON questions BEGIN
+    UPDATE question_search SET
+        question = NEW.formatted_question,
+        options = CASE
+            WHEN json_valid(NEW.options) THEN (SELECT group_concat(value, ' · ') FROM json_each(NEW.options))
+            WHEN NEW.option_a IS NOT NULL THEN NEW.option_a || ' · ' || NEW.option_b || ' · ' || NEW.option_c || ' · ' || NEW.option_d
+        END
+    WHERE question_id = NEW.id;
+END;
+
+CREATE TRIGGER question_search_delete AFTER DELETE ON questions BEGIN
+    DELETE FROM question_search WHERE question_id = OLD.id;
+END;
+
+INSERT INTO transcript_search (text, transcript_id) SELECT text_chunk, id FROM transcripts;
+
+INSERT INTO question_search (question, options, question_id)
+SELECT
+    formatted_question,
+    CASE
+        WHEN json_valid(options) THEN (SELECT group_concat(value, ' · ') FROM json_each(questions.options))
+        WHEN option_a IS NOT NULL THEN option_a || ' · ' || option_b || ' · ' || option_c || ' · ' || option_d
+    END,
+    id
+FROM questions;
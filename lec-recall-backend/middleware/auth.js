@@ -0,0 +1,89 @@
+const { verifyToken, lecturerOwnsSession } = require('../services/authService');
+
+// Read a bearer token from the Authorization header
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+// Require a logged-in lecturer. Invalid tokens are passed on to the global error handler.
+const authenticate = (req, res, next) => {
+  const token = getBearerToken(req);
+
+  if (!token) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  try {
+    req.lecturer = verifyToken(token);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Attach the lecturer if a valid token is present, but allow anonymous (student) callers
+const optionalAuthenticate = (req, res, next) => {
+  const token = getBearerToken(req);
+
+  if (token) {
+    try {
+      req.lecturer = verifyToken(token);
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  next();
+};
+
+// Require the authenticated lecturer to own the session in req.params.sessionId
+const requireSessionOwner = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+
+    if (!(await lecturerOwnsSession(req.lecturer.id, sessionId))) {
+      return res.status(403).json({ error: 'You do not have access to this session' });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Lecturer-scoped routes may only be read by that lecturer ('me' is accepted as an alias)
+const requireSelf = (req, res, next) => {
+  const { lecturerId } = req.params;
+
+  if (lecturerId !== 'me' && lecturerId !== req.lecturer.id) {
+    return res.status(403).json({ error: 'You can only access your own data' });
+  }
+
+  next();
+};
+
+// Socket.IO handshake middleware. Lecturers pass their token in `auth.token`; students connect without one.
+const authenticateSocket = (socket, next) => {
+  const { token } = socket.handshake.auth || {};
+
+  if (!token) {
+    return next();
+  }
+
+  try {
+    socket.data.lecturer = verifyToken(token);
+    next();
+  } catch (error) {
+    next(new Error(error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token'));
+  }
+};
+
+module.exports = {
+  authenticate,
+  optionalAuthenticate,
+  requireSessionOwner,
+  requireSelf,
+  authenticateSocket
+};
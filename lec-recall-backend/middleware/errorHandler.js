@@ -12,7 +12,7 @@ const errorHandler = (err, req, res, next) => {
     stack: err.stack,
     url: req.url,
     method: req.method,
-    body: req.body,
+    body: req.body && req.body.password ? { ...req.body, password: '[redacted]' } : req.body,
     params: req.params,
     query: req.query
   });
@@ -35,6 +35,11 @@ const errorHandler = (err, req, res, next) => {
     error.statusCode = 401;
   }
 
+  if (err.name === 'TokenExpiredError') {
+    error.message = 'Token expired';
+    error.statusCode = 401;
+  }
+
   // Default to 500 server error
   res.status(error.statusCode || 500).json({
     success: false,
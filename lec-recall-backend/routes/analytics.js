@@ -1,25 +1,28 @@
 const express = require('express');
 const router = express.Router();
+const { authenticate, requireSessionOwner, requireSelf } = require('../middleware/auth');
 const {
   getAnalytics,
   getStudentAnalytics,
   getLecturerStatistics,
   getStudentSessions,
-  getComprehensiveAnalytics
+  getComprehensiveAnalytics,
+  getConfusionTimelineData
 } = require('../controllers/analyticsController');
 
 // Analytics routes
-router.get('/sessions/:sessionId', getAnalytics);
+router.get('/sessions/:sessionId', authenticate, requireSessionOwner, getAnalytics);
 router.get('/sessions/:sessionId/student/:studentId', getStudentAnalytics);
-router.get('/sessions/:sessionId/comprehensive', getComprehensiveAnalytics);
+router.get('/sessions/:sessionId/comprehensive', authenticate, requireSessionOwner, getComprehensiveAnalytics);
+router.get('/sessions/:sessionId/confusion', authenticate, requireSessionOwner, getConfusionTimelineData);
 
 // Lecturer and student specific analytics
-router.get('/lecturer/:lecturerId/sessions', (req, res) => {
+router.get('/lecturer/:lecturerId/sessions', authenticate, requireSelf, (req, res) => {
   // This is handled by session controller, redirect
   const { getAllSessions } = require('../controllers/sessionController');
   getAllSessions(req, res);
 });
-router.get('/lecturer/:lecturerId/statistics', getLecturerStatistics);
+router.get('/lecturer/:lecturerId/statistics', authenticate, requireSelf, getLecturerStatistics);
 router.get('/student/:studentId/sessions', getStudentSessions);
 
 module.exports = router;
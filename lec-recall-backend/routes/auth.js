@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middleware/auth');
+const {
+  register,
+  login,
+  getCurrentLecturer
+} = require('../controllers/authController');
+
+// Lecturer account routes
+router.post('/register', register);
+router.post('/login', login);
+router.get('/me', authenticate, getCurrentLecturer);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middleware/auth');
+const {
+  listBankQuestions,
+  getBankQuestion,
+  createBankQuestion,
+  updateBankQuestion,
+  deleteBankQuestion
+} = require('../controllers/questionBankController');
+
+// Every bank route is scoped to the logged-in lecturer's own questions
+router.use(authenticate);
+
+router.get('/', listBankQuestions);
+router.post('/', createBankQuestion);
+router.get('/:questionId', getBankQuestion);
+router.put('/:questionId', updateBankQuestion);
+router.delete('/:questionId', deleteBankQuestion);
+
+module.exports = router;
@@ -1,5 +1,6 @@
 const express = require('express');
 const router = express.Router();
+const { authenticate, optionalAuthenticate, requireSessionOwner } = require('../middleware/auth');
 const {
   detectQuestionHandler,
   generateQuizHandler,
@@ -11,16 +12,18 @@ const {
 } = require('../controllers/questionController');
 
 // Question management routes
-router.post('/detect', detectQuestionHandler);
-router.post('/generate-quiz', generateQuizHandler);
-router.get('/session/:sessionId', getSessionQuestions);
-router.get('/session/:sessionId/current-quiz', getCurrentQuiz);
+router.post('/detect', authenticate, detectQuestionHandler);
+router.post('/generate-quiz', authenticate, generateQuizHandler);
+
+// Students get answers redacted while a quiz is open; the owning lecturer sees everything
+router.get('/session/:sessionId', optionalAuthenticate, getSessionQuestions);
+router.get('/session/:sessionId/current-quiz', optionalAuthenticate, getCurrentQuiz);
 
 // Answer submission
 router.post('/answers/submit', submitAnswer);
 
 // AI-powered features
-router.post('/sessions/:sessionId/summary', generateLectureSummary);
+router.post('/sessions/:sessionId/summary', authenticate, requireSessionOwner, generateLectureSummary);
 router.post('/sessions/:sessionId/student/:studentId/review', generateStudentReviewHandler);
 
 module.exports = router;
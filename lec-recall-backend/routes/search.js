@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middleware/auth');
+const { search } = require('../controllers/searchController');
+
+// Search only ever covers the logged-in lecturer's own sessions
+router.get('/', authenticate, search);
+
+module.exports = router;
@@ -1,23 +1,34 @@
 const express = require('express');
 const router = express.Router();
+const { authenticate, requireSessionOwner } = require('../middleware/auth');
 const {
   createSession,
   joinSession,
   getSession,
   getAllSessions,
   getSessionDetails,
+  getSessionTranscript,
+  updateTranscriptSegment,
+  getTranscriptSegmentRevisions,
+  getPracticeQuestions,
   updateSessionStatus,
   deleteSession,
   exportSessionData
 } = require('../controllers/sessionController');
 
 // Session management routes
-router.post('/create', createSession);
+router.post('/create', authenticate, createSession);
 router.post('/join', joinSession);
 router.get('/:sessionId', getSession);
-router.get('/:sessionId/details', getSessionDetails);
-router.put('/:sessionId/status', updateSessionStatus);
-router.delete('/:sessionId', deleteSession);
-router.get('/:sessionId/export', exportSessionData);
+
+// Lecturer-only routes (must own the session)
+router.get('/:sessionId/details', authenticate, requireSessionOwner, getSessionDetails);
+router.get('/:sessionId/transcript', authenticate, requireSessionOwner, getSessionTranscript);
+router.post('/:sessionId/transcript/practice-questions', authenticate, requireSessionOwner, getPracticeQuestions);
+router.put('/:sessionId/transcript/:transcriptId', authenticate, requireSessionOwner, updateTranscriptSegment);
+router.get('/:sessionId/transcript/:transcriptId/revisions', authenticate, requireSessionOwner, getTranscriptSegmentRevisions);
+router.put('/:sessionId/status', authenticate, requireSessionOwner, updateSessionStatus);
+router.delete('/:sessionId', authenticate, requireSessionOwner, deleteSession);
+router.get('/:sessionId/export', authenticate, requireSessionOwner, exportSessionData);
 
 module.exports = router;
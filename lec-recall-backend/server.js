@@ -5,16 +5,25 @@ require('dotenv').config();
 
 // Import configurations and middleware
 const database = require('./config/database');
+const { migrate } = require('./config/migrations');
 const corsMiddleware = require('./middleware/cors');
 const errorHandler = require('./middleware/errorHandler');
+const { authenticate, requireSelf } = require('./middleware/auth');
 
 // Import routes
+const authRoutes = require('./routes/auth');
 const sessionRoutes = require('./routes/sessions');
 const questionRoutes = require('./routes/questions');
+const questionBankRoutes = require('./routes/questionBank');
+const searchRoutes = require('./routes/search');
 const analyticsRoutes = require('./routes/analytics');
 
+// Import services
+const { getProviderName } = require('./services/aiService');
+const { getProviderName: getSttProviderName } = require('./services/sttService');
+
 // Import socket handlers
-const { setupSocketHandlers } = require('./socket/socketHandlers');
+const { setupSocketHandlers, restoreQuizTimers } = require('./socket/socketHandlers');
 
 // Initialize Express app
 const app = express();
@@ -40,12 +49,15 @@ app.use((req, res, next) => {
 });
 
 // API Routes
+app.use('/api/auth', authRoutes);
 app.use('/api/sessions', sessionRoutes);
 app.use('/api/questions', questionRoutes);
+app.use('/api/question-bank', questionBankRoutes);
+app.use('/api/search', searchRoutes);
 app.use('/api/analytics', analyticsRoutes);
 
 // Backward compatibility routes (redirect old routes to new structure)
-app.use('/api/lecturer/:lecturerId/sessions', (req, res) => {
+app.use('/api/lecturer/:lecturerId/sessions', authenticate, requireSelf, (req, res) => {
   const { getAllSessions } = require('./controllers/sessionController');
   getAllSessions(req, res);
 });
@@ -55,7 +67,7 @@ app.use('/api/student/:studentId/sessions', (req, res) => {
   getStudentSessions(req, res);
 });
 
-app.use('/api/lecturer/:lecturerId/statistics', (req, res) => {
+app.use('/api/lecturer/:lecturerId/statistics', authenticate, requireSelf, (req, res) => {
   const { getLecturerStatistics } = require('./controllers/analyticsController');
   getLecturerStatistics(req, res);
 });
@@ -66,6 +78,8 @@ app.get('/health', (req, res) => {
     status: 'OK', 
     timestamp: new Date().toISOString(),
     database: 'Connected',
+    aiProvider: getProviderName(),
+    sttProvider: getSttProviderName(),
     version: '2.0.0'
   });
 });
@@ -75,31 +89,52 @@ app.get('/api', (req, res) => {
   res.json({
     message: 'Lec-Recall API v2.0',
     endpoints: {
+      auth: {
+        'POST /api/auth/register': 'Create a lecturer account',
+        'POST /api/auth/login': 'Log in and receive a bearer token',
+        'GET /api/auth/me': 'Get the logged-in lecturer'
+      },
       sessions: {
         'POST /api/sessions/create': 'Create a new session',
         'POST /api/sessions/join': 'Join an existing session',
         'GET /api/sessions/:sessionId': 'Get session information',
         'GET /api/sessions/:sessionId/details': 'Get detailed session data',
+        'GET /api/sessions/:sessionId/transcript': 'Get the transcript (?format=json|vtt|srt|txt, vtt&kind=chapters)',
+        'PUT /api/sessions/:sessionId/transcript/:transcriptId': 'Correct a transcript segment',
+        'GET /api/sessions/:sessionId/transcript/:transcriptId/revisions': 'Get the edits of a transcript segment',
+        'POST /api/sessions/:sessionId/transcript/practice-questions': 'Propose practice questions from the transcript',
         'PUT /api/sessions/:sessionId/status': 'Update session status',
         'DELETE /api/sessions/:sessionId': 'Delete session',
-        'GET /api/sessions/:sessionId/export': 'Export session data'
+        'GET /api/sessions/:sessionId/export': 'Export session data (?format=json|csv&entity=...|zip|xlsx|html)'
       },
       questions: {
         'POST /api/questions/detect': 'Detect question from text',
-        'POST /api/questions/generate-quiz': 'Generate quiz from question',
+        'POST /api/questions/generate-quiz': 'Generate quiz from question (optional type: multiple_choice, true_false, multi_select, short_text, numeric, ordering)',
         'GET /api/questions/session/:sessionId': 'Get all questions for session',
         'POST /api/questions/answers/submit': 'Submit student answer',
         'POST /api/questions/sessions/:sessionId/summary': 'Generate lecture summary',
         'POST /api/questions/sessions/:sessionId/student/:studentId/review': 'Generate student review'
       },
+      questionBank: {
+        'GET /api/question-bank': 'List bank questions (filter with ?course=&topic=&search=)',
+        'POST /api/question-bank': 'Add a question to the bank',
+        'GET /api/question-bank/:questionId': 'Get a bank question',
+        'PUT /api/question-bank/:questionId': 'Update a bank question',
+        'DELETE /api/question-bank/:questionId': 'Delete a bank question'
+      },
+      search: {
+        'GET /api/search': 'Search your transcripts and questions (?q=&type=transcript|question&limit=20)'
+      },
       analytics: {
         'GET /api/analytics/sessions/:sessionId': 'Get session analytics',
         'GET /api/analytics/sessions/:sessionId/student/:studentId': 'Get student analytics',
         'GET /api/analytics/sessions/:sessionId/comprehensive': 'Get comprehensive analytics',
+        'GET /api/analytics/sessions/:sessionId/confusion': 'Get confusion over time (?bucketSeconds=60) with the transcript of each bucket',
         'GET /api/analytics/lecturer/:lecturerId/statistics': 'Get lecturer statistics',
         'GET /api/analytics/student/:studentId/sessions': 'Get student session history'
       }
     },
+    authentication: 'Lecturer routes require an Authorization: Bearer <token> header',
     documentation: 'See README.md for detailed API documentation'
   });
 });
@@ -146,8 +181,15 @@ const PORT = process.env.PORT || 5001;
 
 const startServer = async () => {
   try {
-    // Initialize database
-    await database.initialize();
+    // Bring the database schema up to date
+    await migrate();
+    console.log('✅ Database schema is up to date');
+    
+    // Pick up quizzes that were running when the server last stopped
+    const quizTimers = await restoreQuizTimers(io);
+    if (quizTimers.restored + quizTimers.closed > 0) {
+      console.log(`⏱️  Restored ${quizTimers.restored} running quiz timer(s), closed ${quizTimers.closed} stale quiz(zes)`);
+    }
     
     // Start server
     server.listen(PORT, () => {
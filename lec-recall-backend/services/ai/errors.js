@@ -0,0 +1,33 @@
+// Raised when an AI call does not produce a usable result. `reason` is a stable code
+// that is safe to send to clients:
+//   provider_error   - the provider request failed (network, HTTP status, timeout)
+//   empty_response   - the provider returned no text
+//   invalid_json     - no JSON object could be recovered from the response
+//   schema_mismatch  - the JSON did not match the declared response schema
+//   unsupported_type - the provider cannot generate the requested question type
+class AIResponseError extends Error {
+  constructor(reason, message, { provider, task, attempts = 1, details = [], rawResponse = null } = {}) {
+    super(message);
+    this.name = 'AIResponseError';
+    this.reason = reason;
+    this.provider = provider;
+    this.task = task;
+    this.attempts = attempts;
+    this.details = details;
+    this.rawResponse = rawResponse;
+  }
+
+  // Client-safe description of the failure (no raw model output)
+  toJSON() {
+    return {
+      reason: this.reason,
+      message: this.message,
+      provider: this.provider,
+      task: this.task,
+      attempts: this.attempts,
+      details: this.details
+    };
+  }
+}
+
+module.exports = { AIResponseError };
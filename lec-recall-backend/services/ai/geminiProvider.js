@@ -0,0 +1,35 @@
+const axios = require('axios');
+const LLMProvider = require('./llmProvider');
+
+// Google Gemini generateContent API
+class GeminiProvider extends LLMProvider {
+  constructor({ apiKey, model, requestTimeoutMs, maxRetries }) {
+    super('Gemini', { maxRetries });
+
+    if (!apiKey) {
+      throw new Error('GEMINI_API_KEY is required when AI_PROVIDER=gemini');
+    }
+
+    this.apiKey = apiKey;
+    this.url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent`;
+    this.requestTimeoutMs = requestTimeoutMs;
+  }
+
+  async complete(prompt, { temperature, maxOutputTokens }) {
+    const response = await axios.post(`${this.url}?key=${this.apiKey}`, {
+      contents: [{
+        role: 'user',
+        parts: [{ text: prompt }]
+      }],
+      generationConfig: {
+        temperature,
+        maxOutputTokens
+      }
+    }, { timeout: this.requestTimeoutMs });
+
+    // Blocked or empty candidates have no parts; the caller reports that as an empty response
+    return response.data.candidates?.[0]?.content?.parts?.[0]?.text;
+  }
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,146 @@
+const {
+  detectQuestionPrompt,
+  generateQuizPrompt,
+  summaryPrompt,
+  studentReviewPrompt,
+  gradeShortAnswerPrompt,
+  correctionPrompt
+} = require('./prompts');
+const {
+  questionDetectionSchema,
+  quizSchemas,
+  shortAnswerGradeSchema,
+  parseJsonResponse,
+  validate
+} = require('./responseSchemas');
+const { AIResponseError } = require('./errors');
+
+// Base class for providers backed by a text-completion model.
+// Subclasses implement complete(prompt, options) and return the raw model text.
+class LLMProvider {
+  constructor(name, { maxRetries = 0 } = {}) {
+    this.name = name;
+    this.maxRetries = maxRetries;
+  }
+
+  async complete() {
+    throw new Error(`${this.name} provider does not implement complete()`);
+  }
+
+  // Wraps complete() so transport failures and empty output surface as AIResponseError
+  async completeText(prompt, options, task, attempts = 1) {
+    let result;
+    try {
+      result = await this.complete(prompt, options);
+    } catch (error) {
+      const status = error.response ? ` (HTTP ${error.response.status})` : '';
+      throw new AIResponseError('provider_error', `${this.name} request failed${status}: ${error.message}`, {
+        provider: this.name,
+        task,
+        attempts
+      });
+    }
+
+    if (typeof result !== 'string' || result.trim() === '') {
+      throw new AIResponseError('empty_response', `${this.name} returned an empty response`, {
+        provider: this.name,
+        task,
+        attempts
+      });
+    }
+
+    return result;
+  }
+
+  // Request JSON matching `schema`. Responses that cannot be parsed or validated are
+  // sent back with a corrective prompt up to maxRetries times.
+  async completeJson(prompt, schema, options) {
+    const maxAttempts = this.maxRetries + 1;
+    let currentPrompt = prompt;
+    let failure;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const result = await this.completeText(currentPrompt, options, schema.task, attempt);
+
+      let parsed;
+      try {
+        parsed = parseJsonResponse(result);
+      } catch (parseError) {
+        failure = { reason: 'invalid_json', details: [parseError.message], rawResponse: result };
+      }
+
+      if (parsed !== undefined) {
+        const { value, errors } = validate(schema, parsed);
+        if (errors.length === 0) {
+          return value;
+        }
+        failure = { reason: 'schema_mismatch', details: errors, rawResponse: result };
+      }
+
+      currentPrompt = correctionPrompt(prompt, result, failure.details);
+    }
+
+    const message = failure.reason === 'invalid_json'
+      ? `${this.name} did not return valid JSON for ${schema.task}`
+      : `${this.name} response did not match the ${schema.task} schema`;
+
+    throw new AIResponseError(failure.reason, message, {
+      provider: this.name,
+      task: schema.task,
+      attempts: maxAttempts,
+      details: failure.details,
+      rawResponse: failure.rawResponse
+    });
+  }
+
+  async detectQuestion(transcriptText) {
+    const result = await this.completeJson(detectQuestionPrompt(transcriptText), questionDetectionSchema, {
+      temperature: 0.1,
+      maxOutputTokens: 200
+    });
+
+    return {
+      hasQuestion: result.hasQuestion,
+      question: result.hasQuestion ? result.question : null
+    };
+  }
+
+  // Resolves to { type, question, options, answerKey } (see services/questionTypes.js)
+  async generateQuiz(question, context, type = 'multiple_choice') {
+    const schema = quizSchemas[type];
+    const result = await this.completeJson(generateQuizPrompt(question, context, type), schema, {
+      temperature: 0.3,
+      maxOutputTokens: 300
+    });
+
+    return { type, question, ...schema.toQuiz(result) };
+  }
+
+  async gradeShortAnswer(question, answerKey, studentAnswer) {
+    const result = await this.completeJson(gradeShortAnswerPrompt(question, answerKey, studentAnswer), shortAnswerGradeSchema, {
+      temperature: 0,
+      maxOutputTokens: 50
+    });
+    return result.isCorrect;
+  }
+
+  async summarize(transcriptText, studentQuestions = []) {
+    const result = await this.completeText(summaryPrompt(transcriptText, studentQuestions), {
+      temperature: 0.2,
+      maxOutputTokens: 500
+    }, 'summary');
+    console.log(`🤖 ${this.name} summary generated`);
+    return result.trim();
+  }
+
+  async review(missedQuestions, summary) {
+    const result = await this.completeText(studentReviewPrompt(missedQuestions, summary), {
+      temperature: 0.3,
+      maxOutputTokens: 400
+    }, 'student-review');
+    console.log(`🤖 ${this.name} student review generated`);
+    return result.trim();
+  }
+}
+
+module.exports = LLMProvider;
@@ -0,0 +1,34 @@
+const axios = require('axios');
+const LLMProvider = require('./llmProvider');
+
+// OpenAI-compatible chat completions API. Works with OpenAI itself and with
+// self-hosted servers (vLLM, Ollama, LM Studio, ...) that expose /chat/completions.
+class OpenAIProvider extends LLMProvider {
+  constructor({ baseUrl, apiKey, model, requestTimeoutMs, maxRetries }) {
+    super('OpenAI-compatible', { maxRetries });
+
+    if (!model) {
+      throw new Error('OPENAI_MODEL is required when AI_PROVIDER=openai');
+    }
+
+    this.url = `${baseUrl}/chat/completions`;
+    this.apiKey = apiKey;
+    this.model = model;
+    this.requestTimeoutMs = requestTimeoutMs;
+  }
+
+  async complete(prompt, { temperature, maxOutputTokens }) {
+    const headers = this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+
+    const response = await axios.post(this.url, {
+      model: this.model,
+      messages: [{ role: 'user', content: prompt }],
+      temperature,
+      max_tokens: maxOutputTokens
+    }, { headers, timeout: this.requestTimeoutMs });
+
+    return response.data.choices?.[0]?.message?.content;
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,164 @@
+// Prompt templates shared by the LLM-backed providers
+
+const detectQuestionPrompt = (transcriptText) => `The user is speaking to an audience in an educational/lecture setting.
+
+You must determine whether or not what the user says contains a RELEVANT EDUCATIONAL QUESTION for the audience.
+
+ONLY detect questions that are:
+- Educational/academic in nature
+- Related to course content or subject matter
+- Asking for knowledge, understanding, or analysis
+- Suitable for a quiz or assessment
+
+DO NOT detect questions that are:
+- Greetings or social questions (e.g., "How are you doing today?", "Are you ready?")
+- Procedural questions (e.g., "Can you hear me?", "Should I continue?")
+- Rhetorical questions without educational value
+- Incomplete or fragmented questions
+
+Keep in mind this is transcribed text, and could have errors.
+If there are multiple questions, say only the first complete EDUCATIONAL one.
+
+Shorten question such that it is in a CONCISE quiz-format. DO NOT add any additional information.
+
+Transcript: "${transcriptText}"
+
+Response format:
+{
+  "hasQuestion": boolean,
+  "question": "extracted educational question or null"
+}`;
+
+// Task instructions and response format for each question type
+const QUIZ_FORMATS = {
+  multiple_choice: {
+    instructions: `Generate 4 SHORT multiple choice answers for the question.
+Each answer must be concise so they can be read fast.
+
+Only 1 of them may be correct.
+3 of them must be plausible, but incorrect.
+
+The answers should be DIFFICULT and they need to make people think.`,
+    format: `{
+  "optionA": "answer text",
+  "optionB": "answer text",
+  "optionC": "answer text",
+  "optionD": "answer text",
+  "correctAnswer": "A" // or B, C, D
+}`
+  },
+  true_false: {
+    instructions: `Rewrite the question as a single SHORT statement that is either true or false.
+The statement should test the same idea as the question and must not be trivially obvious.`,
+    format: `{
+  "statement": "statement text",
+  "isTrue": boolean
+}`
+  },
+  multi_select: {
+    instructions: `Generate 5 SHORT answer options for the question where MORE THAN ONE may be correct.
+Each option must be concise so it can be read fast.
+
+Between 2 and 3 options must be correct.
+The others must be plausible, but incorrect.`,
+    format: `{
+  "options": ["option text", "option text", "option text", "option text", "option text"],
+  "correctAnswers": ["A", "C"] // letters of the correct options, A is the first option
+}`
+  },
+  short_text: {
+    instructions: `Write a model answer of ONE short sentence or phrase for the question.
+Also list 1 to 5 keywords or short phrases that a correct student answer must mention.
+Keywords must be single words or very short phrases, in lowercase.`,
+    format: `{
+  "modelAnswer": "model answer text",
+  "keywords": ["keyword", "keyword"]
+}`
+  },
+  numeric: {
+    instructions: `The question must have a single numeric answer.
+Give the correct value and the tolerance within which a student answer still counts as correct
+(0 when only the exact value is correct).`,
+    format: `{
+  "value": number,
+  "tolerance": number
+}`
+  },
+  ordering: {
+    instructions: `Generate 3 to 5 SHORT items that students must put in the correct order to answer the question
+(for example steps of a process or events in time).
+List the items in the CORRECT order.`,
+    format: `{
+  "items": ["first item", "second item", "third item"]
+}`
+  }
+};
+
+const generateQuizPrompt = (question, context, type = 'multiple_choice') => `The user will give you a question.
+
+${QUIZ_FORMATS[type].instructions}
+
+Question: "${question}"
+${context ? `
+Recent lecture transcript (use it so the answers match what was taught):
+"${context}"
+` : ''}
+Response format:
+${QUIZ_FORMATS[type].format}`;
+
+const summaryPrompt = (transcriptText, studentQuestions = []) => `Summarize this lecture transcript in a clear, organized and conciseway. Include:
+1. Main topics covered
+2. Key concepts explained
+3. Important points emphasized${studentQuestions.length > 0 ? `
+4. What students asked about, and where the lecture answers it` : ''}
+
+Transcript: "${transcriptText}"
+${studentQuestions.length > 0 ? `
+Questions students asked during the lecture (most upvoted first):
+${studentQuestions.map(question => `- ${question}`).join('\n')}
+` : ''}
+Provide a concise and brief summary suitable for student review. Start directly with the summary. In plain text without any formatting`;
+
+const studentReviewPrompt = (missedQuestions, summary) => `Based on the questions the student got wrong and the lecture summary, provide personalized study recommendations.
+
+Missed Questions: ${JSON.stringify(missedQuestions)}
+Lecture Summary: "${summary}"
+
+Each missed question may include the student's "confidence" in their answer: "sure", "unsure" or "guessing". Questions the student was sure about but got wrong reveal misconceptions, so address them first and explain what the student misunderstood. Lucky guesses and unsure answers matter less.
+
+Provide 3-5 specific topics the student should review.`;
+
+const gradeShortAnswerPrompt = (question, answerKey, studentAnswer) => `You are grading a student's short written answer to a quiz question from a lecture.
+
+Question: "${question}"
+Model answer: "${answerKey.modelAnswer}"
+${answerKey.keywords.length > 0 ? `Key ideas: ${answerKey.keywords.join(', ')}
+` : ''}Student answer: "${studentAnswer}"
+
+The answer is correct when it expresses the same idea as the model answer. Ignore spelling,
+grammar and wording differences. Answers that are vague, contradictory or only repeat the question are incorrect.
+
+Response format:
+{
+  "isCorrect": boolean
+}`;
+
+// Sent when a response failed validation: repeat the task and list what was wrong
+const correctionPrompt = (originalPrompt, previousResponse, problems) => `${originalPrompt}
+
+Your previous response could not be used:
+${previousResponse}
+
+Problems:
+${problems.map(problem => `- ${problem}`).join('\n')}
+
+Reply again with ONLY the JSON object in the response format above. Do not use markdown code fences or add any other text.`;
+
+module.exports = {
+  detectQuestionPrompt,
+  generateQuizPrompt,
+  summaryPrompt,
+  studentReviewPrompt,
+  gradeShortAnswerPrompt,
+  correctionPrompt
+};
@@ -0,0 +1,325 @@
+// Declared response shapes for the JSON-returning AI calls, plus the repair step
+// that recovers JSON from typical model formatting mistakes.
+//
+// Field rules: type ('string' | 'boolean' | 'number' | 'array'), nullable, minLength,
+// maxLength, enum, min, minItems, maxItems, items (the rule for each array element) and
+// an optional normalize(value) applied before the rules are checked.
+//
+// Quiz schemas also declare toQuiz(value), which maps the validated response onto the
+// { question?, options, answerKey } shape used by services/questionTypes.js.
+
+const normalizeLetter = (value) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  // Accept "b", "B)", "Option B" and similar
+  const match = value.trim().match(/^(?:option\s+)?([A-Fa-f])\b/i);
+  return match ? match[1].toUpperCase() : value.trim();
+};
+
+const normalizeText = (value) => (typeof value === 'string' ? value.trim() : value);
+
+const normalizeBoolean = (value) => {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return value;
+};
+
+const normalizeNumber = (value) => {
+  if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) {
+    return Number(value);
+  }
+  return value;
+};
+
+const option = { type: 'string', minLength: 1, maxLength: 200, normalize: normalizeText };
+const LETTERS = ['A', 'B', 'C', 'D', 'E', 'F'];
+
+const toLetterOptions = (texts) => Object.fromEntries(texts.map((text, index) => [LETTERS[index], text]));
+
+const distinctTexts = (texts) => (
+  new Set(texts.map(text => String(text).toLowerCase())).size < texts.length ? 'options must be distinct' : null
+);
+
+const questionDetectionSchema = {
+  task: 'question-detection',
+  fields: {
+    hasQuestion: { type: 'boolean', normalize: normalizeBoolean },
+    question: { type: 'string', nullable: true, maxLength: 500, normalize: normalizeText }
+  },
+  rules: [
+    (value) => (value.hasQuestion && !value.question ? 'question is required when hasQuestion is true' : null)
+  ]
+};
+
+const quizSchema = {
+  task: 'quiz-generation',
+  fields: {
+    optionA: option,
+    optionB: option,
+    optionC: option,
+    optionD: option,
+    correctAnswer: { type: 'string', enum: ['A', 'B', 'C', 'D'], normalize: normalizeLetter }
+  },
+  rules: [
+    (value) => distinctTexts(['optionA', 'optionB', 'optionC', 'optionD'].map(key => value[key]))
+  ],
+  toQuiz: (value) => ({
+    options: { A: value.optionA, B: value.optionB, C: value.optionC, D: value.optionD },
+    answerKey: { correct: value.correctAnswer }
+  })
+};
+
+const trueFalseQuizSchema = {
+  task: 'quiz-generation',
+  fields: {
+    statement: { type: 'string', minLength: 1, maxLength: 500, normalize: normalizeText },
+    isTrue: { type: 'boolean', normalize: normalizeBoolean }
+  },
+  toQuiz: (value) => ({
+    question: value.statement,
+    options: null,
+    answerKey: { correct: String(value.isTrue) }
+  })
+};
+
+const multiSelectQuizSchema = {
+  task: 'quiz-generation',
+  fields: {
+    options: { type: 'array', minItems: 4, maxItems: 6, items: option },
+    correctAnswers: {
+      type: 'array',
+      minItems: 1,
+      items: { type: 'string', enum: LETTERS, normalize: normalizeLetter }
+    }
+  },
+  rules: [
+    (value) => distinctTexts(value.options),
+    (value) => (value.correctAnswers.some(letter => LETTERS.indexOf(letter) >= value.options.length)
+      ? 'correctAnswers must refer to listed options'
+      : null),
+    (value) => (new Set(value.correctAnswers).size === value.options.length
+      ? 'at least one option must be incorrect'
+      : null)
+  ],
+  toQuiz: (value) => ({
+    options: toLetterOptions(value.options),
+    answerKey: { correct: value.correctAnswers }
+  })
+};
+
+const shortTextQuizSchema = {
+  task: 'quiz-generation',
+  fields: {
+    modelAnswer: { type: 'string', minLength: 1, maxLength: 300, normalize: normalizeText },
+    keywords: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 8,
+      items: { type: 'string', minLength: 1, maxLength: 50, normalize: normalizeText }
+    }
+  },
+  toQuiz: (value) => ({
+    options: null,
+    answerKey: { modelAnswer: value.modelAnswer, keywords: value.keywords, grading: 'keywords' }
+  })
+};
+
+const numericQuizSchema = {
+  task: 'quiz-generation',
+  fields: {
+    value: { type: 'number', normalize: normalizeNumber },
+    tolerance: { type: 'number', nullable: true, min: 0, normalize: normalizeNumber }
+  },
+  toQuiz: (value) => ({
+    options: null,
+    answerKey: { value: value.value, tolerance: value.tolerance || 0 }
+  })
+};
+
+const orderingQuizSchema = {
+  task: 'quiz-generation',
+  fields: {
+    items: { type: 'array', minItems: 3, maxItems: 6, items: option }
+  },
+  rules: [
+    (value) => distinctTexts(value.items)
+  ],
+  // Items come back in the correct order; they are shuffled when the question is created
+  toQuiz: (value) => ({
+    options: toLetterOptions(value.items),
+    answerKey: { order: value.items.map((_, index) => LETTERS[index]) }
+  })
+};
+
+// Response schema for each question type
+const quizSchemas = {
+  multiple_choice: quizSchema,
+  true_false: trueFalseQuizSchema,
+  multi_select: multiSelectQuizSchema,
+  short_text: shortTextQuizSchema,
+  numeric: numericQuizSchema,
+  ordering: orderingQuizSchema
+};
+
+const shortAnswerGradeSchema = {
+  task: 'short-answer-grading',
+  fields: {
+    isCorrect: { type: 'boolean', normalize: normalizeBoolean }
+  }
+};
+
+// Find the first balanced {...} block, ignoring braces inside strings
+const extractObject = (text) => {
+  const start = text.indexOf('{');
+  if (start === -1) {
+    return null;
+  }
+
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}' && --depth === 0) {
+      return text.slice(start, i + 1);
+    }
+  }
+
+  // Truncated response: return what we have so the caller can report it
+  return text.slice(start);
+};
+
+// Drop // comments that sit outside string literals
+const stripComments = (text) => {
+  let result = '';
+  let inString = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      result += char;
+      if (char === '\\') result += text[++i] || '';
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+      result += char;
+    } else if (char === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+      result += '\n';
+    } else {
+      result += char;
+    }
+  }
+  return result;
+};
+
+// Recover a JSON object from model output. Handles markdown fences, leading prose,
+// smart quotes, // comments copied from the prompt and trailing commas.
+const parseJsonResponse = (text) => {
+  const unfenced = text.replace(/```(?:json)?/gi, '');
+  const candidate = extractObject(unfenced);
+  if (!candidate) {
+    throw new Error('response does not contain a JSON object');
+  }
+
+  try {
+    return JSON.parse(candidate);
+  } catch (firstError) {
+    const repaired = stripComments(candidate.replace(/[“”]/g, '"'))
+      .replace(/,\s*([}\]])/g, '$1');
+    try {
+      return JSON.parse(repaired);
+    } catch (error) {
+      throw new Error(`could not parse JSON: ${firstError.message}`);
+    }
+  }
+};
+
+// Check one value against a field rule. Returns { value, errors } with the normalized value.
+const checkField = (key, rule, rawValue) => {
+  const fieldValue = rule.normalize ? rule.normalize(rawValue) : rawValue;
+  const errors = [];
+
+  if (fieldValue === undefined || fieldValue === null) {
+    if (!rule.nullable) {
+      errors.push(`${key} is required`);
+    }
+    return { value: fieldValue, errors };
+  }
+
+  if (rule.type === 'array') {
+    if (!Array.isArray(fieldValue)) {
+      return { value: fieldValue, errors: [`${key} must be an array`] };
+    }
+    if (rule.minItems !== undefined && fieldValue.length < rule.minItems) {
+      errors.push(`${key} must have at least ${rule.minItems} items`);
+    }
+    if (rule.maxItems !== undefined && fieldValue.length > rule.maxItems) {
+      errors.push(`${key} must have at most ${rule.maxItems} items`);
+    }
+    const items = fieldValue.map((item, index) => {
+      const result = checkField(`${key}[${index}]`, rule.items, item);
+      errors.push(...result.errors);
+      return result.value;
+    });
+    return { value: items, errors };
+  }
+
+  if (typeof fieldValue !== rule.type || (rule.type === 'number' && !Number.isFinite(fieldValue))) {
+    return { value: fieldValue, errors: [`${key} must be a ${rule.type}`] };
+  }
+  if (rule.minLength !== undefined && fieldValue.length < rule.minLength) {
+    errors.push(`${key} must not be empty`);
+  }
+  if (rule.maxLength !== undefined && fieldValue.length > rule.maxLength) {
+    errors.push(`${key} must be at most ${rule.maxLength} characters`);
+  }
+  if (rule.min !== undefined && fieldValue < rule.min) {
+    errors.push(`${key} must be at least ${rule.min}`);
+  }
+  if (rule.enum && !rule.enum.includes(fieldValue)) {
+    errors.push(`${key} must be one of ${rule.enum.join(', ')}`);
+  }
+
+  return { value: fieldValue, errors };
+};
+
+// Returns { value, errors } where value has normalized fields
+const validate = (schema, input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { value: input, errors: ['response must be a JSON object'] };
+  }
+
+  const value = { ...input };
+  const errors = [];
+
+  Object.entries(schema.fields).forEach(([key, rule]) => {
+    const result = checkField(key, rule, value[key]);
+    value[key] = result.value;
+    errors.push(...result.errors);
+  });
+
+  if (errors.length === 0) {
+    (schema.rules || []).forEach(rule => {
+      const message = rule(value);
+      if (message) errors.push(message);
+    });
+  }
+
+  return { value, errors };
+};
+
+module.exports = {
+  questionDetectionSchema,
+  quizSchema,
+  quizSchemas,
+  shortAnswerGradeSchema,
+  parseJsonResponse,
+  validate
+};
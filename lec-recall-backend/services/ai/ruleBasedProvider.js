@@ -0,0 +1,206 @@
+// Deterministic provider that needs no network access. It is meant for demos and
+// tests: question detection and summaries are heuristic, and generated quiz options
+// are placeholders because the provider has no subject knowledge. Numeric and ordering
+// questions need real answers, so they are not supported.
+
+const { AIResponseError } = require('./errors');
+
+const INTERROGATIVES = [
+  'what', 'why', 'how', 'which', 'who', 'whom', 'whose', 'when', 'where',
+  'can', 'could', 'does', 'do', 'did', 'is', 'are', 'was', 'were', 'will', 'would', 'should'
+];
+
+// Leading filler words that often precede a question in speech
+const FILLERS = ['so', 'now', 'okay', 'ok', 'and', 'well', 'alright', 'right', 'then', 'but'];
+
+// Social and procedural questions that should not become quizzes
+const NON_EDUCATIONAL_PATTERNS = [
+  /\bhow are (you|we|things)\b/i,
+  /\bhow('s| is) (it going|everyone|everybody)\b/i,
+  /\bcan (you|everyone|everybody) (hear|see)\b/i,
+  /\bare (you|we|everyone|everybody) (ready|there)\b/i,
+  /\bshould (i|we) (continue|go on|move on)\b/i,
+  /\b(any|have any|are there any) questions\b/i,
+  /\bdoes (that|this|everyone) make sense\b/i,
+  /\bgood (morning|afternoon|evening)\b/i
+];
+
+const MIN_QUESTION_WORDS = 4;
+const SUMMARY_SENTENCES = 3;
+const SUMMARY_STUDENT_QUESTIONS = 3;
+
+const STOPWORDS = new Set([
+  'the', 'a', 'an', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'at', 'for', 'with', 'is', 'are',
+  'was', 'were', 'be', 'it', 'this', 'that', 'these', 'those', 'we', 'you', 'i', 'they', 'he', 'she',
+  'so', 'as', 'by', 'from', 'if', 'then', 'than', 'can', 'will', 'do', 'does', 'what', 'how', 'why'
+]);
+
+const splitSentences = (text) => {
+  return (text.match(/[^.!?]+[.!?]*/g) || [])
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+};
+
+const stripFillers = (sentence) => {
+  const words = sentence.split(/\s+/);
+  while (words.length > 0 && FILLERS.includes(words[0].toLowerCase().replace(/[^a-z]/g, ''))) {
+    words.shift();
+  }
+  return words.join(' ');
+};
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// Stable, non-cryptographic hash so the same question always gets the same answer position
+const hashString = (text) => {
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = (hash * 31 + text.charCodeAt(i)) >>> 0;
+  }
+  return hash;
+};
+
+class RuleBasedProvider {
+  constructor() {
+    this.name = 'Rule-based';
+  }
+
+  async detectQuestion(transcriptText) {
+    for (const sentence of splitSentences(transcriptText)) {
+      if (!sentence.endsWith('?')) {
+        continue;
+      }
+
+      const question = stripFillers(sentence);
+      const words = question.split(/\s+/);
+      const firstWord = words[0].toLowerCase().replace(/[^a-z]/g, '');
+
+      if (words.length < MIN_QUESTION_WORDS || !INTERROGATIVES.includes(firstWord)) {
+        continue;
+      }
+
+      if (NON_EDUCATIONAL_PATTERNS.some(pattern => pattern.test(question))) {
+        continue;
+      }
+
+      return { hasQuestion: true, question: capitalize(question) };
+    }
+
+    return { hasQuestion: false, question: null };
+  }
+
+  async generateQuiz(question, context, type = 'multiple_choice') {
+    const topic = question
+      .replace(/\?+$/, '')
+      .replace(/^(what|why|how|which|who|when|where)\s+((is|are|was|were|does|do|did)\s+)?(the\s+)?/i, '')
+      .trim() || 'this topic';
+    const correctText = `The explanation of ${topic} given in the lecture`;
+    const letters = ['A', 'B', 'C', 'D'];
+
+    switch (type) {
+      case 'multiple_choice': {
+        const distractors = [
+          `A common misconception about ${topic}`,
+          'An unrelated concept from a different topic',
+          'None of the above'
+        ];
+        const correctIndex = hashString(question) % 4;
+        const options = [...distractors];
+        options.splice(correctIndex, 0, correctText);
+
+        return {
+          type,
+          question,
+          options: { A: options[0], B: options[1], C: options[2], D: options[3] },
+          answerKey: { correct: letters[correctIndex] }
+        };
+      }
+      case 'true_false':
+        return {
+          type,
+          question,
+          options: null,
+          answerKey: { correct: hashString(question) % 2 === 0 ? 'true' : 'false' }
+        };
+      case 'multi_select': {
+        const options = [
+          correctText,
+          `An example of ${topic} from the lecture`,
+          `A common misconception about ${topic}`,
+          'An unrelated concept from a different topic'
+        ];
+        return {
+          type,
+          question,
+          options: { A: options[0], B: options[1], C: options[2], D: options[3] },
+          answerKey: { correct: ['A', 'B'] }
+        };
+      }
+      case 'short_text': {
+        // Grade on the topic's content words, which is what a correct answer has to mention
+        const keywords = [...new Set(topic.toLowerCase().replace(/[^a-z0-9\s]/g, ' ').split(/\s+/))]
+          .filter(word => word.length > 2 && !STOPWORDS.has(word))
+          .slice(0, 3);
+        return {
+          type,
+          question,
+          options: null,
+          answerKey: { modelAnswer: correctText, keywords, grading: 'keywords' }
+        };
+      }
+      default:
+        throw new AIResponseError('unsupported_type', `${this.name} provider cannot generate ${type} questions`, {
+          provider: this.name,
+          task: 'quiz-generation'
+        });
+    }
+  }
+
+  // Extractive summary: keep the sentences with the most frequent content words, in lecture order,
+  // followed by the questions students asked
+  async summarize(transcriptText, studentQuestions = []) {
+    const sentences = splitSentences(transcriptText);
+    const frequencies = new Map();
+
+    const contentWords = (sentence) => sentence
+      .toLowerCase()
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .split(/\s+/)
+      .filter(word => word.length > 2 && !STOPWORDS.has(word));
+
+    sentences.forEach(sentence => {
+      contentWords(sentence).forEach(word => frequencies.set(word, (frequencies.get(word) || 0) + 1));
+    });
+
+    return sentences
+      .map((sentence, index) => {
+        const words = contentWords(sentence);
+        const score = words.reduce((total, word) => total + frequencies.get(word), 0) / (words.length || 1);
+        return { sentence, index, score };
+      })
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .slice(0, SUMMARY_SENTENCES)
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.sentence)
+      .concat(studentQuestions.length > 0
+        ? [`Students asked: ${studentQuestions.slice(0, SUMMARY_STUDENT_QUESTIONS).join(' ')}`]
+        : [])
+      .join(' ');
+  }
+
+  async review(missedQuestions) {
+    if (!missedQuestions || missedQuestions.length === 0) {
+      return 'You answered every question correctly. Re-read the lecture summary to consolidate what you learned.';
+    }
+
+    // Questions arrive with the ones the student was sure about first
+    const topics = missedQuestions
+      .slice(0, 5)
+      .map((q, index) => `${index + 1}. ${q.question} (correct answer: ${q.correctAnswer})${
+        q.confidence === 'sure' ? ' - you were sure of your answer, so revisit this one first' : ''}`);
+
+    return `Review these topics from the lecture:\n${topics.join('\n')}`;
+  }
+}
+
+module.exports = RuleBasedProvider;
@@ -0,0 +1,108 @@
+const aiConfig = require('../config/ai');
+const GeminiProvider = require('./ai/geminiProvider');
+const OpenAIProvider = require('./ai/openaiProvider');
+const RuleBasedProvider = require('./ai/ruleBasedProvider');
+const { AIResponseError } = require('./ai/errors');
+
+// Build the provider selected for this deployment
+const createProvider = (config) => {
+  const requestOptions = { requestTimeoutMs: config.requestTimeoutMs, maxRetries: config.maxRetries };
+
+  switch (config.provider) {
+    case 'gemini':
+      return new GeminiProvider({ ...config.gemini, ...requestOptions });
+    case 'openai':
+      return new OpenAIProvider({ ...config.openai, ...requestOptions });
+    case 'rule-based':
+      return new RuleBasedProvider();
+    default:
+      throw new Error(`Unknown AI_PROVIDER "${config.provider}". Use gemini, openai or rule-based`);
+  }
+};
+
+const provider = createProvider(aiConfig);
+console.log(`🤖 AI provider: ${provider.name}`);
+
+const getProviderName = () => provider.name;
+
+// Unexpected provider failures are reported with the same shape as validation failures
+const toAIError = (error, task) => {
+  if (error instanceof AIResponseError) {
+    return error;
+  }
+  return new AIResponseError('provider_error', `${provider.name} ${task} failed: ${error.message}`, {
+    provider: provider.name,
+    task
+  });
+};
+
+// Throws AIResponseError when no valid detection result could be obtained
+async function detectQuestion(transcriptText) {
+  try {
+    return await provider.detectQuestion(transcriptText);
+  } catch (error) {
+    throw toAIError(error, 'question-detection');
+  }
+}
+
+// Throws AIResponseError when no valid quiz could be obtained. `context` is optional
+// recent transcript that helps the provider match the answers to the lecture.
+// Resolves to { type, question, options, answerKey } for the requested question type.
+async function generateQuiz(question, context = '', type = 'multiple_choice') {
+  try {
+    return await provider.generateQuiz(question, context, type);
+  } catch (error) {
+    throw toAIError(error, 'quiz-generation');
+  }
+}
+
+// Resolves to true/false, or null when the provider cannot grade free text or the call
+// failed; callers fall back to keyword grading
+async function gradeShortAnswer(question, answerKey, studentAnswer) {
+  if (!provider.gradeShortAnswer) {
+    return null;
+  }
+  try {
+    return await provider.gradeShortAnswer(question, answerKey, studentAnswer);
+  } catch (error) {
+    console.error('❌ Short answer grading failed:', toAIError(error, 'short-answer-grading').toJSON());
+    return null;
+  }
+}
+
+// Returns null when no summary could be generated.
+// `studentQuestions` are texts of questions students asked during the lecture.
+async function generateSummary(transcriptText, studentQuestions = []) {
+  try {
+    return await provider.summarize(transcriptText, studentQuestions);
+  } catch (error) {
+    console.error('❌ Summary generation failed:', toAIError(error, 'summary').toJSON());
+    return null;
+  }
+}
+
+// Missed questions the student was sure about come first: they point at misconceptions
+const CONFIDENCE_PRIORITY = { sure: 0, unsure: 1, guessing: 2 };
+const confidencePriority = (question) => CONFIDENCE_PRIORITY[question.confidence] ?? 3;
+
+// Returns null when no review could be generated.
+// `missedQuestions` may carry the student's `confidence` in each answer.
+async function generateStudentReview(missedQuestions, summary) {
+  const prioritized = [...missedQuestions].sort((a, b) => confidencePriority(a) - confidencePriority(b));
+  try {
+    return await provider.review(prioritized, summary);
+  } catch (error) {
+    console.error('❌ Student review generation failed:', toAIError(error, 'student-review').toJSON());
+    return null;
+  }
+}
+
+module.exports = {
+  detectQuestion,
+  generateQuiz,
+  generateSummary,
+  generateStudentReview,
+  gradeShortAnswer,
+  getProviderName,
+  AIResponseError
+};
@@ -0,0 +1,41 @@
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const database = require('../config/database');
+const { jwtSecret, jwtExpiresIn, passwordSaltRounds } = require('../config/auth');
+
+const hashPassword = (password) => bcrypt.hash(password, passwordSaltRounds);
+
+const verifyPassword = (password, passwordHash) => bcrypt.compare(password, passwordHash);
+
+// Issue a token carrying the lecturer's id and display name
+const signToken = (lecturer) => {
+  return jwt.sign(
+    { sub: lecturer.id, name: lecturer.name, email: lecturer.email },
+    jwtSecret,
+    { expiresIn: jwtExpiresIn }
+  );
+};
+
+// Throws JsonWebTokenError / TokenExpiredError for bad tokens
+const verifyToken = (token) => {
+  const payload = jwt.verify(token, jwtSecret);
+  return { id: payload.sub, name: payload.name, email: payload.email };
+};
+
+// Check whether a lecturer owns a session
+const lecturerOwnsSession = async (lecturerId, sessionId) => {
+  if (!lecturerId || !sessionId) {
+    return false;
+  }
+
+  const session = await database.get('SELECT lecturer_id FROM sessions WHERE id = ?', [sessionId]);
+  return Boolean(session && session.lecturer_id === lecturerId);
+};
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  signToken,
+  verifyToken,
+  lecturerOwnsSession
+};
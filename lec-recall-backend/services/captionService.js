@@ -0,0 +1,253 @@
+// Captions built from a session's stored transcript segments: WebVTT and SRT caption files, a
+// WebVTT chapters track marking where questions were detected, and a plain-text transcript.
+
+const database = require('../config/database');
+
+const TRANSCRIPT_FORMATS = ['json', 'vtt', 'srt', 'txt'];
+const VTT_KINDS = ['captions', 'chapters'];
+
+// Caption layout limits, overridable per request with ?maxLineLength= and ?maxCueSeconds=
+const DEFAULT_MAX_LINE_LENGTH = 42;
+const MAX_LINE_LENGTH_RANGE = { min: 20, max: 80 };
+const DEFAULT_MAX_CUE_SECONDS = 7;
+const MAX_CUE_SECONDS_RANGE = { min: 1, max: 15 };
+const MAX_CUE_LINES = 2;
+
+// Segments stored without a duration are shown for an estimated speaking time
+const SECONDS_PER_WORD = 0.4;
+const MIN_CUE_SECONDS = 1;
+
+// Longest chapter title taken from a question
+const MAX_CHAPTER_TITLE_LENGTH = 80;
+
+const clamp = (value, { min, max }) => Math.min(max, Math.max(min, value));
+
+// SQLite CURRENT_TIMESTAMP values are UTC without a zone ('YYYY-MM-DD HH:MM:SS')
+const parseTimestamp = (value) => new Date(`${String(value).replace(' ', 'T')}Z`).getTime();
+
+// Fill in defaults and clamp the layout limits from the query string
+const resolveCaptionOptions = ({ maxLineLength, maxCueSeconds } = {}) => {
+  const lineLength = parseInt(maxLineLength, 10);
+  const cueSeconds = parseFloat(maxCueSeconds);
+  return {
+    maxLineLength: Number.isNaN(lineLength) ? DEFAULT_MAX_LINE_LENGTH : clamp(lineLength, MAX_LINE_LENGTH_RANGE),
+    maxCueSeconds: Number.isNaN(cueSeconds) ? DEFAULT_MAX_CUE_SECONDS : clamp(cueSeconds, MAX_CUE_SECONDS_RANGE)
+  };
+};
+
+// Greedy word wrap. A word longer than the limit gets a line of its own.
+const wrapLines = (words, maxLineLength) => words.reduce((lines, word) => {
+  const last = lines[lines.length - 1];
+  if (last !== undefined && last.length + 1 + word.length <= maxLineLength) {
+    lines[lines.length - 1] = `${last} ${word}`;
+  } else {
+    lines.push(word);
+  }
+  return lines;
+}, []);
+
+// A segment's words with times. Provider word timings are used while the text is unedited;
+// otherwise the segment's time is shared out by word length.
+const timedWords = (segment, nextStart) => {
+  if (!segment.isEdited && Array.isArray(segment.words) && segment.words.length > 0) {
+    return segment.words.map(word => ({ text: word.word, start: word.start, end: word.end }));
+  }
+
+  const tokens = segment.text.trim().split(/\s+/).filter(Boolean);
+  let end = segment.end;
+  if (!(end > segment.start)) {
+    end = segment.start + tokens.length * SECONDS_PER_WORD;
+    if (nextStart > segment.start) {
+      end = Math.min(end, nextStart);
+    }
+  }
+
+  const totalLength = tokens.reduce((sum, token) => sum + token.length, 0);
+  let elapsed = 0;
+  return tokens.map(token => {
+    const wordStart = segment.start + (end - segment.start) * (elapsed / totalLength);
+    elapsed += token.length;
+    return { text: token, start: wordStart, end: segment.start + (end - segment.start) * (elapsed / totalLength) };
+  });
+};
+
+// Split segments into caption cues of at most MAX_CUE_LINES lines of maxLineLength characters,
+// lasting at most maxCueSeconds. Cues never span two segments, and the first cue of each
+// speaker's turn starts with their name.
+const buildCaptionCues = (segments, { maxLineLength, maxCueSeconds }) => {
+  const cues = [];
+  let previousSpeaker = null;
+
+  segments.forEach((segment, index) => {
+    const next = segments[index + 1];
+    let cue = null;
+    let pendingLabel = segment.speaker && segment.speaker !== previousSpeaker ? `${segment.speaker}:` : null;
+    previousSpeaker = segment.speaker || previousSpeaker;
+
+    timedWords(segment, next ? next.start : null).forEach(word => {
+      if (cue) {
+        const lines = wrapLines([...cue.words, word.text], maxLineLength);
+        if (lines.length > MAX_CUE_LINES || word.end - cue.start > maxCueSeconds) {
+          cues.push(cue);
+          cue = null;
+        }
+      }
+      if (!cue) {
+        cue = { start: word.start, end: word.end, words: pendingLabel ? [pendingLabel] : [] };
+        pendingLabel = null;
+      }
+      cue.words.push(word.text);
+      cue.end = word.end;
+    });
+
+    if (cue) {
+      cues.push(cue);
+    }
+  });
+
+  // Give every cue time to be read, without running into the next one. Segments that were
+  // spoken over each other keep their overlap.
+  return cues
+    .sort((a, b) => a.start - b.start)
+    .map((cue, index, sorted) => {
+      const next = sorted[index + 1];
+      let end = Math.max(cue.end, cue.start + MIN_CUE_SECONDS);
+      if (next) {
+        end = Math.min(end, Math.max(cue.end, next.start));
+      }
+      return { start: cue.start, end, lines: wrapLines(cue.words, maxLineLength) };
+    });
+};
+
+// Where a question was asked: the last segment with a question mark among those stored since the
+// previous detected question, otherwise the last of them
+const questionSegment = (segments, createdAt, previousCreatedAt) => {
+  const candidates = segments.filter(segment => {
+    const storedAt = parseTimestamp(segment.createdAt);
+    return storedAt <= createdAt && (previousCreatedAt === null || storedAt > previousCreatedAt);
+  });
+  const asked = candidates.filter(segment => segment.text.includes('?'));
+  return asked.length > 0 ? asked[asked.length - 1] : candidates[candidates.length - 1];
+};
+
+// The session's detected questions as chapters on the recording clock, starting at the segment
+// the question was asked in or, without one, when the question was created. Each chapter runs
+// until the next one, the last until the end of the captions.
+const loadQuestionChapters = async (sessionId, { recordingStartedAt, segments }, captionsEnd) => {
+  const questions = await database.all(`
+    SELECT id, formatted_question, created_at FROM questions
+    WHERE session_id = ? AND source = 'detected' AND rerun_of IS NULL AND status = 'published'
+    ORDER BY created_at ASC, rowid ASC
+  `, [sessionId]);
+  const recordingStart = recordingStartedAt ? Date.parse(recordingStartedAt) : null;
+
+  const markers = questions
+    .map((question, index) => {
+      const createdAt = parseTimestamp(question.created_at);
+      const previousCreatedAt = index > 0 ? parseTimestamp(questions[index - 1].created_at) : null;
+      const segment = questionSegment(segments, createdAt, previousCreatedAt);
+      let start = segment ? segment.start : null;
+      if (start === null && recordingStart !== null) {
+        start = Math.max(0, (createdAt - recordingStart) / 1000);
+      }
+
+      const title = `Question ${index + 1}: ${question.formatted_question}`;
+      return {
+        questionId: question.id,
+        start,
+        title: title.length > MAX_CHAPTER_TITLE_LENGTH ? `${title.slice(0, MAX_CHAPTER_TITLE_LENGTH - 1)}…` : title
+      };
+    })
+    .filter(marker => marker.start !== null)
+    .sort((a, b) => a.start - b.start);
+
+  return markers.map((marker, index) => {
+    const next = markers[index + 1];
+    const end = next ? next.start : Math.max(captionsEnd, marker.start + MIN_CUE_SECONDS);
+    return { ...marker, end };
+  });
+};
+
+// Everything the transcript endpoint serves, from the stored segments
+const loadCaptionData = async (sessionId, transcript, options) => {
+  const cues = buildCaptionCues(transcript.segments, options);
+  const captionsEnd = cues.length > 0 ? cues[cues.length - 1].end : 0;
+  const chapters = await loadQuestionChapters(sessionId, transcript, captionsEnd);
+  return { cues, chapters };
+};
+
+// Cue time as HH:MM:SS.mmm (WebVTT) or HH:MM:SS,mmm (SRT)
+const formatCueTime = (seconds, separator) => {
+  const totalMs = Math.round(seconds * 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor(totalMs / 60000) % 60;
+  const secs = Math.floor(totalMs / 1000) % 60;
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(totalMs % 1000, 3)}`;
+};
+
+const escapeVtt = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// A NOTE block must not contain the cue timing arrow
+const vttNote = (text) => `NOTE ${text.replace(/-->/g, '->')}`;
+
+// Captions as WebVTT, with a NOTE before the cues at each chapter
+const renderVtt = (cues, chapters = []) => {
+  const blocks = ['WEBVTT'];
+  let chapterIndex = 0;
+  cues.forEach((cue, index) => {
+    while (chapterIndex < chapters.length && chapters[chapterIndex].start <= cue.start) {
+      const chapter = chapters[chapterIndex];
+      blocks.push(vttNote(`Chapter at ${formatCueTime(chapter.start, '.')} - ${chapter.title}`));
+      chapterIndex += 1;
+    }
+    blocks.push([
+      `${index + 1}`,
+      `${formatCueTime(cue.start, '.')} --> ${formatCueTime(cue.end, '.')}`,
+      ...cue.lines.map(escapeVtt)
+    ].join('\n'));
+  });
+  chapters.slice(chapterIndex).forEach(chapter => {
+    blocks.push(vttNote(`Chapter at ${formatCueTime(chapter.start, '.')} - ${chapter.title}`));
+  });
+  return `${blocks.join('\n\n')}\n`;
+};
+
+// Chapters as a WebVTT chapters track (<track kind="chapters">). When the first question comes
+// after the start, the lecture before it is its own chapter.
+const renderVttChapters = (chapters) => {
+  const all = chapters.length > 0 && chapters[0].start > 0
+    ? [{ questionId: null, start: 0, end: chapters[0].start, title: 'Lecture start' }, ...chapters]
+    : chapters;
+  const blocks = all.map((chapter, index) => [
+    chapter.questionId ? `question-${chapter.questionId}` : `chapter-${index + 1}`,
+    `${formatCueTime(chapter.start, '.')} --> ${formatCueTime(chapter.end, '.')}`,
+    escapeVtt(chapter.title)
+  ].join('\n'));
+  return `${['WEBVTT', ...blocks].join('\n\n')}\n`;
+};
+
+const renderSrt = (cues) => cues.map((cue, index) => [
+  `${index + 1}`,
+  `${formatCueTime(cue.start, ',')} --> ${formatCueTime(cue.end, ',')}`,
+  ...cue.lines
+].join('\n')).join('\n\n') + (cues.length > 0 ? '\n' : '');
+
+// Plain transcript, one "[m:ss] Speaker: text" line per segment
+const renderText = (segments) => segments.map(segment => {
+  const whole = Math.floor(segment.start || 0);
+  const offset = `${Math.floor(whole / 60)}:${(whole % 60).toString().padStart(2, '0')}`;
+  return `[${offset}] ${segment.speaker ? `${segment.speaker}: ` : ''}${segment.text}`;
+}).join('\n') + (segments.length > 0 ? '\n' : '');
+
+module.exports = {
+  TRANSCRIPT_FORMATS,
+  VTT_KINDS,
+  resolveCaptionOptions,
+  buildCaptionCues,
+  loadCaptionData,
+  renderVtt,
+  renderVttChapters,
+  renderSrt,
+  renderText
+};
@@ -0,0 +1,259 @@
+// Confusion signals: storage, real-time alerts for the lecturer and the confusion-over-time
+// timeline shown after a session.
+
+const { v4: uuidv4 } = require('uuid');
+const database = require('../config/database');
+
+const CONFUSION_LEVELS = [0, 1, 2]; // clear, confused, very confused
+
+const DEFAULT_BUCKET_SECONDS = 60;
+const BUCKET_SECONDS_RANGE = { min: 10, max: 3600 };
+
+// Number of highest-confusion buckets reported as spikes
+const MAX_SPIKES = 3;
+
+// Alert when `threshold`% of present students' latest signals are at `level` or above
+// and were sent within the last `windowSeconds`. A threshold of 0 turns alerts off.
+const DEFAULT_ALERT_SETTINGS = { threshold: 30, level: 2, windowSeconds: 60, cooldownSeconds: 120 };
+const ALERT_SETTING_RANGES = {
+  threshold: { min: 0, max: 100 },
+  level: { min: 1, max: 2 },
+  windowSeconds: { min: 10, max: 600 },
+  cooldownSeconds: { min: 0, max: 3600 }
+};
+
+// Words of recent transcript sent with an alert
+const ALERT_EXCERPT_WORDS = 40;
+
+// Per-session alert state: sessionId -> { active, lastAboveAt, lastAlertAt }
+const alertStates = new Map();
+
+const isConfusionLevel = (level) => CONFUSION_LEVELS.includes(level);
+
+// SQLite CURRENT_TIMESTAMP values are UTC without a zone ('YYYY-MM-DD HH:MM:SS')
+const parseTimestamp = (value) => new Date(`${String(value).replace(' ', 'T')}Z`).getTime();
+
+const clamp = (value, { min, max }) => Math.min(max, Math.max(min, value));
+
+const resolveBucketSeconds = (value) => {
+  const seconds = parseInt(value, 10);
+  return Number.isNaN(seconds) ? DEFAULT_BUCKET_SECONDS : clamp(seconds, BUCKET_SECONDS_RANGE);
+};
+
+// Fill in defaults and clamp client-provided alert settings to supported ranges
+const resolveAlertSettings = (settings = {}) => Object.fromEntries(
+  Object.entries(DEFAULT_ALERT_SETTINGS).map(([key, fallback]) => {
+    const value = parseInt(settings[key], 10);
+    return [key, clamp(Number.isNaN(value) ? fallback : value, ALERT_SETTING_RANGES[key])];
+  })
+);
+
+// Alert settings stored on a sessions row
+const alertSettingsFromRow = (row) => resolveAlertSettings({
+  threshold: row.confusion_alert_threshold,
+  level: row.confusion_alert_level,
+  windowSeconds: row.confusion_alert_window_seconds,
+  cooldownSeconds: row.confusion_alert_cooldown_seconds
+});
+
+// Alert settings from a create-session or set-confusion-alerts payload
+const alertSettingsFromInput = (data = {}) => resolveAlertSettings({
+  threshold: data.confusionAlertThreshold,
+  level: data.confusionAlertLevel,
+  windowSeconds: data.confusionAlertWindowSeconds,
+  cooldownSeconds: data.confusionAlertCooldownSeconds
+});
+
+// Alert settings in the shape sent back to the lecturer
+const alertSettingsPayload = (settings) => ({
+  confusionAlertThreshold: settings.threshold,
+  confusionAlertLevel: settings.level,
+  confusionAlertWindowSeconds: settings.windowSeconds,
+  confusionAlertCooldownSeconds: settings.cooldownSeconds
+});
+
+// Store a student's signal. Resolves to { confusionId, timestamp }, or null when the
+// student is not part of the session.
+const recordConfusionSignal = async ({ sessionId, studentId, level }) => {
+  const student = await database.get('SELECT id FROM students WHERE id = ? AND session_id = ?', [studentId, sessionId]);
+  if (!student) {
+    return null;
+  }
+
+  const confusionId = uuidv4();
+  await database.run(
+    'INSERT INTO confusion_signals (id, session_id, student_id, level) VALUES (?, ?, ?, ?)',
+    [confusionId, sessionId, studentId, level]
+  );
+  const row = await database.get('SELECT created_at FROM confusion_signals WHERE id = ?', [confusionId]);
+  return { confusionId, timestamp: new Date(parseTimestamp(row.created_at)).toISOString() };
+};
+
+// Confusion over time in fixed-size buckets, each with the transcript chunks spoken during it.
+// A bucket's confusionScore is the average signalled level scaled to 0-100 (null without signals).
+// Resolves to null when the session does not exist.
+const getConfusionTimeline = async (sessionId, { bucketSeconds } = {}) => {
+  const session = await database.get('SELECT created_at, ended_at FROM sessions WHERE id = ?', [sessionId]);
+  if (!session) {
+    return null;
+  }
+
+  const [signals, transcripts] = await Promise.all([
+    database.all('SELECT level, created_at FROM confusion_signals WHERE session_id = ? ORDER BY created_at ASC', [sessionId]),
+    database.all('SELECT text_chunk, timestamp FROM transcripts WHERE session_id = ? ORDER BY timestamp ASC', [sessionId])
+  ]);
+
+  const size = resolveBucketSeconds(bucketSeconds);
+  const sizeMs = size * 1000;
+  const start = parseTimestamp(session.created_at);
+  const lastEvent = [...signals.map(s => s.created_at), ...transcripts.map(t => t.timestamp)]
+    .reduce((latest, timestamp) => Math.max(latest, parseTimestamp(timestamp)), start);
+  const end = session.ended_at ? Math.max(parseTimestamp(session.ended_at), lastEvent) : lastEvent;
+  const bucketCount = Math.floor((end - start) / sizeMs) + 1;
+
+  const buckets = Array.from({ length: bucketCount }, (_, index) => ({
+    index,
+    start: new Date(start + index * sizeMs).toISOString(),
+    end: new Date(start + (index + 1) * sizeMs).toISOString(),
+    offsetSeconds: index * size,
+    clear: 0,
+    confused: 0,
+    veryConfused: 0,
+    total: 0,
+    confusionScore: null,
+    transcript: []
+  }));
+  const bucketAt = (timestamp) => buckets[Math.max(0, Math.floor((parseTimestamp(timestamp) - start) / sizeMs))];
+
+  signals.forEach(signal => {
+    const bucket = bucketAt(signal.created_at);
+    bucket[['clear', 'confused', 'veryConfused'][signal.level]] += 1;
+    bucket.total += 1;
+  });
+  transcripts.forEach(chunk => {
+    bucketAt(chunk.timestamp).transcript.push(chunk.text_chunk);
+  });
+  buckets.forEach(bucket => {
+    if (bucket.total > 0) {
+      bucket.confusionScore = Math.round(((bucket.confused + bucket.veryConfused * 2) / (bucket.total * 2)) * 100);
+    }
+  });
+
+  // The moments that lost the room: buckets with confused signals, most confused first
+  const spikes = buckets
+    .filter(bucket => bucket.confused + bucket.veryConfused > 0)
+    .sort((a, b) => b.confusionScore - a.confusionScore || (b.confused + b.veryConfused) - (a.confused + a.veryConfused))
+    .slice(0, MAX_SPIKES)
+    .map(bucket => bucket.index);
+
+  return {
+    sessionId,
+    bucketSeconds: size,
+    start: new Date(start).toISOString(),
+    end: new Date(end).toISOString(),
+    totalSignals: signals.length,
+    buckets,
+    spikes
+  };
+};
+
+// Each student's most recent signal within the last `windowSeconds`: Map of studentId -> level
+const getLatestSignals = async (sessionId, windowSeconds) => {
+  const rows = await database.all(`
+    SELECT student_id, level FROM confusion_signals
+    WHERE session_id = ? AND created_at >= datetime('now', ?)
+    ORDER BY created_at ASC, rowid ASC
+  `, [sessionId, `-${windowSeconds} seconds`]);
+  return new Map(rows.map(row => [row.student_id, row.level]));
+};
+
+const latestTranscriptExcerpt = async (sessionId) => {
+  const rows = await database.all(
+    'SELECT text_chunk FROM transcripts WHERE session_id = ? ORDER BY timestamp DESC, rowid DESC LIMIT 5',
+    [sessionId]
+  );
+  const words = rows.reverse().map(row => row.text_chunk).join(' ').split(/\s+/).filter(Boolean);
+  return words.length > ALERT_EXCERPT_WORDS
+    ? `…${words.slice(-ALERT_EXCERPT_WORDS).join(' ')}`
+    : words.join(' ');
+};
+
+// Check a session's alert threshold against the latest signal of every present student.
+// Resolves to the `confusion-alert` payload when an alert should fire, otherwise null.
+// An alert fires once per episode: while the threshold stays crossed no further alerts are
+// sent. An episode that starts within the cooldown of the previous alert fires once the
+// cooldown is over, if it is still going.
+const evaluateConfusionAlert = async (sessionId, presentStudentIds) => {
+  const session = await database.get('SELECT * FROM sessions WHERE id = ?', [sessionId]);
+  if (!session) {
+    return null;
+  }
+
+  const settings = alertSettingsFromRow(session);
+  const latest = await getLatestSignals(sessionId, settings.windowSeconds);
+  const present = [...new Set(presentStudentIds)];
+  const affected = present.filter(studentId => latest.has(studentId) && latest.get(studentId) >= settings.level);
+  const ratio = present.length > 0 ? affected.length / present.length : 0;
+  const crossed = settings.threshold > 0 && affected.length > 0 && ratio * 100 >= settings.threshold;
+
+  const now = Date.now();
+  const state = alertStates.get(sessionId) || { active: false, lastAboveAt: 0, lastAlertAt: 0 };
+  alertStates.set(sessionId, state);
+
+  if (!crossed) {
+    state.active = false;
+    return null;
+  }
+
+  // Signals older than the window no longer count, so a quiet window ends the episode
+  const sameEpisode = state.active && now - state.lastAboveAt < settings.windowSeconds * 1000;
+  if (sameEpisode) {
+    state.lastAboveAt = now;
+    return null;
+  }
+  if (now - state.lastAlertAt < settings.cooldownSeconds * 1000) {
+    return null;
+  }
+  Object.assign(state, { active: true, lastAboveAt: now, lastAlertAt: now });
+
+  return {
+    alertId: uuidv4(),
+    sessionId,
+    level: settings.level,
+    ratio: Math.round(ratio * 100) / 100,
+    affectedStudents: affected.length,
+    presentStudents: present.length,
+    threshold: settings.threshold,
+    windowSeconds: settings.windowSeconds,
+    transcriptExcerpt: await latestTranscriptExcerpt(sessionId),
+    timestamp: new Date(now).toISOString()
+  };
+};
+
+// Store new alert settings (see alertSettingsFromInput) for a session
+const updateAlertSettings = async (sessionId, settings) => {
+  await database.run(`
+    UPDATE sessions
+    SET confusion_alert_threshold = ?, confusion_alert_level = ?,
+        confusion_alert_window_seconds = ?, confusion_alert_cooldown_seconds = ?
+    WHERE id = ?
+  `, [settings.threshold, settings.level, settings.windowSeconds, settings.cooldownSeconds, sessionId]);
+  alertStates.delete(sessionId);
+};
+
+const clearAlertState = (sessionId) => {
+  alertStates.delete(sessionId);
+};
+
+module.exports = {
+  CONFUSION_LEVELS,
+  isConfusionLevel,
+  alertSettingsFromInput,
+  alertSettingsFromRow,
+  alertSettingsPayload,
+  recordConfusionSignal,
+  evaluateConfusionAlert,
+  updateAlertSettings,
+  clearAlertState,
+  getConfusionTimeline
+};
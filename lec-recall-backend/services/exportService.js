@@ -0,0 +1,401 @@
+// Session exports: the tables behind every export format, and the CSV, zip, XLSX and
+// printable HTML renderers for them.
+
+const archiver = require('archiver');
+const ExcelJS = require('exceljs');
+const database = require('../config/database');
+const { rowToQuiz } = require('./questionTypes');
+
+const EXPORT_FORMATS = ['json', 'csv', 'zip', 'xlsx', 'html'];
+const CSV_ENTITIES = ['students', 'questions', 'answers', 'transcripts', 'student_questions', 'gradebook'];
+
+// Load everything an export needs. Resolves to null when the session does not exist.
+const loadSessionExport = async (sessionId) => {
+  const session = await database.get('SELECT * FROM sessions WHERE id = ?', [sessionId]);
+  if (!session) {
+    return null;
+  }
+
+  const [students, questions, answers, transcripts, studentQuestions] = await Promise.all([
+    // Reconnect tokens are secrets, so they are left out
+    database.all('SELECT id, session_id, name, joined_at FROM students WHERE session_id = ? ORDER BY joined_at ASC', [sessionId]),
+    database.all(
+      "SELECT * FROM questions WHERE session_id = ? AND status = 'published' ORDER BY created_at ASC",
+      [sessionId]
+    ),
+    database.all(`
+      SELECT sa.*, q.formatted_question, st.name as student_name
+      FROM student_answers sa
+      JOIN questions q ON sa.question_id = q.id
+      JOIN students st ON sa.student_id = st.id
+      WHERE q.session_id = ? AND q.status = 'published'
+      ORDER BY sa.answered_at ASC
+    `, [sessionId]),
+    database.all('SELECT * FROM transcripts WHERE session_id = ? ORDER BY start_seconds ASC, timestamp ASC', [sessionId]),
+    // Student questions are anonymous, so the asker is left out
+    database.all(`
+      SELECT id, text, status, upvotes, created_at, resolved_at FROM student_questions
+      WHERE session_id = ? ORDER BY upvotes DESC, created_at ASC
+    `, [sessionId])
+  ]);
+
+  return { session, students, questions, answers, transcripts, studentQuestions };
+};
+
+// Offset into the recording as m:ss, e.g. "12:05"
+const formatOffset = (seconds) => {
+  if (seconds === null || seconds === undefined) {
+    return '';
+  }
+  const whole = Math.floor(seconds);
+  return `${Math.floor(whole / 60)}:${(whole % 60).toString().padStart(2, '0')}`;
+};
+
+const percentage = (part, total) => (total > 0 ? Math.round((part / total) * 100) : null);
+
+// "A: text | B: text" for questions with options
+const describeOptions = (quiz) => (quiz.options
+  ? Object.entries(quiz.options).map(([key, text]) => `${key}: ${text}`).join(' | ')
+  : '');
+
+// Flatten the export data into named tables of { columns: [{ key, header }], rows }.
+// The same tables back the CSV, zip, XLSX and HTML formats.
+const buildExportTables = ({ students, questions, answers, transcripts, studentQuestions }) => {
+  const questionNumbers = new Map(questions.map((q, index) => [q.id, index + 1]));
+  const answersByStudent = new Map(students.map(st => [st.id, new Map()]));
+  answers.forEach(answer => {
+    const studentAnswers = answersByStudent.get(answer.student_id);
+    if (studentAnswers) {
+      studentAnswers.set(answer.question_id, answer);
+    }
+  });
+
+  const studentRows = students.map(st => {
+    const studentAnswers = [...answersByStudent.get(st.id).values()];
+    const correct = studentAnswers.filter(a => a.is_correct === 1).length;
+    return {
+      id: st.id,
+      name: st.name,
+      joinedAt: st.joined_at,
+      answered: studentAnswers.length,
+      correct,
+      score: percentage(correct, questions.length),
+      points: studentAnswers.reduce((total, a) => total + (a.points || 0), 0)
+    };
+  });
+
+  const questionRows = questions.map(q => {
+    const quiz = rowToQuiz(q);
+    const questionAnswers = answers.filter(a => a.question_id === q.id);
+    const correct = questionAnswers.filter(a => a.is_correct === 1).length;
+    return {
+      number: questionNumbers.get(q.id),
+      id: q.id,
+      type: quiz.type,
+      question: quiz.question,
+      options: describeOptions(quiz),
+      correctAnswer: q.correct_answer,
+      source: q.source,
+      createdAt: q.created_at,
+      answers: questionAnswers.length,
+      correct,
+      accuracy: percentage(correct, questionAnswers.length)
+    };
+  });
+
+  const answerRows = answers.map(a => ({
+    id: a.id,
+    questionNumber: questionNumbers.get(a.question_id),
+    question: a.formatted_question,
+    student: a.student_name,
+    answer: a.selected_answer,
+    isCorrect: a.is_correct === 1 ? 'yes' : 'no',
+    confidence: a.confidence,
+    responseSeconds: a.response_ms === null || a.response_ms === undefined ? null : a.response_ms / 1000,
+    points: a.points,
+    answeredAt: a.answered_at
+  }));
+
+  // One row per student, one column per question: 1 correct, 0 incorrect, blank unanswered
+  const gradebookRows = students.map((st, index) => {
+    const row = {
+      student: st.name,
+      answered: studentRows[index].answered,
+      correct: studentRows[index].correct,
+      score: studentRows[index].score
+    };
+    questions.forEach(q => {
+      const answer = answersByStudent.get(st.id).get(q.id);
+      row[`q${questionNumbers.get(q.id)}`] = answer ? answer.is_correct : null;
+    });
+    return row;
+  });
+
+  return {
+    gradebook: {
+      columns: [
+        { key: 'student', header: 'Student' },
+        { key: 'answered', header: 'Answered' },
+        { key: 'correct', header: 'Correct' },
+        { key: 'score', header: 'Score (%)' },
+        ...questions.map(q => {
+          const number = questionNumbers.get(q.id);
+          return { key: `q${number}`, header: `Q${number}: ${q.formatted_question}` };
+        })
+      ],
+      rows: gradebookRows
+    },
+    students: {
+      columns: [
+        { key: 'id', header: 'Student ID' },
+        { key: 'name', header: 'Name' },
+        { key: 'joinedAt', header: 'Joined At' },
+        { key: 'answered', header: 'Questions Answered' },
+        { key: 'correct', header: 'Correct Answers' },
+        { key: 'score', header: 'Score (%)' },
+        { key: 'points', header: 'Points' }
+      ],
+      rows: studentRows
+    },
+    questions: {
+      columns: [
+        { key: 'number', header: 'Number' },
+        { key: 'id', header: 'Question ID' },
+        { key: 'type', header: 'Type' },
+        { key: 'question', header: 'Question' },
+        { key: 'options', header: 'Options' },
+        { key: 'correctAnswer', header: 'Correct Answer' },
+        { key: 'source', header: 'Source' },
+        { key: 'createdAt', header: 'Asked At' },
+        { key: 'answers', header: 'Answers' },
+        { key: 'correct', header: 'Correct Answers' },
+        { key: 'accuracy', header: 'Accuracy (%)' }
+      ],
+      rows: questionRows
+    },
+    answers: {
+      columns: [
+        { key: 'id', header: 'Answer ID' },
+        { key: 'questionNumber', header: 'Question Number' },
+        { key: 'question', header: 'Question' },
+        { key: 'student', header: 'Student' },
+        { key: 'answer', header: 'Answer' },
+        { key: 'isCorrect', header: 'Correct' },
+        { key: 'confidence', header: 'Confidence' },
+        { key: 'responseSeconds', header: 'Response Time (s)' },
+        { key: 'points', header: 'Points' },
+        { key: 'answeredAt', header: 'Answered At' }
+      ],
+      rows: answerRows
+    },
+    transcripts: {
+      columns: [
+        { key: 'start', header: 'Start (s)' },
+        { key: 'end', header: 'End (s)' },
+        { key: 'speaker', header: 'Speaker' },
+        { key: 'text', header: 'Text' },
+        { key: 'originalText', header: 'Original Text' },
+        { key: 'confidence', header: 'Confidence' },
+        { key: 'edited', header: 'Edited' },
+        { key: 'timestamp', header: 'Timestamp' }
+      ],
+      rows: transcripts.map(t => ({
+        start: t.start_seconds,
+        end: t.end_seconds,
+        speaker: t.speaker,
+        text: t.text_chunk,
+        originalText: t.is_edited ? t.original_text : '',
+        confidence: t.confidence,
+        edited: t.is_edited ? 'Yes' : 'No',
+        timestamp: t.timestamp
+      }))
+    },
+    student_questions: {
+      columns: [
+        { key: 'text', header: 'Question' },
+        { key: 'upvotes', header: 'Upvotes' },
+        { key: 'status', header: 'Status' },
+        { key: 'askedAt', header: 'Asked At' },
+        { key: 'resolvedAt', header: 'Resolved At' }
+      ],
+      rows: studentQuestions.map(q => ({
+        text: q.text,
+        upvotes: q.upvotes,
+        status: q.status,
+        askedAt: q.created_at,
+        resolvedAt: q.resolved_at
+      }))
+    }
+  };
+};
+
+// Quote a CSV field when needed. Text starting with a formula character is prefixed with
+// an apostrophe so spreadsheet apps do not evaluate student-supplied names or answers.
+const csvField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// RFC 4180 CSV with a header row and CRLF line endings
+const toCsv = ({ columns, rows }) => [
+  columns.map(column => csvField(column.header)).join(','),
+  ...rows.map(row => columns.map(column => csvField(row[column.key])).join(','))
+].join('\r\n') + '\r\n';
+
+// Stream every table as a CSV file inside a zip archive
+const pipeCsvBundle = (tables, baseName, res) => new Promise((resolve, reject) => {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  archive.on('error', reject);
+  archive.on('end', resolve);
+  archive.pipe(res);
+  Object.entries(tables).forEach(([name, table]) => {
+    archive.append(toCsv(table), { name: `${baseName}/${name}.csv` });
+  });
+  archive.finalize();
+});
+
+const SHEET_NAMES = {
+  gradebook: 'Gradebook',
+  students: 'Students',
+  questions: 'Questions',
+  answers: 'Answers',
+  transcripts: 'Transcript',
+  student_questions: 'Student Questions'
+};
+
+// Workbook with one sheet per table. Resolves to a Buffer.
+const buildWorkbook = async (data, tables) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Lec-Recall';
+  workbook.created = new Date();
+  workbook.title = data.session.session_name;
+
+  Object.entries(tables).forEach(([name, table]) => {
+    const sheet = workbook.addWorksheet(SHEET_NAMES[name], { views: [{ state: 'frozen', ySplit: 1 }] });
+    sheet.columns = table.columns.map(column => ({
+      header: column.header,
+      key: column.key,
+      width: Math.min(Math.max(column.header.length + 2, 12), 50)
+    }));
+    sheet.getRow(1).font = { bold: true };
+    table.rows.forEach(row => sheet.addRow(row));
+  });
+
+  return workbook.xlsx.writeBuffer();
+};
+
+const escapeHtml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const htmlTable = ({ columns, rows }, emptyMessage) => {
+  if (rows.length === 0) {
+    return `<p class="empty">${escapeHtml(emptyMessage)}</p>`;
+  }
+  return `<table>
+  <thead><tr>${columns.map(column => `<th>${escapeHtml(column.header)}</th>`).join('')}</tr></thead>
+  <tbody>
+${rows.map(row => `    <tr>${columns.map(column => `<td>${escapeHtml(row[column.key])}</td>`).join('')}</tr>`).join('\n')}
+  </tbody>
+</table>`;
+};
+
+// Self-contained session report, laid out for printing or saving as PDF from the browser
+const renderTranscriptLine = (row) => {
+  const speaker = row.speaker ? `<strong>${escapeHtml(row.speaker)}:</strong> ` : '';
+  return `  <p><span class="offset">${escapeHtml(formatOffset(row.start))}</span>${speaker}${escapeHtml(row.text)}</p>`;
+};
+
+const renderHtmlReport = (data, tables) => {
+  const { session, students, questions, answers } = data;
+  const correct = answers.filter(a => a.is_correct === 1).length;
+  const pick = (table, keys) => ({ ...table, columns: table.columns.filter(column => keys.includes(column.key)) });
+
+  // Question columns would not fit on a page, so the printed gradebook shows totals only
+  const gradebookSummary = pick(tables.gradebook, ['student', 'answered', 'correct', 'score']);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(session.session_name)} - Session Report</title>
+<style>
+  body { font-family: system-ui, -apple-system, 'Segoe UI', sans-serif; color: #1e293b; margin: 2rem; line-height: 1.5; }
+  h1 { margin-bottom: 0.25rem; }
+  h2 { border-bottom: 2px solid #e2e8f0; padding-bottom: 0.25rem; margin-top: 2rem; }
+  .meta { color: #64748b; }
+  .stats { display: flex; gap: 1rem; flex-wrap: wrap; }
+  .stat { border: 1px solid #e2e8f0; border-radius: 8px; padding: 0.75rem 1rem; min-width: 8rem; }
+  .stat strong { display: block; font-size: 1.5rem; }
+  table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+  th, td { border: 1px solid #cbd5e1; padding: 0.35rem 0.5rem; text-align: left; vertical-align: top; }
+  th { background: #f1f5f9; }
+  .transcript p { margin: 0 0 0.5rem; }
+  .transcript .offset { color: #64748b; font-variant-numeric: tabular-nums; margin-right: 0.5rem; }
+  .empty { color: #64748b; font-style: italic; }
+  .print-button { padding: 0.5rem 1rem; font-size: 1rem; cursor: pointer; }
+  @media print {
+    body { margin: 0; }
+    .print-button { display: none; }
+    h2 { page-break-after: avoid; }
+    tr { page-break-inside: avoid; }
+  }
+</style>
+</head>
+<body>
+<button class="print-button" onclick="window.print()">Print / Save as PDF</button>
+<h1>${escapeHtml(session.session_name)}</h1>
+<p class="meta">
+  Lecturer: ${escapeHtml(session.lecturer_name)} ·
+  Created: ${escapeHtml(session.created_at)}${session.ended_at ? ` · Ended: ${escapeHtml(session.ended_at)}` : ''} ·
+  Join code: ${escapeHtml(session.join_code)}
+</p>
+
+<h2>Summary</h2>
+<div class="stats">
+  <div class="stat"><strong>${students.length}</strong>Students</div>
+  <div class="stat"><strong>${questions.length}</strong>Questions</div>
+  <div class="stat"><strong>${answers.length}</strong>Answers</div>
+  <div class="stat"><strong>${answers.length > 0 ? `${percentage(correct, answers.length)}%` : '-'}</strong>Accuracy</div>
+</div>
+
+<h2>Questions</h2>
+${htmlTable(pick(tables.questions, ['number', 'type', 'question', 'options', 'correctAnswer', 'answers', 'accuracy']), 'No questions were asked.')}
+
+<h2>Gradebook</h2>
+${htmlTable(gradebookSummary, 'No students joined.')}
+
+<h2>Student Questions</h2>
+${htmlTable(pick(tables.student_questions, ['text', 'upvotes', 'status']), 'Students did not ask any questions.')}
+
+<h2>Transcript</h2>
+<div class="transcript">
+${tables.transcripts.rows.length > 0
+    ? tables.transcripts.rows.map(renderTranscriptLine).join('\n')
+    : '  <p class="empty">No transcript was recorded.</p>'}
+</div>
+<p class="meta">Exported ${escapeHtml(new Date().toISOString())}</p>
+</body>
+</html>
+`;
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  CSV_ENTITIES,
+  loadSessionExport,
+  buildExportTables,
+  toCsv,
+  pipeCsvBundle,
+  buildWorkbook,
+  renderHtmlReport
+};
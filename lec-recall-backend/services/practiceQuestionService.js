@@ -0,0 +1,131 @@
+// Practice questions proposed after the lecture. Question detection is re-run over the stored
+// (and possibly corrected) transcript, window by window, and quizzes are generated for the
+// questions the live lecture did not turn into quizzes. Proposals are not stored; lecturers keep
+// the ones they want by adding them to their question bank.
+
+const database = require('../config/database');
+const { detectQuestion, generateQuiz, getProviderName, AIResponseError } = require('./aiService');
+const { readQuizInput } = require('./quizService');
+const { DEFAULT_QUESTION_TYPE, quizToColumns } = require('./questionTypes');
+const { resolveWindowSettings, countWords, detectionContext } = require('./transcriptWindow');
+const { getTranscriptSegments } = require('./transcriptService');
+
+// Most proposals made in one run; detection stops once this many were found
+const MAX_PROPOSALS = 10;
+
+// Share of distinct words two questions must have in common to count as the same question
+const DUPLICATE_SIMILARITY = 0.6;
+
+const significantWords = (text) => new Set(
+  String(text).toLowerCase().split(/[^a-z0-9]+/).filter(word => word.length > 2)
+);
+
+const similarity = (a, b) => {
+  const wordsA = significantWords(a);
+  const wordsB = significantWords(b);
+  if (wordsA.size === 0 || wordsB.size === 0) {
+    return 0;
+  }
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  return shared / (wordsA.size + wordsB.size - shared);
+};
+
+const isKnownQuestion = (question, knownQuestions) => (
+  knownQuestions.some(known => similarity(question, known) >= DUPLICATE_SIMILARITY)
+);
+
+// Group segments into consecutive windows of about `windowWords` words, like the live detector sees
+const buildDetectionWindows = (segments, windowWords) => {
+  const windows = [];
+  let current = null;
+
+  segments.forEach(segment => {
+    if (!current) {
+      current = { texts: [], words: 0, start: segment.start, end: segment.end };
+    }
+    current.texts.push(segment.text);
+    current.words += countWords(segment.text);
+    current.end = Math.max(current.end, segment.end);
+    if (current.words >= windowWords) {
+      windows.push(current);
+      current = null;
+    }
+  });
+  if (current) {
+    windows.push(current);
+  }
+
+  return windows.map(({ texts, start, end }) => ({ text: texts.join(' '), start, end }));
+};
+
+// Re-run question detection over the session's transcript. Resolves to { proposals, errors,
+// windowsChecked }: each proposal is a normalized quiz with its display `correctAnswer`, the
+// `detectedQuestion`, the window's `originalText` and its `start`/`end` offsets. AI failures
+// for single windows are reported in `errors` without stopping the run.
+const proposePracticeQuestions = async (sessionId) => {
+  const [session, { segments }, existing] = await Promise.all([
+    database.get('SELECT question_type, detection_window_words FROM sessions WHERE id = ?', [sessionId]),
+    getTranscriptSegments(sessionId),
+    database.all('SELECT formatted_question FROM questions WHERE session_id = ?', [sessionId])
+  ]);
+  const type = (session && session.question_type) || DEFAULT_QUESTION_TYPE;
+  const { windowWords } = resolveWindowSettings({ windowWords: session && session.detection_window_words });
+
+  const windows = buildDetectionWindows(segments, windowWords);
+  const knownQuestions = existing.map(row => row.formatted_question);
+  const proposals = [];
+  const errors = [];
+  let windowsChecked = 0;
+
+  // One window at a time, so a long lecture does not flood the AI provider
+  for (const [index, window] of windows.entries()) {
+    if (proposals.length >= MAX_PROPOSALS) {
+      break;
+    }
+    windowsChecked += 1;
+
+    let detection = null;
+    try {
+      detection = await detectQuestion(window.text);
+      if (!detection.hasQuestion || !detection.question || isKnownQuestion(detection.question, knownQuestions)) {
+        continue;
+      }
+
+      const previousText = index > 0 ? windows[index - 1].text : '';
+      const generated = await generateQuiz(detection.question, detectionContext(`${previousText} ${window.text}`), type);
+      const { errors: quizErrors, quiz } = readQuizInput(generated);
+      if (quizErrors.length > 0) {
+        throw new AIResponseError('schema_mismatch', `${getProviderName()} returned an unusable ${type} quiz`, {
+          provider: getProviderName(),
+          task: 'quiz-generation',
+          details: quizErrors
+        });
+      }
+
+      knownQuestions.push(detection.question, quiz.question);
+      proposals.push({
+        ...quiz,
+        correctAnswer: quizToColumns(quiz).correct_answer,
+        detectedQuestion: detection.question,
+        originalText: window.text,
+        start: window.start,
+        end: window.end
+      });
+    } catch (error) {
+      if (!(error instanceof AIResponseError)) {
+        throw error;
+      }
+      errors.push({
+        ...error.toJSON(),
+        question: detection ? detection.question : null,
+        start: window.start
+      });
+    }
+  }
+
+  return { proposals, errors, windowsChecked };
+};
+
+module.exports = {
+  proposePracticeQuestions
+};
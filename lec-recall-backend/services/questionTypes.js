@@ -0,0 +1,401 @@
+// Question types: how each kind of quiz is validated and stored, how student answers
+// are normalized and how they are graded.
+//
+// A quiz is { type, question, options, answerKey }:
+//   options    - { key: text } shown to students for choice and ordering questions, otherwise null
+//   answerKey  - type-specific, never sent to students while the quiz is open
+//     multiple_choice  { correct: 'B' }
+//     true_false       { correct: 'true' }
+//     multi_select     { correct: ['A', 'C'] }
+//     short_text       { modelAnswer, keywords: [...], minKeywords, grading: 'keywords' | 'ai' }
+//     numeric          { value, tolerance }
+//     ordering         { order: ['C', 'A', 'B'] }  (option keys in the correct order)
+//
+// Student answers are stored as a canonical string (see normalizeAnswer) so they fit the
+// existing student_answers.selected_answer column.
+
+const aiService = require('./aiService');
+
+const QUESTION_TYPES = ['multiple_choice', 'true_false', 'multi_select', 'short_text', 'numeric', 'ordering'];
+const DEFAULT_QUESTION_TYPE = 'multiple_choice';
+
+const CHOICE_KEYS = ['A', 'B', 'C', 'D', 'E', 'F'];
+const MULTIPLE_CHOICE_KEYS = ['A', 'B', 'C', 'D'];
+const TRUE_FALSE_OPTIONS = { true: 'True', false: 'False' };
+const MAX_QUESTION_LENGTH = 500;
+const MAX_TEXT_ANSWER_LENGTH = 500;
+
+const isText = (value) => typeof value === 'string' && value.trim().length > 0;
+
+// Lowercase, strip punctuation and collapse whitespace for text comparisons. A full stop is
+// only kept between digits, as in 3.14.
+const normalizeText = (text) => String(text)
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}\s.]/gu, ' ')
+  .replace(/(?<!\p{N})\.|\.(?!\p{N})/gu, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// A finite number given as a number or as numeric text, otherwise null. Number() alone would
+// read null, true and blank text as numbers.
+const readNumber = (value) => {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (!isText(value)) {
+    return null;
+  }
+  const number = Number(value.trim());
+  return Number.isFinite(number) ? number : null;
+};
+
+// Tolerance of a numeric answer key; leaving it out means the value must match exactly
+const readTolerance = (answerKey) => (
+  answerKey.tolerance === undefined || answerKey.tolerance === null || answerKey.tolerance === ''
+    ? 0
+    : readNumber(answerKey.tolerance)
+);
+
+// Parse a list answer given as an array or a comma separated string
+const toKeyList = (raw) => {
+  const list = Array.isArray(raw) ? raw : String(raw).split(',');
+  return list.map(key => String(key).trim().toUpperCase()).filter(Boolean);
+};
+
+// Options must use consecutive keys from A with non-empty text
+const validateChoiceOptions = (options, { min, max, label }) => {
+  if (!options || typeof options !== 'object') {
+    return [`${label} are required`];
+  }
+  const keys = Object.keys(options);
+  const expected = CHOICE_KEYS.slice(0, keys.length);
+  if (keys.length < min || keys.length > max || keys.some((key, index) => key !== expected[index])) {
+    return [min === max
+      ? `${label} ${expected.slice(0, min).join(', ')} are required`
+      : `Between ${min} and ${max} ${label.toLowerCase()} are required, labelled from A`];
+  }
+  if (keys.some(key => !isText(options[key]))) {
+    return [`${label} must not be empty`];
+  }
+  return [];
+};
+
+const trimOptions = (options) => Object.fromEntries(
+  Object.entries(options).map(([key, text]) => [key, String(text).trim()])
+);
+
+const handlers = {
+  multiple_choice: {
+    validate: ({ options, answerKey }) => {
+      const errors = validateChoiceOptions(options, { min: 4, max: 4, label: 'Options' });
+      if (!answerKey || !MULTIPLE_CHOICE_KEYS.includes(answerKey.correct)) {
+        errors.push('Correct answer must be A, B, C or D');
+      }
+      return errors;
+    },
+    normalize: (quiz) => ({ ...quiz, options: trimOptions(quiz.options), answerKey: { correct: quiz.answerKey.correct } }),
+    normalizeAnswer: (quiz, raw) => {
+      const key = String(raw).trim().toUpperCase();
+      return quiz.options[key] ? key : null;
+    },
+    grade: (quiz, answer) => answer === quiz.answerKey.correct,
+    describe: ({ answerKey }) => answerKey.correct
+  },
+
+  true_false: {
+    validate: ({ answerKey }) => {
+      const correct = answerKey && String(answerKey.correct).toLowerCase();
+      return correct === 'true' || correct === 'false' ? [] : ['Correct answer must be true or false'];
+    },
+    normalize: (quiz) => ({
+      ...quiz,
+      options: { ...TRUE_FALSE_OPTIONS },
+      answerKey: { correct: String(quiz.answerKey.correct).toLowerCase() }
+    }),
+    normalizeAnswer: (quiz, raw) => {
+      const value = String(raw).trim().toLowerCase();
+      return value === 'true' || value === 'false' ? value : null;
+    },
+    grade: (quiz, answer) => answer === quiz.answerKey.correct,
+    describe: ({ answerKey }) => answerKey.correct
+  },
+
+  multi_select: {
+    validate: ({ options, answerKey }) => {
+      const errors = validateChoiceOptions(options, { min: 3, max: 6, label: 'Options' });
+      const correct = answerKey && Array.isArray(answerKey.correct) ? toKeyList(answerKey.correct) : [];
+      if (correct.length === 0 || (options && correct.some(key => !options[key]))) {
+        errors.push('Select at least one correct option');
+      }
+      return errors;
+    },
+    normalize: (quiz) => ({
+      ...quiz,
+      options: trimOptions(quiz.options),
+      answerKey: { correct: [...new Set(toKeyList(quiz.answerKey.correct))].sort() }
+    }),
+    normalizeAnswer: (quiz, raw) => {
+      const keys = [...new Set(toKeyList(raw))].sort();
+      return keys.length > 0 && keys.every(key => quiz.options[key]) ? keys.join(',') : null;
+    },
+    grade: (quiz, answer) => answer === quiz.answerKey.correct.join(','),
+    describe: ({ answerKey }) => answerKey.correct.join(',')
+  },
+
+  short_text: {
+    validate: ({ answerKey }) => {
+      const errors = [];
+      if (!answerKey || !isText(answerKey.modelAnswer)) {
+        errors.push('A model answer is required');
+      }
+      if (answerKey && answerKey.keywords !== undefined &&
+          (!Array.isArray(answerKey.keywords) || answerKey.keywords.some(keyword => typeof keyword !== 'string'))) {
+        errors.push('Keywords must be a list of words');
+      }
+      if (answerKey && answerKey.grading !== undefined && !['keywords', 'ai'].includes(answerKey.grading)) {
+        errors.push('Grading must be keywords or ai');
+      }
+      return errors;
+    },
+    normalize: (quiz) => {
+      const keywords = (quiz.answerKey.keywords || []).map(keyword => keyword.trim()).filter(Boolean);
+      const minKeywords = parseInt(quiz.answerKey.minKeywords, 10);
+      return {
+        ...quiz,
+        options: null,
+        answerKey: {
+          modelAnswer: quiz.answerKey.modelAnswer.trim(),
+          keywords,
+          minKeywords: Number.isNaN(minKeywords) ? keywords.length : Math.min(Math.max(minKeywords, 1), keywords.length),
+          grading: quiz.answerKey.grading || 'keywords'
+        }
+      };
+    },
+    normalizeAnswer: (quiz, raw) => {
+      const text = String(raw).trim();
+      return text && text.length <= MAX_TEXT_ANSWER_LENGTH ? text : null;
+    },
+    grade: async (quiz, answer) => {
+      if (quiz.answerKey.grading === 'ai') {
+        const verdict = await aiService.gradeShortAnswer(quiz.question, quiz.answerKey, answer);
+        if (verdict !== null) {
+          return verdict;
+        }
+      }
+      return gradeByKeywords(quiz.answerKey, answer);
+    },
+    describe: ({ answerKey }) => answerKey.modelAnswer
+  },
+
+  numeric: {
+    validate: ({ answerKey }) => {
+      if (!answerKey || typeof answerKey !== 'object') {
+        return ['The correct value must be a number'];
+      }
+      const errors = [];
+      if (readNumber(answerKey.value) === null) {
+        errors.push('The correct value must be a number');
+      }
+      const tolerance = readTolerance(answerKey);
+      if (tolerance === null || tolerance < 0) {
+        errors.push('Tolerance must be zero or a positive number');
+      }
+      return errors;
+    },
+    normalize: (quiz) => ({
+      ...quiz,
+      options: null,
+      answerKey: {
+        value: readNumber(quiz.answerKey.value),
+        tolerance: readTolerance(quiz.answerKey)
+      }
+    }),
+    normalizeAnswer: (quiz, raw) => {
+      const text = String(raw).trim();
+      const value = Number(text);
+      return text !== '' && Number.isFinite(value) ? String(value) : null;
+    },
+    // Small epsilon so 0.1 + 0.2 style rounding does not fail an exact answer
+    grade: (quiz, answer) => Math.abs(Number(answer) - quiz.answerKey.value) <= quiz.answerKey.tolerance + 1e-9,
+    describe: ({ answerKey }) => (answerKey.tolerance ? `${answerKey.value} ± ${answerKey.tolerance}` : String(answerKey.value))
+  },
+
+  ordering: {
+    validate: ({ options, answerKey }) => {
+      const errors = validateChoiceOptions(options, { min: 3, max: 6, label: 'Items' });
+      const order = answerKey && Array.isArray(answerKey.order) ? toKeyList(answerKey.order) : [];
+      const keys = options ? Object.keys(options) : [];
+      if (order.length !== keys.length || [...order].sort().join(',') !== [...keys].sort().join(',')) {
+        errors.push('The correct order must list every item exactly once');
+      }
+      return errors;
+    },
+    normalize: (quiz) => ({ ...quiz, options: trimOptions(quiz.options), answerKey: { order: toKeyList(quiz.answerKey.order) } }),
+    normalizeAnswer: (quiz, raw) => {
+      const order = toKeyList(raw);
+      const keys = Object.keys(quiz.options);
+      return order.length === keys.length && [...order].sort().join(',') === [...keys].sort().join(',')
+        ? order.join(',')
+        : null;
+    },
+    grade: (quiz, answer) => answer === quiz.answerKey.order.join(','),
+    describe: ({ answerKey }) => answerKey.order.join(',')
+  }
+};
+
+// Correct when the answer matches the model answer or mentions enough of the keywords
+const gradeByKeywords = (answerKey, answer) => {
+  const normalizedAnswer = ` ${normalizeText(answer)} `;
+  if (normalizedAnswer.trim() === normalizeText(answerKey.modelAnswer)) {
+    return true;
+  }
+  if (answerKey.keywords.length === 0) {
+    return false;
+  }
+  const matched = answerKey.keywords
+    .filter(keyword => normalizedAnswer.includes(` ${normalizeText(keyword)} `))
+    .length;
+  return matched >= answerKey.minKeywords;
+};
+
+const isQuestionType = (type) => QUESTION_TYPES.includes(type);
+
+// Check a quiz written by a lecturer or produced by the AI. Returns a list of problems.
+const validateQuiz = (quiz) => {
+  if (!quiz || !isQuestionType(quiz.type)) {
+    return [`Question type must be one of ${QUESTION_TYPES.join(', ')}`];
+  }
+
+  const errors = [];
+  if (!isText(quiz.question)) {
+    errors.push('Question text is required');
+  } else if (quiz.question.trim().length > MAX_QUESTION_LENGTH) {
+    errors.push(`Question text must be at most ${MAX_QUESTION_LENGTH} characters`);
+  }
+
+  return errors.concat(handlers[quiz.type].validate(quiz));
+};
+
+// Build a quiz from a request or socket payload. Payloads without a type are four-option
+// multiple choice with a letter correctAnswer, as sent before question types existed.
+const quizFromInput = ({ type = DEFAULT_QUESTION_TYPE, question, options, answerKey, correctAnswer }) => ({
+  type,
+  question,
+  options,
+  answerKey: answerKey || (correctAnswer !== undefined ? { correct: correctAnswer } : undefined)
+});
+
+// Trim text and coerce answer keys into their stored form. Call after validateQuiz.
+const normalizeQuiz = (quiz) => handlers[quiz.type].normalize({
+  type: quiz.type,
+  question: quiz.question.trim(),
+  options: quiz.options || null,
+  answerKey: quiz.answerKey
+});
+
+// Ordering items are authored in the correct order; relabel them in a shuffled order so
+// the display order does not give the answer away
+const shuffleOrderingItems = (quiz) => {
+  if (quiz.type !== 'ordering') {
+    return quiz;
+  }
+
+  const correctTexts = quiz.answerKey.order.map(key => quiz.options[key]);
+  const positions = correctTexts.map((_, index) => index);
+  do {
+    for (let i = positions.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [positions[i], positions[j]] = [positions[j], positions[i]];
+    }
+  } while (positions.every((position, index) => position === index));
+
+  const options = {};
+  const keyForPosition = {};
+  positions.forEach((position, index) => {
+    options[CHOICE_KEYS[index]] = correctTexts[position];
+    keyForPosition[position] = CHOICE_KEYS[index];
+  });
+
+  return {
+    ...quiz,
+    options,
+    answerKey: { order: correctTexts.map((_, position) => keyForPosition[position]) }
+  };
+};
+
+// Canonical string form of the correct answer, stored in correct_answer and shown on reveal
+const describeAnswer = (quiz) => handlers[quiz.type].describe(quiz);
+
+// Canonical stored form of a student's answer, or null when it is not a valid answer
+const normalizeAnswer = (quiz, raw) => {
+  if (raw === undefined || raw === null) {
+    return null;
+  }
+  return handlers[quiz.type].normalizeAnswer(quiz, raw);
+};
+
+// Grade a normalized answer
+const gradeAnswer = async (quiz, answer) => Boolean(await handlers[quiz.type].grade(quiz, answer));
+
+// Count normalized answers per option for choice questions (a multi-select answer counts
+// towards each chosen option) and per distinct answer for the other types
+const tallyAnswers = (quiz, answers) => {
+  const tally = {};
+  if (quiz.options && quiz.type !== 'ordering') {
+    Object.keys(quiz.options).forEach(key => { tally[key] = 0; });
+  }
+  answers.forEach(answer => {
+    const keys = quiz.type === 'multi_select' ? answer.split(',') : [answer];
+    keys.forEach(key => { tally[key] = (tally[key] || 0) + 1; });
+  });
+  return tally;
+};
+
+// Columns shared by the questions and question_bank tables
+const quizToColumns = (quiz) => {
+  const hasLetterOptions = quiz.options && MULTIPLE_CHOICE_KEYS.every(key => quiz.options[key] !== undefined);
+  return {
+    question_type: quiz.type,
+    options: quiz.options ? JSON.stringify(quiz.options) : null,
+    answer_key: JSON.stringify(quiz.answerKey),
+    correct_answer: describeAnswer(quiz),
+    // Kept for four-option questions so per-option analytics keep working
+    option_a: hasLetterOptions ? quiz.options.A : null,
+    option_b: hasLetterOptions ? quiz.options.B : null,
+    option_c: hasLetterOptions ? quiz.options.C : null,
+    option_d: hasLetterOptions ? quiz.options.D : null
+  };
+};
+
+// Read a quiz from a questions or question_bank row. Rows written before question types
+// existed only have the four option columns and a letter answer.
+const rowToQuiz = (row) => {
+  const type = row.question_type || DEFAULT_QUESTION_TYPE;
+  const options = row.options
+    ? JSON.parse(row.options)
+    : (row.option_a ? { A: row.option_a, B: row.option_b, C: row.option_c, D: row.option_d } : null);
+  const answerKey = row.answer_key ? JSON.parse(row.answer_key) : { correct: row.correct_answer };
+
+  return {
+    type,
+    question: row.formatted_question !== undefined ? row.formatted_question : row.question,
+    options,
+    answerKey
+  };
+};
+
+module.exports = {
+  QUESTION_TYPES,
+  DEFAULT_QUESTION_TYPE,
+  isQuestionType,
+  quizFromInput,
+  validateQuiz,
+  normalizeQuiz,
+  shuffleOrderingItems,
+  describeAnswer,
+  normalizeAnswer,
+  gradeAnswer,
+  tallyAnswers,
+  quizToColumns,
+  rowToQuiz
+};
@@ -0,0 +1,464 @@
+const { v4: uuidv4 } = require('uuid');
+const database = require('../config/database');
+const {
+  validateQuiz,
+  normalizeQuiz,
+  shuffleOrderingItems,
+  normalizeAnswer,
+  gradeAnswer,
+  tallyAnswers,
+  quizToColumns,
+  rowToQuiz,
+  quizFromInput
+} = require('./questionTypes');
+const { scoreAnswer } = require('./scoringService');
+
+// Global quiz timer tracking
+// A question stays open (and its answer hidden from students) while it has an entry here.
+// The open/close times are also stored on the question so timers survive a server restart.
+// Times are in ms; `pausedAt` is set while the lecturer has paused the countdown.
+const activeQuizTimers = new Map(); // sessionId -> { questionId, startTime, closesAt, pausedAt, timeout }
+
+// Milliseconds a running quiz has left. A paused quiz keeps the time it had when paused.
+const timeRemaining = (timer) => Math.max(0, timer.closesAt - (timer.pausedAt || Date.now()));
+
+// Timer of a running quiz as sent to clients. Clients count down to `closesAt` (ms since epoch)
+// unless the quiz is `paused`; `timeLimit` is the full length in seconds including extensions.
+const describeQuizTimer = (timer) => ({
+  questionId: timer.questionId,
+  startTime: timer.startTime,
+  closesAt: timer.closesAt,
+  timeLimit: Math.round((timer.closesAt - timer.startTime) / 1000),
+  timeRemaining: Math.ceil(timeRemaining(timer) / 1000),
+  paused: Boolean(timer.pausedAt)
+});
+
+// How sure a student can say they are of an answer. Saying it is optional.
+const CONFIDENCE_LEVELS = ['sure', 'unsure', 'guessing'];
+
+// Check whether a question is still accepting answers
+const isQuestionOpen = (sessionId, questionId) => {
+  const timer = activeQuizTimers.get(sessionId);
+  return Boolean(timer && timer.questionId === questionId);
+};
+
+// Format a questions row for students. The correct answer is only included once the quiz has closed.
+const formatQuestionForStudent = (row, { includeAnswer = false } = {}) => {
+  const quiz = rowToQuiz(row);
+  const formatted = {
+    questionId: row.id,
+    type: quiz.type,
+    question: quiz.question,
+    options: quiz.options,
+    answered: false,
+    selectedAnswer: null
+  };
+
+  if (includeAnswer) {
+    formatted.correctAnswer = row.correct_answer;
+    formatted.revealed = true;
+  }
+
+  return formatted;
+};
+
+// Format a questions row for the lecturer, including the answer key and the source transcript
+const formatQuestionForLecturer = (row) => {
+  const quiz = rowToQuiz(row);
+  return {
+    questionId: row.id,
+    type: quiz.type,
+    question: quiz.question,
+    options: quiz.options,
+    answerKey: quiz.answerKey,
+    correctAnswer: row.correct_answer,
+    originalText: row.original_text,
+    status: row.status,
+    source: row.source,
+    rerunOf: row.rerun_of || null,
+    resultsShared: row.results_shared === 1
+  };
+};
+
+// Read a lecturer-supplied quiz from a request or socket payload.
+// Returns { errors, quiz } where quiz is normalized and only set when there are no errors.
+const readQuizInput = (input) => {
+  const quiz = quizFromInput(input || {});
+  const errors = validateQuiz(quiz);
+  return errors.length > 0 ? { errors } : { errors, quiz: normalizeQuiz(quiz) };
+};
+
+// Store a normalized quiz as a new question and resolve to its lecturer view.
+// Pending questions are hidden from students until published.
+// `source` records where it came from: detected, manual or bank.
+// `rerunOf` links a re-run to the question it repeats.
+const createQuestion = async ({
+  sessionId,
+  originalText = '',
+  quiz,
+  status = 'published',
+  source = 'detected',
+  bankQuestionId = null,
+  rerunOf = null
+}) => {
+  const questionId = uuidv4();
+  const columns = quizToColumns(shuffleOrderingItems(quiz));
+
+  await database.run(`
+    INSERT INTO questions (id, session_id, original_text, formatted_question, question_type, options, answer_key,
+                           option_a, option_b, option_c, option_d, correct_answer, status, source, bank_question_id, rerun_of)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    questionId, sessionId, originalText, quiz.question, columns.question_type, columns.options, columns.answer_key,
+    columns.option_a, columns.option_b, columns.option_c, columns.option_d, columns.correct_answer,
+    status, source, bankQuestionId, rerunOf
+  ]);
+
+  const row = await database.get('SELECT * FROM questions WHERE id = ?', [questionId]);
+  return formatQuestionForLecturer(row);
+};
+
+// Questions waiting for the lecturer's review, oldest first
+const getPendingQuestions = async (sessionId) => {
+  const rows = await database.all(
+    "SELECT * FROM questions WHERE session_id = ? AND status = 'pending' ORDER BY created_at ASC",
+    [sessionId]
+  );
+  return rows.map(formatQuestionForLecturer);
+};
+
+// Replace a pending question with the lecturer's edited (normalized) quiz and mark it published.
+// Resolves to the published question, or null when no such pending question exists.
+const publishPendingQuestion = async (sessionId, questionId, quiz) => {
+  const columns = quizToColumns(shuffleOrderingItems(quiz));
+  const result = await database.run(`
+    UPDATE questions
+    SET formatted_question = ?, question_type = ?, options = ?, answer_key = ?,
+        option_a = ?, option_b = ?, option_c = ?, option_d = ?, correct_answer = ?, status = 'published'
+    WHERE id = ? AND session_id = ? AND status = 'pending'
+  `, [
+    quiz.question, columns.question_type, columns.options, columns.answer_key,
+    columns.option_a, columns.option_b, columns.option_c, columns.option_d, columns.correct_answer,
+    questionId, sessionId
+  ]);
+
+  if (result.changes === 0) {
+    return null;
+  }
+
+  const row = await database.get('SELECT * FROM questions WHERE id = ?', [questionId]);
+  return formatQuestionForLecturer(row);
+};
+
+// Remove a pending question. Resolves to false when no such pending question exists.
+const discardPendingQuestion = async (sessionId, questionId) => {
+  const result = await database.run(
+    "DELETE FROM questions WHERE id = ? AND session_id = ? AND status = 'pending'",
+    [questionId, sessionId]
+  );
+  return result.changes > 0;
+};
+
+// Error for a rejected answer. `code` tells clients why: question_not_found, not_in_session,
+// quiz_closed, invalid_answer (including an unknown confidence) or already_answered.
+const answerError = (statusCode, code, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+};
+
+// Grade and store a student's answer. Correctness is kept server-side until the quiz closes.
+// Answers are stored in the canonical form for the question type (see questionTypes).
+// Only students of the question's session can answer, only while the quiz is open, and only
+// once unless the session allows changing an answer until the quiz closes. The time since the
+// quiz opened and the points earned (see scoringService) are stored with the answer, along with
+// the student's `confidence` when they gave one.
+const recordAnswer = async ({ questionId, studentId, answer, confidence = null }) => {
+  const confidenceLevel = confidence || null;
+  if (confidenceLevel !== null && !CONFIDENCE_LEVELS.includes(confidenceLevel)) {
+    throw answerError(400, 'invalid_answer', `Confidence must be one of ${CONFIDENCE_LEVELS.join(', ')}`);
+  }
+
+  const question = await database.get(
+    "SELECT * FROM questions WHERE id = ? AND status = 'published'",
+    [questionId]
+  );
+  if (!question) {
+    throw answerError(404, 'question_not_found', 'Question not found');
+  }
+
+  const student = await database.get(
+    'SELECT id FROM students WHERE id = ? AND session_id = ?',
+    [studentId, question.session_id]
+  );
+  if (!student) {
+    throw answerError(403, 'not_in_session', 'You have not joined the session this question belongs to');
+  }
+
+  if (!isQuestionOpen(question.session_id, questionId)) {
+    throw answerError(409, 'quiz_closed', 'This quiz has closed and no longer accepts answers');
+  }
+
+  const quiz = rowToQuiz(question);
+  const normalizedAnswer = normalizeAnswer(quiz, answer);
+  if (normalizedAnswer === null) {
+    throw answerError(400, 'invalid_answer', 'Answer is not valid for this question');
+  }
+
+  const [session, existing] = await Promise.all([
+    database.get('SELECT allow_answer_changes, scoring_mode FROM sessions WHERE id = ?', [question.session_id]),
+    database.get('SELECT id FROM student_answers WHERE question_id = ? AND student_id = ?', [questionId, studentId])
+  ]);
+  if (existing && session.allow_answer_changes !== 1) {
+    throw answerError(409, 'already_answered', 'You have already answered this question');
+  }
+
+  const isCorrect = await gradeAnswer(quiz, normalizedAnswer);
+  // The quiz may have closed while the answer was being checked
+  const timer = activeQuizTimers.get(question.session_id);
+  if (!timer || timer.questionId !== questionId) {
+    throw answerError(409, 'quiz_closed', 'This quiz has closed and no longer accepts answers');
+  }
+  const responseMs = Math.max(0, (timer.pausedAt || Date.now()) - timer.startTime);
+  const points = scoreAnswer({
+    isCorrect,
+    responseMs,
+    durationMs: timer.closesAt - timer.startTime,
+    scoringMode: session.scoring_mode
+  });
+  const recorded = { question, answer: normalizedAnswer, isCorrect, responseMs, points, confidence: confidenceLevel };
+
+  if (existing) {
+    await database.run(`
+      UPDATE student_answers
+      SET selected_answer = ?, is_correct = ?, response_ms = ?, points = ?, confidence = ?, answered_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [normalizedAnswer, isCorrect ? 1 : 0, responseMs, points, confidenceLevel, existing.id]);
+    return { answerId: existing.id, ...recorded, changed: true };
+  }
+
+  const answerId = uuidv4();
+  try {
+    await database.run(`
+      INSERT INTO student_answers (id, question_id, student_id, selected_answer, is_correct, response_ms, points, confidence)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [answerId, questionId, studentId, normalizedAnswer, isCorrect ? 1 : 0, responseMs, points, confidenceLevel]);
+  } catch (error) {
+    // Another submission from the same student got in first
+    if (error.code === 'SQLITE_CONSTRAINT') {
+      throw answerError(409, 'already_answered', 'You have already answered this question');
+    }
+    throw error;
+  }
+
+  return { answerId, ...recorded, changed: false };
+};
+
+// Get every graded answer for a question, used to send results once the quiz closes
+const getQuestionResults = async (questionId) => {
+  const question = await database.get('SELECT id, session_id, correct_answer FROM questions WHERE id = ?', [questionId]);
+  if (!question) {
+    return null;
+  }
+
+  const answers = await database.all(
+    'SELECT student_id, selected_answer, is_correct, response_ms, points, confidence FROM student_answers WHERE question_id = ?',
+    [questionId]
+  );
+
+  return { question, answers };
+};
+
+const toIsoTime = (ms) => (ms ? new Date(ms).toISOString() : null);
+
+// Record that a quiz opened at `startTime` and is due to close at `closesAt` (both ms)
+const markQuizOpened = (questionId, startTime, closesAt) => database.run(
+  'UPDATE questions SET started_at = ?, closes_at = ?, paused_at = NULL, closed_at = NULL WHERE id = ?',
+  [toIsoTime(startTime), toIsoTime(closesAt), questionId]
+);
+
+// Record a changed deadline after the lecturer extended, paused or resumed a quiz
+const saveQuizDeadline = (questionId, { closesAt, pausedAt }) => database.run(
+  'UPDATE questions SET closes_at = ?, paused_at = ? WHERE id = ?',
+  [toIsoTime(closesAt), toIsoTime(pausedAt), questionId]
+);
+
+// Record that a quiz closed. Quizzes that already closed keep their original close time.
+const markQuizClosed = (questionId) => database.run(
+  'UPDATE questions SET closed_at = ? WHERE id = ? AND closed_at IS NULL',
+  [new Date().toISOString(), questionId]
+);
+
+// Quizzes that opened but never closed, e.g. because the server stopped while they ran.
+// Resolves to [{ questionId, sessionId, sessionStatus, startTime, closesAt, pausedAt }] with
+// times in ms, oldest first.
+const getUnclosedQuizzes = async () => {
+  const rows = await database.all(`
+    SELECT q.id, q.session_id, q.started_at, q.closes_at, q.paused_at, s.status AS session_status
+    FROM questions q
+    JOIN sessions s ON s.id = q.session_id
+    WHERE q.started_at IS NOT NULL AND q.closed_at IS NULL
+    ORDER BY q.started_at ASC
+  `);
+
+  return rows.map(row => ({
+    questionId: row.id,
+    sessionId: row.session_id,
+    sessionStatus: row.session_status,
+    startTime: Date.parse(row.started_at),
+    closesAt: Date.parse(row.closes_at),
+    pausedAt: row.paused_at ? Date.parse(row.paused_at) : null
+  }));
+};
+
+// Answer distribution of every published question in a session.
+// Resolves to a Map of question id -> { type, options, distribution }.
+const getAnswerDistributions = async (sessionId) => {
+  const questions = await database.all(
+    "SELECT * FROM questions WHERE session_id = ? AND status = 'published'",
+    [sessionId]
+  );
+  const answers = await database.all(`
+    SELECT sa.question_id, sa.selected_answer
+    FROM student_answers sa
+    JOIN questions q ON q.id = sa.question_id
+    WHERE q.session_id = ? AND q.status = 'published'
+  `, [sessionId]);
+
+  return new Map(questions.map(row => {
+    const quiz = rowToQuiz(row);
+    const selected = answers.filter(a => a.question_id === row.id).map(a => a.selected_answer);
+    return [row.id, { type: quiz.type, options: quiz.options, distribution: tallyAnswers(quiz, selected) }];
+  }));
+};
+
+// Confidence ratings of every published question in a session, as a Map of question id ->
+// { rated, sure, unsure, guessing, confidentlyWrong, confidentlyWrongRate, confidentlyWrongAnswers }.
+// Confidently wrong answers (wrong but marked sure) point at misconceptions; `confidentlyWrongRate`
+// is their share of all answers and `confidentlyWrongAnswers` counts the answers they chose.
+const getConfidenceStats = async (sessionId) => {
+  const questions = await database.all(
+    "SELECT * FROM questions WHERE session_id = ? AND status = 'published'",
+    [sessionId]
+  );
+  const answers = await database.all(`
+    SELECT sa.question_id, sa.selected_answer, sa.is_correct, sa.confidence
+    FROM student_answers sa
+    JOIN questions q ON q.id = sa.question_id
+    WHERE q.session_id = ? AND q.status = 'published'
+  `, [sessionId]);
+
+  return new Map(questions.map(row => {
+    const questionAnswers = answers.filter(a => a.question_id === row.id);
+    const confidentlyWrong = questionAnswers.filter(a => a.confidence === 'sure' && a.is_correct !== 1);
+    const countOf = (level) => questionAnswers.filter(a => a.confidence === level).length;
+    const wrongAnswers = Object.entries(tallyAnswers(rowToQuiz(row), confidentlyWrong.map(a => a.selected_answer)))
+      .filter(([, count]) => count > 0);
+
+    return [row.id, {
+      rated: questionAnswers.filter(a => a.confidence).length,
+      sure: countOf('sure'),
+      unsure: countOf('unsure'),
+      guessing: countOf('guessing'),
+      confidentlyWrong: confidentlyWrong.length,
+      confidentlyWrongRate: questionAnswers.length > 0
+        ? Math.round((confidentlyWrong.length / questionAnswers.length) * 100)
+        : 0,
+      confidentlyWrongAnswers: Object.fromEntries(wrongAnswers)
+    }];
+  }));
+};
+
+// Questions with the most confidently wrong answers, worst first, from analytics entries that
+// carry `confidence` (see getConfidenceStats)
+const findConfidentlyWrongHotspots = (questionAnalytics, limit = 3) => questionAnalytics
+  .filter(q => q.confidence && q.confidence.confidentlyWrong > 0)
+  .sort((a, b) => b.confidence.confidentlyWrong - a.confidence.confidentlyWrong
+    || b.confidence.confidentlyWrongRate - a.confidence.confidentlyWrongRate)
+  .slice(0, limit)
+  .map(q => ({
+    questionId: q.questionId,
+    question: q.question,
+    confidentlyWrong: q.confidence.confidentlyWrong,
+    confidentlyWrongRate: q.confidence.confidentlyWrongRate,
+    confidentlyWrongAnswers: q.confidence.confidentlyWrongAnswers
+  }));
+
+// Answer tally of a question: how many answered, how many were correct and the count per option
+const summarizeAnswers = (row, answers) => {
+  const quiz = rowToQuiz(row);
+  const correctCount = answers.filter(a => a.is_correct === 1).length;
+  return {
+    questionId: row.id,
+    answeredCount: answers.length,
+    correctCount,
+    percentCorrect: answers.length > 0 ? Math.round((correctCount / answers.length) * 100) : 0,
+    distribution: tallyAnswers(quiz, answers.map(a => a.selected_answer))
+  };
+};
+
+// Live tally of one question's answers, or null when the question does not exist
+const getAnswerTally = async (questionId) => {
+  const question = await database.get('SELECT * FROM questions WHERE id = ?', [questionId]);
+  if (!question) {
+    return null;
+  }
+
+  const answers = await database.all(
+    'SELECT selected_answer, is_correct FROM student_answers WHERE question_id = ?',
+    [questionId]
+  );
+  return summarizeAnswers(question, answers);
+};
+
+// Tallies of every published question in a session, as a Map of question id -> tally
+const getAnswerTallies = async (sessionId) => {
+  const questions = await database.all(
+    "SELECT * FROM questions WHERE session_id = ? AND status = 'published'",
+    [sessionId]
+  );
+  const answers = await database.all(`
+    SELECT sa.question_id, sa.selected_answer, sa.is_correct
+    FROM student_answers sa
+    JOIN questions q ON q.id = sa.question_id
+    WHERE q.session_id = ? AND q.status = 'published'
+  `, [sessionId]);
+
+  return new Map(questions.map(row => (
+    [row.id, summarizeAnswers(row, answers.filter(a => a.question_id === row.id))]
+  )));
+};
+
+// Show a closed quiz's tally to students from now on
+const markResultsShared = (questionId) => database.run(
+  'UPDATE questions SET results_shared = 1 WHERE id = ?',
+  [questionId]
+);
+
+module.exports = {
+  CONFIDENCE_LEVELS,
+  activeQuizTimers,
+  timeRemaining,
+  describeQuizTimer,
+  markQuizOpened,
+  saveQuizDeadline,
+  markQuizClosed,
+  getUnclosedQuizzes,
+  isQuestionOpen,
+  formatQuestionForStudent,
+  formatQuestionForLecturer,
+  readQuizInput,
+  createQuestion,
+  getPendingQuestions,
+  publishPendingQuestion,
+  discardPendingQuestion,
+  recordAnswer,
+  getQuestionResults,
+  getAnswerDistributions,
+  getConfidenceStats,
+  findConfidentlyWrongHotspots,
+  getAnswerTally,
+  getAnswerTallies,
+  markResultsShared
+};
@@ -0,0 +1,128 @@
+// Points and response times. Every answer records how long after its quiz opened it was
+// submitted (`response_ms`) and the points it earned. With `standard` scoring a correct answer
+// is worth MAX_POINTS; with `speed` scoring it is worth between half and all of MAX_POINTS
+// depending on how much of the quiz's time was left. Wrong answers earn nothing.
+
+const database = require('../config/database');
+
+const SCORING_MODES = ['standard', 'speed'];
+const DEFAULT_SCORING_MODE = 'standard';
+const MAX_POINTS = 1000;
+
+// Entries shown on the live leaderboard
+const LEADERBOARD_SIZE = 10;
+
+// Upper bounds (in seconds) of the response time histogram; slower answers go in a last bucket
+const RESPONSE_TIME_BUCKETS = [5, 10, 20, 30, 60];
+
+const isScoringMode = (mode) => SCORING_MODES.includes(mode);
+
+// Points for an answer given `responseMs` into a quiz lasting `durationMs`
+const scoreAnswer = ({ isCorrect, responseMs, durationMs, scoringMode }) => {
+  if (!isCorrect) {
+    return 0;
+  }
+  if (scoringMode !== 'speed' || !durationMs) {
+    return MAX_POINTS;
+  }
+
+  const elapsed = Math.min(1, Math.max(0, responseMs / durationMs));
+  return Math.round(MAX_POINTS * (1 - elapsed / 2));
+};
+
+const median = (values) => {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+};
+
+// Median and histogram of a list of response times in ms
+const summarizeResponseTimes = (responseTimes) => {
+  const buckets = RESPONSE_TIME_BUCKETS.map((upper, index) => ({
+    label: `${index === 0 ? 0 : RESPONSE_TIME_BUCKETS[index - 1]}-${upper}s`,
+    count: 0
+  }));
+  buckets.push({ label: `${RESPONSE_TIME_BUCKETS[RESPONSE_TIME_BUCKETS.length - 1]}s+`, count: 0 });
+
+  responseTimes.forEach(ms => {
+    const index = RESPONSE_TIME_BUCKETS.findIndex(upper => ms < upper * 1000);
+    buckets[index === -1 ? buckets.length - 1 : index].count += 1;
+  });
+
+  return { answered: responseTimes.length, medianMs: median(responseTimes), buckets };
+};
+
+// Response time summaries of every published question in a session, as a Map of question id ->
+// { answered, medianMs, buckets }. Answers from before response times were recorded are skipped.
+const getResponseTimeStats = async (sessionId) => {
+  const [questions, answers] = await Promise.all([
+    database.all("SELECT id FROM questions WHERE session_id = ? AND status = 'published'", [sessionId]),
+    database.all(`
+      SELECT sa.question_id, sa.response_ms FROM student_answers sa
+      JOIN questions q ON q.id = sa.question_id
+      WHERE q.session_id = ? AND q.status = 'published' AND sa.response_ms IS NOT NULL
+    `, [sessionId])
+  ]);
+
+  return new Map(questions.map(q => [
+    q.id,
+    summarizeResponseTimes(answers.filter(a => a.question_id === q.id).map(a => a.response_ms))
+  ]));
+};
+
+// Every student of a session ranked by points from quizzes that have closed, so the
+// leaderboard never gives away whether an answer to the open quiz was right.
+// Students with the same points share a rank.
+const getRanking = async (sessionId) => {
+  const rows = await database.all(`
+    SELECT st.id, st.name,
+      COALESCE(SUM(CASE WHEN q.id IS NOT NULL THEN sa.points END), 0) AS points,
+      COUNT(CASE WHEN q.id IS NOT NULL AND sa.is_correct = 1 THEN 1 END) AS correct_answers
+    FROM students st
+    LEFT JOIN student_answers sa ON sa.student_id = st.id
+    LEFT JOIN questions q ON q.id = sa.question_id AND q.status = 'published' AND q.closed_at IS NOT NULL
+    WHERE st.session_id = ?
+    GROUP BY st.id
+    ORDER BY points DESC, st.name ASC
+  `, [sessionId]);
+
+  let rank = 0;
+  return rows.map((row, index) => {
+    if (index === 0 || row.points !== rows[index - 1].points) {
+      rank = index + 1;
+    }
+    return { rank, studentId: row.id, name: row.name, points: row.points, correctAnswers: row.correct_answers };
+  });
+};
+
+// Leaderboard sent to clients. Student ids are only included for the lecturer, and `studentId`
+// adds that student's own place as `you` even when they are outside the top entries.
+const leaderboardPayload = (ranking, { includeIds = false, studentId = null } = {}) => {
+  const payload = {
+    entries: ranking.slice(0, LEADERBOARD_SIZE).map(({ studentId: id, ...entry }) => (
+      includeIds ? { studentId: id, ...entry } : entry
+    )),
+    totalStudents: ranking.length
+  };
+
+  if (studentId) {
+    const own = ranking.find(entry => entry.studentId === studentId);
+    payload.you = own ? { rank: own.rank, points: own.points } : null;
+  }
+  return payload;
+};
+
+module.exports = {
+  SCORING_MODES,
+  DEFAULT_SCORING_MODE,
+  MAX_POINTS,
+  isScoringMode,
+  scoreAnswer,
+  summarizeResponseTimes,
+  getResponseTimeStats,
+  getRanking,
+  leaderboardPayload
+};
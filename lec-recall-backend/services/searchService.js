@@ -0,0 +1,134 @@
+// Full-text search across a lecturer's sessions: what was said (transcript segments) and what
+// was asked (questions and their options), ranked by relevance with highlighted snippets.
+
+const database = require('../config/database');
+
+const SEARCH_TYPES = ['transcript', 'question'];
+
+const DEFAULT_LIMIT = 20;
+const LIMIT_RANGE = { min: 1, max: 50 };
+
+// Words of the query that are searched for; the rest is ignored
+const MAX_QUERY_TERMS = 10;
+
+// Words of context around the matches in a snippet
+const SNIPPET_WORDS = 16;
+
+// Matches are marked with control characters in the SQL snippet and split into parts here,
+// so no markup from the indexed text reaches clients
+const MATCH_START = '\u0001';
+const MATCH_END = '\u0002';
+
+const clamp = (value, { min, max }) => Math.min(max, Math.max(min, value));
+
+const searchError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Turn what the lecturer typed into an FTS5 query: every word must appear, as a word or the
+// start of one ("eigen" finds "eigenvectors"). Quoting each word keeps FTS5 syntax out.
+const buildMatchQuery = (text) => {
+  const terms = String(text || '').match(/[\p{L}\p{N}]+/gu) || [];
+  return terms.slice(0, MAX_QUERY_TERMS).map(term => `"${term}"*`).join(' ');
+};
+
+// Split a marked snippet into [{ text, highlight }] parts
+const snippetParts = (snippet) => (snippet || '')
+  .split(MATCH_START)
+  .flatMap((chunk, index) => {
+    if (index === 0) {
+      return [{ text: chunk, highlight: false }];
+    }
+    const [match, rest = ''] = chunk.split(MATCH_END);
+    return [{ text: match, highlight: true }, { text: rest, highlight: false }];
+  })
+  .filter(part => part.text);
+
+const searchTranscripts = (lecturerId, match, limit) => database.all(`
+  SELECT t.id, t.session_id, t.start_seconds, t.timestamp, s.session_name, s.created_at AS session_created_at,
+         snippet(transcript_search, 0, ?, ?, '…', ?) AS snippet,
+         bm25(transcript_search) AS score
+  FROM transcript_search
+  JOIN transcripts t ON t.id = transcript_search.transcript_id
+  JOIN sessions s ON s.id = t.session_id
+  WHERE transcript_search MATCH ? AND s.lecturer_id = ?
+  ORDER BY score ASC
+  LIMIT ?
+`, [MATCH_START, MATCH_END, SNIPPET_WORDS, match, lecturerId, limit]);
+
+// Re-runs repeat their original question and are left out
+const searchQuestions = (lecturerId, match, limit) => database.all(`
+  SELECT q.id, q.session_id, q.formatted_question, q.question_type, q.status, q.created_at,
+         s.session_name, s.created_at AS session_created_at,
+         snippet(question_search, -1, ?, ?, '…', ?) AS snippet,
+         bm25(question_search) AS score
+  FROM question_search
+  JOIN questions q ON q.id = question_search.question_id
+  JOIN sessions s ON s.id = q.session_id
+  WHERE question_search MATCH ? AND s.lecturer_id = ? AND q.rerun_of IS NULL
+  ORDER BY score ASC
+  LIMIT ?
+`, [MATCH_START, MATCH_END, SNIPPET_WORDS, match, lecturerId, limit]);
+
+// Search the lecturer's transcripts and questions. `type` narrows it to one kind of result.
+// Resolves to { query, results } with the best matches first; each result names its session
+// and when it happened (`start` seconds into the recording for transcripts).
+const searchLecturerContent = async (lecturerId, { query, type, limit } = {}) => {
+  const match = buildMatchQuery(query);
+  if (!match) {
+    throw searchError('Search text is required', 400);
+  }
+  if (type !== undefined && !SEARCH_TYPES.includes(type)) {
+    throw searchError(`Invalid type. Must be one of ${SEARCH_TYPES.join(', ')}`, 400);
+  }
+
+  const requested = parseInt(limit, 10);
+  const maxResults = Number.isNaN(requested) ? DEFAULT_LIMIT : clamp(requested, LIMIT_RANGE);
+
+  const [transcripts, questions] = await Promise.all([
+    type === 'question' ? [] : searchTranscripts(lecturerId, match, maxResults),
+    type === 'transcript' ? [] : searchQuestions(lecturerId, match, maxResults)
+  ]);
+
+  const results = [
+    ...transcripts.map(row => ({
+      type: 'transcript',
+      id: row.id,
+      sessionId: row.session_id,
+      sessionName: row.session_name,
+      sessionCreatedAt: row.session_created_at,
+      start: row.start_seconds,
+      createdAt: row.timestamp,
+      snippet: snippetParts(row.snippet),
+      score: row.score
+    })),
+    ...questions.map(row => ({
+      type: 'question',
+      id: row.id,
+      sessionId: row.session_id,
+      sessionName: row.session_name,
+      sessionCreatedAt: row.session_created_at,
+      question: row.formatted_question,
+      questionType: row.question_type,
+      status: row.status,
+      createdAt: row.created_at,
+      snippet: snippetParts(row.snippet),
+      score: row.score
+    }))
+  ];
+
+  // bm25 scores are lower for better matches
+  results.sort((a, b) => a.score - b.score);
+
+  return {
+    query: String(query).trim(),
+    results: results.slice(0, maxResults).map(({ score, ...result }) => result)
+  };
+};
+
+module.exports = {
+  SEARCH_TYPES,
+  searchLecturerContent
+};
@@ -0,0 +1,220 @@
+// Resuming a session after a dropped connection. Students get a reconnect token when they join
+// and present it to get back the same identity; lecturers resume with their login token.
+// Either way the client receives what it missed while disconnected.
+
+const crypto = require('crypto');
+const database = require('../config/database');
+const {
+  activeQuizTimers,
+  describeQuizTimer,
+  isQuestionOpen,
+  formatQuestionForStudent,
+  formatQuestionForLecturer,
+  getPendingQuestions,
+  getAnswerTallies
+} = require('./quizService');
+const { rowToQuiz } = require('./questionTypes');
+const { alertSettingsFromRow, alertSettingsPayload } = require('./confusionService');
+const { getStudentQuestions } = require('./studentQuestionService');
+const { getRanking, leaderboardPayload } = require('./scoringService');
+
+const createReconnectToken = () => crypto.randomBytes(32).toString('hex');
+
+// The student a reconnect token belongs to, with their session's status.
+// Resolves to null for unknown tokens.
+const findStudentByReconnectToken = async (reconnectToken) => {
+  if (typeof reconnectToken !== 'string' || !reconnectToken) {
+    return null;
+  }
+
+  const student = await database.get(`
+    SELECT st.*, s.status AS session_status FROM students st
+    JOIN sessions s ON s.id = st.session_id
+    WHERE st.reconnect_token = ?
+  `, [reconnectToken]);
+  return student || null;
+};
+
+// The quiz that is open right now, with its deadline and the seconds it has left
+const getCurrentTimer = (sessionId) => {
+  const timer = activeQuizTimers.get(sessionId);
+  return timer ? describeQuizTimer(timer) : null;
+};
+
+// Published quizzes as the student sees them, including their own answers. Correctness and
+// the correct answer are only included for quizzes that have closed, and the class's answer
+// tally (`sharedTally`) only once the lecturer has shared it. Also says whether answers can be
+// changed until the quiz closes, how answers are scored and, when the lecturer shows it, the
+// leaderboard with the student's own place.
+const getStudentSessionState = async (sessionId, studentId) => {
+  const [session, questions, answers, tallies] = await Promise.all([
+    database.get('SELECT allow_answer_changes, scoring_mode, show_leaderboard FROM sessions WHERE id = ?', [sessionId]),
+    database.all(
+      "SELECT * FROM questions WHERE session_id = ? AND status = 'published' ORDER BY created_at ASC",
+      [sessionId]
+    ),
+    database.all(`
+      SELECT sa.question_id, sa.selected_answer, sa.is_correct, sa.points, sa.confidence FROM student_answers sa
+      JOIN questions q ON q.id = sa.question_id
+      WHERE q.session_id = ? AND sa.student_id = ?
+    `, [sessionId, studentId]),
+    getAnswerTallies(sessionId)
+  ]);
+  const answersByQuestion = new Map(answers.map(answer => [answer.question_id, answer]));
+
+  const previousQuestions = questions.map(row => {
+    const closed = !isQuestionOpen(sessionId, row.id);
+    const formatted = formatQuestionForStudent(row, { includeAnswer: closed });
+    if (closed && row.results_shared === 1) {
+      formatted.sharedTally = tallies.get(row.id);
+    }
+    const answer = answersByQuestion.get(row.id);
+    if (!answer) {
+      return formatted;
+    }
+
+    formatted.answered = true;
+    formatted.selectedAnswer = answer.selected_answer;
+    formatted.confidence = answer.confidence;
+    if (closed) {
+      formatted.isCorrect = answer.is_correct === 1;
+      formatted.points = answer.points;
+    }
+    return formatted;
+  });
+
+  const showLeaderboard = Boolean(session && session.show_leaderboard === 1);
+  return {
+    previousQuestions,
+    currentTimer: getCurrentTimer(sessionId),
+    allowAnswerChanges: Boolean(session && session.allow_answer_changes === 1),
+    scoringMode: session ? session.scoring_mode : null,
+    showLeaderboard,
+    leaderboard: showLeaderboard ? leaderboardPayload(await getRanking(sessionId), { studentId }) : null
+  };
+};
+
+// Session settings in the shape of the `session-created` event
+const sessionSettingsPayload = (session) => ({
+  sessionId: session.id,
+  joinCode: session.join_code,
+  timeLimit: session.time_limit,
+  detectionWindowWords: session.detection_window_words,
+  detectionDebounceMs: session.detection_debounce_ms,
+  reviewBeforePublish: session.review_before_publish === 1,
+  allowAnswerChanges: session.allow_answer_changes === 1,
+  scoringMode: session.scoring_mode,
+  showLeaderboard: session.show_leaderboard === 1,
+  questionType: session.question_type,
+  ...alertSettingsPayload(alertSettingsFromRow(session))
+});
+
+// Everything the lecturer's screen shows for a running session: settings, published quizzes
+// (with whether each has closed and its answer tally), the review queue, the open quiz and
+// student questions, and the leaderboard
+const getLecturerSessionState = async (session) => {
+  const [questions, pendingQuestions, studentQuestions, tallies, ranking] = await Promise.all([
+    database.all(
+      "SELECT * FROM questions WHERE session_id = ? AND status = 'published' ORDER BY created_at ASC",
+      [session.id]
+    ),
+    getPendingQuestions(session.id),
+    getStudentQuestions(session.id),
+    getAnswerTallies(session.id),
+    getRanking(session.id)
+  ]);
+  const currentTimer = getCurrentTimer(session.id);
+
+  return {
+    ...sessionSettingsPayload(session),
+    quizzes: questions.map(row => ({
+      ...formatQuestionForLecturer(row),
+      timeLimit: session.time_limit,
+      closed: !isQuestionOpen(session.id, row.id),
+      tally: tallies.get(row.id),
+      ...(currentTimer && currentTimer.questionId === row.id ? currentTimer : {})
+    })),
+    pendingQuestions,
+    currentTimer,
+    studentQuestions,
+    leaderboard: leaderboardPayload(ranking, { includeIds: true })
+  };
+};
+
+// A student's end-of-session results, sent with `session-ended-with-analytics`, including their
+// points and place in the class
+const getStudentResults = async (sessionId, student, lectureSummary) => {
+  const [session, ranking] = await Promise.all([
+    database.get('SELECT scoring_mode FROM sessions WHERE id = ?', [sessionId]),
+    getRanking(sessionId)
+  ]);
+  const studentResults = await database.all(`
+    SELECT
+      q.id as questionId,
+      q.formatted_question as question,
+      q.correct_answer,
+      q.question_type,
+      q.options,
+      q.option_a,
+      q.option_b,
+      q.option_c,
+      q.option_d,
+      sa.selected_answer as studentAnswer,
+      sa.points,
+      sa.response_ms,
+      sa.confidence,
+      CASE WHEN sa.is_correct = 1 THEN 1 ELSE 0 END as isCorrect
+    FROM questions q
+    LEFT JOIN student_answers sa ON q.id = sa.question_id AND sa.student_id = ?
+    WHERE q.session_id = ? AND q.status = 'published'
+    ORDER BY q.created_at ASC
+  `, [student.id, sessionId]);
+
+  const totalQuestions = studentResults.length;
+  const answeredQuestions = studentResults.filter(r => r.studentAnswer).length;
+  const correctAnswers = studentResults.filter(r => r.isCorrect === 1).length;
+  const accuracyRate = answeredQuestions > 0 ? Math.round((correctAnswers / answeredQuestions) * 100) : 0;
+  const place = ranking.find(entry => entry.studentId === student.id);
+
+  return {
+    studentName: student.name,
+    summary: {
+      totalQuestions,
+      answeredQuestions,
+      correctAnswers,
+      accuracyRate
+    },
+    score: {
+      scoringMode: session ? session.scoring_mode : null,
+      points: place ? place.points : 0,
+      rank: place ? place.rank : null,
+      totalStudents: ranking.length
+    },
+    questionResults: studentResults.map(r => {
+      const quiz = rowToQuiz(r);
+      return {
+        questionId: r.questionId,
+        type: quiz.type,
+        question: r.question,
+        correctAnswer: r.correct_answer,
+        studentAnswer: r.studentAnswer,
+        isCorrect: r.isCorrect === 1,
+        options: quiz.options,
+        points: r.points || 0,
+        responseMs: r.response_ms,
+        confidence: r.confidence
+      };
+    }),
+    lectureSummary
+  };
+};
+
+module.exports = {
+  createReconnectToken,
+  findStudentByReconnectToken,
+  getCurrentTimer,
+  getStudentSessionState,
+  sessionSettingsPayload,
+  getLecturerSessionState,
+  getStudentResults
+};
@@ -0,0 +1,123 @@
+const WebSocket = require('ws');
+
+const LISTEN_URL = 'wss://api.deepgram.com/v1/listen';
+
+// Deepgram closes streams that receive nothing for about 10 seconds, e.g. while the lecturer's
+// browser is still starting the microphone
+const KEEP_ALIVE_MS = 8000;
+
+// Most common speaker among a segment's words, labelled from 1 ("Speaker 1"), when diarization is on
+const segmentSpeaker = (words) => {
+  const counts = new Map();
+  words.filter(word => typeof word.speaker === 'number').forEach(word => {
+    counts.set(word.speaker, (counts.get(word.speaker) || 0) + 1);
+  });
+  if (counts.size === 0) {
+    return null;
+  }
+  const [speaker] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+  return `Speaker ${speaker + 1}`;
+};
+
+// Relays audio to Deepgram's live transcription API. The API key only ever lives on the server.
+class DeepgramProvider {
+  constructor({ apiKey, model, language, diarize = false }) {
+    if (!apiKey) {
+      throw new Error('DEEPGRAM_API_KEY is required for STT_PROVIDER=deepgram');
+    }
+    this.name = 'Deepgram';
+    this.apiKey = apiKey;
+    this.model = model;
+    this.language = language;
+    this.diarize = diarize;
+  }
+
+  // Resolves once the connection is open
+  openStream({ onTranscript, onError, onClose }) {
+    const params = new URLSearchParams({
+      model: this.model,
+      language: this.language,
+      smart_format: 'true',
+      interim_results: 'true',
+      diarize: String(this.diarize)
+    });
+    const connection = new WebSocket(`${LISTEN_URL}?${params}`, {
+      headers: { Authorization: `Token ${this.apiKey}` }
+    });
+
+    return new Promise((resolve, reject) => {
+      let opened = false;
+      let keepAlive = null;
+
+      connection.on('open', () => {
+        opened = true;
+        keepAlive = setInterval(() => {
+          connection.send(JSON.stringify({ type: 'KeepAlive' }));
+        }, KEEP_ALIVE_MS);
+
+        resolve({
+          send: (audio) => {
+            if (connection.readyState === WebSocket.OPEN) {
+              connection.send(audio);
+            }
+          },
+          // Deepgram sends any remaining transcripts, then closes the connection
+          finish: () => {
+            if (connection.readyState === WebSocket.OPEN) {
+              connection.send(JSON.stringify({ type: 'CloseStream' }));
+            }
+          }
+        });
+      });
+
+      connection.on('message', (message) => {
+        let data;
+        try {
+          data = JSON.parse(message.toString());
+        } catch (error) {
+          return;
+        }
+        if (data.type !== 'Results') {
+          return;
+        }
+
+        const alternative = data.channel?.alternatives?.[0];
+        const text = alternative?.transcript;
+        if (text && text.trim()) {
+          const words = alternative.words || [];
+          onTranscript({
+            text,
+            isFinal: Boolean(data.is_final),
+            start: data.start,
+            end: data.start + data.duration,
+            confidence: alternative.confidence,
+            speaker: segmentSpeaker(words),
+            words: words.map(word => ({
+              word: word.punctuated_word || word.word,
+              start: word.start,
+              end: word.end,
+              confidence: word.confidence
+            }))
+          });
+        }
+      });
+
+      connection.on('error', (error) => {
+        if (!opened) {
+          reject(error);
+          return;
+        }
+        onError(error);
+      });
+
+      connection.on('close', () => {
+        clearInterval(keepAlive);
+        if (opened) {
+          onClose();
+        }
+      });
+    });
+  }
+}
+
+module.exports = DeepgramProvider;
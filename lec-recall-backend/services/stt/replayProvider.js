@@ -0,0 +1,56 @@
+const fs = require('fs');
+
+// Stand-in speech-to-text provider that ignores the audio it is sent and replays a timed
+// transcript file instead. Each line of the file is "<seconds> <text>" or
+// "<seconds> [<speaker>] <text>"; blank lines and lines starting with # are skipped. Segments are
+// sent as final transcripts at their time (divided by `speed`) after the stream opens.
+const parseReplayFile = (contents) => contents
+  .split(/\r?\n/)
+  .map(line => line.trim())
+  .filter(line => line && !line.startsWith('#'))
+  .map((line, index) => {
+    const match = line.match(/^(\d+(?:\.\d+)?)\s+(?:\[([^\]]+)\]\s*)?(.+)$/);
+    if (!match) {
+      throw new Error(`Replay line ${index + 1} must be "<seconds> <text>": ${line}`);
+    }
+    return { start: parseFloat(match[1]), speaker: match[2] ? match[2].trim() : null, text: match[3] };
+  })
+  .sort((a, b) => a.start - b.start);
+
+class ReplayProvider {
+  constructor({ file, speed = 1 }) {
+    this.name = 'Replay';
+    this.file = file;
+    this.speed = speed;
+  }
+
+  async openStream({ onTranscript, onClose }) {
+    const segments = parseReplayFile(await fs.promises.readFile(this.file, 'utf8'));
+    let closed = false;
+
+    const timers = segments.map((segment, index) => setTimeout(() => {
+      const next = segments[index + 1];
+      onTranscript({
+        text: segment.text,
+        isFinal: true,
+        start: segment.start,
+        end: next ? next.start : segment.start,
+        speaker: segment.speaker
+      });
+    }, (segment.start * 1000) / this.speed));
+
+    return {
+      send: () => {},
+      finish: () => {
+        if (closed) {
+          return;
+        }
+        closed = true;
+        timers.forEach(clearTimeout);
+        onClose();
+      }
+    };
+  }
+}
+
+module.exports = ReplayProvider;
@@ -0,0 +1,34 @@
+const sttConfig = require('../config/stt');
+const DeepgramProvider = require('./stt/deepgramProvider');
+const ReplayProvider = require('./stt/replayProvider');
+
+// Speech-to-text providers implement openStream({ onTranscript, onError, onClose }), which
+// resolves to a stream with send(audio) and finish(). onTranscript receives
+// { text, isFinal, start, end } with times in seconds from the start of the stream, plus
+// `confidence` (0-1), a `speaker` label and `words` ([{ word, start, end, confidence }]) when the
+// provider knows them.
+
+// Build the provider selected for this deployment
+const createProvider = (config) => {
+  switch (config.provider) {
+    case 'deepgram':
+      return new DeepgramProvider(config.deepgram);
+    case 'replay':
+      return new ReplayProvider(config.replay);
+    default:
+      throw new Error(`Unknown STT_PROVIDER "${config.provider}". Use deepgram or replay`);
+  }
+};
+
+const provider = createProvider(sttConfig);
+console.log(`🎙️ Speech-to-text provider: ${provider.name}`);
+
+const getProviderName = () => provider.name;
+
+// Open a live transcription stream. Rejects when the provider cannot be reached.
+const openTranscriptionStream = (handlers) => provider.openStream(handlers);
+
+module.exports = {
+  openTranscriptionStream,
+  getProviderName
+};
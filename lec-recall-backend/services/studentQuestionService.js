@@ -0,0 +1,186 @@
+// Anonymous student Q&A: students post questions during a session, classmates upvote them
+// and the lecturer marks them answered or dismisses them. Clients never see who asked.
+
+const { v4: uuidv4 } = require('uuid');
+const database = require('../config/database');
+
+const STUDENT_QUESTION_STATUSES = ['open', 'answered', 'dismissed'];
+const MAX_QUESTION_LENGTH = 500;
+
+// Questions passed to the lecture summary
+const SUMMARY_QUESTION_LIMIT = 10;
+
+// Open questions first, then answered, then dismissed; most upvoted first within each
+const RANKED_ORDER = `
+  CASE status WHEN 'open' THEN 0 WHEN 'answered' THEN 1 ELSE 2 END,
+  upvotes DESC, created_at ASC, rowid ASC
+`;
+
+const studentQuestionError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Format a student_questions row for clients. With `studentId`, `mine` and `upvoted`
+// describe that student's relationship to the question.
+const formatStudentQuestion = (row, { studentId, votedIds } = {}) => {
+  const formatted = {
+    questionId: row.id,
+    text: row.text,
+    status: row.status,
+    upvotes: row.upvotes,
+    createdAt: row.created_at,
+    resolvedAt: row.resolved_at
+  };
+
+  if (studentId) {
+    formatted.mine = row.student_id === studentId;
+    formatted.upvoted = Boolean(votedIds && votedIds.has(row.id));
+  }
+
+  return formatted;
+};
+
+// Store a new question from a student. Resolves to the formatted question.
+const postStudentQuestion = async ({ sessionId, studentId, text }) => {
+  const trimmed = typeof text === 'string' ? text.trim() : '';
+  if (!trimmed) {
+    throw studentQuestionError('Question text is required', 400);
+  }
+  if (trimmed.length > MAX_QUESTION_LENGTH) {
+    throw studentQuestionError(`Questions can be at most ${MAX_QUESTION_LENGTH} characters`, 400);
+  }
+
+  const student = await database.get(`
+    SELECT st.id FROM students st
+    JOIN sessions s ON s.id = st.session_id
+    WHERE st.id = ? AND st.session_id = ? AND s.status != 'ended'
+  `, [studentId, sessionId]);
+  if (!student) {
+    throw studentQuestionError('Student is not part of an active session', 403);
+  }
+
+  const questionId = uuidv4();
+  await database.run(
+    'INSERT INTO student_questions (id, session_id, student_id, text) VALUES (?, ?, ?, ?)',
+    [questionId, sessionId, studentId, trimmed]
+  );
+
+  const row = await database.get('SELECT * FROM student_questions WHERE id = ?', [questionId]);
+  return formatStudentQuestion(row);
+};
+
+// Add the student's upvote to an open question, or take it back if they already voted.
+// Students cannot upvote their own questions. Resolves to { question, upvoted }.
+const toggleUpvote = async ({ sessionId, questionId, studentId }) => {
+  const [question, student] = await Promise.all([
+    database.get('SELECT * FROM student_questions WHERE id = ? AND session_id = ?', [questionId, sessionId]),
+    database.get('SELECT id FROM students WHERE id = ? AND session_id = ?', [studentId, sessionId])
+  ]);
+
+  if (!question) {
+    throw studentQuestionError('Question not found', 404);
+  }
+  if (!student) {
+    throw studentQuestionError('Student is not part of this session', 403);
+  }
+  if (question.student_id === studentId) {
+    throw studentQuestionError('You cannot upvote your own question', 400);
+  }
+  if (question.status !== 'open') {
+    throw studentQuestionError('Only open questions can be upvoted', 400);
+  }
+
+  const inserted = await database.run(
+    'INSERT OR IGNORE INTO student_question_votes (question_id, student_id) VALUES (?, ?)',
+    [questionId, studentId]
+  );
+  const upvoted = inserted.changes > 0;
+  if (!upvoted) {
+    await database.run('DELETE FROM student_question_votes WHERE question_id = ? AND student_id = ?', [questionId, studentId]);
+  }
+  await database.run(
+    'UPDATE student_questions SET upvotes = (SELECT COUNT(*) FROM student_question_votes WHERE question_id = ?) WHERE id = ?',
+    [questionId, questionId]
+  );
+
+  const row = await database.get('SELECT * FROM student_questions WHERE id = ?', [questionId]);
+  return { question: formatStudentQuestion(row), upvoted };
+};
+
+// Lecturer marks a question answered, dismisses it or reopens it.
+// Resolves to the formatted question, or null when it does not exist.
+const setStudentQuestionStatus = async (sessionId, questionId, status) => {
+  if (!STUDENT_QUESTION_STATUSES.includes(status)) {
+    throw studentQuestionError(`Status must be one of ${STUDENT_QUESTION_STATUSES.join(', ')}`, 400);
+  }
+
+  const result = await database.run(`
+    UPDATE student_questions
+    SET status = ?, resolved_at = CASE WHEN ? = 'open' THEN NULL ELSE CURRENT_TIMESTAMP END
+    WHERE id = ? AND session_id = ?
+  `, [status, status, questionId, sessionId]);
+  if (result.changes === 0) {
+    return null;
+  }
+
+  const row = await database.get('SELECT * FROM student_questions WHERE id = ?', [questionId]);
+  return formatStudentQuestion(row);
+};
+
+// Ranked questions for a session. Pass `studentId` to get that student's view:
+// dismissed questions are left out and each question says whether it is theirs or upvoted.
+const getStudentQuestions = async (sessionId, { studentId } = {}) => {
+  const rows = await database.all(
+    `SELECT * FROM student_questions WHERE session_id = ? ${studentId ? "AND status != 'dismissed'" : ''} ORDER BY ${RANKED_ORDER}`,
+    [sessionId]
+  );
+  if (!studentId) {
+    return rows.map(row => formatStudentQuestion(row));
+  }
+
+  const votes = await database.all(`
+    SELECT v.question_id FROM student_question_votes v
+    JOIN student_questions q ON q.id = v.question_id
+    WHERE q.session_id = ? AND v.student_id = ?
+  `, [sessionId, studentId]);
+  const votedIds = new Set(votes.map(vote => vote.question_id));
+  return rows.map(row => formatStudentQuestion(row, { studentId, votedIds }));
+};
+
+// Texts of the most upvoted questions that were not dismissed, for the lecture summary
+const getSummaryQuestions = async (sessionId) => {
+  const rows = await database.all(
+    "SELECT text FROM student_questions WHERE session_id = ? AND status != 'dismissed' ORDER BY upvotes DESC, created_at ASC LIMIT ?",
+    [sessionId, SUMMARY_QUESTION_LIMIT]
+  );
+  return rows.map(row => row.text);
+};
+
+// Totals and the most upvoted questions for end-of-session analytics
+const getStudentQuestionStats = async (sessionId) => {
+  const questions = await getStudentQuestions(sessionId);
+  const count = (status) => questions.filter(q => q.status === status).length;
+
+  return {
+    total: questions.length,
+    open: count('open'),
+    answered: count('answered'),
+    dismissed: count('dismissed'),
+    topQuestions: questions
+      .filter(q => q.status !== 'dismissed')
+      .sort((a, b) => b.upvotes - a.upvotes)
+      .slice(0, 5)
+  };
+};
+
+module.exports = {
+  STUDENT_QUESTION_STATUSES,
+  postStudentQuestion,
+  toggleUpvote,
+  setStudentQuestionStatus,
+  getStudentQuestions,
+  getSummaryQuestions,
+  getStudentQuestionStats
+};
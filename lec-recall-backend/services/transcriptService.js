@@ -0,0 +1,166 @@
+// Stored transcript segments. Every final segment keeps its start and end as offsets in seconds
+// from the session's recording start, along with the speech-to-text confidence, an optional
+// speaker label, word timings when the provider sends them, and whether it was edited.
+// Lecturers can correct segments after the lecture; the recognized text and every revision are kept.
+
+const { v4: uuidv4 } = require('uuid');
+const database = require('../config/database');
+
+const MAX_SPEAKER_LENGTH = 100;
+const MAX_SEGMENT_LENGTH = 5000;
+
+const isOffset = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+const transcriptError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Start the session's recording clock unless it is already running. Resolves to the recording
+// start in ms since epoch.
+const markRecordingStarted = async (sessionId) => {
+  await database.run(
+    'UPDATE sessions SET recording_started_at = ? WHERE id = ? AND recording_started_at IS NULL',
+    [new Date().toISOString(), sessionId]
+  );
+  const session = await database.get('SELECT recording_started_at FROM sessions WHERE id = ?', [sessionId]);
+  return session && session.recording_started_at ? Date.parse(session.recording_started_at) : Date.now();
+};
+
+// Seconds from the session's recording start until now, starting the clock if needed
+const secondsSinceRecordingStart = async (sessionId) => (
+  Math.max(0, (Date.now() - await markRecordingStarted(sessionId)) / 1000)
+);
+
+// Read the optional timing of a segment sent by a client. Offsets are seconds from the recording
+// start. Returns { errors, timing }, where timing is only set when there are no errors.
+const readSegmentTiming = ({ start, end, confidence, speaker } = {}) => {
+  const errors = [];
+  if (start !== undefined && !isOffset(start)) {
+    errors.push('start must be a number of seconds from the recording start');
+  }
+  if (end !== undefined && (!isOffset(end) || (isOffset(start) && end < start))) {
+    errors.push('end must be a number of seconds, no earlier than start');
+  }
+  if (confidence !== undefined && !(typeof confidence === 'number' && confidence >= 0 && confidence <= 1)) {
+    errors.push('confidence must be between 0 and 1');
+  }
+  if (speaker !== undefined && speaker !== null
+    && (typeof speaker !== 'string' || speaker.trim().length > MAX_SPEAKER_LENGTH)) {
+    errors.push(`speaker must be a label of at most ${MAX_SPEAKER_LENGTH} characters`);
+  }
+
+  return errors.length > 0
+    ? { errors }
+    : { errors, timing: { start, end, confidence, speaker: speaker ? speaker.trim() : null } };
+};
+
+// Store a final segment. Without a `start` the segment is placed at the current time on the
+// recording clock. Resolves to the formatted segment.
+const saveTranscriptSegment = async (sessionId, { text, start, end, confidence = null, speaker = null, words = null }) => {
+  const startSeconds = isOffset(start) ? start : await secondsSinceRecordingStart(sessionId);
+  const endSeconds = isOffset(end) ? Math.max(end, startSeconds) : startSeconds;
+  const id = uuidv4();
+
+  await database.run(`
+    INSERT INTO transcripts (id, session_id, text_chunk, start_seconds, end_seconds, confidence, speaker, words)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `, [id, sessionId, text, startSeconds, endSeconds, confidence, speaker, words ? JSON.stringify(words) : null]);
+
+  const row = await database.get('SELECT * FROM transcripts WHERE id = ?', [id]);
+  return formatSegment(row);
+};
+
+// Format a transcripts row for clients
+const formatSegment = (row) => ({
+  transcriptId: row.id,
+  text: row.text_chunk,
+  start: row.start_seconds,
+  end: row.end_seconds,
+  confidence: row.confidence,
+  speaker: row.speaker,
+  words: row.words ? JSON.parse(row.words) : null,
+  isEdited: row.is_edited === 1,
+  originalText: row.original_text || null,
+  createdAt: row.timestamp
+});
+
+// Replace a segment's text with the lecturer's correction. The recognized text is kept in
+// original_text and the edit is recorded as a revision; saving the recognized text again marks
+// the segment unedited. Resolves to the formatted segment.
+const reviseTranscriptSegment = async (sessionId, transcriptId, text) => {
+  const trimmed = typeof text === 'string' ? text.trim() : '';
+  if (!trimmed) {
+    throw transcriptError('Segment text is required', 400);
+  }
+  if (trimmed.length > MAX_SEGMENT_LENGTH) {
+    throw transcriptError(`Segments can be at most ${MAX_SEGMENT_LENGTH} characters`, 400);
+  }
+
+  const row = await database.get('SELECT * FROM transcripts WHERE id = ? AND session_id = ?', [transcriptId, sessionId]);
+  if (!row) {
+    throw transcriptError('Transcript segment not found', 404);
+  }
+  if (trimmed === row.text_chunk) {
+    return formatSegment(row);
+  }
+
+  const originalText = row.original_text || row.text_chunk;
+  await database.run(
+    'INSERT INTO transcript_revisions (id, transcript_id, session_id, previous_text, text) VALUES (?, ?, ?, ?, ?)',
+    [uuidv4(), transcriptId, sessionId, row.text_chunk, trimmed]
+  );
+  await database.run(
+    'UPDATE transcripts SET text_chunk = ?, original_text = ?, is_edited = ? WHERE id = ?',
+    [trimmed, originalText, trimmed === originalText ? 0 : 1, transcriptId]
+  );
+
+  return formatSegment(await database.get('SELECT * FROM transcripts WHERE id = ?', [transcriptId]));
+};
+
+// Saved edits of a segment, oldest first. Resolves to null when the segment does not exist.
+const getSegmentRevisions = async (sessionId, transcriptId) => {
+  const row = await database.get('SELECT id FROM transcripts WHERE id = ? AND session_id = ?', [transcriptId, sessionId]);
+  if (!row) {
+    return null;
+  }
+
+  const revisions = await database.all(
+    'SELECT * FROM transcript_revisions WHERE transcript_id = ? ORDER BY created_at ASC, rowid ASC',
+    [transcriptId]
+  );
+  return revisions.map(revision => ({
+    revisionId: revision.id,
+    previousText: revision.previous_text,
+    text: revision.text,
+    createdAt: revision.created_at
+  }));
+};
+
+// A session's transcript as timed segments in spoken order
+const getTranscriptSegments = async (sessionId) => {
+  const [session, rows] = await Promise.all([
+    database.get('SELECT recording_started_at FROM sessions WHERE id = ?', [sessionId]),
+    database.all(
+      'SELECT * FROM transcripts WHERE session_id = ? ORDER BY start_seconds ASC, timestamp ASC, rowid ASC',
+      [sessionId]
+    )
+  ]);
+
+  return {
+    recordingStartedAt: session ? session.recording_started_at : null,
+    segments: rows.map(formatSegment)
+  };
+};
+
+module.exports = {
+  markRecordingStarted,
+  secondsSinceRecordingStart,
+  readSegmentTiming,
+  saveTranscriptSegment,
+  formatSegment,
+  reviseTranscriptSegment,
+  getSegmentRevisions,
+  getTranscriptSegments
+};
@@ -0,0 +1,150 @@
+// Rolling transcript buffer used for question detection. Final transcript segments are
+// collected per session; once segments stop arriving for `debounceMs` the unprocessed
+// part of the window is handed to the detector in one call, so a question split across
+// segments is seen whole and a burst of short utterances costs a single AI request.
+
+const DEFAULT_WINDOW_WORDS = parseInt(process.env.TRANSCRIPT_WINDOW_WORDS, 10) || 150;
+const DEFAULT_DEBOUNCE_MS = parseInt(process.env.DETECTION_DEBOUNCE_MS, 10) || 1500;
+
+const WINDOW_WORDS_RANGE = { min: 20, max: 1000 };
+const DEBOUNCE_MS_RANGE = { min: 0, max: 30000 };
+
+// Sentences of preceding transcript sent along with a detected question
+const CONTEXT_SENTENCES = 5;
+
+const countWords = (text) => text.split(/\s+/).filter(Boolean).length;
+
+const lastSentences = (text, count) => {
+  const sentences = text.match(/[^.!?]+[.!?]*/g) || [];
+  return sentences.slice(-count).map(sentence => sentence.trim()).join(' ');
+};
+
+// Recent sentences sent along with a detected question to ground the generated quiz
+const detectionContext = (text) => lastSentences(text, CONTEXT_SENTENCES);
+
+const clamp = (value, { min, max }) => Math.min(max, Math.max(min, value));
+
+// Fill in defaults and clamp client-provided settings to supported ranges
+const resolveWindowSettings = ({ windowWords, debounceMs } = {}) => {
+  const words = parseInt(windowWords, 10);
+  const debounce = parseInt(debounceMs, 10);
+
+  return {
+    windowWords: clamp(Number.isNaN(words) ? DEFAULT_WINDOW_WORDS : words, WINDOW_WORDS_RANGE),
+    debounceMs: clamp(Number.isNaN(debounce) ? DEFAULT_DEBOUNCE_MS : debounce, DEBOUNCE_MS_RANGE)
+  };
+};
+
+class TranscriptWindow {
+  // onFlush({ text, context }) runs the detection and resolves to true when
+  // the text produced a question, in which case those segments are not examined again.
+  constructor(settings, onFlush) {
+    this.settings = resolveWindowSettings(settings);
+    this.onFlush = onFlush;
+    this.segments = [];
+    this.nextSeq = 0;
+    this.consumedSeq = 0;
+    this.timer = null;
+    this.flushing = false;
+    this.flushAgain = false;
+    this.detection = null;
+  }
+
+  updateSettings(settings) {
+    this.settings = resolveWindowSettings({ ...this.settings, ...settings });
+    this.trim();
+  }
+
+  add(text) {
+    const trimmed = text.trim();
+    if (!trimmed) {
+      return;
+    }
+
+    this.segments.push({ seq: this.nextSeq++, text: trimmed });
+    this.trim();
+    this.schedule();
+  }
+
+  // Drop the oldest segments once the window holds more than windowWords words,
+  // always keeping the newest segment
+  trim() {
+    let words = this.segments.reduce((total, segment) => total + countWords(segment.text), 0);
+    while (this.segments.length > 1 && words > this.settings.windowWords) {
+      words -= countWords(this.segments.shift().text);
+    }
+  }
+
+  schedule() {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.flush(), this.settings.debounceMs);
+  }
+
+  hasPendingText() {
+    return this.segments.some(segment => segment.seq >= this.consumedSeq);
+  }
+
+  async flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    // Segments that arrive during a detection are picked up by a follow-up flush
+    if (this.flushing) {
+      this.flushAgain = true;
+      return;
+    }
+    if (!this.hasPendingText()) {
+      return;
+    }
+
+    const pending = this.segments.filter(segment => segment.seq >= this.consumedSeq);
+    const upToSeq = this.nextSeq;
+    const windowText = this.segments.map(segment => segment.text).join(' ');
+
+    this.flushing = true;
+    try {
+      this.detection = this.onFlush({
+        text: pending.map(segment => segment.text).join(' '),
+        context: detectionContext(windowText)
+      });
+      const found = await this.detection;
+      if (found) {
+        this.consumedSeq = upToSeq;
+      }
+    } catch (error) {
+      console.error('❌ Transcript window detection failed:', error);
+    } finally {
+      this.flushing = false;
+    }
+
+    if (this.flushAgain) {
+      this.flushAgain = false;
+      this.schedule();
+    }
+  }
+
+  // Examine whatever is still buffered right away, after any detection already running.
+  // Resolves once detection has seen every segment added so far.
+  async drain() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    while (this.flushing) {
+      await this.detection.catch(() => {});
+    }
+    await this.flush();
+  }
+
+  dispose() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.segments = [];
+  }
+}
+
+module.exports = {
+  TranscriptWindow,
+  resolveWindowSettings,
+  countWords,
+  detectionContext
+};
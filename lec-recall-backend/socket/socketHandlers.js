@@ -1,36 +1,655 @@
 const { v4: uuidv4 } = require('uuid');
 const database = require('../config/database');
-const { detectQuestion, generateQuiz } = require('../services/geminiService');
+const { detectQuestion, generateQuiz, getProviderName, AIResponseError } = require('../services/aiService');
+const {
+  activeQuizTimers,
+  isQuestionOpen,
+  describeQuizTimer,
+  markQuizOpened,
+  saveQuizDeadline,
+  markQuizClosed,
+  getUnclosedQuizzes,
+  readQuizInput,
+  createQuestion,
+  getPendingQuestions,
+  publishPendingQuestion,
+  discardPendingQuestion,
+  recordAnswer,
+  getQuestionResults,
+  getAnswerDistributions,
+  getConfidenceStats,
+  findConfidentlyWrongHotspots,
+  getAnswerTally,
+  markResultsShared
+} = require('../services/quizService');
+const { QUESTION_TYPES, DEFAULT_QUESTION_TYPE, isQuestionType, rowToQuiz } = require('../services/questionTypes');
+const {
+  SCORING_MODES,
+  DEFAULT_SCORING_MODE,
+  isScoringMode,
+  getResponseTimeStats,
+  getRanking,
+  leaderboardPayload
+} = require('../services/scoringService');
+const { lecturerOwnsSession } = require('../services/authService');
+const { authenticateSocket } = require('../middleware/auth');
+const { TranscriptWindow, resolveWindowSettings } = require('../services/transcriptWindow');
+const { openTranscriptionStream, getProviderName: getSttProviderName } = require('../services/sttService');
+const {
+  markRecordingStarted,
+  secondsSinceRecordingStart,
+  readSegmentTiming,
+  saveTranscriptSegment
+} = require('../services/transcriptService');
+const {
+  isConfusionLevel,
+  alertSettingsFromInput,
+  alertSettingsFromRow,
+  alertSettingsPayload,
+  recordConfusionSignal,
+  evaluateConfusionAlert,
+  updateAlertSettings,
+  clearAlertState
+} = require('../services/confusionService');
+const {
+  postStudentQuestion,
+  toggleUpvote,
+  setStudentQuestionStatus,
+  getStudentQuestions,
+  getSummaryQuestions,
+  getStudentQuestionStats
+} = require('../services/studentQuestionService');
+const {
+  createReconnectToken,
+  findStudentByReconnectToken,
+  getStudentSessionState,
+  getLecturerSessionState,
+  getStudentResults
+} = require('../services/sessionResumeService');
 
 const db = database.getInstance();
 
-// Global quiz timer tracking
-const activeQuizTimers = new Map(); // sessionId -> { questionId, startTime, timeLimit }
+// Per-session rolling transcript buffers for question detection
+const transcriptWindows = new Map();
+
+// Live speech-to-text streams fed with the lecturer's audio
+const transcriptionStreams = new Map(); // sessionId -> { stream (null while connecting), socketId }
+
+// Get all sockets currently in a session room
+const getSessionSockets = (io, sessionId) => {
+  return Array.from(io.sockets.sockets.values())
+    .filter(s => s.rooms.has(sessionId));
+};
+
+// Only the lecturer who owns the session may control it
+const isSessionLecturer = async (socket, sessionId) => {
+  if (!socket.data.lecturer) {
+    return false;
+  }
+  
+  try {
+    return await lecturerOwnsSession(socket.data.lecturer.id, sessionId);
+  } catch (error) {
+    console.error('Error checking session ownership:', error);
+    return false;
+  }
+};
+
+// Reject a lecturer-only event from a socket that does not own the session
+const rejectUnauthorized = (socket, event) => {
+  console.warn(`🚫 Unauthorized ${event} from socket:`, socket.id);
+  socket.emit('auth-error', { event, error: 'You are not authorized to control this session' });
+};
+
+// Close a quiz: reveal the correct answer to the room and send each student their graded result
+const closeQuiz = async (io, sessionId, questionId, reason = 'timeout') => {
+  const timer = activeQuizTimers.get(sessionId);
+  if (!timer || timer.questionId !== questionId) {
+    return;
+  }
+
+  clearTimeout(timer.timeout);
+  activeQuizTimers.delete(sessionId);
+  await releaseQuizResults(io, sessionId, questionId, reason);
+};
+
+// Mark a quiz that no longer has a timer closed, then reveal its answer and send the results
+const releaseQuizResults = async (io, sessionId, questionId, reason) => {
+  try {
+    await markQuizClosed(questionId);
+    
+    const results = await getQuestionResults(questionId);
+    if (!results) {
+      return;
+    }
+
+    const correctAnswer = results.question.correct_answer;
+    io.to(sessionId).emit(reason === 'timeout' ? 'quiz-timeout' : 'quiz-results', {
+      questionId,
+      correctAnswer,
+      reason
+    });
+
+    const answersByStudent = new Map(results.answers.map(a => [a.student_id, a]));
+    getSessionSockets(io, sessionId).forEach(studentSocket => {
+      const answer = answersByStudent.get(studentSocket.data.studentId);
+      if (answer) {
+        studentSocket.emit('answer-result', {
+          questionId,
+          selectedAnswer: answer.selected_answer,
+          isCorrect: answer.is_correct === 1,
+          correctAnswer,
+          points: answer.points,
+          responseMs: answer.response_ms,
+          confidence: answer.confidence
+        });
+      }
+    });
+
+    console.log(`📊 Quiz closed (${reason}) for question:`, questionId);
+    await emitLeaderboard(io, sessionId);
+  } catch (error) {
+    console.error('Error closing quiz:', error);
+  }
+};
+
+// Track a running quiz and close it automatically at `closesAt`; a quiz already past its
+// deadline closes right away. A paused quiz (with `pausedAt`) has no timeout until resumed.
+// Times are in ms.
+const startQuizTimer = (io, sessionId, { questionId, startTime, closesAt, pausedAt = null }) => {
+  const previous = activeQuizTimers.get(sessionId);
+  if (previous) {
+    clearTimeout(previous.timeout);
+  }
+  
+  const timeout = pausedAt ? null : setTimeout(() => {
+    closeQuiz(io, sessionId, questionId, 'timeout');
+  }, Math.max(0, closesAt - Date.now()));
+  
+  activeQuizTimers.set(sessionId, { questionId, startTime, closesAt, pausedAt, timeout });
+};
+
+// Rebuild the timers of quizzes that were running when the server stopped. Quizzes whose
+// deadline passed in the meantime close now, and so do quizzes of sessions that have ended.
+// Only the latest quiz of a session can still be running; older ones are closed.
+// Paused quizzes stay paused with the time they had left.
+const restoreQuizTimers = async (io) => {
+  const unclosed = await getUnclosedQuizzes();
+  const latestBySession = new Map(unclosed.map(quiz => [quiz.sessionId, quiz]));
+  let restored = 0;
+  
+  for (const quiz of unclosed) {
+    if (quiz.sessionStatus === 'ended' || latestBySession.get(quiz.sessionId) !== quiz) {
+      await markQuizClosed(quiz.questionId);
+      continue;
+    }
+    
+    startQuizTimer(io, quiz.sessionId, quiz);
+    if (!quiz.pausedAt && quiz.closesAt <= Date.now()) {
+      await closeQuiz(io, quiz.sessionId, quiz.questionId, 'timeout');
+    } else {
+      restored += 1;
+    }
+  }
+  
+  return { restored, closed: unclosed.length - restored };
+};
+
+// Most a lecturer can add to a running quiz in one go
+const MAX_EXTEND_SECONDS = 600;
+
+// Change the deadline of the running quiz: `extend` by `seconds`, `pause` or `resume`.
+// The new deadline is stored and broadcast to the session as `quiz-timer-updated`.
+// Throws an error with a statusCode when the quiz is not running or the change is invalid.
+const adjustQuizTimer = async (io, sessionId, questionId, action, seconds) => {
+  const timer = activeQuizTimers.get(sessionId);
+  if (!timer || timer.questionId !== questionId) {
+    const error = new Error('This quiz is no longer running');
+    error.statusCode = 409;
+    throw error;
+  }
+  
+  const now = Date.now();
+  let { closesAt, pausedAt } = timer;
+  switch (action) {
+    case 'extend': {
+      const extraSeconds = parseInt(seconds, 10);
+      if (Number.isNaN(extraSeconds) || extraSeconds < 1 || extraSeconds > MAX_EXTEND_SECONDS) {
+        const error = new Error(`Extend by 1 to ${MAX_EXTEND_SECONDS} seconds`);
+        error.statusCode = 400;
+        throw error;
+      }
+      closesAt += extraSeconds * 1000;
+      break;
+    }
+    case 'pause':
+      if (pausedAt) {
+        return describeQuizTimer(timer);
+      }
+      pausedAt = now;
+      break;
+    case 'resume':
+      if (!pausedAt) {
+        return describeQuizTimer(timer);
+      }
+      // The quiz gets back exactly the time it had left when paused
+      closesAt = now + (closesAt - pausedAt);
+      pausedAt = null;
+      break;
+    default:
+      throw new Error(`Unknown quiz timer action: ${action}`);
+  }
+  
+  // The running timer changes before the deadline is saved, so a timeout cannot fire in between
+  startQuizTimer(io, sessionId, { questionId, startTime: timer.startTime, closesAt, pausedAt });
+  const updatedTimer = activeQuizTimers.get(sessionId);
+  await saveQuizDeadline(questionId, { closesAt, pausedAt });
+  
+  // Closed by the lecturer or replaced by another quiz while the deadline was being saved
+  if (activeQuizTimers.get(sessionId) !== updatedTimer) {
+    const error = new Error('This quiz is no longer running');
+    error.statusCode = 409;
+    throw error;
+  }
+  
+  const update = describeQuizTimer(updatedTimer);
+  io.to(sessionId).emit('quiz-timer-updated', update);
+  console.log(`⏱️ Quiz timer ${action}:`, update);
+  return update;
+};
+
+// Send an event to the lecturer socket(s) of a session
+const emitToLecturer = (io, sessionId, event, payload) => {
+  getSessionSockets(io, sessionId)
+    .filter(s => s.data.role === 'lecturer')
+    .forEach(s => s.emit(event, payload));
+};
+
+// Students connected to a session right now
+const getPresentStudentIds = (io, sessionId) => [...new Set(
+  getSessionSockets(io, sessionId)
+    .filter(s => s.data.role === 'student')
+    .map(s => s.data.studentId)
+)];
+
+// Send the leaderboard to the lecturer and, when the session shows it to students, to each
+// student along with their own place
+const emitLeaderboard = async (io, sessionId) => {
+  try {
+    const [session, ranking] = await Promise.all([
+      database.get('SELECT show_leaderboard FROM sessions WHERE id = ?', [sessionId]),
+      getRanking(sessionId)
+    ]);
+    const showToStudents = Boolean(session && session.show_leaderboard === 1);
+    
+    getSessionSockets(io, sessionId).forEach(s => {
+      if (s.data.role === 'lecturer') {
+        s.emit('leaderboard-updated', leaderboardPayload(ranking, { includeIds: true }));
+      } else if (showToStudents && s.data.studentId) {
+        s.emit('leaderboard-updated', leaderboardPayload(ranking, { studentId: s.data.studentId }));
+      }
+    });
+  } catch (error) {
+    console.error('Error sending leaderboard:', error);
+  }
+};
+
+// Send the lecturer the live answer tally of a question, with how many students are present
+const emitAnswerTally = async (io, sessionId, questionId) => {
+  try {
+    const tally = await getAnswerTally(questionId);
+    if (tally) {
+      emitToLecturer(io, sessionId, 'answer-tally', {
+        ...tally,
+        presentStudents: getPresentStudentIds(io, sessionId).length
+      });
+    }
+  } catch (error) {
+    console.error('Error sending answer tally:', error);
+  }
+};
+
+// Open a quiz for the session: replace any running quiz, start its timer and send it out.
+// `quiz` is the lecturer view of a published question (see formatQuestionForLecturer).
+// Throws an error with a statusCode once the session has ended.
+const launchQuiz = async (io, sessionId, quiz) => {
+  const session = await database.get('SELECT time_limit, status FROM sessions WHERE id = ?', [sessionId]);
+  if (session && session.status === 'ended') {
+    const error = new Error('This session has ended');
+    error.statusCode = 409;
+    throw error;
+  }
+  const timeLimit = session ? session.time_limit : 10;
+  
+  // Take over the session's timer before the next await, so a launch running at the same time
+  // cannot replace this quiz unnoticed: whichever launch comes second closes the other one
+  const previousTimer = activeQuizTimers.get(sessionId);
+  const startTime = Date.now();
+  const closesAt = startTime + timeLimit * 1000;
+  startQuizTimer(io, sessionId, { questionId: quiz.questionId, startTime, closesAt });
+  const ownTimer = activeQuizTimers.get(sessionId);
+  await markQuizOpened(quiz.questionId, startTime, closesAt);
+  
+  // A new quiz replaces the open one, so close it and release its results first
+  if (previousTimer) {
+    await releaseQuizResults(io, sessionId, previousTimer.questionId, 'replaced');
+  }
+  
+  // Replaced or closed while it was being opened: its results are already out
+  if (activeQuizTimers.get(sessionId) !== ownTimer) {
+    return;
+  }
+  const timer = describeQuizTimer(ownTimer);
+  
+  // Emit quiz to all students in the session (without the correct answer)
+  io.to(sessionId).emit('new-quiz', {
+    questionId: quiz.questionId,
+    type: quiz.type,
+    question: quiz.question,
+    options: quiz.options,
+    ...timer
+  });
+  
+  // Also emit quiz info to the lecturer for monitoring
+  emitToLecturer(io, sessionId, 'quiz-created', {
+    ...quiz,
+    ...timer
+  });
+  await emitAnswerTally(io, sessionId, quiz.questionId);
+  
+  console.log('📤 Quiz sent to students:', {
+    questionId: quiz.questionId,
+    question: quiz.question,
+    correctAnswer: quiz.correctAnswer,
+    timeLimit,
+    startTime
+  });
+};
+
+// Detect a question in a flushed transcript window and turn it into a quiz.
+// Resolves to true when a question was found so the window does not re-examine it.
+const detectAndCreateQuiz = async (io, sessionId, { text, context }) => {
+  let questionResult;
+  try {
+    questionResult = await detectQuestion(text);
+    
+    if (!questionResult.hasQuestion || !questionResult.question) {
+      console.log('ℹ️ No educational question found in transcript window');
+      return false;
+    }
+    
+    console.log('❓ Educational question detected:', questionResult.question);
+    
+    // Emit question detected event to lecturer
+    emitToLecturer(io, sessionId, 'question-detected', {
+      question: questionResult.question,
+      originalText: text
+    });
+    
+    // Generate a quiz of the session's question type, with the preceding sentences as context
+    const session = await database.get(
+      'SELECT review_before_publish, question_type FROM sessions WHERE id = ?',
+      [sessionId]
+    );
+    const type = (session && session.question_type) || DEFAULT_QUESTION_TYPE;
+    const generated = await generateQuiz(questionResult.question, context, type);
+    
+    // The response matched its schema; this catches answer keys that do not fit the question type
+    const { errors, quiz } = readQuizInput(generated);
+    if (errors.length > 0) {
+      throw new AIResponseError('schema_mismatch', `${getProviderName()} returned an unusable ${type} quiz`, {
+        provider: getProviderName(),
+        task: 'quiz-generation',
+        details: errors
+      });
+    }
+    
+    // In review mode the question waits for the lecturer instead of going live
+    const needsReview = Boolean(session && session.review_before_publish);
+    
+    const created = await createQuestion({
+      sessionId,
+      originalText: text,
+      quiz,
+      status: needsReview ? 'pending' : 'published'
+    });
+    console.log(`✅ Question saved to database (${needsReview ? 'pending review' : 'published'}):`, created.questionId);
+    
+    if (needsReview) {
+      emitToLecturer(io, sessionId, 'question-pending', created);
+    } else {
+      await launchQuiz(io, sessionId, created);
+    }
+  } catch (error) {
+    if (error instanceof AIResponseError) {
+      // Tell the lecturer why no quiz was created for this window
+      emitToLecturer(io, sessionId, 'ai-error', {
+        ...error.toJSON(),
+        question: questionResult ? questionResult.question : null,
+        originalText: text
+      });
+    } else {
+      console.error('❌ Error processing transcript for questions:', error);
+    }
+  }
+  
+  // A detected question is consumed even when quiz generation failed, so it is not retried
+  return Boolean(questionResult && questionResult.hasQuestion && questionResult.question);
+};
+
+// Get the session's transcript window, creating it from the stored session settings
+const getTranscriptWindow = async (io, sessionId) => {
+  if (!transcriptWindows.has(sessionId)) {
+    const session = await database.get(
+      'SELECT detection_window_words, detection_debounce_ms FROM sessions WHERE id = ?',
+      [sessionId]
+    );
+    const settings = session
+      ? { windowWords: session.detection_window_words, debounceMs: session.detection_debounce_ms }
+      : {};
+    
+    // Another chunk may have created the window while the settings were loading
+    if (!transcriptWindows.has(sessionId)) {
+      transcriptWindows.set(sessionId, new TranscriptWindow(settings, (flushed) => {
+        return detectAndCreateQuiz(io, sessionId, flushed);
+      }));
+    }
+  }
+  
+  return transcriptWindows.get(sessionId);
+};
+
+// Stop detection for a session and release its buffered transcript
+const disposeTranscriptWindow = (sessionId) => {
+  const transcriptWindow = transcriptWindows.get(sessionId);
+  if (transcriptWindow) {
+    transcriptWindow.dispose();
+    transcriptWindows.delete(sessionId);
+  }
+};
+
+// Store a final transcript segment ({ text, start, end, confidence, speaker, words }, see
+// transcriptService) and buffer it for question detection. Resolves to the stored segment, or
+// null when it could not be stored.
+const ingestTranscriptChunk = async (io, sessionId, segment) => {
+  let stored = null;
+  try {
+    stored = await saveTranscriptSegment(sessionId, segment);
+  } catch (error) {
+    console.error('❌ Error storing transcript chunk:', error);
+  }
+  
+  // Question detection runs over the session's rolling window once segments settle
+  try {
+    const transcriptWindow = await getTranscriptWindow(io, sessionId);
+    transcriptWindow.add(segment.text);
+  } catch (error) {
+    console.error('❌ Error buffering transcript for question detection:', error);
+  }
+  
+  return stored;
+};
+
+// Open a speech-to-text stream for the lecturer's audio, on behalf of the session's stream
+// `entry`. Interim and final transcripts go to the lecturer as `transcript-update`; final ones
+// also go through the transcript-chunk pipeline. Provider times count from the start of the
+// stream, so they are shifted onto the session's recording clock.
+const openStreamForEntry = async (io, sessionId, entry) => {
+  const streamOffset = await secondsSinceRecordingStart(sessionId);
+  const shift = (seconds) => (typeof seconds === 'number' ? Math.round((seconds + streamOffset) * 1000) / 1000 : undefined);
+  
+  return openTranscriptionStream({
+    onTranscript: async ({ text, isFinal, start, end, confidence, speaker, words }) => {
+      if (!isFinal) {
+        emitToLecturer(io, sessionId, 'transcript-update', { text, isFinal });
+        return;
+      }
+      const segment = await ingestTranscriptChunk(io, sessionId, {
+        text,
+        start: shift(start),
+        end: shift(end),
+        confidence,
+        speaker,
+        words: words ? words.map(word => ({ ...word, start: shift(word.start), end: shift(word.end) })) : null
+      });
+      emitToLecturer(io, sessionId, 'transcript-update', { ...(segment || { text }), isFinal });
+    },
+    onError: (error) => {
+      console.error('❌ Speech-to-text stream error:', error);
+      if (transcriptionStreams.get(sessionId) === entry) {
+        emitToLecturer(io, sessionId, 'transcription-error', { error: 'Transcription failed. Please start recording again.' });
+        closeTranscriptionStream(sessionId);
+      }
+    },
+    // Only reported when the provider ended a stream that was not closed on purpose
+    onClose: () => {
+      if (transcriptionStreams.get(sessionId) === entry) {
+        transcriptionStreams.delete(sessionId);
+        emitToLecturer(io, sessionId, 'transcription-stopped', { sessionId });
+      }
+    }
+  });
+};
+
+// Start the session's speech-to-text stream, closing any stream it already had. The entry is
+// claimed before the provider connects: when another start, a stop or a disconnect comes in
+// meanwhile, the stream that lost the race is closed as soon as it opens and this resolves to
+// false.
+const startTranscriptionStream = async (io, socket, sessionId) => {
+  closeTranscriptionStream(sessionId);
+  
+  const entry = { stream: null, socketId: socket.id };
+  transcriptionStreams.set(sessionId, entry);
+  const isCurrent = () => transcriptionStreams.get(sessionId) === entry;
+  
+  let stream;
+  try {
+    stream = await openStreamForEntry(io, sessionId, entry);
+  } catch (error) {
+    if (isCurrent()) {
+      transcriptionStreams.delete(sessionId);
+    }
+    throw error;
+  }
+  
+  if (!isCurrent()) {
+    stream.finish();
+    return false;
+  }
+  entry.stream = stream;
+  return true;
+};
+
+// Close a session's speech-to-text stream, if it has one. A stream that is still connecting
+// is closed by startTranscriptionStream once it opens.
+const closeTranscriptionStream = (sessionId) => {
+  const entry = transcriptionStreams.get(sessionId);
+  if (entry) {
+    transcriptionStreams.delete(sessionId);
+    if (entry.stream) {
+      entry.stream.finish();
+    }
+  }
+};
 
 const setupSocketHandlers = (io) => {
+  // Identify lecturers from their handshake token
+  io.use(authenticateSocket);
+  
   io.on('connection', (socket) => {
     console.log('🔌 User connected:', socket.id);
 
     // Lecturer creates session
     socket.on('create-session', async (data) => {
       console.log('📝 Creating session:', data);
+      const { lecturer } = socket.data;
+      
+      if (!lecturer) {
+        socket.emit('session-creation-error', { error: 'Please log in to create a session' });
+        return;
+      }
+      
       const sessionId = uuidv4();
       const joinCode = Math.random().toString(36).substring(2, 8).toUpperCase();
       const timeLimit = data.timeLimit || 10;
+      const detection = resolveWindowSettings({
+        windowWords: data.detectionWindowWords,
+        debounceMs: data.detectionDebounceMs
+      });
+      const reviewBeforePublish = Boolean(data.reviewBeforePublish);
+      const allowAnswerChanges = Boolean(data.allowAnswerChanges);
+      const scoringMode = data.scoringMode || DEFAULT_SCORING_MODE;
+      const showLeaderboard = Boolean(data.showLeaderboard);
+      const questionType = data.questionType || DEFAULT_QUESTION_TYPE;
+      const confusionAlerts = alertSettingsFromInput(data);
+      
+      if (!isQuestionType(questionType)) {
+        socket.emit('session-creation-error', { error: `Question type must be one of ${QUESTION_TYPES.join(', ')}` });
+        return;
+      }
+      if (!isScoringMode(scoringMode)) {
+        socket.emit('session-creation-error', { error: `Scoring mode must be one of ${SCORING_MODES.join(', ')}` });
+        return;
+      }
       
       const query = `
-        INSERT INTO sessions (id, lecturer_name, session_name, join_code, status, time_limit)
-        VALUES (?, ?, ?, ?, 'waiting', ?)
+        INSERT INTO sessions (id, lecturer_id, lecturer_name, session_name, join_code, status, time_limit,
+                              detection_window_words, detection_debounce_ms, review_before_publish, question_type,
+                              confusion_alert_threshold, confusion_alert_level,
+                              confusion_alert_window_seconds, confusion_alert_cooldown_seconds, allow_answer_changes,
+                              scoring_mode, show_leaderboard)
+        VALUES (?, ?, ?, ?, ?, 'waiting', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `;
       
-      db.run(query, [sessionId, data.lecturerName, data.sessionName, joinCode, timeLimit], function(err) {
+      db.run(query, [
+        sessionId, lecturer.id, lecturer.name, data.sessionName, joinCode, timeLimit,
+        detection.windowWords, detection.debounceMs, reviewBeforePublish ? 1 : 0, questionType,
+        confusionAlerts.threshold, confusionAlerts.level, confusionAlerts.windowSeconds, confusionAlerts.cooldownSeconds,
+        allowAnswerChanges ? 1 : 0, scoringMode, showLeaderboard ? 1 : 0
+      ], function(err) {
         if (err) {
           console.error('Error creating session via socket:', err);
           socket.emit('session-creation-error', { error: 'Failed to create session' });
         } else {
           socket.join(sessionId);
-          socket.emit('session-created', { sessionId, joinCode, timeLimit });
-          console.log('✅ Session created:', { sessionId, joinCode, timeLimit });
+          socket.data.role = 'lecturer';
+          socket.data.sessionId = sessionId;
+          socket.emit('session-created', {
+            sessionId,
+            joinCode,
+            timeLimit,
+            detectionWindowWords: detection.windowWords,
+            detectionDebounceMs: detection.debounceMs,
+            reviewBeforePublish,
+            allowAnswerChanges,
+            scoringMode,
+            showLeaderboard,
+            questionType,
+            ...alertSettingsPayload(confusionAlerts)
+          });
+          console.log('✅ Session created:', {
+            sessionId, joinCode, timeLimit, detection, reviewBeforePublish, allowAnswerChanges, scoringMode, showLeaderboard, questionType, confusionAlerts
+          });
         }
       });
     });
@@ -49,247 +668,552 @@ const setupSocketHandlers = (io) => {
         
         // Add student
         const studentId = uuidv4();
-        db.run('INSERT INTO students (id, session_id, name) VALUES (?, ?, ?)', 
-          [studentId, session.id, studentName], function(err) {
+        const reconnectToken = createReconnectToken();
+        db.run('INSERT INTO students (id, session_id, name, reconnect_token) VALUES (?, ?, ?, ?)', 
+          [studentId, session.id, studentName, reconnectToken], async function(err) {
           if (err) {
             socket.emit('join-error', { error: 'Failed to join session' });
-          } else {
-            socket.join(session.id);
+            return;
+          }
+          
+          socket.join(session.id);
+          socket.data.role = 'student';
+          socket.data.studentId = studentId;
+          socket.data.sessionId = session.id;
+          
+          try {
+            // Previous questions (for late joiners), the timer of the open quiz and the answer policy
+            const state = await getStudentSessionState(session.id, studentId);
             
-            // Get all previous questions for this session
-            const questionsQuery = `
-              SELECT id as questionId, formatted_question as question, 
-                     option_a, option_b, option_c, option_d, correct_answer as correctAnswer,
-                     created_at
-              FROM questions 
-              WHERE session_id = ? 
-              ORDER BY created_at ASC
-            `;
+            socket.emit('session-joined', { 
+              studentId, 
+              sessionId: session.id,
+              reconnectToken,
+              ...state
+            });
             
-            db.all(questionsQuery, [session.id], (err, questions) => {
-              const formattedQuestions = questions.map(q => ({
-                questionId: q.questionId,
-                question: q.question,
-                options: {
-                  A: q.option_a,
-                  B: q.option_b,
-                  C: q.option_c,
-                  D: q.option_d
-                },
-                correctAnswer: q.correctAnswer,
-                answered: false,
-                selectedAnswer: null
-              }));
-              
-              // Get current active timer info
-              const activeTimer = activeQuizTimers.get(session.id);
-              let currentTimerInfo = null;
-              if (activeTimer) {
-                const elapsed = Date.now() - activeTimer.startTime;
-                const remaining = Math.max(0, activeTimer.timeLimit - elapsed);
-                currentTimerInfo = {
-                  questionId: activeTimer.questionId,
-                  timeRemaining: Math.ceil(remaining / 1000),
-                  startTime: activeTimer.startTime
-                };
-              }
-              
-              socket.emit('session-joined', { 
-                studentId, 
-                sessionId: session.id,
-                previousQuestions: formattedQuestions,
-                currentTimer: currentTimerInfo
-              });
-              
-              socket.to(session.id).emit('student-joined', { studentName });
-              console.log('✅ Student joined:', { 
-                studentName, 
-                sessionId: session.id, 
-                previousQuestions: formattedQuestions.length 
-              });
+            socket.to(session.id).emit('student-joined', { studentName });
+            console.log('✅ Student joined:', { 
+              studentName, 
+              sessionId: session.id, 
+              previousQuestions: state.previousQuestions.length 
             });
+          } catch (error) {
+            console.error('Error loading session state for student:', error);
+            socket.emit('join-error', { error: 'Failed to join session' });
           }
         });
       });
     });
 
+    // Resume a session after the connection dropped. Students send the `reconnectToken` they got
+    // at join; lecturers send the `sessionId` from a socket authenticated with their login token.
+    // The socket rejoins the session room and receives what it missed in `session-resumed`.
+    socket.on('resume-session', async (data = {}) => {
+      const { reconnectToken, sessionId } = data;
+      
+      try {
+        if (reconnectToken) {
+          const student = await findStudentByReconnectToken(reconnectToken);
+          if (!student) {
+            socket.emit('resume-error', { error: 'This session link is no longer valid. Please join again.' });
+            return;
+          }
+          
+          if (student.session_status === 'ended') {
+            const session = await database.get('SELECT lecture_summary FROM sessions WHERE id = ?', [student.session_id]);
+            socket.emit('session-ended-with-analytics', {
+              message: 'Session has ended. Here are your results!',
+              analytics: await getStudentResults(student.session_id, student, session.lecture_summary)
+            });
+            return;
+          }
+          
+          socket.join(student.session_id);
+          socket.data.role = 'student';
+          socket.data.studentId = student.id;
+          socket.data.sessionId = student.session_id;
+          
+          const [state, studentQuestions] = await Promise.all([
+            getStudentSessionState(student.session_id, student.id),
+            getStudentQuestions(student.session_id, { studentId: student.id })
+          ]);
+          socket.emit('session-resumed', {
+            role: 'student',
+            studentId: student.id,
+            sessionId: student.session_id,
+            ...state,
+            studentQuestions
+          });
+          console.log('🔁 Student resumed session:', { studentId: student.id, sessionId: student.session_id });
+          return;
+        }
+        
+        if (!(await isSessionLecturer(socket, sessionId))) {
+          rejectUnauthorized(socket, 'resume-session');
+          return;
+        }
+        
+        const session = await database.get('SELECT * FROM sessions WHERE id = ?', [sessionId]);
+        if (session.status === 'ended') {
+          socket.emit('resume-error', { error: 'This session has ended', ended: true });
+          return;
+        }
+        
+        socket.join(sessionId);
+        socket.data.role = 'lecturer';
+        socket.data.sessionId = sessionId;
+        
+        socket.emit('session-resumed', { role: 'lecturer', ...(await getLecturerSessionState(session)) });
+        console.log('🔁 Lecturer resumed session:', sessionId);
+      } catch (error) {
+        console.error('Error resuming session:', error);
+        socket.emit('resume-error', { error: 'Failed to resume session' });
+      }
+    });
+
     // Lecturer starts recording
-    socket.on('start-recording', (sessionId) => {
+    socket.on('start-recording', async (sessionId) => {
+      if (!(await isSessionLecturer(socket, sessionId))) {
+        rejectUnauthorized(socket, 'start-recording');
+        return;
+      }
+      
       console.log('🎤 Starting recording for session:', sessionId);
       db.run('UPDATE sessions SET status = "active" WHERE id = ?', [sessionId]);
+      try {
+        await markRecordingStarted(sessionId);
+      } catch (error) {
+        console.error('Error starting the recording clock:', error);
+      }
       socket.to(sessionId).emit('recording-started');
     });
 
-    // Process transcript chunks
+    // Process transcript chunks. `start`, `end`, `confidence` and `speaker` are optional; without
+    // a start the chunk is placed at the current time on the recording clock.
     socket.on('transcript-chunk', async (data) => {
       const { sessionId, text } = data;
+      
+      if (!(await isSessionLecturer(socket, sessionId))) {
+        rejectUnauthorized(socket, 'transcript-chunk');
+        return;
+      }
+      
+      const { errors, timing } = readSegmentTiming(data);
+      if (errors.length > 0) {
+        socket.emit('transcript-error', { error: errors.join('; ') });
+        return;
+      }
+      
       console.log('📝 Received transcript chunk for session:', sessionId, '- Text:', text);
       
-      // Store transcript chunk
-      const transcriptId = uuidv4();
-      db.run('INSERT INTO transcripts (id, session_id, text_chunk) VALUES (?, ?, ?)', 
-        [transcriptId, sessionId, text]);
+      const segment = await ingestTranscriptChunk(io, sessionId, { text, ...timing });
+      socket.emit('transcript-received', segment
+        ? { transcriptId: segment.transcriptId, start: segment.start, end: segment.end }
+        : { transcriptId: null });
+    });
+
+    // Lecturer starts streaming microphone audio to the server for transcription
+    socket.on('start-transcription', async (sessionId) => {
+      if (!(await isSessionLecturer(socket, sessionId))) {
+        rejectUnauthorized(socket, 'start-transcription');
+        return;
+      }
       
-      // Check for questions using Gemini directly on the text
       try {
-        const questionResult = await detectQuestion(text);
-        
-        if (questionResult.hasQuestion && questionResult.question) {
-          console.log('❓ Educational question detected:', questionResult.question);
-          
-          // Emit question detected event to lecturer
-          socket.emit('question-detected', { 
-            question: questionResult.question,
-            originalText: text 
-          });
-          
-          // Generate quiz for the detected question
-          const quiz = await generateQuiz(questionResult.question);
-          
-          if (quiz) {
-            // Save question to database
-            const questionId = uuidv4();
-            const questionQuery = `
-              INSERT INTO questions (id, session_id, original_text, formatted_question, 
-                                   option_a, option_b, option_c, option_d, correct_answer)
-              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-            `;
-            
-            db.run(questionQuery, [
-              questionId, sessionId, text, questionResult.question,
-              quiz.optionA, quiz.optionB, quiz.optionC, quiz.optionD, quiz.correctAnswer
-            ], function(err) {
-              if (err) {
-                console.error('Error saving question to database:', err);
-              } else {
-                console.log('✅ Question saved to database:', questionId);
-                
-                // Get session time limit
-                db.get('SELECT time_limit FROM sessions WHERE id = ?', [sessionId], (err, session) => {
-                  const timeLimit = session ? session.time_limit : 10;
-                  const startTime = Date.now();
-                  
-                  // Track this quiz timer globally
-                  activeQuizTimers.set(sessionId, {
-                    questionId,
-                    startTime,
-                    timeLimit: timeLimit * 1000 // Convert to milliseconds
-                  });
-                  
-                  // Emit quiz to all students in the session
-                  io.to(sessionId).emit('new-quiz', {
-                    questionId,
-                    question: questionResult.question,
-                    options: {
-                      A: quiz.optionA,
-                      B: quiz.optionB,
-                      C: quiz.optionC,
-                      D: quiz.optionD
-                    },
-                    correctAnswer: quiz.correctAnswer,
-                    timeLimit: timeLimit,
-                    startTime: startTime
-                  });
-                  
-                  // Also emit quiz info to the lecturer for monitoring
-                  socket.emit('quiz-created', {
-                    questionId,
-                    question: questionResult.question,
-                    options: {
-                      A: quiz.optionA,
-                      B: quiz.optionB,
-                      C: quiz.optionC,
-                      D: quiz.optionD
-                    },
-                    correctAnswer: quiz.correctAnswer,
-                    timeLimit: timeLimit,
-                    startTime: startTime,
-                    originalText: text
-                  });
-                  
-                  // Set timer to auto-reveal results
-                  setTimeout(() => {
-                    // Check if this timer is still active (not replaced by newer question)
-                    const currentTimer = activeQuizTimers.get(sessionId);
-                    if (currentTimer && currentTimer.questionId === questionId) {
-                      io.to(sessionId).emit('quiz-timeout', { 
-                        questionId, 
-                        correctAnswer: quiz.correctAnswer 
-                      });
-                      console.log('⏰ Quiz auto-timeout for question:', questionId);
-                    }
-                  }, timeLimit * 1000);
-                  
-                  console.log('📤 Quiz sent to students:', {
-                    questionId,
-                    question: questionResult.question,
-                    correctAnswer: quiz.correctAnswer,
-                    timeLimit: timeLimit,
-                    startTime: startTime
-                  });
-                });
-              }
-            });
-          } else {
-            console.log('❌ Failed to generate quiz for question');
-          }
-        } else {
-          console.log('ℹ️ No educational question found in text');
+        // A later start or a stop took over while the provider was connecting
+        if (!(await startTranscriptionStream(io, socket, sessionId))) {
+          return;
         }
+        socket.emit('transcription-started', { sessionId, provider: getSttProviderName() });
+        console.log(`🎙️ Transcription started for session ${sessionId} (${getSttProviderName()})`);
       } catch (error) {
-        console.error('❌ Error processing transcript for questions:', error);
+        console.error('Error starting transcription:', error);
+        socket.emit('transcription-error', { error: 'Could not connect to the speech-to-text service' });
+      }
+    });
+
+    // A chunk of recorded audio. Only the socket that started the stream can feed it; chunks
+    // that arrive before the stream opens or after it closes are dropped.
+    socket.on('audio-chunk', (data) => {
+      const entry = transcriptionStreams.get(data && data.sessionId);
+      if (entry && entry.stream && entry.socketId === socket.id && data.audio) {
+        entry.stream.send(data.audio);
+      }
+    });
+
+    socket.on('stop-transcription', async (sessionId) => {
+      if (!(await isSessionLecturer(socket, sessionId))) {
+        rejectUnauthorized(socket, 'stop-transcription');
+        return;
       }
       
-      socket.emit('transcript-received', { transcriptId });
+      closeTranscriptionStream(sessionId);
+      socket.emit('transcription-stopped', { sessionId });
     });
 
-    // Student submits answer
+    // Student submits answer. Correctness is sent back with `answer-result` once the quiz closes.
     socket.on('submit-answer', async (data) => {
-      const { questionId, studentId, answer } = data;
-      console.log('📊 Student submitting answer:', { questionId, studentId, answer });
+      const { questionId, studentId, answer, confidence } = data;
+      console.log('📊 Student submitting answer:', { questionId, studentId, answer, confidence });
       
-      const answerId = uuidv4();
-      db.run('INSERT INTO student_answers (id, question_id, student_id, selected_answer) VALUES (?, ?, ?, ?)', 
-        [answerId, questionId, studentId, answer], function(err) {
-        if (err) {
-          socket.emit('answer-error', { error: 'Failed to submit answer' });
-        } else {
-          socket.emit('answer-submitted', { answerId });
+      // Only a socket that joined (or resumed) as this student can answer for them
+      if (!socket.data.studentId || socket.data.studentId !== studentId) {
+        socket.emit('answer-error', { questionId, code: 'not_in_session', error: 'You can only answer as yourself' });
+        return;
+      }
+      
+      try {
+        const { answerId, question, answer: selectedAnswer, confidence: savedConfidence, changed } = await recordAnswer({
+          questionId, studentId, answer, confidence
+        });
+        socket.emit('answer-submitted', { answerId, questionId, selectedAnswer, confidence: savedConfidence, changed });
+        await emitAnswerTally(io, question.session_id, questionId);
+      } catch (error) {
+        console.error('Error submitting answer:', error);
+        socket.emit('answer-error', error.statusCode
+          ? { questionId, code: error.code, error: error.message }
+          : { questionId, error: 'Failed to submit answer' });
+      }
+    });
+
+    // Lecturer closes the quiz early and reveals the answer
+    socket.on('reveal-quiz', async (data) => {
+      const { sessionId, questionId } = data;
+      
+      if (!(await isSessionLecturer(socket, sessionId))) {
+        rejectUnauthorized(socket, 'reveal-quiz');
+        return;
+      }
+      
+      console.log('👁️ Lecturer revealing answer for question:', questionId);
+      await closeQuiz(io, sessionId, questionId, 'revealed');
+    });
+
+    // Lecturer changes the running quiz's countdown: extend it by `seconds`, pause or resume it
+    const handleQuizTimerControl = (event, action) => async (data) => {
+      const { sessionId, questionId, seconds } = data;
+      
+      if (!(await isSessionLecturer(socket, sessionId))) {
+        rejectUnauthorized(socket, event);
+        return;
+      }
+      
+      try {
+        await adjustQuizTimer(io, sessionId, questionId, action, seconds);
+      } catch (error) {
+        console.error(`Error handling ${event}:`, error);
+        socket.emit('quiz-control-error', { questionId, error: error.statusCode ? error.message : 'Failed to update the quiz timer' });
+      }
+    };
+    socket.on('extend-quiz', handleQuizTimerControl('extend-quiz', 'extend'));
+    socket.on('pause-quiz', handleQuizTimerControl('pause-quiz', 'pause'));
+    socket.on('resume-quiz', handleQuizTimerControl('resume-quiz', 'resume'));
+
+    // Lecturer runs an earlier question again as a fresh quiz with its own answers
+    socket.on('rerun-quiz', async (data) => {
+      const { sessionId, questionId } = data;
+      
+      if (!(await isSessionLecturer(socket, sessionId))) {
+        rejectUnauthorized(socket, 'rerun-quiz');
+        return;
+      }
+      
+      try {
+        const original = await database.get(
+          "SELECT * FROM questions WHERE id = ? AND session_id = ? AND status = 'published'",
+          [questionId, sessionId]
+        );
+        if (!original) {
+          socket.emit('quiz-control-error', { questionId, error: 'Question not found' });
+          return;
         }
-      });
+        
+        const rerun = await createQuestion({
+          sessionId,
+          originalText: original.original_text,
+          quiz: rowToQuiz(original),
+          source: original.source,
+          bankQuestionId: original.bank_question_id,
+          rerunOf: original.rerun_of || original.id
+        });
+        console.log('🔁 Re-running question:', questionId, '->', rerun.questionId);
+        await launchQuiz(io, sessionId, rerun);
+      } catch (error) {
+        console.error('Error re-running quiz:', error);
+        socket.emit('quiz-control-error', { questionId, error: 'Failed to re-run quiz' });
+      }
     });
 
-    // Quiz timer ends
-    socket.on('quiz-timeout', (data) => {
-      const { questionId, sessionId } = data;
-      console.log('⏰ Quiz timeout for question:', questionId);
+    // Lecturer shows students how the class answered a closed quiz
+    socket.on('share-answer-tally', async (data) => {
+      const { sessionId, questionId } = data;
       
-      // Get the correct answer and reveal it to all students
-      db.get('SELECT correct_answer FROM questions WHERE id = ?', [questionId], (err, question) => {
-        if (err) {
-          console.error('Error getting question for timeout:', err);
+      if (!(await isSessionLecturer(socket, sessionId))) {
+        rejectUnauthorized(socket, 'share-answer-tally');
+        return;
+      }
+      
+      try {
+        const question = await database.get(
+          "SELECT id FROM questions WHERE id = ? AND session_id = ? AND status = 'published'",
+          [questionId, sessionId]
+        );
+        if (!question) {
+          socket.emit('quiz-control-error', { questionId, error: 'Question not found' });
+          return;
+        }
+        if (isQuestionOpen(sessionId, questionId)) {
+          socket.emit('quiz-control-error', { questionId, error: 'Results can be shared once the quiz has closed' });
           return;
         }
         
-        // Reveal correct answer to all students in the session
-        io.to(sessionId).emit('quiz-results', { 
-          questionId, 
-          correctAnswer: question.correct_answer 
+        await markResultsShared(questionId);
+        io.to(sessionId).emit('answer-tally-shared', await getAnswerTally(questionId));
+      } catch (error) {
+        console.error('Error sharing answer tally:', error);
+        socket.emit('quiz-control-error', { questionId, error: 'Failed to share results' });
+      }
+    });
+
+    // Lecturer lets students change their answer until the quiz closes, or not
+    socket.on('set-answer-changes', async (data) => {
+      const { sessionId, allowAnswerChanges } = data;
+      
+      if (!(await isSessionLecturer(socket, sessionId))) {
+        rejectUnauthorized(socket, 'set-answer-changes');
+        return;
+      }
+      
+      try {
+        await database.run('UPDATE sessions SET allow_answer_changes = ? WHERE id = ?',
+          [allowAnswerChanges ? 1 : 0, sessionId]);
+        io.to(sessionId).emit('answer-policy-updated', { sessionId, allowAnswerChanges: Boolean(allowAnswerChanges) });
+      } catch (error) {
+        console.error('Error updating answer policy:', error);
+        socket.emit('session-settings-error', { error: 'Failed to update answer policy' });
+      }
+    });
+
+    // Lecturer shows or hides the live leaderboard for students
+    socket.on('set-leaderboard', async (data) => {
+      const { sessionId, showLeaderboard } = data;
+      
+      if (!(await isSessionLecturer(socket, sessionId))) {
+        rejectUnauthorized(socket, 'set-leaderboard');
+        return;
+      }
+      
+      try {
+        await database.run('UPDATE sessions SET show_leaderboard = ? WHERE id = ?', [showLeaderboard ? 1 : 0, sessionId]);
+        io.to(sessionId).emit('leaderboard-settings-updated', { sessionId, showLeaderboard: Boolean(showLeaderboard) });
+        await emitLeaderboard(io, sessionId);
+      } catch (error) {
+        console.error('Error updating leaderboard setting:', error);
+        socket.emit('session-settings-error', { error: 'Failed to update leaderboard setting' });
+      }
+    });
+
+    // Lecturer turns "review before publish" on or off for detected questions
+    socket.on('set-review-mode', async (data) => {
+      const { sessionId, reviewBeforePublish } = data;
+      
+      if (!(await isSessionLecturer(socket, sessionId))) {
+        rejectUnauthorized(socket, 'set-review-mode');
+        return;
+      }
+      
+      try {
+        await database.run('UPDATE sessions SET review_before_publish = ? WHERE id = ?',
+          [reviewBeforePublish ? 1 : 0, sessionId]);
+        socket.emit('review-mode-updated', { sessionId, reviewBeforePublish: Boolean(reviewBeforePublish) });
+      } catch (error) {
+        console.error('Error updating review mode:', error);
+        socket.emit('review-error', { error: 'Failed to update review mode' });
+      }
+    });
+
+    // Lecturer loads the questions waiting for review
+    socket.on('get-pending-questions', async (data) => {
+      const { sessionId } = data;
+      
+      if (!(await isSessionLecturer(socket, sessionId))) {
+        rejectUnauthorized(socket, 'get-pending-questions');
+        return;
+      }
+      
+      try {
+        socket.emit('pending-questions', { sessionId, questions: await getPendingQuestions(sessionId) });
+      } catch (error) {
+        console.error('Error getting pending questions:', error);
+        socket.emit('review-error', { error: 'Failed to load pending questions' });
+      }
+    });
+
+    // Lecturer approves a pending question, optionally edited, and sends it to students.
+    // The edited quiz may also change the question type.
+    socket.on('publish-question', async (data) => {
+      const { sessionId, questionId } = data;
+      
+      if (!(await isSessionLecturer(socket, sessionId))) {
+        rejectUnauthorized(socket, 'publish-question');
+        return;
+      }
+      
+      const { errors, quiz } = readQuizInput(data);
+      if (errors.length > 0) {
+        socket.emit('review-error', { questionId, error: errors.join('. ') });
+        return;
+      }
+      
+      try {
+        const published = await publishPendingQuestion(sessionId, questionId, quiz);
+        if (!published) {
+          socket.emit('review-error', { questionId, error: 'Question is no longer pending' });
+          return;
+        }
+        
+        console.log('✅ Pending question published:', questionId);
+        await launchQuiz(io, sessionId, published);
+      } catch (error) {
+        console.error('Error publishing question:', error);
+        socket.emit('review-error', { questionId, error: 'Failed to publish question' });
+      }
+    });
+
+    // Lecturer pushes a hand-written quiz or a question bank entry live
+    socket.on('push-quiz', async (data) => {
+      const { sessionId, bankQuestionId } = data;
+      
+      if (!(await isSessionLecturer(socket, sessionId))) {
+        rejectUnauthorized(socket, 'push-quiz');
+        return;
+      }
+      
+      try {
+        let pushed;
+        if (bankQuestionId) {
+          const bankQuestion = await database.get(
+            'SELECT * FROM question_bank WHERE id = ? AND lecturer_id = ?',
+            [bankQuestionId, socket.data.lecturer.id]
+          );
+          if (!bankQuestion) {
+            socket.emit('push-quiz-error', { bankQuestionId, error: 'Question not found in your question bank' });
+            return;
+          }
+          pushed = await createQuestion({
+            sessionId,
+            quiz: rowToQuiz(bankQuestion),
+            source: 'bank',
+            bankQuestionId
+          });
+        } else {
+          const { errors, quiz } = readQuizInput(data);
+          if (errors.length > 0) {
+            socket.emit('push-quiz-error', { error: errors.join('. ') });
+            return;
+          }
+          pushed = await createQuestion({ sessionId, quiz, source: 'manual' });
+        }
+        
+        console.log(`✅ ${pushed.source === 'bank' ? 'Bank' : 'Manual'} quiz pushed:`, pushed.questionId);
+        await launchQuiz(io, sessionId, pushed);
+      } catch (error) {
+        console.error('Error pushing quiz:', error);
+        socket.emit('push-quiz-error', { bankQuestionId, error: 'Failed to push quiz' });
+      }
+    });
+
+    // Lecturer drops a pending question; it never reaches students or analytics
+    socket.on('discard-question', async (data) => {
+      const { sessionId, questionId } = data;
+      
+      if (!(await isSessionLecturer(socket, sessionId))) {
+        rejectUnauthorized(socket, 'discard-question');
+        return;
+      }
+      
+      try {
+        if (await discardPendingQuestion(sessionId, questionId)) {
+          console.log('🗑️ Pending question discarded:', questionId);
+          socket.emit('question-discarded', { questionId });
+        } else {
+          socket.emit('review-error', { questionId, error: 'Question is no longer pending' });
+        }
+      } catch (error) {
+        console.error('Error discarding question:', error);
+        socket.emit('review-error', { questionId, error: 'Failed to discard question' });
+      }
+    });
+
+    // Lecturer tunes the question detection window during a session
+    socket.on('update-detection-settings', async (data) => {
+      const { sessionId } = data;
+      
+      if (!(await isSessionLecturer(socket, sessionId))) {
+        rejectUnauthorized(socket, 'update-detection-settings');
+        return;
+      }
+      
+      try {
+        const current = await database.get(
+          'SELECT detection_window_words, detection_debounce_ms FROM sessions WHERE id = ?',
+          [sessionId]
+        );
+        const detection = resolveWindowSettings({
+          windowWords: data.detectionWindowWords ?? current.detection_window_words,
+          debounceMs: data.detectionDebounceMs ?? current.detection_debounce_ms
         });
         
-        console.log('📊 Quiz results revealed for question:', questionId);
-      });
+        await database.run(
+          'UPDATE sessions SET detection_window_words = ?, detection_debounce_ms = ? WHERE id = ?',
+          [detection.windowWords, detection.debounceMs, sessionId]
+        );
+        
+        const transcriptWindow = transcriptWindows.get(sessionId);
+        if (transcriptWindow) {
+          transcriptWindow.updateSettings(detection);
+        }
+        
+        socket.emit('detection-settings-updated', {
+          sessionId,
+          detectionWindowWords: detection.windowWords,
+          detectionDebounceMs: detection.debounceMs
+        });
+      } catch (error) {
+        console.error('Error updating detection settings:', error);
+        socket.emit('detection-settings-error', { error: 'Failed to update detection settings' });
+      }
     });
 
     // Lecturer stops recording
-    socket.on('stop-recording', (sessionId) => {
+    socket.on('stop-recording', async (sessionId) => {
+      if (!(await isSessionLecturer(socket, sessionId))) {
+        rejectUnauthorized(socket, 'stop-recording');
+        return;
+      }
+      
       console.log('🛑 Stopping recording for session:', sessionId);
+      closeTranscriptionStream(sessionId);
+      
+      // Detect over whatever is still buffered instead of waiting for the debounce. A question
+      // found there is launched before the session ends; later ones are not.
+      const transcriptWindow = transcriptWindows.get(sessionId);
+      if (transcriptWindow) {
+        await transcriptWindow.drain();
+      }
+      
       db.run('UPDATE sessions SET status = "ended", ended_at = CURRENT_TIMESTAMP WHERE id = ?', [sessionId]);
       socket.to(sessionId).emit('recording-stopped');
     });
 
     // Lecturer stops session and gets analytics
     socket.on('stop-session', async (sessionId) => {
+      if (!(await isSessionLecturer(socket, sessionId))) {
+        socket.emit('session-stop-error', { error: 'You are not authorized to stop this session' });
+        return;
+      }
+      
       console.log('🛑 Stopping session for analytics:', sessionId);
       
       // First check if session exists
@@ -318,7 +1242,15 @@ const setupSocketHandlers = (io) => {
             return;
           }
           
-
+          closeTranscriptionStream(sessionId);
+          disposeTranscriptWindow(sessionId);
+          clearAlertState(sessionId);
+          
+          // Close any quiz that is still running so students get their results
+          const openTimer = activeQuizTimers.get(sessionId);
+          if (openTimer) {
+            await closeQuiz(io, sessionId, openTimer.questionId, 'session-ended');
+          }
 
           // Get comprehensive analytics for the session
           const analyticsQuery = `
@@ -331,7 +1263,7 @@ const setupSocketHandlers = (io) => {
             COUNT(DISTINCT st.id) as total_students,
             COUNT(DISTINCT sa.id) as total_answers
           FROM sessions s
-          LEFT JOIN questions q ON s.id = q.session_id
+          LEFT JOIN questions q ON s.id = q.session_id AND q.status = 'published'
           LEFT JOIN students st ON s.id = st.session_id
           LEFT JOIN student_answers sa ON q.id = sa.question_id
           WHERE s.id = ?
@@ -351,54 +1283,56 @@ const setupSocketHandlers = (io) => {
               q.id as question_id,
               q.formatted_question as question,
               q.correct_answer,
-              q.option_a,
-              q.option_b,
-              q.option_c,
-              q.option_d,
               COUNT(sa.id) as total_answers,
-              COUNT(CASE WHEN sa.selected_answer = q.correct_answer THEN 1 END) as correct_answers,
-              COUNT(CASE WHEN sa.selected_answer != q.correct_answer THEN 1 END) as incorrect_answers,
-              ROUND(CAST(COUNT(CASE WHEN sa.selected_answer = q.correct_answer THEN 1 END) AS FLOAT) / 
-                    COUNT(sa.id) * 100, 2) as accuracy_rate,
-              COUNT(CASE WHEN sa.selected_answer = 'A' THEN 1 END) as option_a_count,
-              COUNT(CASE WHEN sa.selected_answer = 'B' THEN 1 END) as option_b_count,
-              COUNT(CASE WHEN sa.selected_answer = 'C' THEN 1 END) as option_c_count,
-              COUNT(CASE WHEN sa.selected_answer = 'D' THEN 1 END) as option_d_count
+              COUNT(CASE WHEN sa.is_correct = 1 THEN 1 END) as correct_answers,
+              COUNT(CASE WHEN sa.is_correct = 0 THEN 1 END) as incorrect_answers,
+              ROUND(CAST(COUNT(CASE WHEN sa.is_correct = 1 THEN 1 END) AS FLOAT) / 
+                    COUNT(sa.id) * 100, 2) as accuracy_rate
             FROM questions q
             LEFT JOIN student_answers sa ON q.id = sa.question_id
-            WHERE q.session_id = ?
+            WHERE q.session_id = ? AND q.status = 'published'
             GROUP BY q.id
             ORDER BY q.created_at ASC
           `;
           
-          db.all(questionAnalyticsQuery, [sessionId], (err, questionAnalytics) => {
+          db.all(questionAnalyticsQuery, [sessionId], async (err, questionAnalytics) => {
             if (err) {
               console.error('Error getting question analytics:', err);
               socket.emit('session-stop-error', { error: 'Failed to get question analytics' });
               return;
             }
             
+            let distributions;
+            let studentQuestions;
+            let responseTimes;
+            let confidenceStats;
+            let ranking;
+            try {
+              distributions = await getAnswerDistributions(sessionId);
+              confidenceStats = await getConfidenceStats(sessionId);
+              studentQuestions = await getStudentQuestionStats(sessionId);
+              responseTimes = await getResponseTimeStats(sessionId);
+              ranking = await getRanking(sessionId);
+            } catch (error) {
+              console.error('Error getting answer distributions:', error);
+              socket.emit('session-stop-error', { error: 'Failed to get question analytics' });
+              return;
+            }
+            
             // Process question analytics and find the most problematic question
             const processedQuestions = questionAnalytics.map(q => ({
               questionId: q.question_id,
+              type: distributions.get(q.question_id).type,
               question: q.question,
               correctAnswer: q.correct_answer,
-              options: {
-                A: q.option_a,
-                B: q.option_b,
-                C: q.option_c,
-                D: q.option_d
-              },
+              options: distributions.get(q.question_id).options,
               totalAnswers: q.total_answers,
               correctAnswers: q.correct_answers,
               incorrectAnswers: q.incorrect_answers,
               accuracyRate: q.accuracy_rate || 0,
-              answerDistribution: {
-                A: q.option_a_count,
-                B: q.option_b_count,
-                C: q.option_c_count,
-                D: q.option_d_count
-              }
+              answerDistribution: distributions.get(q.question_id).distribution,
+              responseTimes: responseTimes.get(q.question_id),
+              confidence: confidenceStats.get(q.question_id)
             }));
             
             // Find question with most wrong answers (lowest accuracy rate)
@@ -428,7 +1362,11 @@ const setupSocketHandlers = (io) => {
                   : 0
               },
               questionAnalytics: processedQuestions,
-              mostProblematicQuestion: mostProblematicQuestion || null
+              mostProblematicQuestion: mostProblematicQuestion || null,
+              confidentlyWrongHotspots: findConfidentlyWrongHotspots(processedQuestions),
+              studentQuestions,
+              scoringMode: session.scoring_mode,
+              leaderboard: leaderboardPayload(ranking, { includeIds: true })
             };
             
             // Emit analytics to the lecturer
@@ -453,79 +1391,37 @@ const setupSocketHandlers = (io) => {
                 
                 if (!err && transcripts && transcripts.length > 0) {
                   try {
-                    const { generateSummary } = require('../services/geminiService');
+                    const { generateSummary } = require('../services/aiService');
                     const fullTranscript = transcripts.map(t => t.text_chunk).join(' ');
-                    lectureSummary = await generateSummary(fullTranscript);
+                    lectureSummary = await generateSummary(fullTranscript, await getSummaryQuestions(sessionId));
                   } catch (error) {
                     console.error('Error generating lecture summary:', error);
                   }
                 }
                 
-                // Send personalized analytics to each student
+                // Kept for students who reconnect after the session has ended
+                db.run('UPDATE sessions SET lecture_summary = ? WHERE id = ?', [lectureSummary, sessionId], (err) => {
+                  if (err) {
+                    console.error('Error saving lecture summary:', err);
+                  }
+                });
+                
+                // Send personalized analytics to each student's own socket(s)
+                const sessionSockets = getSessionSockets(io, sessionId);
                 for (const student of students) {
-                  const studentAnalyticsQuery = `
-                    SELECT 
-                      q.id as questionId,
-                      q.formatted_question as question,
-                      q.correct_answer as correctAnswer,
-                      q.option_a,
-                      q.option_b,
-                      q.option_c,
-                      q.option_d,
-                      sa.selected_answer as studentAnswer,
-                      CASE WHEN sa.selected_answer = q.correct_answer THEN 1 ELSE 0 END as isCorrect
-                    FROM questions q
-                    LEFT JOIN student_answers sa ON q.id = sa.question_id AND sa.student_id = ?
-                    WHERE q.session_id = ?
-                    ORDER BY q.created_at ASC
-                  `;
-                  
-                  db.all(studentAnalyticsQuery, [student.id, sessionId], (err, studentResults) => {
-                    if (err) {
-                      console.error('Error getting student analytics:', err);
-                      return;
-                    }
-                    
-                    const totalQuestions = studentResults.length;
-                    const answeredQuestions = studentResults.filter(r => r.studentAnswer).length;
-                    const correctAnswers = studentResults.filter(r => r.isCorrect === 1).length;
-                    const accuracyRate = answeredQuestions > 0 ? Math.round((correctAnswers / answeredQuestions) * 100) : 0;
-                    
-                    const studentAnalytics = {
-                      studentName: student.name,
-                      summary: {
-                        totalQuestions,
-                        answeredQuestions,
-                        correctAnswers,
-                        accuracyRate
-                      },
-                      questionResults: studentResults.map(r => ({
-                        questionId: r.questionId,
-                        question: r.question,
-                        correctAnswer: r.correctAnswer,
-                        studentAnswer: r.studentAnswer,
-                        isCorrect: r.isCorrect === 1,
-                        options: {
-                          A: r.option_a,
-                          B: r.option_b,
-                          C: r.option_c,
-                          D: r.option_d
-                        }
-                      })),
-                      lectureSummary
-                    };
-                    
-                    // Find the specific socket for this student and send their analytics
-                    const studentSockets = Array.from(io.sockets.sockets.values())
-                      .filter(s => s.rooms.has(sessionId));
-                    
-                    studentSockets.forEach(studentSocket => {
-                      studentSocket.emit('session-ended-with-analytics', {
-                        message: 'Session has ended. Here are your results!',
-                        analytics: studentAnalytics
+                  try {
+                    const studentAnalytics = await getStudentResults(sessionId, student, lectureSummary);
+                    sessionSockets
+                      .filter(s => s.data.studentId === student.id)
+                      .forEach(studentSocket => {
+                        studentSocket.emit('session-ended-with-analytics', {
+                          message: 'Session has ended. Here are your results!',
+                          analytics: studentAnalytics
+                        });
                       });
-                    });
-                  });
+                  } catch (error) {
+                    console.error('Error getting student analytics:', error);
+                  }
                 }
               });
             });
@@ -543,24 +1439,156 @@ const setupSocketHandlers = (io) => {
     });
 
     // Student signals confusion
-    socket.on('signal-confusion', (data) => {
-      const { sessionId, studentId, confusionLevel } = data;
+    socket.on('signal-confusion', async (data) => {
+      const { sessionId, confusionLevel } = data;
+      // Signals count once per student, so they are keyed on the student this socket joined as
+      const { studentId } = socket.data;
       console.log('😵 Student confusion signal:', { sessionId, studentId, confusionLevel });
       
-      // Store confusion signal in database (you might want to create a confusion_signals table)
-      const confusionId = uuidv4();
-      const timestamp = new Date().toISOString();
+      if (!studentId) {
+        socket.emit('confusion-signal-error', { error: 'Join the session before sending confusion signals' });
+        return;
+      }
       
-      // Emit to ALL sockets in the session (including lecturer)
-      io.to(sessionId).emit('confusion-signal', {
-        confusionId,
-        studentId,
-        confusionLevel,
-        timestamp
-      });
+      if (!isConfusionLevel(confusionLevel)) {
+        socket.emit('confusion-signal-error', { error: 'confusionLevel must be 0, 1 or 2' });
+        return;
+      }
       
-      // Acknowledge to the student
-      socket.emit('confusion-signal-received', { confusionId, timestamp });
+      try {
+        const signal = await recordConfusionSignal({ sessionId, studentId, level: confusionLevel });
+        if (!signal) {
+          socket.emit('confusion-signal-error', { error: 'Student is not part of this session' });
+          return;
+        }
+        const { confusionId, timestamp } = signal;
+        
+        // Only the lecturer sees who sent which signal
+        emitToLecturer(io, sessionId, 'confusion-signal', {
+          confusionId,
+          studentId,
+          confusionLevel,
+          timestamp
+        });
+        
+        // Acknowledge to the student
+        socket.emit('confusion-signal-received', { confusionId, timestamp });
+        
+        // Tell the lecturer when too many present students are confused
+        const alert = await evaluateConfusionAlert(sessionId, getPresentStudentIds(io, sessionId));
+        if (alert) {
+          console.log('🚨 Confusion alert:', alert);
+          emitToLecturer(io, sessionId, 'confusion-alert', alert);
+        }
+      } catch (error) {
+        console.error('Error recording confusion signal:', error);
+        socket.emit('confusion-signal-error', { error: 'Failed to record confusion signal' });
+      }
+    });
+
+    // Lecturer changes the confusion alert thresholds
+    socket.on('set-confusion-alerts', async (data) => {
+      const { sessionId } = data;
+      
+      if (!(await isSessionLecturer(socket, sessionId))) {
+        rejectUnauthorized(socket, 'set-confusion-alerts');
+        return;
+      }
+      
+      try {
+        // Settings left out of the payload keep their current values
+        const session = await database.get('SELECT * FROM sessions WHERE id = ?', [sessionId]);
+        const settings = alertSettingsFromInput({ ...alertSettingsPayload(alertSettingsFromRow(session)), ...data });
+        await updateAlertSettings(sessionId, settings);
+        socket.emit('confusion-alerts-updated', { sessionId, ...alertSettingsPayload(settings) });
+      } catch (error) {
+        console.error('Error updating confusion alerts:', error);
+        socket.emit('confusion-signal-error', { error: 'Failed to update confusion alerts' });
+      }
+    });
+
+    // Student asks a question. Everyone in the session sees it, without the asker's name.
+    socket.on('post-student-question', async (data) => {
+      const { sessionId, text } = data;
+      // The asker is the student this socket joined as, never an id from the payload
+      const { studentId } = socket.data;
+      
+      if (!studentId) {
+        socket.emit('student-question-error', { error: 'Join the session before asking a question' });
+        return;
+      }
+      
+      try {
+        const question = await postStudentQuestion({ sessionId, studentId, text });
+        socket.emit('student-question-received', { questionId: question.questionId });
+        io.to(sessionId).emit('student-question-posted', question);
+      } catch (error) {
+        console.error('Error posting student question:', error);
+        socket.emit('student-question-error', { error: error.statusCode ? error.message : 'Failed to post question' });
+      }
+    });
+
+    // Student upvotes a classmate's question, or takes their upvote back
+    socket.on('upvote-student-question', async (data) => {
+      const { sessionId, questionId } = data;
+      // One vote per student: the voter is the student this socket joined as
+      const { studentId } = socket.data;
+      
+      if (!studentId) {
+        socket.emit('student-question-error', { questionId, error: 'Join the session before upvoting questions' });
+        return;
+      }
+      
+      try {
+        const { question, upvoted } = await toggleUpvote({ sessionId, questionId, studentId });
+        socket.emit('student-question-vote', { questionId, upvoted });
+        io.to(sessionId).emit('student-question-updated', question);
+      } catch (error) {
+        console.error('Error upvoting student question:', error);
+        socket.emit('student-question-error', { questionId, error: error.statusCode ? error.message : 'Failed to upvote question' });
+      }
+    });
+
+    // Lecturer marks a student question answered, dismisses it or reopens it
+    socket.on('set-student-question-status', async (data) => {
+      const { sessionId, questionId, status } = data;
+      
+      if (!(await isSessionLecturer(socket, sessionId))) {
+        rejectUnauthorized(socket, 'set-student-question-status');
+        return;
+      }
+      
+      try {
+        const question = await setStudentQuestionStatus(sessionId, questionId, status);
+        if (!question) {
+          socket.emit('student-question-error', { questionId, error: 'Question not found' });
+          return;
+        }
+        io.to(sessionId).emit('student-question-updated', question);
+      } catch (error) {
+        console.error('Error updating student question:', error);
+        socket.emit('student-question-error', { questionId, error: error.statusCode ? error.message : 'Failed to update question' });
+      }
+    });
+
+    // Ranked student questions. The lecturer gets every question; a student gets the ones
+    // that were not dismissed, marked with whether they asked or upvoted each one.
+    socket.on('get-student-questions', async (data) => {
+      const { sessionId } = data;
+      const isLecturer = await isSessionLecturer(socket, sessionId);
+      
+      if (!isLecturer && socket.data.sessionId !== sessionId) {
+        rejectUnauthorized(socket, 'get-student-questions');
+        return;
+      }
+      
+      try {
+        const questions = await getStudentQuestions(sessionId, isLecturer ? {} : { studentId: socket.data.studentId });
+        socket.emit('student-questions', { sessionId, questions });
+      } catch (error) {
+        console.error('Error getting student questions:', error);
+        socket.emit('student-question-error', { error: 'Failed to load questions' });
+      }
     });
 
     // Get current confusion meter status for lecturer
@@ -591,11 +1619,10 @@ const setupSocketHandlers = (io) => {
       const currentTimer = activeQuizTimers.get(sessionId);
       
       if (currentTimer) {
-        const elapsed = Date.now() - currentTimer.startTime;
-        const remaining = Math.max(0, currentTimer.timeLimit - elapsed);
+        const timer = describeQuizTimer(currentTimer);
         
         // Get quiz details from database
-        db.get('SELECT * FROM questions WHERE id = ?', [currentTimer.questionId], (err, question) => {
+        db.get('SELECT * FROM questions WHERE id = ?', [currentTimer.questionId], async (err, question) => {
           if (err) {
             console.error('Error getting quiz details:', err);
             socket.emit('quiz-status', { isActive: false });
@@ -603,22 +1630,27 @@ const setupSocketHandlers = (io) => {
           }
           
           if (question) {
-            socket.emit('quiz-status', {
+            const quiz = rowToQuiz(question);
+            const quizStatus = {
               isActive: true,
               questionId: currentTimer.questionId,
-              question: question.formatted_question,
-              options: {
-                A: question.option_a,
-                B: question.option_b,
-                C: question.option_c,
-                D: question.option_d
-              },
-              correctAnswer: question.correct_answer,
-              timeRemaining: Math.ceil(remaining / 1000),
-              totalTime: Math.ceil(currentTimer.timeLimit / 1000),
-              startTime: currentTimer.startTime,
+              type: quiz.type,
+              question: quiz.question,
+              options: quiz.options,
+              timeRemaining: timer.timeRemaining,
+              totalTime: timer.timeLimit,
+              startTime: timer.startTime,
+              closesAt: timer.closesAt,
+              paused: timer.paused,
               originalText: question.original_text
-            });
+            };
+            
+            // Only the lecturer sees the answer while the quiz is open
+            if (question.session_id === sessionId && await isSessionLecturer(socket, sessionId)) {
+              quizStatus.correctAnswer = question.correct_answer;
+            }
+            
+            socket.emit('quiz-status', quizStatus);
           } else {
             socket.emit('quiz-status', { isActive: false });
           }
@@ -630,8 +1662,22 @@ const setupSocketHandlers = (io) => {
 
     socket.on('disconnect', () => {
       console.log('🔌 User disconnected:', socket.id);
+      
+      // Audio stops with the lecturer's connection; they start a new stream when they resume
+      transcriptionStreams.forEach((entry, sessionId) => {
+        if (entry.socketId === socket.id) {
+          closeTranscriptionStream(sessionId);
+        }
+      });
     });
   });
 };
 
-module.exports = { setupSocketHandlers, activeQuizTimers };
+module.exports = {
+  setupSocketHandlers,
+  restoreQuizTimers,
+  activeQuizTimers,
+  launchQuiz,
+  closeQuiz,
+  adjustQuizTimer
+};
@@ -0,0 +1,53 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTemporaryDatabase } = require('./helpers');
+
+process.env.JWT_SECRET = 'test-secret';
+const { database, cleanup } = useTemporaryDatabase();
+const { migrate } = require('../config/migrations');
+const { register, login } = require('../controllers/authController');
+
+// Call a controller with a JSON body; resolves to { status, body }
+const call = async (handler, body) => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (json) => { res.body = json; return res; };
+  await handler({ body }, res);
+  return { status: res.statusCode, body: res.body };
+};
+
+before(() => migrate());
+after(cleanup);
+
+test('registers a lecturer and logs them in', async () => {
+  const created = await call(register, { email: ' Ada@Example.com ', password: 'password1', name: 'Ada' });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.lecturer.email, 'ada@example.com');
+  assert.ok(created.body.token);
+
+  const loggedIn = await call(login, { email: 'ada@example.com', password: 'password1' });
+  assert.equal(loggedIn.status, 200);
+
+  const wrong = await call(login, { email: 'ada@example.com', password: 'password2' });
+  assert.equal(wrong.status, 401);
+});
+
+test('rejects credentials that are not text with 400', async () => {
+  const invalid = [
+    { email: 'bo@example.com', password: 12345678, name: 'Bo' },
+    { email: 'bo@example.com', password: 'password1', name: ['Bo'] },
+    { email: { $ne: '' }, password: 'password1', name: 'Bo' }
+  ];
+  for (const body of invalid) {
+    assert.equal((await call(register, body)).status, 400, JSON.stringify(body));
+  }
+
+  assert.equal((await call(login, { email: 'ada@example.com', password: 12345678 })).status, 400);
+  assert.equal((await call(login, { email: 42, password: 'password1' })).status, 400);
+});
+
+test('rejects missing fields and short passwords', async () => {
+  assert.equal((await call(register, { email: 'bo@example.com', name: 'Bo' })).status, 400);
+  assert.equal((await call(register, { email: 'bo@example.com', password: 'short', name: 'Bo' })).status, 400);
+  assert.equal((await call(login, { email: 'ada@example.com' })).status, 400);
+});
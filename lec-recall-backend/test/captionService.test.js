@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  resolveCaptionOptions,
+  buildCaptionCues,
+  renderVtt,
+  renderVttChapters,
+  renderSrt,
+  renderText
+} = require('../services/captionService');
+
+const options = resolveCaptionOptions();
+
+const segment = (start, end, text, extra = {}) => ({ start, end, text, speaker: null, isEdited: false, words: null, ...extra });
+
+test('fills in and clamps the caption layout limits', () => {
+  assert.deepEqual(resolveCaptionOptions(), { maxLineLength: 42, maxCueSeconds: 7 });
+  assert.deepEqual(resolveCaptionOptions({ maxLineLength: '5', maxCueSeconds: '99' }), { maxLineLength: 20, maxCueSeconds: 15 });
+  assert.deepEqual(resolveCaptionOptions({ maxLineLength: 'wide', maxCueSeconds: '2.5' }), { maxLineLength: 42, maxCueSeconds: 2.5 });
+});
+
+test('splits long segments into cues of at most two lines', () => {
+  const text = 'Photosynthesis turns light energy into chemical energy that is stored in glucose and used by the plant to grow';
+  const cues = buildCaptionCues([segment(0, 10, text)], options);
+
+  assert.ok(cues.length > 1);
+  cues.forEach(cue => {
+    assert.ok(cue.lines.length <= 2);
+    cue.lines.forEach(line => assert.ok(line.length <= 42, line));
+  });
+  assert.equal(cues.flatMap(cue => cue.lines).join(' '), text);
+  assert.equal(cues[0].start, 0);
+  assert.equal(cues[cues.length - 1].end, 10);
+});
+
+test('keeps cues within the longest cue time', () => {
+  const words = Array.from({ length: 10 }, (_, i) => ({ word: `w${i}`, start: i * 1.5, end: i * 1.5 + 1 }));
+  const cues = buildCaptionCues([segment(0, 15, words.map(w => w.word).join(' '), { words })], options);
+  cues.forEach(cue => assert.ok(cue.end - cue.start <= 7, `${cue.start}-${cue.end}`));
+});
+
+test('labels the first cue of each speaker\'s turn', () => {
+  const cues = buildCaptionCues([
+    segment(0, 2, 'Any questions', { speaker: 'Lecturer' }),
+    segment(2, 4, 'So far so good', { speaker: 'Lecturer' }),
+    segment(4, 6, 'Yes one', { speaker: 'Student' })
+  ], options);
+  assert.deepEqual(cues.map(cue => cue.lines.join(' ')), ['Lecturer: Any questions', 'So far so good', 'Student: Yes one']);
+});
+
+test('shows short cues for a second without running into the next one', () => {
+  const cues = buildCaptionCues([segment(0, 0.2, 'Hi'), segment(0.5, 2, 'Welcome back'), segment(10, 10.1, 'Right')], options);
+  assert.deepEqual(cues.map(cue => [cue.start, cue.end]), [[0, 0.5], [0.5, 2], [10, 11]]);
+});
+
+test('estimates timing for segments stored without a duration', () => {
+  const cues = buildCaptionCues([segment(3, null, 'four words right here')], options);
+  assert.equal(cues[0].start, 3);
+  assert.ok(Math.abs(cues[0].end - 4.6) < 1e-9);
+});
+
+test('renders WebVTT with chapter notes, SRT and plain text', () => {
+  const segments = [segment(0, 2, 'What is <ATP>?', { speaker: 'Lecturer' }), segment(3725.5, 3727, 'Next topic')];
+  const cues = buildCaptionCues(segments, options);
+  const chapters = [{ questionId: 'q1', start: 0, end: 3725.5, title: 'Question 1: What is ATP?' }];
+
+  assert.equal(renderVtt(cues, chapters), [
+    'WEBVTT',
+    '',
+    'NOTE Chapter at 00:00:00.000 - Question 1: What is ATP?',
+    '',
+    '1\n00:00:00.000 --> 00:00:02.000\nLecturer: What is &lt;ATP&gt;?',
+    '',
+    '2\n01:02:05.500 --> 01:02:07.000\nNext topic',
+    ''
+  ].join('\n'));
+  assert.equal(renderSrt(cues), '1\n00:00:00,000 --> 00:00:02,000\nLecturer: What is <ATP>?\n\n2\n01:02:05,500 --> 01:02:07,000\nNext topic\n');
+  assert.equal(renderText(segments), '[0:00] Lecturer: What is <ATP>?\n[62:05] Next topic\n');
+});
+
+test('adds a lecture start chapter before the first question', () => {
+  const vtt = renderVttChapters([{ questionId: 'q1', start: 90, end: 120, title: 'Question 1: Why?' }]);
+  assert.equal(vtt, 'WEBVTT\n\nchapter-1\n00:00:00.000 --> 00:01:30.000\nLecture start\n\nquestion-q1\n00:01:30.000 --> 00:02:00.000\nQuestion 1: Why?\n');
+});
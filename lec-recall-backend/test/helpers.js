@@ -0,0 +1,24 @@
+// Shared test setup. Each test file runs in its own process (node --test), so pointing
+// DATABASE_URL at a fresh temporary file before the first require of config/database gives
+// every file a database of its own.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const useTemporaryDatabase = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lec-recall-test-'));
+  process.env.DATABASE_URL = path.join(dir, 'test.db');
+  const database = require('../config/database');
+  return {
+    database,
+    cleanup: async () => {
+      await database.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+};
+
+module.exports = {
+  useTemporaryDatabase
+};
@@ -0,0 +1,83 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTemporaryDatabase } = require('./helpers');
+
+const { database, cleanup } = useTemporaryDatabase();
+const { migrate, rollback, listMigrations } = require('../config/migrations');
+
+// The schema as released before migrations existed
+const BASELINE_SCHEMA = fs.readFileSync(path.join(__dirname, 'fixtures', 'baseline_schema.sql'), 'utf8');
+
+// Every table with its columns, leaving out the bookkeeping and full-text index internals
+const describeSchema = async () => {
+  const tables = await database.all(`
+    SELECT name FROM sqlite_master
+    WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name <> 'schema_migrations'
+    ORDER BY name
+  `);
+  const schema = {};
+  for (const { name } of tables) {
+    const columns = await database.all(`PRAGMA table_info(${name})`);
+    schema[name] = columns.map(c => `${c.name} ${c.type} notnull=${c.notnull} default=${c.dflt_value}`);
+  }
+  return schema;
+};
+
+const columnNames = async (table) => (await database.all(`PRAGMA table_info(${table})`)).map(c => c.name);
+
+before(async () => {
+  await database.exec(BASELINE_SCHEMA);
+  await database.exec(`
+    INSERT INTO sessions (id, lecturer_name, session_name, join_code) VALUES ('s1', 'Dr Reyes', 'Cell Biology', 'ABC123');
+    INSERT INTO students (id, session_id, name) VALUES ('st1', 's1', 'Sam');
+    INSERT INTO questions (id, session_id, original_text, formatted_question, option_a, option_b, option_c, option_d, correct_answer)
+      VALUES ('q1', 's1', 'what powers the cell', 'What powers the cell?', 'Nucleus', 'Mitochondria', 'Ribosome', 'Golgi', 'B');
+    INSERT INTO student_answers (id, question_id, student_id, selected_answer) VALUES ('a1', 'q1', 'st1', 'B');
+    INSERT INTO transcripts (id, session_id, text_chunk) VALUES ('t1', 's1', 'The mitochondria is the powerhouse of the cell');
+  `);
+});
+
+after(cleanup);
+
+test('upgrades a database created from the baseline schema', async () => {
+  const applied = await migrate();
+  assert.equal(applied.length, listMigrations().length);
+
+  assert.ok((await columnNames('sessions')).includes('lecturer_id'));
+  assert.ok((await columnNames('sessions')).includes('question_type'));
+  assert.ok((await columnNames('questions')).includes('answer_key'));
+  assert.ok((await columnNames('student_answers')).includes('is_correct'));
+
+  const question = await database.get('SELECT * FROM questions WHERE id = ?', ['q1']);
+  assert.equal(question.option_b, 'Mitochondria');
+  assert.equal(question.question_type, 'multiple_choice');
+  assert.equal(question.status, 'published');
+  assert.equal(question.source, 'detected');
+
+  const answer = await database.get('SELECT selected_answer FROM student_answers WHERE id = ?', ['a1']);
+  assert.equal(answer.selected_answer, 'B');
+});
+
+test('an upgraded database has the same schema as a new one', async () => {
+  const upgraded = await describeSchema();
+
+  await rollback({ to: 0 });
+  assert.deepEqual(await describeSchema(), {});
+
+  await migrate();
+  assert.deepEqual(await describeSchema(), upgraded);
+});
+
+test('every migration can be reverted and applied again one step at a time', async () => {
+  const migrations = listMigrations();
+  for (let i = migrations.length; i > 0; i -= 1) {
+    const [reverted] = await rollback({ steps: 1 });
+    assert.equal(reverted.version, migrations[i - 1].version);
+  }
+  for (const migration of migrations) {
+    const [applied] = await migrate({ to: migration.version });
+    assert.equal(applied.version, migration.version);
+  }
+});
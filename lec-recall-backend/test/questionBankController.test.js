@@ -0,0 +1,44 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTemporaryDatabase } = require('./helpers');
+
+const { database, cleanup } = useTemporaryDatabase();
+const { migrate } = require('../config/migrations');
+const { listBankQuestions } = require('../controllers/questionBankController');
+
+// List the bank with the given query string; resolves to the question texts returned
+const list = async (query) => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (json) => { res.body = json; return res; };
+  await listBankQuestions({ query, lecturer: { id: 'ada' } }, res);
+  assert.equal(res.statusCode, 200);
+  return res.body.questions.map(q => q.question).sort();
+};
+
+before(async () => {
+  await migrate();
+  const questions = [
+    'Is 100% of the energy converted?',
+    'What is 1000 in binary?',
+    'Which names are in snake_case?',
+    'Which names are in snakeXcase?',
+    'Where does C:\\temp point?'
+  ];
+  for (const [i, question] of questions.entries()) {
+    await database.run(
+      `INSERT INTO question_bank (id, lecturer_id, question, option_a, option_b, option_c, option_d, correct_answer)
+       VALUES (?, 'ada', ?, 'a', 'b', 'c', 'd', 'A')`,
+      [`b${i}`, question]
+    );
+  }
+});
+
+after(cleanup);
+
+test('searches question text literally', async () => {
+  assert.deepEqual(await list({ search: '100%' }), ['Is 100% of the energy converted?']);
+  assert.deepEqual(await list({ search: 'snake_case' }), ['Which names are in snake_case?']);
+  assert.deepEqual(await list({ search: 'C:\\temp' }), ['Where does C:\\temp point?']);
+  assert.deepEqual(await list({ search: 'BINARY' }), ['What is 1000 in binary?']);
+});
@@ -0,0 +1,202 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  validateQuiz,
+  normalizeQuiz,
+  quizFromInput,
+  describeAnswer,
+  normalizeAnswer,
+  gradeAnswer,
+  quizToColumns,
+  rowToQuiz
+} = require('../services/questionTypes');
+
+// A quiz as the services store it, after validation
+const buildQuiz = (input) => {
+  const quiz = quizFromInput(input);
+  assert.deepEqual(validateQuiz(quiz), []);
+  return normalizeQuiz(quiz);
+};
+
+// Grade what a student typed or picked; invalid answers grade as null
+const grade = async (quiz, raw) => {
+  const answer = normalizeAnswer(quiz, raw);
+  return answer === null ? null : gradeAnswer(quiz, answer);
+};
+
+describe('multiple choice', () => {
+  const quiz = buildQuiz({
+    question: 'What powers the cell?',
+    options: { A: 'Nucleus', B: 'Mitochondria', C: 'Ribosome', D: 'Golgi' },
+    correctAnswer: 'B'
+  });
+
+  test('grades the option key, in any case', async () => {
+    assert.equal(await grade(quiz, 'B'), true);
+    assert.equal(await grade(quiz, ' b '), true);
+    assert.equal(await grade(quiz, 'A'), false);
+  });
+
+  test('rejects keys that are not options', async () => {
+    assert.equal(await grade(quiz, 'E'), null);
+  });
+
+  test('reads rows stored before question types existed', async () => {
+    const legacy = rowToQuiz({
+      formatted_question: 'What powers the cell?',
+      option_a: 'Nucleus', option_b: 'Mitochondria', option_c: 'Ribosome', option_d: 'Golgi',
+      correct_answer: 'B'
+    });
+    assert.equal(legacy.type, 'multiple_choice');
+    assert.equal(await grade(legacy, 'b'), true);
+  });
+});
+
+describe('true/false', () => {
+  const quiz = buildQuiz({ type: 'true_false', question: 'Plants photosynthesise.', answerKey: { correct: 'TRUE' } });
+
+  test('grades true and false', async () => {
+    assert.equal(await grade(quiz, 'true'), true);
+    assert.equal(await grade(quiz, 'False'), false);
+    assert.equal(await grade(quiz, 'maybe'), null);
+  });
+});
+
+describe('multi-select', () => {
+  const quiz = buildQuiz({
+    type: 'multi_select',
+    question: 'Which are prime?',
+    options: { A: '2', B: '4', C: '5' },
+    answerKey: { correct: ['C', 'A'] }
+  });
+
+  test('needs exactly the correct options, in any order', async () => {
+    assert.equal(await grade(quiz, ['A', 'C']), true);
+    assert.equal(await grade(quiz, 'c, a'), true);
+    assert.equal(await grade(quiz, ['A']), false);
+    assert.equal(await grade(quiz, ['A', 'B', 'C']), false);
+    assert.equal(await grade(quiz, ['A', 'D']), null);
+  });
+
+  test('stores the correct answer as sorted keys', () => {
+    assert.equal(describeAnswer(quiz), 'A,C');
+  });
+});
+
+describe('ordering', () => {
+  const quiz = buildQuiz({
+    type: 'ordering',
+    question: 'Order the planets from the sun',
+    options: { A: 'Mars', B: 'Mercury', C: 'Earth' },
+    answerKey: { order: ['B', 'C', 'A'] }
+  });
+
+  test('needs every item in the right order', async () => {
+    assert.equal(await grade(quiz, ['B', 'C', 'A']), true);
+    assert.equal(await grade(quiz, ['C', 'B', 'A']), false);
+  });
+});
+
+describe('short answer', () => {
+  const quiz = buildQuiz({
+    type: 'short_text',
+    question: 'What is the powerhouse of the cell?',
+    answerKey: { modelAnswer: 'The mitochondria', keywords: ['mitochondria'] }
+  });
+
+  test('accepts the model answer and answers mentioning the keywords', async () => {
+    assert.equal(await grade(quiz, 'The mitochondria'), true);
+    assert.equal(await grade(quiz, 'mitochondria'), true);
+    assert.equal(await grade(quiz, 'the MITOCHONDRIA'), true);
+    assert.equal(await grade(quiz, 'The nucleus'), false);
+  });
+
+  test('ignores sentence punctuation', async () => {
+    assert.equal(await grade(quiz, 'The mitochondria.'), true);
+    assert.equal(await grade(quiz, 'It is the mitochondria.'), true);
+    assert.equal(await grade(quiz, 'Mitochondria!'), true);
+    assert.equal(await grade(quiz, '"Mitochondria", I think?'), true);
+    assert.equal(await grade(quiz, 'The mitochondria...'), true);
+  });
+
+  test('compares model answers without their punctuation', async () => {
+    const exact = buildQuiz({
+      type: 'short_text',
+      question: 'Who proposed natural selection?',
+      answerKey: { modelAnswer: 'Charles Darwin.' }
+    });
+    assert.equal(await grade(exact, 'charles darwin'), true);
+    assert.equal(await grade(exact, 'Charles Darwin!'), true);
+    assert.equal(await grade(exact, 'Darwin'), false);
+  });
+
+  test('keeps decimal points in numbers', async () => {
+    const decimal = buildQuiz({
+      type: 'short_text',
+      question: 'Roughly what is pi?',
+      answerKey: { modelAnswer: 'About 3.14', keywords: ['3.14'] }
+    });
+    assert.equal(await grade(decimal, 'It is 3.14.'), true);
+    assert.equal(await grade(decimal, 'It is 314'), false);
+    assert.equal(await grade(decimal, 'It is 3 14'), false);
+  });
+
+  test('needs the minimum number of keywords', async () => {
+    const keywords = buildQuiz({
+      type: 'short_text',
+      question: 'What does photosynthesis need?',
+      answerKey: { modelAnswer: 'Light, water and carbon dioxide', keywords: ['light', 'water', 'carbon dioxide'], minKeywords: 2 }
+    });
+    assert.equal(await grade(keywords, 'Sunlight and water.'), false);
+    assert.equal(await grade(keywords, 'Light and water.'), true);
+    assert.equal(await grade(keywords, 'water, carbon dioxide'), true);
+  });
+});
+
+describe('numeric', () => {
+  test('grades within the tolerance', async () => {
+    const quiz = buildQuiz({ type: 'numeric', question: 'g in m/s²?', answerKey: { value: '9.81', tolerance: 0.05 } });
+    assert.equal(await grade(quiz, '9.8'), true);
+    assert.equal(await grade(quiz, ' 9.86 '), true);
+    assert.equal(await grade(quiz, '9.7'), false);
+    assert.equal(await grade(quiz, 'nine'), null);
+    assert.equal(describeAnswer(quiz), '9.81 ± 0.05');
+  });
+
+  test('needs an exact answer without a tolerance', async () => {
+    const quiz = buildQuiz({ type: 'numeric', question: '0.1 + 0.2?', answerKey: { value: 0.3 } });
+    assert.equal(quiz.answerKey.tolerance, 0);
+    assert.equal(await grade(quiz, '0.3'), true);
+    assert.equal(await grade(quiz, '0.31'), false);
+  });
+
+  test('rejects answer keys without a finite value', () => {
+    [null, undefined, '', '  ', 'abc', true, [], Infinity, NaN, '1e999'].forEach(value => {
+      const errors = validateQuiz({ type: 'numeric', question: 'How many?', answerKey: { value } });
+      assert.deepEqual(errors, ['The correct value must be a number'], `value ${String(value)}`);
+    });
+    assert.deepEqual(validateQuiz({ type: 'numeric', question: 'How many?' }), ['The correct value must be a number']);
+  });
+
+  test('rejects negative or non-numeric tolerances', () => {
+    [-1, 'wide', true].forEach(tolerance => {
+      const errors = validateQuiz({ type: 'numeric', question: 'How many?', answerKey: { value: 3, tolerance } });
+      assert.deepEqual(errors, ['Tolerance must be zero or a positive number'], `tolerance ${String(tolerance)}`);
+    });
+  });
+
+  test('accepts zero', async () => {
+    const quiz = buildQuiz({ type: 'numeric', question: 'Charge of a neutron?', answerKey: { value: 0 } });
+    assert.equal(await grade(quiz, '0'), true);
+  });
+});
+
+test('quizzes survive being stored and read back', async () => {
+  const quiz = buildQuiz({
+    type: 'short_text',
+    question: 'What is the powerhouse of the cell?',
+    answerKey: { modelAnswer: 'The mitochondria', keywords: ['mitochondria'] }
+  });
+  const row = { ...quizToColumns(quiz), formatted_question: quiz.question };
+  assert.deepEqual(rowToQuiz(row), quiz);
+});
@@ -0,0 +1,160 @@
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTemporaryDatabase } = require('./helpers');
+
+const { database, cleanup } = useTemporaryDatabase();
+const { migrate } = require('../config/migrations');
+const { isQuestionOpen, describeQuizTimer } = require('../services/quizService');
+const {
+  restoreQuizTimers,
+  activeQuizTimers,
+  launchQuiz,
+  closeQuiz,
+  adjustQuizTimer
+} = require('../socket/socketHandlers');
+
+// Stands in for the Socket.IO server: records what is sent to each room, with no sockets connected
+const fakeIo = () => {
+  const sent = [];
+  return {
+    sent,
+    sockets: { sockets: new Map() },
+    to: (room) => ({ emit: (event, payload) => sent.push({ room, event, payload }) })
+  };
+};
+
+const iso = (ms) => new Date(ms).toISOString();
+
+const addSession = (id, status = 'active') => database.run(
+  `INSERT INTO sessions (id, lecturer_name, session_name, join_code, status, time_limit)
+   VALUES (?, 'Dr Reyes', 'Cell Biology', ?, ?, 30)`,
+  [id, id.toUpperCase(), status]
+);
+
+const addQuestion = (id, sessionId, { startedAt = null, closesAt = null, pausedAt = null } = {}) => database.run(
+  `INSERT INTO questions (id, session_id, original_text, formatted_question, option_a, option_b, option_c, option_d,
+                          correct_answer, started_at, closes_at, paused_at)
+   VALUES (?, ?, 'q', 'What powers the cell?', 'Nucleus', 'Mitochondria', 'Ribosome', 'Golgi', 'B', ?, ?, ?)`,
+  [id, sessionId, iso(startedAt), iso(closesAt), iso(pausedAt)]
+);
+
+// The lecturer view of a question, as launchQuiz gets it
+const quiz = (questionId) => ({
+  questionId,
+  type: 'multiple_choice',
+  question: 'What powers the cell?',
+  options: { A: 'Nucleus', B: 'Mitochondria', C: 'Ribosome', D: 'Golgi' },
+  correctAnswer: 'B'
+});
+
+const closedAt = async (questionId) => (
+  await database.get('SELECT closed_at FROM questions WHERE id = ?', [questionId])
+).closed_at;
+
+before(() => migrate());
+
+// Timers left running would keep the test process alive
+afterEach(() => {
+  activeQuizTimers.forEach(timer => clearTimeout(timer.timeout));
+  activeQuizTimers.clear();
+});
+
+after(cleanup);
+
+test('rebuilds the timers of quizzes that were running when the server stopped', async () => {
+  const now = Date.now();
+  await addSession('running');
+  await addQuestion('older', 'running', { startedAt: now - 120000, closesAt: now - 90000 });
+  await addQuestion('latest', 'running', { startedAt: now - 5000, closesAt: now + 60000 });
+  await addSession('expired');
+  await addQuestion('ran-out', 'expired', { startedAt: now - 60000, closesAt: now - 30000 });
+  await addSession('paused');
+  await addQuestion('on-hold', 'paused', { startedAt: now - 40000, closesAt: now + 20000, pausedAt: now - 30000 });
+  await addSession('finished', 'ended');
+  await addQuestion('abandoned', 'finished', { startedAt: now - 5000, closesAt: now + 60000 });
+
+  const io = fakeIo();
+  assert.deepEqual(await restoreQuizTimers(io), { restored: 2, closed: 3 });
+
+  // A running quiz keeps its deadline; only the latest quiz of a session can still be running
+  assert.ok(isQuestionOpen('running', 'latest'));
+  assert.equal(activeQuizTimers.get('running').closesAt, now + 60000);
+  assert.ok(await closedAt('older'));
+  assert.equal(await closedAt('latest'), null);
+
+  // A quiz whose deadline passed during the downtime closes and reveals its answer
+  assert.equal(activeQuizTimers.has('expired'), false);
+  assert.ok(await closedAt('ran-out'));
+  assert.deepEqual(io.sent.map(({ room, event }) => [room, event]), [['expired', 'quiz-timeout']]);
+
+  // A paused quiz stays paused with the time it had left
+  const paused = activeQuizTimers.get('paused');
+  assert.equal(paused.timeout, null);
+  assert.deepEqual(
+    [describeQuizTimer(paused).paused, describeQuizTimer(paused).timeRemaining],
+    [true, 50]
+  );
+
+  // Quizzes of ended sessions are closed
+  assert.equal(activeQuizTimers.has('finished'), false);
+  assert.ok(await closedAt('abandoned'));
+});
+
+test('of two quizzes launched at once, the later one replaces and closes the other', async () => {
+  await addSession('busy');
+  await addQuestion('detected', 'busy');
+  await addQuestion('pushed', 'busy');
+
+  const io = fakeIo();
+  await Promise.all([launchQuiz(io, 'busy', quiz('detected')), launchQuiz(io, 'busy', quiz('pushed'))]);
+
+  const running = activeQuizTimers.get('busy').questionId;
+  const replaced = running === 'pushed' ? 'detected' : 'pushed';
+  assert.equal(await closedAt(running), null);
+  assert.ok(await closedAt(replaced));
+  assert.deepEqual(
+    io.sent.filter(({ event }) => event === 'new-quiz').map(({ payload }) => payload.questionId),
+    [running]
+  );
+});
+
+test('does not launch quizzes in a session that has ended', async () => {
+  await addSession('over', 'ended');
+  await addQuestion('late', 'over');
+
+  await assert.rejects(launchQuiz(fakeIo(), 'over', quiz('late')), { statusCode: 409 });
+  assert.equal(activeQuizTimers.has('over'), false);
+});
+
+test('extends the running quiz', async () => {
+  await addSession('extended');
+  await addQuestion('longer', 'extended');
+
+  const io = fakeIo();
+  await launchQuiz(io, 'extended', quiz('longer'));
+  const { closesAt } = activeQuizTimers.get('extended');
+
+  const update = await adjustQuizTimer(io, 'extended', 'longer', 'extend', 30);
+  assert.equal(update.closesAt, closesAt + 30000);
+  assert.equal(activeQuizTimers.get('extended').closesAt, closesAt + 30000);
+  assert.equal(io.sent.filter(({ event }) => event === 'quiz-timer-updated').length, 1);
+});
+
+test('a quiz that times out while its timer change is saved stays closed', async () => {
+  for (const action of ['extend', 'pause']) {
+    const sessionId = `${action}-race`;
+    const questionId = `${action}-last-moment`;
+    await addSession(sessionId);
+    await addQuestion(questionId, sessionId);
+
+    const io = fakeIo();
+    await launchQuiz(io, sessionId, quiz(questionId));
+    const changing = assert.rejects(adjustQuizTimer(io, sessionId, questionId, action, 30), { statusCode: 409 });
+    await closeQuiz(io, sessionId, questionId, 'timeout');
+    await changing;
+
+    assert.equal(isQuestionOpen(sessionId, questionId), false, action);
+    assert.ok(await closedAt(questionId));
+    assert.equal(io.sent.some(({ event }) => event === 'quiz-timer-updated'), false);
+  }
+});
@@ -0,0 +1,114 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTemporaryDatabase } = require('./helpers');
+
+const { database, cleanup } = useTemporaryDatabase();
+const { migrate } = require('../config/migrations');
+const { activeQuizTimers, recordAnswer } = require('../services/quizService');
+const { submitAnswer } = require('../controllers/questionController');
+
+const openQuiz = (sessionId, questionId) => {
+  const startTime = Date.now();
+  activeQuizTimers.set(sessionId, { questionId, startTime, closesAt: startTime + 60000, pausedAt: null });
+};
+
+// Resolves to the error code recordAnswer rejected the submission with
+const rejectionCode = (submission) => recordAnswer(submission).then(
+  () => assert.fail('expected the answer to be rejected'),
+  error => error.code
+);
+
+// Minimal Express response that records what the controller sent
+const fakeResponse = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+before(async () => {
+  await migrate();
+  await database.exec(`
+    INSERT INTO sessions (id, lecturer_name, session_name, join_code) VALUES ('s1', 'Dr Reyes', 'Cell Biology', 'AAA111');
+    INSERT INTO sessions (id, lecturer_name, session_name, join_code) VALUES ('s2', 'Dr Okafor', 'Genetics', 'BBB222');
+    INSERT INTO students (id, session_id, name, reconnect_token) VALUES ('sam', 's1', 'Sam', 'token-sam');
+    INSERT INTO students (id, session_id, name, reconnect_token) VALUES ('ada', 's1', 'Ada', 'token-ada');
+    INSERT INTO students (id, session_id, name, reconnect_token) VALUES ('lee', 's2', 'Lee', 'token-lee');
+    INSERT INTO questions (id, session_id, original_text, formatted_question, option_a, option_b, option_c, option_d, correct_answer)
+      VALUES ('q1', 's1', 'what powers the cell', 'What powers the cell?', 'Nucleus', 'Mitochondria', 'Ribosome', 'Golgi', 'B');
+  `);
+});
+
+beforeEach(async () => {
+  await database.run('DELETE FROM student_answers');
+  await database.run('UPDATE sessions SET allow_answer_changes = 0');
+  openQuiz('s1', 'q1');
+});
+
+after(async () => {
+  activeQuizTimers.clear();
+  await cleanup();
+});
+
+test('grades and stores an answer from a student of the session', async () => {
+  const result = await recordAnswer({ questionId: 'q1', studentId: 'sam', answer: 'b', confidence: 'sure' });
+  assert.equal(result.answer, 'B');
+  assert.equal(result.isCorrect, true);
+  assert.equal(result.changed, false);
+
+  const row = await database.get('SELECT selected_answer, is_correct, confidence FROM student_answers WHERE id = ?', [result.answerId]);
+  assert.deepEqual({ ...row }, { selected_answer: 'B', is_correct: 1, confidence: 'sure' });
+});
+
+test('rejects students who are not in the question\'s session', async () => {
+  assert.equal(await rejectionCode({ questionId: 'q1', studentId: 'lee', answer: 'B' }), 'not_in_session');
+  assert.equal(await rejectionCode({ questionId: 'q1', studentId: 'nobody', answer: 'B' }), 'not_in_session');
+});
+
+test('rejects unknown questions, closed quizzes and invalid answers', async () => {
+  assert.equal(await rejectionCode({ questionId: 'missing', studentId: 'sam', answer: 'B' }), 'question_not_found');
+  assert.equal(await rejectionCode({ questionId: 'q1', studentId: 'sam', answer: 'E' }), 'invalid_answer');
+  assert.equal(await rejectionCode({ questionId: 'q1', studentId: 'sam', answer: 'B', confidence: 'certain' }), 'invalid_answer');
+
+  activeQuizTimers.delete('s1');
+  assert.equal(await rejectionCode({ questionId: 'q1', studentId: 'sam', answer: 'B' }), 'quiz_closed');
+});
+
+test('keeps one answer per student unless the session allows changes', async () => {
+  await recordAnswer({ questionId: 'q1', studentId: 'sam', answer: 'A' });
+  assert.equal(await rejectionCode({ questionId: 'q1', studentId: 'sam', answer: 'B' }), 'already_answered');
+
+  await database.run("UPDATE sessions SET allow_answer_changes = 1 WHERE id = 's1'");
+  const changed = await recordAnswer({ questionId: 'q1', studentId: 'sam', answer: 'B' });
+  assert.equal(changed.changed, true);
+  assert.equal(changed.isCorrect, true);
+
+  const { count } = await database.get("SELECT COUNT(*) AS count FROM student_answers WHERE student_id = 'sam'");
+  assert.equal(count, 1);
+});
+
+test('stores only one of two simultaneous answers from the same student', async () => {
+  const results = await Promise.allSettled([
+    recordAnswer({ questionId: 'q1', studentId: 'ada', answer: 'A' }),
+    recordAnswer({ questionId: 'q1', studentId: 'ada', answer: 'B' })
+  ]);
+  assert.equal(results.filter(r => r.status === 'fulfilled').length, 1);
+  assert.equal(results.find(r => r.status === 'rejected').reason.code, 'already_answered');
+});
+
+test('the REST endpoint needs the student\'s reconnect token', async () => {
+  const body = { questionId: 'q1', studentId: 'sam', selectedAnswer: 'B' };
+
+  const withoutToken = fakeResponse();
+  await submitAnswer({ body }, withoutToken);
+  assert.equal(withoutToken.statusCode, 401);
+
+  const classmatesToken = fakeResponse();
+  await submitAnswer({ body: { ...body, reconnectToken: 'token-ada' } }, classmatesToken);
+  assert.equal(classmatesToken.statusCode, 401);
+
+  const ownToken = fakeResponse();
+  await submitAnswer({ body: { ...body, reconnectToken: 'token-sam' } }, ownToken);
+  assert.equal(ownToken.statusCode, 200);
+  assert.ok(ownToken.body.answerId);
+});
@@ -0,0 +1,58 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTemporaryDatabase } = require('./helpers');
+
+const { database, cleanup } = useTemporaryDatabase();
+const { migrate } = require('../config/migrations');
+const { MAX_POINTS, scoreAnswer, summarizeResponseTimes, getRanking, leaderboardPayload } = require('../services/scoringService');
+
+before(async () => {
+  await migrate();
+  await database.exec(`
+    INSERT INTO sessions (id, lecturer_name, session_name, join_code) VALUES ('s1', 'Dr Reyes', 'Cell Biology', 'AAA111');
+    INSERT INTO students (id, session_id, name) VALUES ('sam', 's1', 'Sam'), ('ada', 's1', 'Ada'), ('lee', 's1', 'Lee');
+    INSERT INTO questions (id, session_id, original_text, formatted_question, option_a, option_b, option_c, option_d, correct_answer, closed_at)
+      VALUES ('closed', 's1', 'q', 'Closed quiz?', 'a', 'b', 'c', 'd', 'A', CURRENT_TIMESTAMP);
+    INSERT INTO questions (id, session_id, original_text, formatted_question, option_a, option_b, option_c, option_d, correct_answer)
+      VALUES ('open', 's1', 'q', 'Open quiz?', 'a', 'b', 'c', 'd', 'A');
+    INSERT INTO student_answers (id, question_id, student_id, selected_answer, is_correct, points) VALUES
+      ('a1', 'closed', 'sam', 'A', 1, 1000),
+      ('a2', 'closed', 'ada', 'A', 1, 1000),
+      ('a3', 'closed', 'lee', 'B', 0, 0),
+      ('a4', 'open', 'lee', 'A', 1, 1000);
+  `);
+});
+
+after(cleanup);
+
+test('standard scoring gives full points for any correct answer', () => {
+  assert.equal(scoreAnswer({ isCorrect: true, responseMs: 29000, durationMs: 30000, scoringMode: 'standard' }), MAX_POINTS);
+  assert.equal(scoreAnswer({ isCorrect: false, responseMs: 1000, durationMs: 30000, scoringMode: 'standard' }), 0);
+});
+
+test('speed scoring falls from full to half points over the quiz', () => {
+  const speed = (responseMs) => scoreAnswer({ isCorrect: true, responseMs, durationMs: 30000, scoringMode: 'speed' });
+  assert.equal(speed(0), 1000);
+  assert.equal(speed(15000), 750);
+  assert.equal(speed(30000), 500);
+  assert.equal(speed(45000), 500);
+  assert.equal(scoreAnswer({ isCorrect: false, responseMs: 0, durationMs: 30000, scoringMode: 'speed' }), 0);
+});
+
+test('summarizes response times into a median and buckets', () => {
+  const summary = summarizeResponseTimes([1000, 4000, 12000, 90000]);
+  assert.equal(summary.answered, 4);
+  assert.equal(summary.medianMs, 8000);
+  assert.deepEqual(summary.buckets.map(b => b.count), [2, 0, 1, 0, 0, 1]);
+  assert.equal(summarizeResponseTimes([]).medianMs, null);
+});
+
+test('ranks students on closed quizzes only, sharing ranks on equal points', async () => {
+  const ranking = await getRanking('s1');
+  assert.deepEqual(ranking.map(r => [r.rank, r.name, r.points]), [[1, 'Ada', 1000], [1, 'Sam', 1000], [3, 'Lee', 0]]);
+
+  const forStudent = leaderboardPayload(ranking, { studentId: 'lee' });
+  assert.equal(forStudent.entries[0].studentId, undefined);
+  assert.deepEqual(forStudent.you, { rank: 3, points: 0 });
+  assert.equal(leaderboardPayload(ranking, { includeIds: true }).entries[0].studentId, 'ada');
+});
@@ -0,0 +1,74 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTemporaryDatabase } = require('./helpers');
+
+const { database, cleanup } = useTemporaryDatabase();
+const { migrate } = require('../config/migrations');
+const { searchLecturerContent } = require('../services/searchService');
+
+const search = async (lecturerId, query, options = {}) => (
+  await searchLecturerContent(lecturerId, { query, ...options })
+).results;
+
+before(async () => {
+  await migrate();
+  await database.exec(`
+    INSERT INTO lecturers (id, email, name, password_hash) VALUES ('ada', 'ada@example.com', 'Ada', 'x');
+    INSERT INTO lecturers (id, email, name, password_hash) VALUES ('bo', 'bo@example.com', 'Bo', 'x');
+    INSERT INTO sessions (id, lecturer_id, lecturer_name, session_name, join_code) VALUES ('s1', 'ada', 'Ada', 'Linear Algebra', 'AAA111');
+    INSERT INTO sessions (id, lecturer_id, lecturer_name, session_name, join_code) VALUES ('s2', 'bo', 'Bo', 'Cell Biology', 'BBB222');
+    INSERT INTO transcripts (id, session_id, text_chunk) VALUES ('t1', 's1', 'Today we look at eigenvectors of a matrix');
+    INSERT INTO transcripts (id, session_id, text_chunk) VALUES ('t2', 's2', 'The mitochondria is the powerhouse of the cell');
+    INSERT INTO questions (id, session_id, original_text, formatted_question, option_a, option_b, option_c, option_d, correct_answer)
+      VALUES ('q1', 's1', 'what is a determinant', 'What is a determinant?', 'A scalar', 'A vector', 'A basis', 'A kernel', 'A');
+    INSERT INTO questions (id, session_id, original_text, formatted_question, question_type, options, answer_key, correct_answer)
+      VALUES ('q2', 's2', 'true or false', 'Cells divide by mitosis', 'true_false', '{"true":"True","false":"False"}', '{"correct":"true"}', 'true');
+  `);
+});
+
+after(cleanup);
+
+test('finds transcript words by prefix and stem, only in the lecturer\'s own sessions', async () => {
+  const results = await search('ada', 'eigen');
+  assert.deepEqual(results.map(r => [r.type, r.id, r.sessionName]), [['transcript', 't1', 'Linear Algebra']]);
+  assert.ok(results[0].snippet.some(part => part.highlight && part.text === 'eigenvectors'));
+
+  assert.deepEqual(await search('bo', 'eigen'), []);
+  assert.deepEqual((await search('bo', 'mitochondria', { type: 'transcript' })).map(r => r.id), ['t2']);
+});
+
+test('searches the options of questions stored before question types existed', async () => {
+  const results = await search('ada', 'kernel');
+  assert.deepEqual(results.map(r => [r.type, r.id]), [['question', 'q1']]);
+});
+
+test('keeps the index in step with edits and deletes', async () => {
+  await database.run("UPDATE transcripts SET text_chunk = 'Today we look at singular values' WHERE id = 't1'");
+  assert.deepEqual(await search('ada', 'eigenvectors'), []);
+  assert.deepEqual((await search('ada', 'singular')).map(r => r.id), ['t1']);
+
+  await database.run("UPDATE questions SET option_d = 'A cokernel' WHERE id = 'q1'");
+  assert.deepEqual((await search('ada', 'cokernel')).map(r => r.id), ['q1']);
+
+  await database.run("DELETE FROM questions WHERE id = 'q1'");
+  assert.deepEqual(await search('ada', 'determinant'), []);
+});
+
+test('results still point at the right rows when rowids change', async () => {
+  // Tables with TEXT primary keys get no stable rowid: VACUUM may renumber them, and so does
+  // rebuilding the table. Swap two rows' rowids to the same effect.
+  await database.exec(`
+    UPDATE transcripts SET rowid = -1 WHERE id = 't1';
+    UPDATE transcripts SET rowid = (SELECT rowid FROM transcript_search WHERE text MATCH 'singular') WHERE id = 't2';
+    UPDATE transcripts SET rowid = (SELECT rowid FROM transcript_search WHERE text MATCH 'powerhouse') WHERE id = 't1';
+  `);
+
+  assert.deepEqual((await search('ada', 'singular')).map(r => r.id), ['t1']);
+  assert.deepEqual((await search('bo', 'powerhouse')).map(r => r.id), ['t2']);
+  assert.deepEqual(await search('bo', 'singular'), []);
+});
+
+test('rejects empty queries and unknown types', async () => {
+  await assert.rejects(searchLecturerContent('ada', { query: ' ?! ' }), { statusCode: 400 });
+  await assert.rejects(searchLecturerContent('ada', { query: 'cell', type: 'answers' }), { statusCode: 400 });
+});
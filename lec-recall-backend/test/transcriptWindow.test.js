@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TranscriptWindow } = require('../services/transcriptWindow');
+
+// A detector whose calls stay pending until released, recording the text of each call
+const manualDetector = () => {
+  const calls = [];
+  const onFlush = ({ text }) => new Promise(resolve => calls.push({ text, resolve }));
+  return { calls, onFlush };
+};
+
+test('drain examines buffered text without waiting for the debounce', async () => {
+  const detector = manualDetector();
+  const transcriptWindow = new TranscriptWindow({ debounceMs: 30000 }, detector.onFlush);
+  transcriptWindow.add('What is the powerhouse of the cell?');
+
+  const drained = transcriptWindow.drain();
+  assert.deepEqual(detector.calls.map(call => call.text), ['What is the powerhouse of the cell?']);
+  detector.calls[0].resolve(true);
+  await drained;
+  assert.equal(transcriptWindow.hasPendingText(), false);
+  transcriptWindow.dispose();
+});
+
+test('drain waits for a running detection and then examines what arrived meanwhile', async () => {
+  const detector = manualDetector();
+  const transcriptWindow = new TranscriptWindow({ debounceMs: 30000 }, detector.onFlush);
+  transcriptWindow.add('Today we cover cells.');
+  transcriptWindow.flush();
+  transcriptWindow.add('Which organelle makes ATP?');
+
+  let done = false;
+  const drained = transcriptWindow.drain().then(() => { done = true; });
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(done, false);
+
+  detector.calls[0].resolve(false);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(detector.calls.map(call => call.text), [
+    'Today we cover cells.',
+    'Today we cover cells. Which organelle makes ATP?'
+  ]);
+  assert.equal(done, false);
+
+  detector.calls[1].resolve(true);
+  await drained;
+  assert.equal(transcriptWindow.hasPendingText(), false);
+  transcriptWindow.dispose();
+});
@@ -1,11 +1,37 @@
 import { useState, useEffect, useRef } from 'react';
-import { createClient, LiveTranscriptionEvents } from '@deepgram/sdk';
 import io from 'socket.io-client';
 import SessionCreator from './components/SessionCreator';
 import StudentJoin from './components/StudentJoin';
 import Quiz from './components/Quiz';
+import PendingQuestionQueue from './components/PendingQuestionQueue';
+import QuestionBank from './components/QuestionBank';
+import LecturerAuth from './components/LecturerAuth';
+import SessionExport from './components/SessionExport';
+import TranscriptEditor from './components/TranscriptEditor';
+import LectureSearch from './components/LectureSearch';
+import ConfusionTimeline from './components/ConfusionTimeline';
+import StudentQuestions from './components/StudentQuestions';
+import QuizControls from './components/QuizControls';
+import AnswerTally from './components/AnswerTally';
+import Leaderboard from './components/Leaderboard';
+import { apiRequest, AUTH_TOKEN_KEY } from './api';
+import { questionTypeLabel, formatAnswer, correctOptionKeys, isChoiceType } from './questionTypes';
+import { formatResponseTime } from './quizTimer';
+import { confidenceLabel } from './confidence';
 import './App.css';
 
+// Add or replace a student question, keeping this student's `mine` and `upvoted` flags
+// since broadcast updates do not carry them
+const upsertStudentQuestion = (questions, question) => {
+  const existing = questions.find(q => q.questionId === question.questionId);
+  if (!existing) {
+    return [...questions, question];
+  }
+  return questions.map(q => (q.questionId === question.questionId
+    ? { ...question, mine: existing.mine, upvoted: existing.upvoted }
+    : q));
+};
+
 function App() {
   // Transcription state
   const [isTranscribing, setIsTranscribing] = useState(false);
@@ -14,6 +40,10 @@ function App() {
   const [error, setError] = useState('');
   const [micPermission, setMicPermission] = useState('unknown');
   
+  // Lecturer account state
+  const [authToken, setAuthToken] = useState(() => localStorage.getItem(AUTH_TOKEN_KEY));
+  const [lecturer, setLecturer] = useState(null);
+  
   // Session state
   const [userType, setUserType] = useState(''); // 'lecturer' or 'student'
   const [sessionData, setSessionData] = useState(null);
@@ -26,6 +56,7 @@ function App() {
   const [questionDetected, setQuestionDetected] = useState(false);
   const [lecturerQuizzes, setLecturerQuizzes] = useState([]);
   const [currentLecturerQuiz, setCurrentLecturerQuiz] = useState(null);
+  const [pendingQuestions, setPendingQuestions] = useState([]);
   const [sessionAnalytics, setSessionAnalytics] = useState(null);
   const [showAnalytics, setShowAnalytics] = useState(false);
   const [studentAnalytics, setStudentAnalytics] = useState(null);
@@ -38,18 +69,29 @@ function App() {
   });
   
   // Confusion meter state
-  const [confusionSignals, setConfusionSignals] = useState([]);
+  const [latestConfusion, setLatestConfusion] = useState({}); // studentId -> that student's latest signal
+  const [confusionSignalCount, setConfusionSignalCount] = useState(0);
+  const [confusionClock, setConfusionClock] = useState(() => Date.now());
+  const [confusionAlert, setConfusionAlert] = useState(null);
   const [lastConfusionSignal, setLastConfusionSignal] = useState(null);
   const [confusionLevel, setConfusionLevel] = useState(null); // null = no selection, 0 = clear, 1 = slightly confused, 2 = very confused
   
+  // Set while the socket is down and until the session has been resumed
+  const [connectionLost, setConnectionLost] = useState(false);
+  
+  // Anonymous student Q&A
+  const [studentQuestions, setStudentQuestions] = useState([]);
+  const myQuestionIds = useRef(new Set()); // questions this student asked
+  
+  // Point totals, updated as each quiz closes (students only get it when the lecturer shows it)
+  const [leaderboard, setLeaderboard] = useState(null);
+  
   // Refs
-  const connectionRef = useRef(null);
   const mediaRecorderRef = useRef(null);
   const streamRef = useRef(null);
   const isTranscribingRef = useRef(false);
 
-  // Load API keys from environment variables
-  const DEEPGRAM_API_KEY = process.env.REACT_APP_DEEPGRAM_API_KEY;
+  // Speech-to-text runs on the backend, so no API keys are needed here
   const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5001';
   
   // Dark mode effect
@@ -58,23 +100,55 @@ function App() {
     localStorage.setItem('lec-recall-theme', darkMode ? 'dark' : 'light');
   }, [darkMode]);
 
+  // Re-count the confusion meter as signals age out of the session's alert window
+  useEffect(() => {
+    if (userType !== 'lecturer' || !sessionData) {
+      return undefined;
+    }
+    const interval = setInterval(() => setConfusionClock(Date.now()), 5000);
+    return () => clearInterval(interval);
+  }, [userType, sessionData]);
+
   // Debug environment variable loading
   useEffect(() => {
-    console.log('🔑 Environment Variables Status:');
-    console.log('- DEEPGRAM_API_KEY:', DEEPGRAM_API_KEY ? 'Available ✅' : 'Missing ❌');
     console.log('- BACKEND_URL:', BACKEND_URL);
-    
-    if (!DEEPGRAM_API_KEY) {
-      console.error('❌ REACT_APP_DEEPGRAM_API_KEY not found in environment variables');
-      setError('Deepgram API key not configured. Please check environment variables.');
+  }, [BACKEND_URL]);
+
+  // Load the signed-in lecturer for a stored token, dropping it if it has expired
+  useEffect(() => {
+    if (!authToken) {
+      setLecturer(null);
+      return;
     }
-  }, [DEEPGRAM_API_KEY, BACKEND_URL]);
+    
+    apiRequest('/api/auth/me', { token: authToken })
+      .then(data => setLecturer(data.lecturer))
+      .catch(err => {
+        console.error('Stored login is no longer valid:', err.message);
+        localStorage.removeItem(AUTH_TOKEN_KEY);
+        setAuthToken(null);
+      });
+  }, [authToken]);
+
+  const handleAuthenticated = (token, account) => {
+    localStorage.setItem(AUTH_TOKEN_KEY, token);
+    setAuthToken(token);
+    setLecturer(account);
+  };
+
+  const handleSignOut = () => {
+    localStorage.removeItem(AUTH_TOKEN_KEY);
+    setAuthToken(null);
+    setLecturer(null);
+  };
 
   const toggleDarkMode = () => {
     setDarkMode(!darkMode);
   };
 
-  const startMediaRecorder = (stream, connection) => {
+  // Record the microphone and stream the audio to the backend, which relays it to the
+  // speech-to-text provider
+  const startMediaRecorder = (stream, recorderSocket, sessionId) => {
     // Set up MediaRecorder with fallback MIME types
     let mimeType = 'audio/webm;codecs=opus';
     if (!MediaRecorder.isTypeSupported(mimeType)) {
@@ -97,10 +171,10 @@ function App() {
     mediaRecorderRef.current = mediaRecorder;
 
     mediaRecorder.ondataavailable = (event) => {
-      if (event.data.size > 0 && connection && isTranscribingRef.current) {
-        // Convert blob to array buffer and send to Deepgram
+      if (event.data.size > 0 && isTranscribingRef.current) {
+        // Convert blob to array buffer and send to the backend
         event.data.arrayBuffer().then(buffer => {
-          connection.send(buffer);
+          recorderSocket.emit('audio-chunk', { sessionId, audio: buffer });
         }).catch(err => {
           console.error('❌ Error converting audio data:', err);
         });
@@ -144,107 +218,27 @@ function App() {
       return;
     }
 
-    // Validate API key from environment variables
-    if (!DEEPGRAM_API_KEY) {
-      setError('Deepgram API key not configured. Please check REACT_APP_DEEPGRAM_API_KEY environment variable.');
-      return;
-    }
-
     try {
       // Get microphone stream
       const stream = streamRef.current || await requestMicrophonePermission();
       if (!stream) return;
 
-      // Create Deepgram client
-      const deepgram = createClient(DEEPGRAM_API_KEY);
-
-      // Create live transcription connection
-      const connection = deepgram.listen.live({
-        model: "nova-2",
-        language: "en-US",
-        smart_format: true,
-        interim_results: true,
-      });
-
-      connectionRef.current = connection;
-
-      // Set up event listeners
-      connection.on(LiveTranscriptionEvents.Open, () => {
-        console.log('🎤 Recording started');
-        setIsTranscribing(true);
-        isTranscribingRef.current = true;
-        setError('');
-        setTranscription('');
-        setFinalTranscription('');
-        
-        // Start MediaRecorder only after Deepgram connection is open
-        startMediaRecorder(stream, connection);
-      });
-
-      connection.on(LiveTranscriptionEvents.Close, (event) => {
-        console.log('🛑 Recording stopped');
-        setIsTranscribing(false);
-        isTranscribingRef.current = false;
-      });
-
-      connection.on(LiveTranscriptionEvents.Transcript, (data) => {
-        const transcript = data.channel?.alternatives?.[0]?.transcript;
-        if (transcript && transcript.trim()) {
-          console.log(`📝 ${data.is_final ? 'Final' : 'Interim'}: "${transcript}"`);
-          if (data.is_final) {
-            // Final transcript - add to final transcription
-            setFinalTranscription(prev => prev + ' ' + transcript);
-            setTranscription(''); // Clear interim transcript
-            
-            // Send transcript chunk to backend for question detection
-            if (socket && sessionData) {
-              console.log('📤 Sending transcript chunk to backend:', transcript);
-              setIsProcessingTranscript(true);
-              socket.emit('transcript-chunk', {
-                sessionId: sessionData.sessionId,
-                text: transcript
-              });
-            } else {
-              console.log('⚠️ Cannot send transcript: socket or sessionData not available');
-            }
-          } else {
-            // Interim transcript - show as live feedback
-            setTranscription(transcript);
-          }
-        }
-      });
-
-      connection.on(LiveTranscriptionEvents.Error, (err) => {
-        console.error('Deepgram error:', err);
-        setError('Transcription error occurred');
-        setIsTranscribing(false);
-        isTranscribingRef.current = false;
-      });
-
-      connection.on(LiveTranscriptionEvents.Warning, (warning) => {
-        console.warn('⚠️ Deepgram warning:', warning);
-      });
-
+      // Recording starts once the backend answers with transcription-started
+      setFinalTranscription('');
+      socket.emit('start-transcription', sessionData.sessionId);
     } catch (err) {
       console.error('Error starting transcription:', err);
       setError('Failed to start transcription: ' + err.message);
     }
   };
 
-  const stopTranscription = () => {
-    // Stop MediaRecorder
+  // Stop the MediaRecorder and release the microphone
+  const stopAudioCapture = () => {
     if (mediaRecorderRef.current && mediaRecorderRef.current.state !== 'inactive') {
       mediaRecorderRef.current.stop();
-      mediaRecorderRef.current = null;
-    }
-    
-    // Close Deepgram connection
-    if (connectionRef.current) {
-      connectionRef.current.finish();
-      connectionRef.current = null;
     }
+    mediaRecorderRef.current = null;
     
-    // Stop microphone stream
     if (streamRef.current) {
       streamRef.current.getTracks().forEach(track => {
         track.stop();
@@ -256,6 +250,13 @@ function App() {
     setIsTranscribing(false);
     isTranscribingRef.current = false;
     setTranscription(''); // Clear any remaining interim transcript
+  };
+
+  const stopTranscription = () => {
+    if (socket && sessionData) {
+      socket.emit('stop-transcription', sessionData.sessionId);
+    }
+    stopAudioCapture();
     console.log('🛑 All recording stopped - microphone disabled');
   };
 
@@ -285,14 +286,102 @@ function App() {
       // Set as current lecturer quiz
       setCurrentLecturerQuiz(quizData);
       
+      // A published question leaves the review queue
+      setPendingQuestions(prev => prev.filter(q => q.questionId !== quizData.questionId));
+      
       // Clear the question detected indicator since we now have the full quiz
       setQuestionDetected(false);
     });
     
+    // Review mode: detected questions wait here until the lecturer publishes or discards them
+    newSocket.on('question-pending', (pending) => {
+      console.log('📝 Question awaiting review:', pending);
+      setPendingQuestions(prev => [...prev, pending]);
+      setQuestionDetected(false);
+    });
+    
+    newSocket.on('pending-questions', (data) => {
+      setPendingQuestions(data.questions);
+    });
+    
+    newSocket.on('question-discarded', (data) => {
+      setPendingQuestions(prev => prev.filter(q => q.questionId !== data.questionId));
+    });
+    
+    newSocket.on('review-mode-updated', (data) => {
+      setSessionData(prev => prev ? { ...prev, reviewBeforePublish: data.reviewBeforePublish } : prev);
+    });
+    
+    newSocket.on('answer-policy-updated', (data) => {
+      setSessionData(prev => prev ? { ...prev, allowAnswerChanges: data.allowAnswerChanges } : prev);
+    });
+    
+    newSocket.on('session-settings-error', (data) => {
+      console.error('Session settings error:', data.error);
+      setError(data.error);
+    });
+    
+    newSocket.on('review-error', (data) => {
+      console.error('Review error:', data.error);
+      setError(data.error);
+    });
+    
+    newSocket.on('push-quiz-error', (data) => {
+      console.error('Error pushing quiz:', data.error);
+      setError(data.error);
+    });
+    
+    newSocket.on('ai-error', (data) => {
+      console.error(`AI ${data.task} failed (${data.reason}):`, data.details);
+      setQuestionDetected(false);
+      setError(data.task === 'quiz-generation'
+        ? `Could not create a quiz for "${data.question}": ${data.message}`
+        : `Question detection failed: ${data.message}`);
+    });
+    
     newSocket.on('recording-stopped', () => {
       console.log('Recording stopped');
     });
     
+    // Apply an update to a quiz in both the lecturer's quiz list and the current quiz
+    const updateLecturerQuiz = (questionId, changes) => {
+      const apply = quiz => quiz.questionId === questionId ? { ...quiz, ...changes } : quiz;
+      setLecturerQuizzes(prev => prev.map(apply));
+      setCurrentLecturerQuiz(prev => prev ? apply(prev) : prev);
+    };
+    
+    // Mark the lecturer's quiz as closed once the answer has been revealed to students
+    const handleLecturerQuizClosed = (data) => {
+      updateLecturerQuiz(data.questionId, { closed: true });
+    };
+    newSocket.on('quiz-timeout', handleLecturerQuizClosed);
+    newSocket.on('quiz-results', handleLecturerQuizClosed);
+    
+    // The running quiz's deadline changed: extended, paused or resumed
+    newSocket.on('quiz-timer-updated', (timer) => {
+      updateLecturerQuiz(timer.questionId, timer);
+    });
+    
+    // Live answer counts, sent after every submitted answer
+    newSocket.on('answer-tally', (tally) => {
+      updateLecturerQuiz(tally.questionId, { tally });
+    });
+    
+    newSocket.on('answer-tally-shared', (tally) => {
+      updateLecturerQuiz(tally.questionId, { resultsShared: true });
+    });
+    
+    newSocket.on('leaderboard-updated', setLeaderboard);
+    
+    newSocket.on('leaderboard-settings-updated', (data) => {
+      setSessionData(prev => prev ? { ...prev, showLeaderboard: data.showLeaderboard } : prev);
+    });
+    
+    newSocket.on('quiz-control-error', (data) => {
+      console.error('Quiz control error:', data.error);
+      setError(data.error);
+    });
+    
     newSocket.on('session-stopped', (analyticsData) => {
       console.log('📊 Session stopped with analytics:', analyticsData);
       setSessionAnalytics(analyticsData);
@@ -305,17 +394,18 @@ function App() {
       setError('Failed to stop session: ' + data.error);
     });
     
+    newSocket.on('auth-error', (data) => {
+      console.error(`Not authorized for ${data.event}:`, data.error);
+      setError(data.error);
+    });
+    
     // Listen for confusion signals from students
     newSocket.on('confusion-signal', (data) => {
       console.log('😵 Confusion signal received:', data);
-      setConfusionSignals(prev => {
-        // Keep only recent signals (last 30 seconds)
-        const now = new Date();
-        const recent = prev.filter(signal => 
-          (now - new Date(signal.timestamp)) < 30000
-        );
-        return [...recent, data];
-      });
+      // Only each student's latest signal counts, so repeated clicks are not counted twice
+      setLatestConfusion(prev => ({ ...prev, [data.studentId]: { ...data, receivedAt: Date.now() } }));
+      setConfusionSignalCount(count => count + 1);
+      setConfusionClock(Date.now());
       setLastConfusionSignal(data);
       
       // Auto-clear the last signal indicator after 5 seconds
@@ -323,6 +413,133 @@ function App() {
         setLastConfusionSignal(null);
       }, 5000);
     });
+    
+    // Too many students are confused right now
+    newSocket.on('confusion-alert', (alert) => {
+      console.log('🚨 Confusion alert:', alert);
+      setConfusionAlert(alert);
+    });
+    
+    // Anonymous questions from students
+    newSocket.on('student-question-posted', (question) => {
+      setStudentQuestions(prev => upsertStudentQuestion(prev, question));
+    });
+    
+    newSocket.on('student-question-updated', (question) => {
+      setStudentQuestions(prev => upsertStudentQuestion(prev, question));
+    });
+    
+    newSocket.on('student-question-error', (data) => {
+      console.error('Student question error:', data.error);
+      setError(data.error);
+    });
+    
+    // The backend transcribes the audio we stream to it
+    newSocket.on('transcription-started', (info) => {
+      console.log(`🎤 Recording started (${info.provider})`);
+      setIsTranscribing(true);
+      isTranscribingRef.current = true;
+      setError('');
+      setTranscription('');
+      
+      // A new stream needs the recording from its start, so restart any recorder left running
+      if (mediaRecorderRef.current && mediaRecorderRef.current.state !== 'inactive') {
+        mediaRecorderRef.current.stop();
+      }
+      if (streamRef.current) {
+        startMediaRecorder(streamRef.current, newSocket, data.sessionId);
+      }
+    });
+    
+    newSocket.on('transcript-update', (update) => {
+      if (update.isFinal) {
+        console.log(`📝 Final: "${update.text}"`);
+        setFinalTranscription(prev => prev + ' ' + update.text);
+        setTranscription(''); // Clear interim transcript
+      } else {
+        // Interim transcript - show as live feedback
+        setTranscription(update.text);
+      }
+    });
+    
+    newSocket.on('transcription-error', (err) => {
+      console.error('Transcription error:', err.error);
+      setError(err.error);
+      stopAudioCapture();
+    });
+    
+    // The speech-to-text provider ended the stream on its own
+    newSocket.on('transcription-stopped', () => {
+      if (isTranscribingRef.current) {
+        stopAudioCapture();
+      }
+    });
+    
+    // Back after a dropped connection: reload quizzes, the review queue and student questions
+    resumeOnReconnect(newSocket, { sessionId: data.sessionId });
+    newSocket.on('session-resumed', (state) => {
+      console.log('🔁 Session resumed:', state);
+      const {
+        role, quizzes, pendingQuestions: pending, currentTimer, studentQuestions: questions, leaderboard: ranking, ...settings
+      } = state;
+      setConnectionLost(false);
+      setSessionData(prev => prev ? { ...prev, ...settings } : prev);
+      setLecturerQuizzes(quizzes);
+      setCurrentLecturerQuiz(quizzes.length > 0 ? quizzes[quizzes.length - 1] : null);
+      setPendingQuestions(pending);
+      setStudentQuestions(questions);
+      setLeaderboard(ranking);
+      
+      // The transcription stream closed with the old connection
+      if (isTranscribingRef.current) {
+        newSocket.emit('start-transcription', data.sessionId);
+      }
+    });
+  };
+
+  // Show the session's quizzes to a student who joined late or reconnected,
+  // opening the quiz that is still running if there is one
+  const loadStudentQuizzes = (previousQuestions, currentTimer) => {
+    if (!previousQuestions || previousQuestions.length === 0) {
+      return;
+    }
+    
+    console.log('📚 Loading previous questions:', previousQuestions.length);
+    
+    // If there's a current active timer, find that question and give it the live deadline
+    const activeQuestionIndex = currentTimer
+      ? previousQuestions.findIndex(q => q.questionId === currentTimer.questionId)
+      : -1;
+    const quizzes = previousQuestions.map((quiz, index) => (
+      index === activeQuestionIndex ? { ...quiz, ...currentTimer } : quiz
+    ));
+    setAllQuizzes(quizzes);
+    
+    // With no active timer, show the latest question
+    const currentIndex = activeQuestionIndex !== -1 ? activeQuestionIndex : quizzes.length - 1;
+    setCurrentQuizIndex(currentIndex);
+    setCurrentQuiz(quizzes[currentIndex]);
+  };
+
+  // Socket.IO reconnects by itself after a network drop, but as a new socket outside the
+  // session room, so ask the server to put us back and send what we missed
+  const resumeOnReconnect = (newSocket, resumeData) => {
+    newSocket.on('disconnect', (reason) => {
+      if (reason !== 'io client disconnect') {
+        setConnectionLost(true);
+      }
+    });
+    
+    newSocket.io.on('reconnect', () => {
+      console.log('🔁 Reconnected, resuming session');
+      newSocket.emit('resume-session', resumeData);
+    });
+    
+    newSocket.on('resume-error', (data) => {
+      console.error('Could not resume session:', data.error);
+      setConnectionLost(false);
+      setError(data.error);
+    });
   };
 
   const handleSessionJoined = (data, newSocket) => {
@@ -332,29 +549,8 @@ function App() {
     setUserType('student');
     
     // Load previous questions if any (for late-joining students)
-    if (data.previousQuestions && data.previousQuestions.length > 0) {
-      console.log('📚 Loading previous questions:', data.previousQuestions.length);
-      setAllQuizzes(data.previousQuestions);
-      
-      // If there's a current active timer, find and set that question as current
-      if (data.currentTimer) {
-        const activeQuestionIndex = data.previousQuestions.findIndex(
-          q => q.questionId === data.currentTimer.questionId
-        );
-        if (activeQuestionIndex !== -1) {
-          setCurrentQuizIndex(activeQuestionIndex);
-          setCurrentQuiz({
-            ...data.previousQuestions[activeQuestionIndex],
-            timeLeft: data.currentTimer.timeRemaining,
-            startTime: data.currentTimer.startTime
-          });
-        }
-      } else {
-        // No active timer, show the latest question
-        setCurrentQuizIndex(data.previousQuestions.length - 1);
-        setCurrentQuiz(data.previousQuestions[data.previousQuestions.length - 1]);
-      }
-    }
+    loadStudentQuizzes(data.previousQuestions, data.currentTimer);
+    setLeaderboard(data.leaderboard);
     
     // Set up socket listeners for student
     newSocket.on('new-quiz', (quizData) => {
@@ -386,23 +582,80 @@ function App() {
       setIsProcessingTranscript(false);
     });
     
-    newSocket.on('quiz-results', (results) => {
-      console.log('Quiz results:', results);
-      // Handle quiz results
-    });
-    
-    newSocket.on('quiz-timeout', (data) => {
-      console.log('⏰ Quiz timeout received:', data);
-      // Mark the timed-out quiz as completed
+    // Apply an update to a quiz in both the quiz list and the currently shown quiz
+    const updateStudentQuiz = (questionId, changes) => {
       setAllQuizzes(prev => prev.map(quiz => 
-        quiz.questionId === data.questionId 
-          ? { ...quiz, timedOut: true, correctAnswer: data.correctAnswer }
-          : quiz
+        quiz.questionId === questionId ? { ...quiz, ...changes } : quiz
       ));
-      
-      if (currentQuiz && currentQuiz.questionId === data.questionId) {
-        setCurrentQuiz(prev => ({ ...prev, timedOut: true, correctAnswer: data.correctAnswer }));
+      setCurrentQuiz(prev => 
+        prev && prev.questionId === questionId ? { ...prev, ...changes } : prev
+      );
+    };
+    
+    // The server reveals the correct answer only once the quiz has closed
+    const handleQuizClosed = (data) => {
+      console.log('⏰ Quiz closed:', data);
+      updateStudentQuiz(data.questionId, {
+        timedOut: true,
+        revealed: true,
+        correctAnswer: data.correctAnswer
+      });
+    };
+    newSocket.on('quiz-timeout', handleQuizClosed);
+    newSocket.on('quiz-results', handleQuizClosed);
+    
+    // The lecturer showed the class how everyone answered
+    newSocket.on('answer-tally-shared', (tally) => {
+      updateStudentQuiz(tally.questionId, { sharedTally: tally });
+    });
+    
+    // The lecturer extended, paused or resumed the timer
+    newSocket.on('quiz-timer-updated', (timer) => {
+      const { closesAt, paused, timeRemaining, timeLimit } = timer;
+      updateStudentQuiz(timer.questionId, { closesAt, paused, timeRemaining, timeLimit });
+    });
+    
+    // Graded result for this student's own answer
+    newSocket.on('answer-result', (result) => {
+      console.log('✅ Answer result received:', result);
+      updateStudentQuiz(result.questionId, {
+        answered: true,
+        revealed: true,
+        selectedAnswer: result.selectedAnswer,
+        isCorrect: result.isCorrect,
+        correctAnswer: result.correctAnswer,
+        points: result.points,
+        confidence: result.confidence
+      });
+    });
+    
+    // Shown only while the lecturer has the leaderboard turned on
+    newSocket.on('leaderboard-updated', setLeaderboard);
+    
+    newSocket.on('leaderboard-settings-updated', (data) => {
+      setSessionData(prev => prev ? { ...prev, showLeaderboard: data.showLeaderboard } : prev);
+      if (!data.showLeaderboard) {
+        setLeaderboard(null);
+      }
+    });
+    
+    // The server stores what we actually answered, e.g. a multi-select answer in key order
+    newSocket.on('answer-submitted', (data) => {
+      updateStudentQuiz(data.questionId, { answered: true, selectedAnswer: data.selectedAnswer, confidence: data.confidence });
+    });
+    
+    newSocket.on('answer-error', (data) => {
+      console.error(`Error submitting answer (${data.code}):`, data.error);
+      if (data.code === 'quiz_closed') {
+        updateStudentQuiz(data.questionId, { answered: false, selectedAnswer: null, timedOut: true });
+      } else if (data.code !== 'already_answered') {
+        updateStudentQuiz(data.questionId, { answered: false, selectedAnswer: null });
       }
+      setError(data.error);
+    });
+    
+    newSocket.on('answer-policy-updated', (data) => {
+      setSessionData(prev => prev ? { ...prev, allowAnswerChanges: data.allowAnswerChanges } : prev);
     });
     
     newSocket.on('recording-started', () => {
@@ -433,22 +686,95 @@ function App() {
         setConfusionLevel(0);
       }, 2000);
     });
+    
+    // Class questions: the server acknowledges our own question before broadcasting it
+    newSocket.on('student-questions', (data) => {
+      myQuestionIds.current = new Set(data.questions.filter(q => q.mine).map(q => q.questionId));
+      setStudentQuestions(data.questions);
+    });
+    
+    newSocket.on('student-question-received', (data) => {
+      myQuestionIds.current.add(data.questionId);
+    });
+    
+    newSocket.on('student-question-posted', (question) => {
+      const mine = myQuestionIds.current.has(question.questionId);
+      setStudentQuestions(prev => upsertStudentQuestion(prev, { ...question, mine, upvoted: false }));
+    });
+    
+    // Dismissed questions are hidden from students; reopened ones come back
+    newSocket.on('student-question-updated', (question) => {
+      setStudentQuestions(prev => {
+        if (question.status === 'dismissed') {
+          return prev.filter(q => q.questionId !== question.questionId);
+        }
+        const mine = myQuestionIds.current.has(question.questionId);
+        return upsertStudentQuestion(prev, { ...question, mine, upvoted: false });
+      });
+    });
+    
+    newSocket.on('student-question-vote', (data) => {
+      setStudentQuestions(prev => prev.map(q => (
+        q.questionId === data.questionId ? { ...q, upvoted: data.upvoted } : q
+      )));
+    });
+    
+    newSocket.on('student-question-error', (data) => {
+      console.error('Student question error:', data.error);
+      setError(data.error);
+    });
+    
+    newSocket.emit('get-student-questions', { sessionId: data.sessionId });
+    
+    // Back after a dropped connection: catch up on quizzes, our answers and the running timer
+    resumeOnReconnect(newSocket, { reconnectToken: data.reconnectToken });
+    newSocket.on('session-resumed', (state) => {
+      console.log('🔁 Session resumed:', state);
+      setConnectionLost(false);
+      setSessionData(prev => prev ? {
+        ...prev,
+        allowAnswerChanges: state.allowAnswerChanges,
+        showLeaderboard: state.showLeaderboard
+      } : prev);
+      setLeaderboard(state.leaderboard);
+      loadStudentQuizzes(state.previousQuestions, state.currentTimer);
+      myQuestionIds.current = new Set(state.studentQuestions.filter(q => q.mine).map(q => q.questionId));
+      setStudentQuestions(state.studentQuestions);
+    });
   };
 
-  const handleSubmitAnswer = (questionId, studentId, answer) => {
+  const handleAskQuestion = (text) => {
+    if (socket && sessionData && studentId) {
+      socket.emit('post-student-question', { sessionId: sessionData.sessionId, text });
+    }
+  };
+  
+  const handleUpvoteQuestion = (questionId) => {
+    if (socket && sessionData && studentId) {
+      socket.emit('upvote-student-question', { sessionId: sessionData.sessionId, questionId });
+    }
+  };
+  
+  const handleSetQuestionStatus = (questionId, status) => {
+    if (socket && sessionData) {
+      socket.emit('set-student-question-status', { sessionId: sessionData.sessionId, questionId, status });
+    }
+  };
+
+  const handleSubmitAnswer = (questionId, studentId, answer, confidence) => {
     if (socket) {
-      socket.emit('submit-answer', { questionId, studentId, answer });
+      socket.emit('submit-answer', { questionId, studentId, answer, confidence });
       
       // Update the quiz in allQuizzes to mark as answered
       setAllQuizzes(prev => prev.map(quiz => 
         quiz.questionId === questionId 
-          ? { ...quiz, answered: true, selectedAnswer: answer }
+          ? { ...quiz, answered: true, selectedAnswer: answer, confidence }
           : quiz
       ));
       
       // Update current quiz if it's the one being answered
       if (currentQuiz && currentQuiz.questionId === questionId) {
-        setCurrentQuiz(prev => ({ ...prev, answered: true, selectedAnswer: answer }));
+        setCurrentQuiz(prev => ({ ...prev, answered: true, selectedAnswer: answer, confidence }));
       }
     }
   };
@@ -498,6 +824,83 @@ function App() {
     handleStopRecording();
   };
 
+  const handleRevealQuiz = (questionId) => {
+    if (socket && sessionData) {
+      socket.emit('reveal-quiz', { sessionId: sessionData.sessionId, questionId });
+    }
+  };
+
+  const handleExtendQuiz = (questionId, seconds) => {
+    if (socket && sessionData) {
+      socket.emit('extend-quiz', { sessionId: sessionData.sessionId, questionId, seconds });
+    }
+  };
+
+  const handlePauseQuiz = (questionId) => {
+    if (socket && sessionData) {
+      socket.emit('pause-quiz', { sessionId: sessionData.sessionId, questionId });
+    }
+  };
+
+  const handleResumeQuiz = (questionId) => {
+    if (socket && sessionData) {
+      socket.emit('resume-quiz', { sessionId: sessionData.sessionId, questionId });
+    }
+  };
+
+  // Ask the same question again as a new quiz with a fresh timer and no answers yet
+  const handleRerunQuiz = (questionId) => {
+    if (socket && sessionData) {
+      setError('');
+      socket.emit('rerun-quiz', { sessionId: sessionData.sessionId, questionId });
+    }
+  };
+
+  const handleShareResults = (questionId) => {
+    if (socket && sessionData) {
+      socket.emit('share-answer-tally', { sessionId: sessionData.sessionId, questionId });
+    }
+  };
+
+  const handlePublishQuestion = (questionId, edits) => {
+    if (socket && sessionData) {
+      setError('');
+      socket.emit('publish-question', { sessionId: sessionData.sessionId, questionId, ...edits });
+    }
+  };
+
+  const handleDiscardQuestion = (questionId) => {
+    if (socket && sessionData) {
+      socket.emit('discard-question', { sessionId: sessionData.sessionId, questionId });
+    }
+  };
+
+  // Push a question bank entry ({ bankQuestionId }) or a hand-written quiz live
+  const handlePushQuiz = (quiz) => {
+    if (socket && sessionData) {
+      setError('');
+      socket.emit('push-quiz', { sessionId: sessionData.sessionId, ...quiz });
+    }
+  };
+
+  const handleToggleAnswerChanges = (allowAnswerChanges) => {
+    if (socket && sessionData) {
+      socket.emit('set-answer-changes', { sessionId: sessionData.sessionId, allowAnswerChanges });
+    }
+  };
+
+  const handleToggleLeaderboard = (showLeaderboard) => {
+    if (socket && sessionData) {
+      socket.emit('set-leaderboard', { sessionId: sessionData.sessionId, showLeaderboard });
+    }
+  };
+
+  const handleToggleReviewMode = (reviewBeforePublish) => {
+    if (socket && sessionData) {
+      socket.emit('set-review-mode', { sessionId: sessionData.sessionId, reviewBeforePublish });
+    }
+  };
+
   const handleStopSession = () => {
     if (socket && sessionData) {
       console.log('🛑 Stopping session:', sessionData.sessionId);
@@ -512,16 +915,21 @@ function App() {
       setConfusionLevel(level);
       socket.emit('signal-confusion', {
         sessionId: sessionData.sessionId,
-        studentId: studentId,
         confusionLevel: level
       });
     }
   };
 
-  // Cleanup on unmount
+  // Students whose latest signal falls within the alert window make up the confusion meter
+  const confusionWindowMs = ((sessionData && sessionData.confusionAlertWindowSeconds) || 60) * 1000;
+  const currentConfusion = Object.values(latestConfusion)
+    .filter(signal => confusionClock - signal.receivedAt < confusionWindowMs);
+  const confusionCount = (level) => currentConfusion.filter(signal => signal.confusionLevel === level).length;
+
+  // Cleanup on unmount (the backend closes the transcription stream when the socket disconnects)
   useEffect(() => {
     return () => {
-      stopTranscription();
+      stopAudioCapture();
     };
   }, []);
 
@@ -566,6 +974,13 @@ function App() {
         
         <main id="main-content" role="main">
         
+        {sessionData && connectionLost && (
+          <div className="connection-lost-banner" role="status">
+            <span aria-hidden="true">📡</span>
+            Connection lost. Reconnecting to your session...
+          </div>
+        )}
+        
         {/* User Type Selection */}
         {!userType && !sessionData && (
           <section className="user-selection" aria-labelledby="role-selection-heading">
@@ -596,9 +1011,29 @@ function App() {
           </section>
         )}
         
+        {/* Lecturer sign in */}
+        {userType === 'lecturer' && !sessionData && !authToken && (
+          <LecturerAuth onAuthenticated={handleAuthenticated} />
+        )}
+        
         {/* Session Creator for Lecturers */}
-        {userType === 'lecturer' && !sessionData && (
-          <SessionCreator onSessionCreated={handleSessionCreated} />
+        {userType === 'lecturer' && !sessionData && authToken && (
+          <SessionCreator 
+            onSessionCreated={handleSessionCreated}
+            lecturer={lecturer}
+            authToken={authToken}
+            onSignOut={handleSignOut}
+          />
+        )}
+        
+        {/* Questions can be prepared in the bank before a session starts */}
+        {userType === 'lecturer' && !sessionData && authToken && (
+          <QuestionBank authToken={authToken} />
+        )}
+        
+        {/* Search across past lectures */}
+        {userType === 'lecturer' && !sessionData && authToken && (
+          <LectureSearch authToken={authToken} />
         )}
         
         {/* Student Join for Students */}
@@ -654,17 +1089,17 @@ function App() {
             <div className="confusion-metrics">
               <div className="metric clear-metric">
                 <span className="metric-icon">😊</span>
-                <span className="metric-value">{confusionSignals.filter(s => s.confusionLevel === 0).length}</span>
+                <span className="metric-value">{confusionCount(0)}</span>
                 <span className="metric-label">Clear</span>
               </div>
               <div className="metric confused-metric">
                 <span className="metric-icon">😐</span>
-                <span className="metric-value">{confusionSignals.filter(s => s.confusionLevel === 1).length}</span>
+                <span className="metric-value">{confusionCount(1)}</span>
                 <span className="metric-label">Confused</span>
               </div>
               <div className="metric very-confused-metric">
                 <span className="metric-icon">😵</span>
-                <span className="metric-value">{confusionSignals.filter(s => s.confusionLevel === 2).length}</span>
+                <span className="metric-value">{confusionCount(2)}</span>
                 <span className="metric-label">Very Confused</span>
               </div>
             </div>
@@ -678,7 +1113,7 @@ function App() {
               </div>
             )}
 
-            {confusionSignals.length === 0 && (
+            {currentConfusion.length === 0 && (
               <div className="no-signals-state">
                 <span className="no-signals-icon">💭</span>
                 <span className="no-signals-text">Waiting for student feedback...</span>
@@ -700,7 +1135,7 @@ function App() {
                         <div className="stat-label">Questions Generated</div>
                       </div>
                       <div className="stat-item">
-                        <div className="stat-value">{confusionSignals.length}</div>
+                        <div className="stat-value">{confusionSignalCount}</div>
                         <div className="stat-label">Student Signals</div>
                       </div>
                     </div>
@@ -750,6 +1185,38 @@ function App() {
                 {showAnalytics ? 'Session Ended' : 'Stop Session & View Analytics'}
               </button>
               
+              {!showAnalytics && (
+                <label className="review-mode-toggle">
+                  <input
+                    type="checkbox"
+                    checked={Boolean(sessionData.reviewBeforePublish)}
+                    onChange={(e) => handleToggleReviewMode(e.target.checked)}
+                  />
+                  Review detected questions before publishing
+                </label>
+              )}
+              
+              {!showAnalytics && (
+                <label className="review-mode-toggle">
+                  <input
+                    type="checkbox"
+                    checked={Boolean(sessionData.allowAnswerChanges)}
+                    onChange={(e) => handleToggleAnswerChanges(e.target.checked)}
+                  />
+                  Let students change answers until the quiz closes
+                </label>
+              )}
+              
+              {!showAnalytics && (
+                <label className="review-mode-toggle">
+                  <input
+                    type="checkbox"
+                    checked={Boolean(sessionData.showLeaderboard)}
+                    onChange={(e) => handleToggleLeaderboard(e.target.checked)}
+                  />
+                  Show live leaderboard to students
+                </label>
+              )}
             </div>
             
             {error && (
@@ -797,6 +1264,41 @@ function App() {
               </div>
             )}
             
+            {confusionAlert && !showAnalytics && (
+              <div className="confusion-alert" role="alert">
+                <div className="confusion-alert-text">
+                  <strong>
+                    🚨 {Math.round(confusionAlert.ratio * 100)}% of students are {confusionAlert.level === 2 ? 'very confused' : 'confused'}
+                  </strong>
+                  <span>
+                    {confusionAlert.affectedStudents} of {confusionAlert.presentStudents} present students in the last {confusionAlert.windowSeconds} seconds
+                  </span>
+                  {confusionAlert.transcriptExcerpt && (
+                    <blockquote>You were saying: “{confusionAlert.transcriptExcerpt}”</blockquote>
+                  )}
+                </div>
+                <button type="button" className="discard-button" onClick={() => setConfusionAlert(null)}>
+                  Dismiss
+                </button>
+              </div>
+            )}
+            
+            {!showAnalytics && (
+              <PendingQuestionQueue
+                questions={pendingQuestions}
+                onPublish={handlePublishQuestion}
+                onDiscard={handleDiscardQuestion}
+              />
+            )}
+            
+            {!showAnalytics && (
+              <StudentQuestions
+                questions={studentQuestions}
+                isLecturer
+                onSetStatus={handleSetQuestionStatus}
+              />
+            )}
+            
             {/* Display created quizzes for lecturer */}
             {currentLecturerQuiz && (
               <div className="lecturer-quiz-section">
@@ -806,22 +1308,49 @@ function App() {
                     <h4>📝 {currentLecturerQuiz.question}</h4>
                     <div className="quiz-meta">
                       <span>⏱️ Duration: {currentLecturerQuiz.timeLimit}s</span>
-                      <span>✅ Correct: {currentLecturerQuiz.correctAnswer}</span>
+                      {currentLecturerQuiz.rerunOf && <span>🔁 Re-run</span>}
+                      <span>🧩 {questionTypeLabel(currentLecturerQuiz.type)}</span>
+                      <span>✅ Correct: {formatAnswer(currentLecturerQuiz, currentLecturerQuiz.correctAnswer)}</span>
                     </div>
                   </div>
-                  <div className="quiz-options">
-                    {Object.entries(currentLecturerQuiz.options).map(([key, value]) => (
-                      <div 
-                        key={key} 
-                        className={`option ${key === currentLecturerQuiz.correctAnswer ? 'correct' : ''}`}
-                      >
-                        <strong>{key}:</strong> {value}
-                      </div>
-                    ))}
-                  </div>
+                  {currentLecturerQuiz.options && (
+                    <div className="quiz-options">
+                      {Object.entries(currentLecturerQuiz.options).map(([key, value]) => (
+                        <div 
+                          key={key} 
+                          className={`option ${correctOptionKeys(currentLecturerQuiz, currentLecturerQuiz.correctAnswer).includes(key) ? 'correct' : ''}`}
+                        >
+                          <strong>{key}:</strong> {value}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                  {currentLecturerQuiz.tally && (
+                    <AnswerTally
+                      quiz={currentLecturerQuiz}
+                      tally={currentLecturerQuiz.tally}
+                      correctAnswer={currentLecturerQuiz.correctAnswer}
+                      title={currentLecturerQuiz.closed ? 'Answers' : 'Live Answers'}
+                    />
+                  )}
                   <div className="original-text">
-                    <small><strong>From transcript:</strong> "{currentLecturerQuiz.originalText}"</small>
+                    {currentLecturerQuiz.originalText ? (
+                      <small><strong>From transcript:</strong> "{currentLecturerQuiz.originalText}"</small>
+                    ) : (
+                      <small><strong>Source:</strong> {currentLecturerQuiz.source === 'bank' ? 'Question bank' : 'Written by you'}</small>
+                    )}
                   </div>
+                  {!showAnalytics && (
+                    <QuizControls
+                      quiz={currentLecturerQuiz}
+                      onExtend={handleExtendQuiz}
+                      onPause={handlePauseQuiz}
+                      onResume={handleResumeQuiz}
+                      onReveal={handleRevealQuiz}
+                      onRerun={handleRerunQuiz}
+                      onShareResults={handleShareResults}
+                    />
+                  )}
                 </div>
               </div>
             )}
@@ -839,7 +1368,7 @@ function App() {
                     >
                       <div className="history-question">{quiz.question}</div>
                       <div className="history-meta">
-                        <span>Correct: {quiz.correctAnswer}</span>
+                        <span>Correct: {formatAnswer(quiz, quiz.correctAnswer)}</span>
                       </div>
                     </div>
                   ))}
@@ -847,6 +1376,17 @@ function App() {
               </div>
             )}
             
+            {!showAnalytics && leaderboard && (
+              <Leaderboard
+                leaderboard={leaderboard}
+                title={sessionData.showLeaderboard ? '🏆 Leaderboard (shown to students)' : '🏆 Leaderboard'}
+              />
+            )}
+            
+            {!showAnalytics && (
+              <QuestionBank authToken={authToken} onPush={handlePushQuiz} />
+            )}
+            
             {/* Session Analytics Display */}
             {showAnalytics && sessionAnalytics && (
               <div className="session-analytics">
@@ -909,12 +1449,22 @@ function App() {
                               <span className="accuracy-rate">
                                 {question.accuracyRate}% accuracy
                               </span>
+                              {question.responseTimes && question.responseTimes.medianMs !== null && (
+                                <span className="response-time">
+                                  ⏱️ {formatResponseTime(question.responseTimes.medianMs)} median
+                                </span>
+                              )}
+                              {question.confidence && question.confidence.confidentlyWrong > 0 && (
+                                <span className="confidently-wrong">
+                                  🎯 {question.confidence.confidentlyWrong} confidently wrong
+                                </span>
+                              )}
                             </div>
                           </div>
                           
                           <div className="answer-breakdown">
                             <div className="correct-answer">
-                              <strong>Correct Answer: {question.correctAnswer}</strong> - {question.options[question.correctAnswer]}
+                              <strong>Correct Answer:</strong> {formatAnswer(question, question.correctAnswer)}
                             </div>
                             
                             {question.totalAnswers > 0 && (
@@ -923,11 +1473,32 @@ function App() {
                                 {Object.entries(question.answerDistribution).map(([option, count]) => (
                                   <div 
                                     key={option} 
-                                    className={`option-stat ${option === question.correctAnswer ? 'correct-option' : ''}`}
+                                    className={`option-stat ${correctOptionKeys(question, question.correctAnswer).includes(option) || option === question.correctAnswer ? 'correct-option' : ''}`}
                                   >
-                                    <span className="option-label">{option}:</span>
-                                    <span className="option-count">{count} students</span>
-                                    <span className="option-text">"{question.options[option]}"</span>
+                                    {isChoiceType(question.type) ? (
+                                      <>
+                                        <span className="option-label">{option}:</span>
+                                        <span className="option-count">{count} students</span>
+                                        <span className="option-text">"{question.options[option]}"</span>
+                                      </>
+                                    ) : (
+                                      <>
+                                        <span className="option-text">"{formatAnswer(question, option)}"</span>
+                                        <span className="option-count">{count} students</span>
+                                      </>
+                                    )}
+                                  </div>
+                                ))}
+                              </div>
+                            )}
+                            
+                            {question.responseTimes && question.responseTimes.answered > 0 && (
+                              <div className="response-time-distribution">
+                                <h5>Response Times:</h5>
+                                {question.responseTimes.buckets.map(bucket => (
+                                  <div key={bucket.label} className="option-stat">
+                                    <span className="option-label">{bucket.label}:</span>
+                                    <span className="option-count">{bucket.count} students</span>
                                   </div>
                                 ))}
                               </div>
@@ -945,6 +1516,33 @@ function App() {
                   </div>
                 )}
                 
+                {sessionAnalytics.confidentlyWrongHotspots && sessionAnalytics.confidentlyWrongHotspots.length > 0 && (
+                  <div className="misconception-hotspots">
+                    <h4>🎯 Confidently Wrong Hotspots</h4>
+                    <p className="hotspot-help">Students were sure of these answers and got them wrong, which usually means a misconception worth addressing.</p>
+                    {sessionAnalytics.confidentlyWrongHotspots.map(hotspot => {
+                      const question = sessionAnalytics.questionAnalytics.find(q => q.questionId === hotspot.questionId);
+                      return (
+                        <div key={hotspot.questionId} className="hotspot-item">
+                          <p><strong>{hotspot.question}</strong></p>
+                          <p>
+                            {hotspot.confidentlyWrong} confidently wrong ({hotspot.confidentlyWrongRate}% of answers)
+                            {question && Object.keys(hotspot.confidentlyWrongAnswers).length > 0 && (
+                              <> · chose {Object.entries(hotspot.confidentlyWrongAnswers)
+                                .map(([answer, count]) => `"${formatAnswer(question, answer)}" (${count})`)
+                                .join(', ')}</>
+                            )}
+                          </p>
+                        </div>
+                      );
+                    })}
+                  </div>
+                )}
+                
+                {sessionAnalytics.leaderboard && sessionAnalytics.leaderboard.entries.length > 0 && (
+                  <Leaderboard leaderboard={sessionAnalytics.leaderboard} title="🏆 Final Leaderboard" />
+                )}
+                
                 {/* Most Problematic Question Highlight or Perfect Performance */}
                 {sessionAnalytics.mostProblematicQuestion ? (
                   <div className="most-problematic-summary">
@@ -952,7 +1550,7 @@ function App() {
                     <div className="problematic-question">
                       <p><strong>Question:</strong> {sessionAnalytics.mostProblematicQuestion.question}</p>
                       <p><strong>Accuracy Rate:</strong> {sessionAnalytics.mostProblematicQuestion.accuracyRate}%</p>
-                      <p><strong>Correct Answer:</strong> {sessionAnalytics.mostProblematicQuestion.correctAnswer}</p>
+                      <p><strong>Correct Answer:</strong> {formatAnswer(sessionAnalytics.mostProblematicQuestion, sessionAnalytics.mostProblematicQuestion.correctAnswer)}</p>
                       <p className="recommendation">
                         💡 <strong>Recommendation:</strong> Review this concept in your next class as {sessionAnalytics.mostProblematicQuestion.incorrectAnswers} students answered incorrectly.
                       </p>
@@ -975,6 +1573,29 @@ function App() {
                     <p>No questions were generated during this session.</p>
                   </div>
                 )}
+
+                {sessionAnalytics.studentQuestions && sessionAnalytics.studentQuestions.total > 0 && (
+                  <div className="student-question-analytics">
+                    <h4>🙋 Student Questions</h4>
+                    <p>
+                      {sessionAnalytics.studentQuestions.total} asked · {sessionAnalytics.studentQuestions.answered} answered · {sessionAnalytics.studentQuestions.open} still open · {sessionAnalytics.studentQuestions.dismissed} dismissed
+                    </p>
+                    {sessionAnalytics.studentQuestions.topQuestions.length > 0 && (
+                      <ol>
+                        {sessionAnalytics.studentQuestions.topQuestions.map(question => (
+                          <li key={question.questionId}>
+                            {question.text} <span className="question-upvotes">▲ {question.upvotes}</span>
+                            {question.status === 'open' && <span className="question-unanswered"> (not answered yet)</span>}
+                          </li>
+                        ))}
+                      </ol>
+                    )}
+                  </div>
+                )}
+
+                <ConfusionTimeline sessionId={sessionData.sessionId} authToken={authToken} />
+                <TranscriptEditor sessionId={sessionData.sessionId} authToken={authToken} />
+                <SessionExport sessionId={sessionData.sessionId} authToken={authToken} />
               </div>
             )}
           </section>
@@ -1061,7 +1682,8 @@ function App() {
                   quiz={currentQuiz}
                   onSubmitAnswer={handleSubmitAnswer}
                   studentId={studentId}
-                  isReadOnly={currentQuiz.answered}
+                  isReadOnly={currentQuiz.answered && !sessionData.allowAnswerChanges}
+                  allowAnswerChanges={Boolean(sessionData.allowAnswerChanges)}
                 />
               </div>
             )}
@@ -1072,6 +1694,14 @@ function App() {
                 <p>The lecturer will start recording and questions will appear automatically.</p>
               </div>
             )}
+            
+            {leaderboard && <Leaderboard leaderboard={leaderboard} />}
+            
+            <StudentQuestions
+              questions={studentQuestions}
+              onAsk={handleAskQuestion}
+              onUpvote={handleUpvoteQuestion}
+            />
           </section>
         )}
         
@@ -1101,6 +1731,15 @@ function App() {
                     {studentAnalytics.summary.accuracyRate}%
                   </span>
                 </div>
+                {studentAnalytics.score && (
+                  <div className="student-stat-item">
+                    <span className="stat-label">Points:</span>
+                    <span className="stat-value">
+                      {studentAnalytics.score.points.toLocaleString()}
+                      {studentAnalytics.score.rank && ` (#${studentAnalytics.score.rank} of ${studentAnalytics.score.totalStudents})`}
+                    </span>
+                  </div>
+                )}
               </div>
             </div>
             
@@ -1126,7 +1765,7 @@ function App() {
                       <div className="answer-comparison">
                         {result.studentAnswer && (
                           <div className={`student-answer ${result.isCorrect ? 'correct' : 'incorrect'}`}>
-                            <strong>Your Answer:</strong> {result.studentAnswer} - {result.options[result.studentAnswer]}
+                            <strong>Your Answer:</strong> {formatAnswer(result, result.studentAnswer)}
                           </div>
                         )}
                         {!result.studentAnswer && (
@@ -1135,8 +1774,14 @@ function App() {
                           </div>
                         )}
                         <div className="correct-answer-display">
-                          <strong>Correct Answer:</strong> {result.correctAnswer} - {result.options[result.correctAnswer]}
+                          <strong>Correct Answer:</strong> {formatAnswer(result, result.correctAnswer)}
                         </div>
+                        {result.studentAnswer && result.responseMs !== null && result.responseMs !== undefined && (
+                          <div className="answer-timing">
+                            Answered in {formatResponseTime(result.responseMs)} · {result.points.toLocaleString()} points
+                            {result.confidence && ` · ${confidenceLabel(result.confidence)}`}
+                          </div>
+                        )}
                       </div>
                     </div>
                   </div>
@@ -1202,9 +1847,15 @@ function App() {
                 setShowAnalytics(false);
                 setStudentAnalytics(null);
                 setShowStudentResults(false);
-                setConfusionSignals([]);
+                setLatestConfusion({});
+                setConfusionSignalCount(0);
+                setConfusionAlert(null);
                 setLastConfusionSignal(null);
                 setConfusionLevel(0);
+                setStudentQuestions([]);
+                myQuestionIds.current = new Set();
+                setLeaderboard(null);
+                setConnectionLost(false);
                 setError('');
                 // Keep dark mode preference - don't reset it
               }}
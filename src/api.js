@@ -0,0 +1,60 @@
+// Small wrapper around fetch for the backend REST API
+export const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5001';
+
+export const AUTH_TOKEN_KEY = 'lec-recall-token';
+
+export const getAuthToken = () => localStorage.getItem(AUTH_TOKEN_KEY);
+
+export const apiRequest = async (path, { method = 'GET', body, token = getAuthToken() } = {}) => {
+  const headers = {};
+  if (body !== undefined) {
+    headers['Content-Type'] = 'application/json';
+  }
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+
+  const response = await fetch(`${BACKEND_URL}${path}`, {
+    method,
+    headers,
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const error = new Error(data.error || `Request failed with status ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return data;
+};
+
+// Fetch a file from the API and hand it to the browser as a download (or open it in a new
+// tab when `open` is set, e.g. for printable reports)
+export const apiDownload = async (path, { filename, open = false, token = getAuthToken() } = {}) => {
+  const response = await fetch(`${BACKEND_URL}${path}`, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {}
+  });
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    const error = new Error(data.error || `Request failed with status ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  const url = URL.createObjectURL(await response.blob());
+  if (open) {
+    window.open(url, '_blank', 'noopener');
+  } else {
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+  }
+  setTimeout(() => URL.revokeObjectURL(url), 60000);
+};
@@ -0,0 +1,44 @@
+import { formatAnswer, correctOptionKeys } from '../questionTypes';
+import './AnswerTally.css';
+
+// How the class answered a quiz: answered count, percent correct and a bar per option (or per
+// distinct answer for free-text types). Correct bars are highlighted once `correctAnswer` is known.
+const AnswerTally = ({ quiz, tally, correctAnswer, title = 'Live Answers' }) => {
+  const { answeredCount, percentCorrect, presentStudents, distribution } = tally;
+  const correctKeys = correctOptionKeys(quiz, correctAnswer);
+  const isCorrect = (answer) => Boolean(correctAnswer) && (correctKeys.includes(answer) || answer === correctAnswer);
+
+  return (
+    <section className="answer-tally" aria-label={title}>
+      <div className="answer-tally-header">
+        <h5>{title}</h5>
+        <span>
+          {presentStudents !== undefined
+            ? `${answeredCount} of ${presentStudents} present answered`
+            : `${answeredCount} answered`}
+          {correctAnswer && answeredCount > 0 && ` · ${percentCorrect}% correct`}
+        </span>
+      </div>
+      {Object.keys(distribution).length === 0 ? (
+        <p className="answer-tally-empty">No answers yet.</p>
+      ) : (
+        <ul>
+          {Object.entries(distribution).map(([answer, count]) => {
+            const percent = answeredCount > 0 ? Math.round((count / answeredCount) * 100) : 0;
+            return (
+              <li key={answer} className={`answer-tally-row ${isCorrect(answer) ? 'correct' : ''}`}>
+                <span className="answer-tally-label">{formatAnswer(quiz, answer)}</span>
+                <span className="answer-tally-bar" aria-hidden="true">
+                  <span style={{ width: `${percent}%` }} />
+                </span>
+                <span className="answer-tally-count">{count} ({percent}%)</span>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export default AnswerTally;
@@ -0,0 +1,143 @@
+import { useState, useEffect } from 'react';
+import { apiRequest } from '../api';
+import './ConfusionTimeline.css';
+
+const BUCKET_OPTIONS = [
+  { value: 30, label: '30 seconds' },
+  { value: 60, label: '1 minute' },
+  { value: 120, label: '2 minutes' },
+  { value: 300, label: '5 minutes' }
+];
+
+const formatOffset = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+const bucketRange = (bucket, bucketSeconds) => (
+  `${formatOffset(bucket.offsetSeconds)} – ${formatOffset(bucket.offsetSeconds + bucketSeconds)}`
+);
+
+// Post-session chart of confusion signals over time. Selecting a bar shows the transcript
+// spoken during that interval; the most confused intervals are listed underneath.
+const ConfusionTimeline = ({ sessionId, authToken }) => {
+  const [bucketSeconds, setBucketSeconds] = useState(60);
+  const [timeline, setTimeline] = useState(null);
+  const [selectedIndex, setSelectedIndex] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    apiRequest(`/api/analytics/sessions/${sessionId}/confusion?bucketSeconds=${bucketSeconds}`, { token: authToken })
+      .then(data => {
+        if (!cancelled) {
+          setTimeline(data);
+          setSelectedIndex(data.spikes.length > 0 ? data.spikes[0] : null);
+          setError('');
+        }
+      })
+      .catch(err => {
+        if (!cancelled) {
+          setError(err.message);
+        }
+      });
+    return () => { cancelled = true; };
+  }, [sessionId, authToken, bucketSeconds]);
+
+  if (error) {
+    return <p className="error-message" role="alert">Could not load the confusion timeline: {error}</p>;
+  }
+  if (!timeline) {
+    return null;
+  }
+
+  const maxTotal = Math.max(1, ...timeline.buckets.map(bucket => bucket.total));
+  const selected = selectedIndex !== null ? timeline.buckets[selectedIndex] : null;
+  const barHeight = (count) => `${(count / maxTotal) * 100}%`;
+
+  return (
+    <div className="confusion-timeline">
+      <div className="confusion-timeline-header">
+        <h4>🤔 Confusion Timeline</h4>
+        <label>
+          Interval
+          <select value={bucketSeconds} onChange={(e) => setBucketSeconds(Number(e.target.value))}>
+            {BUCKET_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {timeline.totalSignals === 0 ? (
+        <p className="confusion-timeline-empty">No confusion signals were sent during this session.</p>
+      ) : (
+        <>
+          <div className="confusion-timeline-chart" role="group" aria-label="Confusion signals per interval">
+            {timeline.buckets.map(bucket => (
+              <button
+                key={bucket.index}
+                type="button"
+                className={`confusion-timeline-bar ${bucket.index === selectedIndex ? 'selected' : ''} ${timeline.spikes.includes(bucket.index) ? 'spike' : ''}`}
+                onClick={() => setSelectedIndex(bucket.index)}
+                aria-label={`${bucketRange(bucket, timeline.bucketSeconds)}: ${bucket.clear} clear, ${bucket.confused} confused, ${bucket.veryConfused} very confused`}
+                title={bucketRange(bucket, timeline.bucketSeconds)}
+              >
+                <span className="segment very-confused" style={{ height: barHeight(bucket.veryConfused) }} />
+                <span className="segment confused" style={{ height: barHeight(bucket.confused) }} />
+                <span className="segment clear" style={{ height: barHeight(bucket.clear) }} />
+              </button>
+            ))}
+          </div>
+          <div className="confusion-timeline-axis" aria-hidden="true">
+            <span>0:00</span>
+            <span>{formatOffset(timeline.buckets.length * timeline.bucketSeconds)}</span>
+          </div>
+          <div className="confusion-timeline-legend" aria-hidden="true">
+            <span className="clear">Clear</span>
+            <span className="confused">Confused</span>
+            <span className="very-confused">Very confused</span>
+          </div>
+
+          {selected && (
+            <div className="confusion-timeline-detail" aria-live="polite">
+              <h5>
+                {bucketRange(selected, timeline.bucketSeconds)}
+                {selected.confusionScore !== null && ` · confusion ${selected.confusionScore}%`}
+              </h5>
+              <p className="confusion-timeline-counts">
+                {selected.clear} clear · {selected.confused} confused · {selected.veryConfused} very confused
+              </p>
+              {selected.transcript.length > 0 ? (
+                <blockquote>{selected.transcript.join(' ')}</blockquote>
+              ) : (
+                <p className="confusion-timeline-empty">Nothing was transcribed in this interval.</p>
+              )}
+            </div>
+          )}
+
+          {timeline.spikes.length > 0 && (
+            <div className="confusion-timeline-spikes">
+              <h5>Moments that lost the room</h5>
+              <ol>
+                {timeline.spikes.map(index => {
+                  const bucket = timeline.buckets[index];
+                  return (
+                    <li key={index}>
+                      <button type="button" className="confusion-timeline-spike" onClick={() => setSelectedIndex(index)}>
+                        <strong>{bucketRange(bucket, timeline.bucketSeconds)}</strong> ({bucket.confusionScore}% confusion)
+                        {bucket.transcript.length > 0 && <span> – “{bucket.transcript.join(' ')}”</span>}
+                      </button>
+                    </li>
+                  );
+                })}
+              </ol>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ConfusionTimeline;
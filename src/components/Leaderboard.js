@@ -0,0 +1,33 @@
+import './Leaderboard.css';
+
+// Ranked point totals. Students also get their own place as `you`, since they may be outside
+// the entries shown.
+const Leaderboard = ({ leaderboard, title = '🏆 Leaderboard' }) => {
+  const { entries, totalStudents, you } = leaderboard;
+
+  return (
+    <section className="leaderboard" aria-label="Leaderboard">
+      <h4>{title}</h4>
+      {entries.length === 0 ? (
+        <p className="leaderboard-empty">No points yet. The leaderboard updates as each quiz closes.</p>
+      ) : (
+        <ol>
+          {entries.map(entry => (
+            <li key={`${entry.rank}-${entry.name}`} className={entry.rank === 1 ? 'leader' : ''}>
+              <span className="leaderboard-rank">#{entry.rank}</span>
+              <span className="leaderboard-name">{entry.name}</span>
+              <span className="leaderboard-points">{entry.points.toLocaleString()} pts</span>
+            </li>
+          ))}
+        </ol>
+      )}
+      {you && (
+        <p className="leaderboard-you">
+          You: #{you.rank} of {totalStudents} · {you.points.toLocaleString()} pts
+        </p>
+      )}
+    </section>
+  );
+};
+
+export default Leaderboard;
@@ -0,0 +1,95 @@
+import { useState } from 'react';
+import { apiRequest } from '../api';
+import { formatCountdown } from '../quizTimer';
+import { questionTypeLabel } from '../questionTypes';
+import './LectureSearch.css';
+
+const TYPE_OPTIONS = [
+  { value: '', label: 'Everything' },
+  { value: 'transcript', label: 'What I said' },
+  { value: 'question', label: 'Questions' }
+];
+
+// The server sends SQLite timestamps in UTC without a zone
+const formatSessionDate = (timestamp) => (
+  timestamp ? new Date(`${timestamp.replace(' ', 'T')}Z`).toLocaleDateString() : ''
+);
+
+// Search across all of the lecturer's sessions: where something was explained in a transcript,
+// and which questions or options mention it. Matching words are highlighted.
+const LectureSearch = ({ authToken }) => {
+  const [query, setQuery] = useState('');
+  const [type, setType] = useState('');
+  const [results, setResults] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
+  const [error, setError] = useState('');
+
+  const runSearch = async () => {
+    setIsSearching(true);
+    try {
+      const params = new URLSearchParams({ q: query.trim() });
+      if (type) {
+        params.set('type', type);
+      }
+      const data = await apiRequest(`/api/search?${params}`, { token: authToken });
+      setResults(data);
+      setError('');
+    } catch (err) {
+      setError('Search failed: ' + err.message);
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  return (
+    <section className="lecture-search" aria-labelledby="lecture-search-heading">
+      <h3 id="lecture-search-heading">Search Your Lectures</h3>
+      <form className="lecture-search-form" role="search" onSubmit={(e) => { e.preventDefault(); runSearch(); }}>
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder='e.g. "eigenvectors"'
+          aria-label="Search transcripts and questions"
+        />
+        <select value={type} onChange={(e) => setType(e.target.value)} aria-label="What to search">
+          {TYPE_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+        </select>
+        <button type="submit" className="publish-button" disabled={isSearching || !query.trim()}>
+          {isSearching ? 'Searching…' : 'Search'}
+        </button>
+      </form>
+
+      {error && <p className="error-message" role="alert">{error}</p>}
+
+      {results && (
+        results.results.length === 0 ? (
+          <p className="lecture-search-empty" role="status">Nothing in your lectures matches "{results.query}".</p>
+        ) : (
+          <ul className="lecture-search-results" aria-live="polite">
+            {results.results.map(result => (
+              <li key={`${result.type}-${result.id}`} className="lecture-search-result">
+                <div className="lecture-search-meta">
+                  <span className="bank-tag">{result.type === 'question' ? questionTypeLabel(result.questionType) : 'Transcript'}</span>
+                  <strong>{result.sessionName}</strong>
+                  <span>{formatSessionDate(result.sessionCreatedAt)}</span>
+                  {result.type === 'transcript' && result.start !== null && (
+                    <span>at {formatCountdown(Math.floor(result.start))}</span>
+                  )}
+                </div>
+                {result.type === 'question' && <p className="lecture-search-question">{result.question}</p>}
+                <p className="lecture-search-snippet">
+                  {result.snippet.map((part, index) => (
+                    part.highlight ? <mark key={index}>{part.text}</mark> : <span key={index}>{part.text}</span>
+                  ))}
+                </p>
+              </li>
+            ))}
+          </ul>
+        )
+      )}
+    </section>
+  );
+};
+
+export default LectureSearch;
@@ -0,0 +1,117 @@
+import { useState } from 'react';
+import { apiRequest } from '../api';
+import './LecturerAuth.css';
+
+const LecturerAuth = ({ onAuthenticated }) => {
+  const [mode, setMode] = useState('login'); // 'login' or 'register'
+  const [name, setName] = useState('');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const isRegister = mode === 'register';
+
+  const submit = async () => {
+    if (!email.trim() || !password || (isRegister && !name.trim())) {
+      setError('Please fill in all fields');
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      const data = await apiRequest(`/api/auth/${isRegister ? 'register' : 'login'}`, {
+        method: 'POST',
+        body: isRegister
+          ? { name: name.trim(), email: email.trim(), password }
+          : { email: email.trim(), password },
+        token: null
+      });
+
+      if (onAuthenticated) {
+        onAuthenticated(data.token, data.lecturer);
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to sign in');
+      setIsSubmitting(false);
+    }
+  };
+
+  const switchMode = () => {
+    setMode(isRegister ? 'login' : 'register');
+    setError('');
+  };
+
+  return (
+    <section className="lecturer-auth" aria-labelledby="lecturer-auth-heading">
+      <form className="lecturer-auth-form" onSubmit={(e) => { e.preventDefault(); submit(); }}>
+        <h2 id="lecturer-auth-heading">{isRegister ? 'Create Lecturer Account' : 'Lecturer Sign In'}</h2>
+        {isRegister && (
+          <div className="form-group">
+            <label htmlFor="lecturerAccountName">Your Name:</label>
+            <input
+              id="lecturerAccountName"
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="Enter your name"
+              disabled={isSubmitting}
+              required
+              aria-describedby="lecturer-account-name-help"
+            />
+            <small id="lecturer-account-name-help">This will be displayed to students joining your sessions</small>
+          </div>
+        )}
+        <div className="form-group">
+          <label htmlFor="lecturerEmail">Email:</label>
+          <input
+            id="lecturerEmail"
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="you@university.edu"
+            autoComplete="email"
+            disabled={isSubmitting}
+            required
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="lecturerPassword">Password:</label>
+          <input
+            id="lecturerPassword"
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder={isRegister ? 'At least 8 characters' : 'Enter your password'}
+            autoComplete={isRegister ? 'new-password' : 'current-password'}
+            minLength={isRegister ? 8 : undefined}
+            disabled={isSubmitting}
+            required
+          />
+        </div>
+        {error && (
+          <div className="error-message" role="alert" aria-live="polite">
+            {error}
+          </div>
+        )}
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="create-button"
+          data-loading={isSubmitting}
+        >
+          {isSubmitting
+            ? (isRegister ? 'Creating Account...' : 'Signing In...')
+            : (isRegister ? 'Create Account' : 'Sign In')}
+        </button>
+        <button type="button" className="auth-mode-toggle" onClick={switchMode} disabled={isSubmitting}>
+          {isRegister ? 'Already have an account? Sign in' : 'New lecturer? Create an account'}
+        </button>
+      </form>
+    </section>
+  );
+};
+
+export default LecturerAuth;
@@ -0,0 +1,59 @@
+import { useState } from 'react';
+import QuizFields from './QuizFields';
+import { toEditableQuiz, isQuizComplete } from '../questionTypes';
+import './PendingQuestionQueue.css';
+
+// A single pending question with editable type, stem and answer
+const PendingQuestionCard = ({ pending, onPublish, onDiscard, disabled }) => {
+  const [quiz, setQuiz] = useState(() => toEditableQuiz(pending));
+
+  return (
+    <li className="pending-question">
+      <form onSubmit={(e) => { e.preventDefault(); onPublish(pending.questionId, quiz); }}>
+        <QuizFields
+          idPrefix={`pending-${pending.questionId}`}
+          quiz={quiz}
+          onChange={setQuiz}
+          disabled={disabled}
+        />
+        {pending.originalText && (
+          <small className="pending-source"><strong>From transcript:</strong> "{pending.originalText}"</small>
+        )}
+        <div className="pending-actions">
+          <button type="submit" className="publish-button" disabled={disabled || !isQuizComplete(quiz)}>
+            Publish to Students
+          </button>
+          <button type="button" className="discard-button" onClick={() => onDiscard(pending.questionId)} disabled={disabled}>
+            Discard
+          </button>
+        </div>
+      </form>
+    </li>
+  );
+};
+
+// Lecturer's queue of detected questions waiting for review before they go live
+const PendingQuestionQueue = ({ questions, onPublish, onDiscard, disabled = false }) => {
+  if (questions.length === 0) {
+    return null;
+  }
+
+  return (
+    <section className="pending-question-queue" aria-labelledby="pending-queue-heading">
+      <h3 id="pending-queue-heading">Questions Awaiting Review ({questions.length})</h3>
+      <ul>
+        {questions.map(pending => (
+          <PendingQuestionCard
+            key={pending.questionId}
+            pending={pending}
+            onPublish={onPublish}
+            onDiscard={onDiscard}
+            disabled={disabled}
+          />
+        ))}
+      </ul>
+    </section>
+  );
+};
+
+export default PendingQuestionQueue;
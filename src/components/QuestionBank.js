@@ -0,0 +1,236 @@
+import { useState, useEffect, useCallback } from 'react';
+import { apiRequest } from '../api';
+import QuizFields from './QuizFields';
+import { emptyQuiz, toEditableQuiz, isQuizComplete, questionTypeLabel, formatAnswer } from '../questionTypes';
+import './QuestionBank.css';
+
+const emptyDraft = () => ({ course: '', topic: '', ...emptyQuiz() });
+
+// Lecturer's question bank: write questions by hand, tag them by course and topic,
+// and push them live. Pushing is only offered when `onPush` is given (during a session).
+const QuestionBank = ({ authToken, onPush }) => {
+  const [questions, setQuestions] = useState([]);
+  const [filters, setFilters] = useState({ course: '', topic: '', search: '' });
+  const [draft, setDraft] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadQuestions = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const data = await apiRequest('/api/question-bank', { token: authToken });
+      setQuestions(data.questions);
+      setError('');
+    } catch (err) {
+      setError('Failed to load question bank: ' + err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [authToken]);
+
+  useEffect(() => {
+    loadQuestions();
+  }, [loadQuestions]);
+
+  const courses = [...new Set(questions.map(q => q.course).filter(Boolean))].sort();
+  const topics = [...new Set(questions
+    .filter(q => !filters.course || q.course === filters.course)
+    .map(q => q.topic)
+    .filter(Boolean))].sort();
+
+  const search = filters.search.trim().toLowerCase();
+  const visibleQuestions = questions.filter(q =>
+    (!filters.course || q.course === filters.course) &&
+    (!filters.topic || q.topic === filters.topic) &&
+    (!search || q.question.toLowerCase().includes(search))
+  );
+
+  const startNew = () => {
+    setEditingId(null);
+    setDraft({ ...emptyDraft(), course: filters.course, topic: filters.topic });
+  };
+
+  const startEdit = (bankQuestion) => {
+    setEditingId(bankQuestion.id);
+    setDraft({
+      course: bankQuestion.course,
+      topic: bankQuestion.topic,
+      ...toEditableQuiz(bankQuestion)
+    });
+  };
+
+  const cancelEdit = () => {
+    setEditingId(null);
+    setDraft(null);
+  };
+
+  const saveDraft = async () => {
+    setIsSaving(true);
+    try {
+      await apiRequest(editingId ? `/api/question-bank/${editingId}` : '/api/question-bank', {
+        method: editingId ? 'PUT' : 'POST',
+        body: draft,
+        token: authToken
+      });
+      cancelEdit();
+      await loadQuestions();
+    } catch (err) {
+      setError('Failed to save question: ' + err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const deleteQuestion = async (bankQuestion) => {
+    if (!window.confirm(`Delete "${bankQuestion.question}" from your question bank?`)) {
+      return;
+    }
+    try {
+      await apiRequest(`/api/question-bank/${bankQuestion.id}`, { method: 'DELETE', token: authToken });
+      setQuestions(prev => prev.filter(q => q.id !== bankQuestion.id));
+    } catch (err) {
+      setError('Failed to delete question: ' + err.message);
+    }
+  };
+
+  // Push the draft straight to students without saving it to the bank
+  const pushDraft = () => {
+    const { course, topic, ...quiz } = draft;
+    onPush(quiz);
+    cancelEdit();
+  };
+
+  return (
+    <section className="question-bank" aria-labelledby="question-bank-heading">
+      <div className="question-bank-header">
+        <h3 id="question-bank-heading">Question Bank</h3>
+        {!draft && (
+          <button type="button" className="bank-new-button" onClick={startNew}>
+            Write a Question
+          </button>
+        )}
+      </div>
+
+      {error && <p className="error-message" role="alert">{error}</p>}
+
+      {draft && (
+        <form className="bank-question-form" onSubmit={(e) => { e.preventDefault(); saveDraft(); }}>
+          <div className="bank-tag-fields">
+            <label>
+              Course
+              <input
+                type="text"
+                value={draft.course}
+                onChange={(e) => setDraft(prev => ({ ...prev, course: e.target.value }))}
+                placeholder="e.g. CS101"
+                list="question-bank-courses"
+                disabled={isSaving}
+              />
+            </label>
+            <label>
+              Topic
+              <input
+                type="text"
+                value={draft.topic}
+                onChange={(e) => setDraft(prev => ({ ...prev, topic: e.target.value }))}
+                placeholder="e.g. Sorting"
+                list="question-bank-topics"
+                disabled={isSaving}
+              />
+            </label>
+            <datalist id="question-bank-courses">
+              {courses.map(course => <option key={course} value={course} />)}
+            </datalist>
+            <datalist id="question-bank-topics">
+              {topics.map(topic => <option key={topic} value={topic} />)}
+            </datalist>
+          </div>
+          <QuizFields
+            idPrefix="bank-draft"
+            quiz={draft}
+            onChange={(quiz) => setDraft(prev => ({ ...prev, ...quiz }))}
+            disabled={isSaving}
+          />
+          <div className="bank-form-actions">
+            <button type="submit" className="publish-button" disabled={isSaving || !isQuizComplete(draft)}>
+              {editingId ? 'Save Changes' : 'Save to Bank'}
+            </button>
+            {onPush && !editingId && (
+              <button type="button" className="reveal-button" onClick={pushDraft} disabled={isSaving || !isQuizComplete(draft)}>
+                Push Live Without Saving
+              </button>
+            )}
+            <button type="button" className="discard-button" onClick={cancelEdit} disabled={isSaving}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="bank-filters" role="search">
+        <select
+          value={filters.course}
+          onChange={(e) => setFilters(prev => ({ ...prev, course: e.target.value, topic: '' }))}
+          aria-label="Filter by course"
+        >
+          <option value="">All courses</option>
+          {courses.map(course => <option key={course} value={course}>{course}</option>)}
+        </select>
+        <select
+          value={filters.topic}
+          onChange={(e) => setFilters(prev => ({ ...prev, topic: e.target.value }))}
+          aria-label="Filter by topic"
+        >
+          <option value="">All topics</option>
+          {topics.map(topic => <option key={topic} value={topic}>{topic}</option>)}
+        </select>
+        <input
+          type="search"
+          value={filters.search}
+          onChange={(e) => setFilters(prev => ({ ...prev, search: e.target.value }))}
+          placeholder="Search questions"
+          aria-label="Search questions"
+        />
+      </div>
+
+      {isLoading ? (
+        <p className="bank-empty">Loading questions...</p>
+      ) : visibleQuestions.length === 0 ? (
+        <p className="bank-empty">
+          {questions.length === 0 ? 'Your question bank is empty.' : 'No questions match these filters.'}
+        </p>
+      ) : (
+        <ul className="bank-question-list">
+          {visibleQuestions.map(bankQuestion => (
+            <li key={bankQuestion.id} className="bank-question">
+              <div className="bank-question-text">{bankQuestion.question}</div>
+              <div className="bank-question-meta">
+                {bankQuestion.course && <span className="bank-tag">{bankQuestion.course}</span>}
+                {bankQuestion.topic && <span className="bank-tag">{bankQuestion.topic}</span>}
+                <span className="bank-tag">{questionTypeLabel(bankQuestion.type)}</span>
+                <span>Correct: {formatAnswer(bankQuestion, bankQuestion.correctAnswer)}</span>
+              </div>
+              <div className="bank-question-actions">
+                {onPush && (
+                  <button type="button" className="publish-button" onClick={() => onPush({ bankQuestionId: bankQuestion.id })}>
+                    Push Live
+                  </button>
+                )}
+                <button type="button" className="discard-button" onClick={() => startEdit(bankQuestion)}>
+                  Edit
+                </button>
+                <button type="button" className="discard-button" onClick={() => deleteQuestion(bankQuestion)}>
+                  Delete
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export default QuestionBank;
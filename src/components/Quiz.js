@@ -1,103 +1,215 @@
 import { useState, useEffect } from 'react';
+import { isChoiceType, correctOptionKeys, formatAnswer } from '../questionTypes';
+import { quizSecondsLeft, formatCountdown } from '../quizTimer';
+import { CONFIDENCE_OPTIONS } from '../confidence';
+import AnswerTally from './AnswerTally';
 import './Quiz.css';
 
-const Quiz = ({ quiz, onSubmitAnswer, studentId, isReadOnly = false }) => {
-  const [selectedAnswer, setSelectedAnswer] = useState(quiz.selectedAnswer || '');
+const MAX_TEXT_ANSWER_LENGTH = 500;
+
+// Answer state for a quiz: a list of keys for multi-select and ordering, text otherwise.
+// Ordering starts from the order the items were shown in.
+const initialAnswer = (quiz) => {
+  const previous = quiz.selectedAnswer ? String(quiz.selectedAnswer) : '';
+  switch (quiz.type) {
+    case 'multi_select':
+      return previous ? previous.split(',') : [];
+    case 'ordering':
+      return previous ? previous.split(',') : Object.keys(quiz.options);
+    default:
+      return previous;
+  }
+};
+
+const isAnswerReady = (type, answer) => {
+  switch (type) {
+    case 'multi_select':
+      return answer.length > 0;
+    case 'ordering':
+      return true;
+    case 'numeric':
+      return answer.trim() !== '' && !Number.isNaN(Number(answer));
+    default:
+      return Boolean(answer && answer.trim());
+  }
+};
+
+const Quiz = ({ quiz, onSubmitAnswer, studentId, isReadOnly = false, allowAnswerChanges = false }) => {
+  const type = quiz.type || 'multiple_choice';
+  const [selectedAnswer, setSelectedAnswer] = useState(() => initialAnswer(quiz));
   const [timeLeft, setTimeLeft] = useState(0);
   const [submitted, setSubmitted] = useState(quiz.answered || false);
-  const [showResults, setShowResults] = useState(false);
-  const [correctAnswer, setCorrectAnswer] = useState(null);
-  const [isCorrect, setIsCorrect] = useState(false);
+  const [confidence, setConfidence] = useState(quiz.confidence || null);
+
+  // Grading happens on the server; results arrive once the quiz closes
+  const revealed = Boolean(quiz.revealed && quiz.correctAnswer);
+  const isCorrect = Boolean(quiz.isCorrect);
+
+  // Timer updates replace the quiz object, so only reset the answer when the quiz itself
+  // or our saved answer changes
+  const { options, selectedAnswer: savedAnswer, confidence: savedConfidence, answered, closesAt, paused, timeRemaining, timedOut } = quiz;
 
   useEffect(() => {
-    // Reset state when quiz changes
-    setSelectedAnswer(quiz.selectedAnswer || '');
-    setSubmitted(quiz.answered || false);
-    setIsCorrect(quiz.selectedAnswer === quiz.correctAnswer);
-    
-    // Calculate time left based on server start time (universal timer)
-    if (quiz.startTime && quiz.timeLimit && !quiz.timedOut && !quiz.answered) {
-      const elapsed = Math.floor((Date.now() - quiz.startTime) / 1000);
-      const remaining = Math.max(0, quiz.timeLimit - elapsed);
-      setTimeLeft(remaining);
-    } else {
-      setTimeLeft(0);
-    }
-  }, [quiz]);
+    setSelectedAnswer(initialAnswer({ type, options, selectedAnswer: savedAnswer }));
+    setConfidence(savedConfidence || null);
+    setSubmitted(answered || false);
+  }, [type, options, savedAnswer, savedConfidence, answered]);
+
+  // Answers that can still be changed keep the countdown running
+  const answerIsFinal = answered && !allowAnswerChanges;
 
   useEffect(() => {
-    // Don't run timer for read-only, answered, or timed-out quizzes
-    if (isReadOnly || submitted || quiz.timedOut || quiz.answered) {
+    if (timedOut || answerIsFinal) {
+      setTimeLeft(0);
       return;
     }
-
-    // Only run timer if we have a start time (active quiz)
-    if (!quiz.startTime || !quiz.timeLimit) {
+    
+    // Count down to the server's deadline, which moves when the lecturer extends or pauses the quiz
+    const timing = { closesAt, paused, timeRemaining };
+    setTimeLeft(quizSecondsLeft(timing));
+    
+    // Don't run timer for read-only, submitted or paused quizzes
+    if (isReadOnly || (submitted && !allowAnswerChanges) || paused || !closesAt) {
       return;
     }
 
     const timer = setInterval(() => {
-      const elapsed = Math.floor((Date.now() - quiz.startTime) / 1000);
-      const remaining = Math.max(0, quiz.timeLimit - elapsed);
-      setTimeLeft(remaining);
-      
-      // Auto-stop timer when it reaches 0
-      if (remaining <= 0) {
-        setTimeLeft(0);
-      }
+      setTimeLeft(quizSecondsLeft(timing));
     }, 1000);
 
     return () => clearInterval(timer);
-  }, [quiz.startTime, quiz.timeLimit, isReadOnly, submitted, quiz.timedOut, quiz.answered]);
+  }, [closesAt, paused, timeRemaining, isReadOnly, submitted, timedOut, answerIsFinal, allowAnswerChanges]);
+
+  const hasAnswer = isAnswerReady(type, selectedAnswer);
+  const isLocked = submitted || timeLeft === 0 || quiz.timedOut || isReadOnly;
+  const correctKeys = correctOptionKeys(quiz, quiz.correctAnswer);
+  const correctAnswerText = formatAnswer(quiz, quiz.correctAnswer);
+  const canChangeAnswer = allowAnswerChanges && submitted && !revealed && !timedOut && timeLeft > 0;
 
   const handleSubmit = () => {
-    if (selectedAnswer && !submitted) {
+    if (hasAnswer && !submitted) {
       setSubmitted(true);
-      const correct = selectedAnswer === quiz.correctAnswer;
-      setIsCorrect(correct);
       
       if (onSubmitAnswer) {
-        onSubmitAnswer(quiz.questionId, studentId, selectedAnswer);
+        onSubmitAnswer(quiz.questionId, studentId, selectedAnswer, confidence);
       }
     }
   };
 
-  const handleTimeout = () => {
-    if (!submitted) {
-      setSubmitted(true);
-      setShowResults(true);
-      setCorrectAnswer(quiz.correctAnswer);
-    }
-  };
-
-  const formatTime = (seconds) => {
-    const mins = Math.floor(seconds / 60);
-    const secs = seconds % 60;
-    return `${mins}:${secs.toString().padStart(2, '0')}`;
-  };
-
   const getTimeColor = () => {
     if (timeLeft <= 30) return '#dc3545'; // Red for last 30 seconds
     if (timeLeft <= 60) return '#ffc107'; // Yellow for last minute
     return '#28a745'; // Green
   };
 
+  const isSelected = (option) => (
+    type === 'multi_select' ? selectedAnswer.includes(option) : selectedAnswer === option
+  );
+
   const getOptionClass = (option) => {
-    if (!submitted) {
-      return selectedAnswer === option ? 'selected' : '';
+    if (!revealed) {
+      return isSelected(option) ? 'selected' : '';
     }
     
-    if (option === quiz.correctAnswer) {
+    if (correctKeys.includes(option)) {
       return 'correct';
     }
     
-    if (option === selectedAnswer && option !== quiz.correctAnswer) {
+    if (isSelected(option)) {
       return 'incorrect';
     }
     
     return '';
   };
 
+  const toggleOption = (option) => {
+    setSelectedAnswer(prev => (prev.includes(option)
+      ? prev.filter(key => key !== option)
+      : [...prev, option].sort()));
+  };
+
+  const moveItem = (index, offset) => {
+    setSelectedAnswer(prev => {
+      const order = [...prev];
+      [order[index], order[index + offset]] = [order[index + offset], order[index]];
+      return order;
+    });
+  };
+
+  const optionLabel = (option) => {
+    if (type === 'true_false') {
+      return option === 'true' ? 'T' : 'F';
+    }
+    return option;
+  };
+
+  const renderAnswerInput = () => {
+    if (isChoiceType(type)) {
+      return Object.keys(quiz.options).map(option => (
+        <label 
+          key={option} 
+          className={`option ${getOptionClass(option)} ${isLocked ? 'disabled' : ''}`}
+        >
+          <input
+            type={type === 'multi_select' ? 'checkbox' : 'radio'}
+            name="quiz-answer"
+            value={option}
+            checked={isSelected(option)}
+            onChange={(e) => (type === 'multi_select' ? toggleOption(option) : setSelectedAnswer(e.target.value))}
+            disabled={isLocked}
+            aria-describedby={`option-${option}-text`}
+          />
+          <span className="option-letter" aria-hidden="true">{optionLabel(option)}</span>
+          <span id={`option-${option}-text`} className="option-text">{quiz.options[option]}</span>
+        </label>
+      ));
+    }
+
+    if (type === 'ordering') {
+      return (
+        <ol className="ordering-list">
+          {selectedAnswer.map((option, index) => (
+            <li key={option} className={`option ordering-item ${isLocked ? 'disabled' : ''}`}>
+              <span className="option-letter" aria-hidden="true">{index + 1}</span>
+              <span className="option-text">{quiz.options[option]}</span>
+              {!isLocked && (
+                <span className="ordering-controls">
+                  <button type="button" onClick={() => moveItem(index, -1)} disabled={index === 0} aria-label={`Move "${quiz.options[option]}" up`}>↑</button>
+                  <button type="button" onClick={() => moveItem(index, 1)} disabled={index === selectedAnswer.length - 1} aria-label={`Move "${quiz.options[option]}" down`}>↓</button>
+                </span>
+              )}
+            </li>
+          ))}
+        </ol>
+      );
+    }
+
+    return (
+      <label className="text-answer">
+        <span className="sr-only">Your answer</span>
+        {type === 'numeric' ? (
+          <input
+            type="number"
+            step="any"
+            value={selectedAnswer}
+            onChange={(e) => setSelectedAnswer(e.target.value)}
+            disabled={isLocked}
+            placeholder="Enter a number"
+          />
+        ) : (
+          <textarea
+            value={selectedAnswer}
+            onChange={(e) => setSelectedAnswer(e.target.value)}
+            disabled={isLocked}
+            maxLength={MAX_TEXT_ANSWER_LENGTH}
+            rows={3}
+            placeholder="Type your answer"
+          />
+        )}
+      </label>
+    );
+  };
+
   return (
     <div className={`quiz-container ${submitted ? 'quiz-completed' : ''} ${timeLeft === 0 && !submitted ? 'quiz-timeout' : ''}`} role="region" aria-labelledby="quiz-question">
       <div className="quiz-header">
@@ -105,12 +217,13 @@ const Quiz = ({ quiz, onSubmitAnswer, studentId, isReadOnly = false }) => {
           className={`timer ${getTimeColor()}`}
           role="timer"
           aria-live="polite"
-          aria-label={`Time remaining: ${formatTime(timeLeft)}`}
+          aria-label={`Time remaining: ${formatCountdown(timeLeft)}${paused ? ' (paused)' : ''}`}
         >
           <span className="sr-only">Time left: </span>
-          {formatTime(timeLeft)}
+          {paused && <span aria-hidden="true">⏸ </span>}
+          {formatCountdown(timeLeft)}
         </div>
-        {submitted && (
+        {submitted && revealed && (
           <div 
             className={`result-indicator ${isCorrect ? 'correct' : 'incorrect'}`}
             role="status"
@@ -121,6 +234,12 @@ const Quiz = ({ quiz, onSubmitAnswer, studentId, isReadOnly = false }) => {
         )}
       </div>
 
+      {paused && !submitted && timeLeft > 0 && (
+        <div className="paused-message" role="status">
+          ⏸ Your lecturer paused the timer. You can still answer.
+        </div>
+      )}
+
       {timeLeft === 0 && !submitted && (
         <div className="timeout-message" role="alert">
           ⏰ Time's up! The quiz has ended.
@@ -131,60 +250,81 @@ const Quiz = ({ quiz, onSubmitAnswer, studentId, isReadOnly = false }) => {
         <h3 id="quiz-question" className="question-text">{quiz.question}</h3>
       </div>
       
-      <fieldset className="options-section" disabled={submitted || timeLeft === 0 || quiz.timedOut || isReadOnly}>
-        <legend className="sr-only">Choose your answer</legend>
-        {['A', 'B', 'C', 'D'].map(option => (
-          <label 
-            key={option} 
-            className={`option ${getOptionClass(option)} ${submitted || timeLeft === 0 || quiz.timedOut || isReadOnly ? 'disabled' : ''}`}
-          >
-            <input
-              type="radio"
-              name="quiz-answer"
-              value={option}
-              checked={selectedAnswer === option}
-              onChange={(e) => setSelectedAnswer(e.target.value)}
-              disabled={submitted || timeLeft === 0 || quiz.timedOut || isReadOnly}
-              aria-describedby={`option-${option}-text`}
-            />
-            <span className="option-letter" aria-hidden="true">{option}</span>
-            <span id={`option-${option}-text`} className="option-text">{quiz.options[option]}</span>
-          </label>
-        ))}
+      <fieldset className="options-section" disabled={isLocked}>
+        <legend className="sr-only">{type === 'ordering' ? 'Put the items in the correct order' : 'Choose your answer'}</legend>
+        {renderAnswerInput()}
       </fieldset>
       
+      {(!isLocked || confidence) && (
+        <fieldset className="confidence-section" disabled={isLocked}>
+          <legend>How sure are you? <span className="confidence-optional">(optional)</span></legend>
+          <div className="confidence-options">
+            {CONFIDENCE_OPTIONS.map(option => (
+              <button
+                key={option.value}
+                type="button"
+                className={`confidence-option ${confidence === option.value ? 'selected' : ''}`}
+                aria-pressed={confidence === option.value}
+                onClick={() => setConfidence(prev => (prev === option.value ? null : option.value))}
+              >
+                <span aria-hidden="true">{option.icon}</span> {option.label}
+              </button>
+            ))}
+          </div>
+        </fieldset>
+      )}
+      
       <div className="quiz-actions">
         {!submitted && timeLeft > 0 && !quiz.timedOut && !isReadOnly && (
           <button 
             onClick={handleSubmit} 
-            disabled={!selectedAnswer}
-            className={`submit-button ${!selectedAnswer ? 'disabled' : ''}`}
+            disabled={!hasAnswer}
+            className={`submit-button ${!hasAnswer ? 'disabled' : ''}`}
             aria-describedby="submit-help"
           >
-            {!selectedAnswer ? 'Select an answer first' : 'Submit Answer'}
+            {!hasAnswer ? (isChoiceType(type) ? 'Select an answer first' : 'Enter an answer first') : 'Submit Answer'}
           </button>
         )}
         <div id="submit-help" className="sr-only">
-          {!selectedAnswer ? 'Please select an answer before submitting' : 'Click to submit your selected answer'}
+          {!hasAnswer ? 'Please give an answer before submitting' : 'Click to submit your answer'}
         </div>
         
         {submitted && (
-          <div className="submission-status">
+          <div className="submission-status" role="status" aria-live="polite">
             <p className="status-text">
-              {isCorrect 
-                ? 'Great job! Your answer is correct.' 
-                : `Your answer was incorrect. The correct answer is ${quiz.correctAnswer}.`
+              {!revealed
+                ? 'Answer submitted! Results will be shown when the quiz closes.'
+                : isCorrect 
+                  ? 'Great job! Your answer is correct.' 
+                  : `Your answer was incorrect. The correct answer is ${correctAnswerText}.`
               }
             </p>
+            {revealed && quiz.points > 0 && (
+              <p className="points-earned">+{quiz.points.toLocaleString()} points</p>
+            )}
+            {canChangeAnswer && (
+              <button type="button" className="change-answer-button" onClick={() => setSubmitted(false)}>
+                Change Answer
+              </button>
+            )}
           </div>
         )}
         
         {(timeLeft === 0 || quiz.timedOut) && !submitted && (
           <div className="timeout-message">
-            <p>Time's up! The correct answer was {quiz.correctAnswer}.</p>
+            <p>
+              {revealed
+                ? `Time's up! The correct answer was ${correctAnswerText}.`
+                : "Time's up! Waiting for the correct answer..."
+              }
+            </p>
           </div>
         )}
       </div>
+      
+      {revealed && quiz.sharedTally && (
+        <AnswerTally quiz={quiz} tally={quiz.sharedTally} correctAnswer={quiz.correctAnswer} title="How the class answered" />
+      )}
     </div>
   );
 };
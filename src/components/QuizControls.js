@@ -0,0 +1,93 @@
+import { useState, useEffect } from 'react';
+import { quizSecondsLeft, formatCountdown } from '../quizTimer';
+import './QuizControls.css';
+
+const EXTEND_STEPS = [15, 30, 60];
+
+// Lecturer controls for the current quiz: while it runs, a countdown with buttons to add time,
+// pause or resume, and close it early; once closed, buttons to show students how the class
+// answered and to run it again as a new quiz.
+const QuizControls = ({ quiz, onExtend, onPause, onResume, onReveal, onRerun, onShareResults, disabled = false }) => {
+  const { closesAt, paused, timeRemaining, closed } = quiz;
+  const [secondsLeft, setSecondsLeft] = useState(() => quizSecondsLeft(quiz));
+
+  useEffect(() => {
+    const timing = { closesAt, paused, timeRemaining };
+    setSecondsLeft(quizSecondsLeft(timing));
+    if (closed || paused || !closesAt) {
+      return;
+    }
+
+    const timer = setInterval(() => setSecondsLeft(quizSecondsLeft(timing)), 1000);
+    return () => clearInterval(timer);
+  }, [closesAt, paused, timeRemaining, closed]);
+
+  if (closed) {
+    return (
+      <div className="quiz-controls">
+        <button
+          type="button"
+          className="discard-button"
+          onClick={() => onShareResults(quiz.questionId)}
+          disabled={disabled || quiz.resultsShared}
+          aria-label="Show students the answer distribution for this quiz"
+        >
+          {quiz.resultsShared ? '📊 Results Shared' : '📊 Show Results to Students'}
+        </button>
+        <button
+          type="button"
+          className="reveal-button"
+          onClick={() => onRerun(quiz.questionId)}
+          disabled={disabled}
+          aria-label="Run this question again as a new quiz"
+        >
+          <span aria-hidden="true">🔁</span>
+          Re-run Quiz
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="quiz-controls">
+      <div className={`quiz-controls-countdown ${paused ? 'paused' : ''}`} role="timer" aria-live="off">
+        {paused ? '⏸ Paused' : '⏱️'} {formatCountdown(secondsLeft)} left
+      </div>
+      <div className="quiz-controls-buttons">
+        {EXTEND_STEPS.map(seconds => (
+          <button
+            key={seconds}
+            type="button"
+            className="discard-button"
+            onClick={() => onExtend(quiz.questionId, seconds)}
+            disabled={disabled}
+            aria-label={`Add ${seconds} seconds`}
+          >
+            +{seconds}s
+          </button>
+        ))}
+        {paused ? (
+          <button type="button" className="discard-button" onClick={() => onResume(quiz.questionId)} disabled={disabled}>
+            ▶ Resume
+          </button>
+        ) : (
+          <button type="button" className="discard-button" onClick={() => onPause(quiz.questionId)} disabled={disabled}>
+            ⏸ Pause
+          </button>
+        )}
+        <button
+          type="button"
+          className="reveal-button"
+          onClick={() => onReveal(quiz.questionId)}
+          disabled={disabled}
+          aria-label="Close this quiz now and reveal the correct answer to students"
+        >
+          <span aria-hidden="true">👁️</span>
+          Close & Reveal Answer
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default QuizControls;
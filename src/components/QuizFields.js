@@ -0,0 +1,262 @@
+import { QUESTION_TYPES, CHOICE_KEYS, emptyQuiz } from '../questionTypes';
+import './QuizFields.css';
+
+const MIN_LIST_ITEMS = 3;
+const MAX_LIST_ITEMS = 6;
+
+// Option texts in key order
+const optionTexts = (quiz) => Object.keys(quiz.options).map(key => quiz.options[key]);
+
+// Relabel a list of texts A, B, C... Correct option indexes are carried over for multi-select.
+const withOptionTexts = (quiz, texts, correctIndexes) => {
+  const keys = CHOICE_KEYS.slice(0, texts.length);
+  const options = Object.fromEntries(keys.map((key, index) => [key, texts[index]]));
+
+  if (quiz.type === 'ordering') {
+    return { ...quiz, options, answerKey: { order: keys } };
+  }
+  return { ...quiz, options, answerKey: { correct: correctIndexes.map(index => keys[index]) } };
+};
+
+// Editable question stem and the answer fields for the quiz's type.
+// `quiz` is { type, question, options, answerKey }; onChange receives the updated quiz.
+// Set allowTypeChange to false to lock the type.
+const QuizFields = ({ idPrefix, quiz, onChange, disabled = false, allowTypeChange = true }) => {
+  const update = (changes) => onChange({ ...quiz, ...changes });
+  const updateAnswerKey = (changes) => update({ answerKey: { ...quiz.answerKey, ...changes } });
+
+  const changeType = (type) => onChange({ ...emptyQuiz(type), question: quiz.question });
+
+  // Multi-select and ordering questions have a variable number of options
+  const correctIndexes = () => (quiz.type === 'multi_select'
+    ? quiz.answerKey.correct.map(key => Object.keys(quiz.options).indexOf(key))
+    : []);
+
+  const addListItem = () => {
+    onChange(withOptionTexts(quiz, [...optionTexts(quiz), ''], correctIndexes()));
+  };
+
+  const removeListItem = (index) => {
+    const texts = optionTexts(quiz).filter((_, i) => i !== index);
+    const indexes = correctIndexes()
+      .filter(i => i !== index)
+      .map(i => (i > index ? i - 1 : i));
+    onChange(withOptionTexts(quiz, texts, indexes));
+  };
+
+  const moveListItem = (index, offset) => {
+    const texts = optionTexts(quiz);
+    [texts[index], texts[index + offset]] = [texts[index + offset], texts[index]];
+    onChange(withOptionTexts(quiz, texts, []));
+  };
+
+  const toggleCorrect = (key) => {
+    const correct = quiz.answerKey.correct.includes(key)
+      ? quiz.answerKey.correct.filter(k => k !== key)
+      : [...quiz.answerKey.correct, key].sort();
+    updateAnswerKey({ correct });
+  };
+
+  const optionInput = (key) => (
+    <input
+      type="text"
+      value={quiz.options[key] || ''}
+      onChange={(e) => update({ options: { ...quiz.options, [key]: e.target.value } })}
+      aria-label={`${quiz.type === 'ordering' ? 'Item' : 'Option'} ${key}`}
+    />
+  );
+
+  const listControls = (index, count) => (
+    <>
+      {quiz.type === 'ordering' && (
+        <>
+          <button type="button" className="quiz-field-icon" onClick={() => moveListItem(index, -1)} disabled={index === 0} aria-label="Move up">↑</button>
+          <button type="button" className="quiz-field-icon" onClick={() => moveListItem(index, 1)} disabled={index === count - 1} aria-label="Move down">↓</button>
+        </>
+      )}
+      <button type="button" className="quiz-field-icon" onClick={() => removeListItem(index)} disabled={count <= MIN_LIST_ITEMS} aria-label="Remove">✕</button>
+    </>
+  );
+
+  const renderAnswerFields = () => {
+    switch (quiz.type) {
+      case 'true_false':
+        return (
+          <fieldset className="quiz-field-options" disabled={disabled}>
+            <legend>Correct answer</legend>
+            {['true', 'false'].map(value => (
+              <label key={value} className={`quiz-field-option ${quiz.answerKey.correct === value ? 'correct' : ''}`}>
+                <input
+                  type="radio"
+                  name={`${idPrefix}-correct`}
+                  checked={quiz.answerKey.correct === value}
+                  onChange={() => updateAnswerKey({ correct: value })}
+                />
+                {value === 'true' ? 'True' : 'False'}
+              </label>
+            ))}
+          </fieldset>
+        );
+
+      case 'multi_select': {
+        const keys = Object.keys(quiz.options);
+        return (
+          <fieldset className="quiz-field-options" disabled={disabled}>
+            <legend>Options (tick every correct answer)</legend>
+            {keys.map((key, index) => (
+              <div key={key} className={`quiz-field-option ${quiz.answerKey.correct.includes(key) ? 'correct' : ''}`}>
+                <input
+                  type="checkbox"
+                  checked={quiz.answerKey.correct.includes(key)}
+                  onChange={() => toggleCorrect(key)}
+                  aria-label={`Option ${key} is correct`}
+                />
+                <span className="option-letter">{key}</span>
+                {optionInput(key)}
+                {listControls(index, keys.length)}
+              </div>
+            ))}
+            {keys.length < MAX_LIST_ITEMS && (
+              <button type="button" className="quiz-field-add" onClick={addListItem}>+ Add option</button>
+            )}
+          </fieldset>
+        );
+      }
+
+      case 'ordering': {
+        const keys = Object.keys(quiz.options);
+        return (
+          <fieldset className="quiz-field-options" disabled={disabled}>
+            <legend>Items (in the correct order; students see them shuffled)</legend>
+            {keys.map((key, index) => (
+              <div key={key} className="quiz-field-option">
+                <span className="option-letter">{index + 1}</span>
+                {optionInput(key)}
+                {listControls(index, keys.length)}
+              </div>
+            ))}
+            {keys.length < MAX_LIST_ITEMS && (
+              <button type="button" className="quiz-field-add" onClick={addListItem}>+ Add item</button>
+            )}
+          </fieldset>
+        );
+      }
+
+      case 'short_text':
+        return (
+          <fieldset className="quiz-field-options" disabled={disabled}>
+            <legend>Expected answer</legend>
+            <label htmlFor={`${idPrefix}-model-answer`}>Model answer:</label>
+            <input
+              id={`${idPrefix}-model-answer`}
+              type="text"
+              className="quiz-field-input"
+              value={quiz.answerKey.modelAnswer}
+              onChange={(e) => updateAnswerKey({ modelAnswer: e.target.value })}
+            />
+            <label htmlFor={`${idPrefix}-keywords`}>Keywords (comma separated):</label>
+            <input
+              id={`${idPrefix}-keywords`}
+              type="text"
+              className="quiz-field-input"
+              value={quiz.answerKey.keywords.join(',')}
+              onChange={(e) => updateAnswerKey({ keywords: e.target.value.split(',') })}
+              placeholder="e.g. mitochondria, energy"
+            />
+            <label htmlFor={`${idPrefix}-grading`}>Grading:</label>
+            <select
+              id={`${idPrefix}-grading`}
+              value={quiz.answerKey.grading}
+              onChange={(e) => updateAnswerKey({ grading: e.target.value })}
+            >
+              <option value="keywords">Answer must mention every keyword</option>
+              <option value="ai">AI-assisted (falls back to keywords)</option>
+            </select>
+          </fieldset>
+        );
+
+      case 'numeric':
+        return (
+          <fieldset className="quiz-field-options quiz-field-numeric" disabled={disabled}>
+            <legend>Correct value</legend>
+            <div>
+              <label htmlFor={`${idPrefix}-value`}>Value:</label>
+              <input
+                id={`${idPrefix}-value`}
+                type="number"
+                step="any"
+                className="quiz-field-input"
+                value={quiz.answerKey.value}
+                onChange={(e) => updateAnswerKey({ value: e.target.value })}
+              />
+            </div>
+            <div>
+              <label htmlFor={`${idPrefix}-tolerance`}>Tolerance (±):</label>
+              <input
+                id={`${idPrefix}-tolerance`}
+                type="number"
+                step="any"
+                min="0"
+                className="quiz-field-input"
+                value={quiz.answerKey.tolerance}
+                onChange={(e) => updateAnswerKey({ tolerance: e.target.value })}
+                placeholder="0"
+              />
+            </div>
+          </fieldset>
+        );
+
+      default:
+        return (
+          <fieldset className="quiz-field-options" disabled={disabled}>
+            <legend>Options (select the correct answer)</legend>
+            {Object.keys(quiz.options).map(key => (
+              <div key={key} className={`quiz-field-option ${key === quiz.answerKey.correct ? 'correct' : ''}`}>
+                <input
+                  type="radio"
+                  name={`${idPrefix}-correct`}
+                  value={key}
+                  checked={key === quiz.answerKey.correct}
+                  onChange={() => updateAnswerKey({ correct: key })}
+                  aria-label={`Option ${key} is correct`}
+                />
+                <span className="option-letter">{key}</span>
+                {optionInput(key)}
+              </div>
+            ))}
+          </fieldset>
+        );
+    }
+  };
+
+  return (
+    <div className="quiz-fields">
+      {allowTypeChange && (
+        <>
+          <label htmlFor={`${idPrefix}-type`}>Question type:</label>
+          <select
+            id={`${idPrefix}-type`}
+            value={quiz.type}
+            onChange={(e) => changeType(e.target.value)}
+            disabled={disabled}
+          >
+            {QUESTION_TYPES.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </>
+      )}
+      <label htmlFor={`${idPrefix}-question`}>{quiz.type === 'true_false' ? 'Statement:' : 'Question:'}</label>
+      <textarea
+        id={`${idPrefix}-question`}
+        value={quiz.question}
+        onChange={(e) => update({ question: e.target.value })}
+        rows={2}
+        disabled={disabled}
+      />
+      {renderAnswerFields()}
+    </div>
+  );
+};
+
+export default QuizFields;
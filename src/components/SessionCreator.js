@@ -1,18 +1,29 @@
 import { useState } from 'react';
 import io from 'socket.io-client';
+import { QUESTION_TYPES, questionTypeLabel } from '../questionTypes';
 import './SessionCreator.css';
 
-const SessionCreator = ({ onSessionCreated }) => {
+const SessionCreator = ({ onSessionCreated, lecturer, authToken, onSignOut }) => {
   const [socket, setSocket] = useState(null);
   const [sessionData, setSessionData] = useState(null);
-  const [lecturerName, setLecturerName] = useState('');
   const [sessionName, setSessionName] = useState('');
   const [timeLimit, setTimeLimit] = useState(10);
+  const [detectionWindowWords, setDetectionWindowWords] = useState(150);
+  const [detectionDelay, setDetectionDelay] = useState(1.5);
+  const [reviewBeforePublish, setReviewBeforePublish] = useState(false);
+  const [allowAnswerChanges, setAllowAnswerChanges] = useState(false);
+  const [scoringMode, setScoringMode] = useState('standard');
+  const [showLeaderboard, setShowLeaderboard] = useState(false);
+  const [questionType, setQuestionType] = useState('multiple_choice');
+  const [alertThreshold, setAlertThreshold] = useState(30);
+  const [alertLevel, setAlertLevel] = useState(2);
+  const [alertWindow, setAlertWindow] = useState(60);
+  const [alertCooldown, setAlertCooldown] = useState(120);
   const [isCreating, setIsCreating] = useState(false);
   const [error, setError] = useState('');
   
   const createSession = () => {
-    if (!lecturerName.trim() || !sessionName.trim()) {
+    if (!sessionName.trim()) {
       setError('Please fill in all fields');
       return;
     }
@@ -20,7 +31,10 @@ const SessionCreator = ({ onSessionCreated }) => {
     setIsCreating(true);
     setError('');
     
-    const newSocket = io(process.env.REACT_APP_BACKEND_URL || 'http://localhost:5001');
+    // The lecturer's token identifies them as the session owner
+    const newSocket = io(process.env.REACT_APP_BACKEND_URL || 'http://localhost:5001', {
+      auth: { token: authToken }
+    });
     setSocket(newSocket);
     
     newSocket.on('connect', () => {
@@ -28,9 +42,19 @@ const SessionCreator = ({ onSessionCreated }) => {
     });
     
     newSocket.emit('create-session', {
-      lecturerName: lecturerName.trim(),
       sessionName: sessionName.trim(),
-      timeLimit: parseInt(timeLimit)
+      timeLimit: parseInt(timeLimit),
+      detectionWindowWords: parseInt(detectionWindowWords),
+      detectionDebounceMs: Math.round(parseFloat(detectionDelay) * 1000),
+      reviewBeforePublish,
+      allowAnswerChanges,
+      scoringMode,
+      showLeaderboard,
+      questionType,
+      confusionAlertThreshold: parseInt(alertThreshold),
+      confusionAlertLevel: parseInt(alertLevel),
+      confusionAlertWindowSeconds: parseInt(alertWindow),
+      confusionAlertCooldownSeconds: parseInt(alertCooldown)
     });
     
     newSocket.on('session-created', (data) => {
@@ -47,8 +71,16 @@ const SessionCreator = ({ onSessionCreated }) => {
     });
     
     newSocket.on('connect_error', (error) => {
-      setError('Failed to connect to server');
       setIsCreating(false);
+      if (error.message === 'Invalid token' || error.message === 'Token expired') {
+        newSocket.disconnect();
+        setError('Your login has expired. Please sign in again.');
+        if (onSignOut) {
+          onSignOut();
+        }
+      } else {
+        setError('Failed to connect to server');
+      }
     });
   };
 
@@ -58,9 +90,19 @@ const SessionCreator = ({ onSessionCreated }) => {
       setSocket(null);
     }
     setSessionData(null);
-    setLecturerName('');
     setSessionName('');
     setTimeLimit(10);
+    setDetectionWindowWords(150);
+    setDetectionDelay(1.5);
+    setReviewBeforePublish(false);
+    setAllowAnswerChanges(false);
+    setScoringMode('standard');
+    setShowLeaderboard(false);
+    setQuestionType('multiple_choice');
+    setAlertThreshold(30);
+    setAlertLevel(2);
+    setAlertWindow(60);
+    setAlertCooldown(120);
     setError('');
   };
 
@@ -69,20 +111,16 @@ const SessionCreator = ({ onSessionCreated }) => {
       {!sessionData ? (
         <form className="create-session-form" onSubmit={(e) => { e.preventDefault(); createSession(); }}>
           <h2 id="session-creator-heading">Create New Session</h2>
-          <div className="form-group">
-            <label htmlFor="lecturerName">Your Name:</label>
-            <input
-              id="lecturerName"
-              type="text"
-              value={lecturerName}
-              onChange={(e) => setLecturerName(e.target.value)}
-              placeholder="Enter your name"
-              disabled={isCreating}
-              required
-              aria-describedby="lecturer-name-help"
-            />
-            <small id="lecturer-name-help">This will be displayed to students joining your session</small>
-          </div>
+          {lecturer && (
+            <div className="lecturer-account-bar">
+              <span>Signed in as <strong>{lecturer.name}</strong> ({lecturer.email})</span>
+              {onSignOut && (
+                <button type="button" className="sign-out-button" onClick={onSignOut} disabled={isCreating}>
+                  Sign Out
+                </button>
+              )}
+            </div>
+          )}
           <div className="form-group">
             <label htmlFor="sessionName">Session Name:</label>
             <input
@@ -111,6 +149,152 @@ const SessionCreator = ({ onSessionCreated }) => {
             />
             <small id="time-limit-help">Between 5 and 300 seconds - how long students have to answer each question</small>
           </div>
+          <div className="form-group">
+            <label htmlFor="detectionWindowWords">Question Detection Window (words):</label>
+            <input
+              id="detectionWindowWords"
+              type="number"
+              min="20"
+              max="1000"
+              value={detectionWindowWords}
+              onChange={(e) => setDetectionWindowWords(e.target.value)}
+              disabled={isCreating}
+              aria-describedby="detection-window-help"
+            />
+            <small id="detection-window-help">How much recent speech is checked together, so questions split across sentences are still found</small>
+          </div>
+          <div className="form-group">
+            <label htmlFor="detectionDelay">Question Detection Delay (seconds):</label>
+            <input
+              id="detectionDelay"
+              type="number"
+              min="0"
+              max="30"
+              step="0.5"
+              value={detectionDelay}
+              onChange={(e) => setDetectionDelay(e.target.value)}
+              disabled={isCreating}
+              aria-describedby="detection-delay-help"
+            />
+            <small id="detection-delay-help">Pause in speech to wait for before checking for a question</small>
+          </div>
+          <div className="form-group">
+            <label htmlFor="questionType">Detected Question Type:</label>
+            <select
+              id="questionType"
+              value={questionType}
+              onChange={(e) => setQuestionType(e.target.value)}
+              disabled={isCreating}
+              aria-describedby="question-type-help"
+            >
+              {QUESTION_TYPES.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <small id="question-type-help">The kind of quiz generated from questions detected in your lecture</small>
+          </div>
+          <div className="form-group">
+            <label htmlFor="scoringMode">Scoring:</label>
+            <select
+              id="scoringMode"
+              value={scoringMode}
+              onChange={(e) => setScoringMode(e.target.value)}
+              disabled={isCreating}
+              aria-describedby="scoring-mode-help"
+            >
+              <option value="standard">Standard (1000 points per correct answer)</option>
+              <option value="speed">Speed bonus (faster correct answers earn more)</option>
+            </select>
+            <small id="scoring-mode-help">With a speed bonus, a correct answer earns 500 to 1000 points depending on how quickly it came in</small>
+          </div>
+          <div className="form-group checkbox-group">
+            <label htmlFor="showLeaderboard">
+              <input
+                id="showLeaderboard"
+                type="checkbox"
+                checked={showLeaderboard}
+                onChange={(e) => setShowLeaderboard(e.target.checked)}
+                disabled={isCreating}
+                aria-describedby="show-leaderboard-help"
+              />
+              Show a live leaderboard to students
+            </label>
+            <small id="show-leaderboard-help">Students see the top scorers by name after each quiz closes</small>
+          </div>
+          <fieldset className="form-group alert-settings" disabled={isCreating}>
+            <legend>Confusion Alerts</legend>
+            <div className="alert-settings-fields">
+              <div>
+                <label htmlFor="alertThreshold">Alert when (% of students):</label>
+                <input
+                  id="alertThreshold"
+                  type="number"
+                  min="0"
+                  max="100"
+                  value={alertThreshold}
+                  onChange={(e) => setAlertThreshold(e.target.value)}
+                />
+              </div>
+              <div>
+                <label htmlFor="alertLevel">are:</label>
+                <select id="alertLevel" value={alertLevel} onChange={(e) => setAlertLevel(e.target.value)}>
+                  <option value={2}>Very confused</option>
+                  <option value={1}>Confused or very confused</option>
+                </select>
+              </div>
+              <div>
+                <label htmlFor="alertWindow">Within (seconds):</label>
+                <input
+                  id="alertWindow"
+                  type="number"
+                  min="10"
+                  max="600"
+                  value={alertWindow}
+                  onChange={(e) => setAlertWindow(e.target.value)}
+                />
+              </div>
+              <div>
+                <label htmlFor="alertCooldown">At most every (seconds):</label>
+                <input
+                  id="alertCooldown"
+                  type="number"
+                  min="0"
+                  max="3600"
+                  value={alertCooldown}
+                  onChange={(e) => setAlertCooldown(e.target.value)}
+                />
+              </div>
+            </div>
+            <small>You are alerted when this share of the students present signals confusion. Set the percentage to 0 to turn alerts off.</small>
+          </fieldset>
+          <div className="form-group checkbox-group">
+            <label htmlFor="reviewBeforePublish">
+              <input
+                id="reviewBeforePublish"
+                type="checkbox"
+                checked={reviewBeforePublish}
+                onChange={(e) => setReviewBeforePublish(e.target.checked)}
+                disabled={isCreating}
+                aria-describedby="review-before-publish-help"
+              />
+              Review questions before publishing
+            </label>
+            <small id="review-before-publish-help">Detected questions wait for you to edit, publish or discard them instead of going straight to students</small>
+          </div>
+          <div className="form-group checkbox-group">
+            <label htmlFor="allowAnswerChanges">
+              <input
+                id="allowAnswerChanges"
+                type="checkbox"
+                checked={allowAnswerChanges}
+                onChange={(e) => setAllowAnswerChanges(e.target.checked)}
+                disabled={isCreating}
+                aria-describedby="allow-answer-changes-help"
+              />
+              Let students change their answer
+            </label>
+            <small id="allow-answer-changes-help">Students can change a submitted answer until the quiz closes. Otherwise their first answer is final</small>
+          </div>
           {error && (
             <div className="error-message" role="alert" aria-live="polite">
               {error}
@@ -118,7 +302,7 @@ const SessionCreator = ({ onSessionCreated }) => {
           )}
           <button 
             type="submit"
-            disabled={isCreating || !lecturerName.trim() || !sessionName.trim()}
+            disabled={isCreating || !sessionName.trim()}
             className="create-button"
             data-loading={isCreating}
             aria-describedby="create-button-help"
@@ -149,6 +333,29 @@ const SessionCreator = ({ onSessionCreated }) => {
               <label>Time Limit per Question:</label>
               <span>{sessionData.timeLimit || timeLimit} seconds</span>
             </div>
+            <div className="info-item">
+              <label>Question Detection:</label>
+              <span>{sessionData.detectionWindowWords} word window, {sessionData.detectionDebounceMs / 1000}s delay</span>
+            </div>
+            <div className="info-item">
+              <label>Detected Question Type:</label>
+              <span>{questionTypeLabel(sessionData.questionType)}</span>
+            </div>
+            <div className="info-item">
+              <label>Scoring:</label>
+              <span>
+                {sessionData.scoringMode === 'speed' ? 'Speed bonus' : 'Standard'}
+                {sessionData.showLeaderboard ? ', live leaderboard' : ''}
+              </span>
+            </div>
+            <div className="info-item">
+              <label>Confusion Alerts:</label>
+              <span>
+                {sessionData.confusionAlertThreshold > 0
+                  ? `${sessionData.confusionAlertThreshold}% ${sessionData.confusionAlertLevel === 2 ? 'very confused' : 'confused'} within ${sessionData.confusionAlertWindowSeconds}s`
+                  : 'Off'}
+              </span>
+            </div>
           </div>
           <div className="instructions">
             <p>Share the join code with your students so they can join the session.</p>
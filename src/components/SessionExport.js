@@ -0,0 +1,61 @@
+import { useState } from 'react';
+import { apiDownload } from '../api';
+import './SessionExport.css';
+
+const DOWNLOADS = [
+  { label: 'Gradebook (CSV)', path: 'export?format=csv&entity=gradebook', suffix: '-gradebook.csv' },
+  { label: 'All data (CSV zip)', path: 'export?format=zip', suffix: '.zip' },
+  { label: 'Excel workbook', path: 'export?format=xlsx', suffix: '.xlsx' },
+  { label: 'JSON', path: 'export?format=json', suffix: '.json' },
+  { label: 'Captions (WebVTT)', path: 'transcript?format=vtt', suffix: '.vtt' },
+  { label: 'Captions (SRT)', path: 'transcript?format=srt', suffix: '.srt' },
+  { label: 'Transcript (text)', path: 'transcript?format=txt', suffix: '.txt' }
+];
+
+// Download links for a finished session's data and lecture captions, plus the printable report
+const SessionExport = ({ sessionId, authToken }) => {
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState('');
+
+  const download = async (label, path, options) => {
+    setBusy(label);
+    setError('');
+    try {
+      await apiDownload(`/api/sessions/${sessionId}/${path}`, { token: authToken, ...options });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return (
+    <div className="session-export">
+      <h4>📤 Export Session</h4>
+      <div className="session-export-buttons">
+        {DOWNLOADS.map(({ label, path, suffix }) => (
+          <button
+            key={label}
+            type="button"
+            className="discard-button"
+            onClick={() => download(label, path, { filename: `session-${sessionId}${suffix}` })}
+            disabled={busy !== null}
+          >
+            {busy === label ? 'Preparing…' : label}
+          </button>
+        ))}
+        <button
+          type="button"
+          className="publish-button"
+          onClick={() => download('report', 'export?format=html', { open: true })}
+          disabled={busy !== null}
+        >
+          {busy === 'report' ? 'Preparing…' : 'Printable Report'}
+        </button>
+      </div>
+      {error && <p className="error-message" role="alert">{error}</p>}
+    </div>
+  );
+};
+
+export default SessionExport;
@@ -0,0 +1,140 @@
+import { useState } from 'react';
+import './StudentQuestions.css';
+
+const MAX_QUESTION_LENGTH = 500;
+
+const STATUS_LABELS = { open: 'Open', answered: 'Answered', dismissed: 'Dismissed' };
+const STATUS_RANK = { open: 0, answered: 1, dismissed: 2 };
+
+// Open questions first, then answered; most upvoted first, then oldest first
+const rankQuestions = (questions) => [...questions].sort((a, b) => (
+  STATUS_RANK[a.status] - STATUS_RANK[b.status]
+  || b.upvotes - a.upvotes
+  || String(a.createdAt).localeCompare(String(b.createdAt))
+));
+
+// Form students use to ask a question anonymously
+const AskQuestionForm = ({ onAsk, disabled }) => {
+  const [text, setText] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!text.trim()) {
+      return;
+    }
+    onAsk(text.trim());
+    setText('');
+  };
+
+  return (
+    <form className="ask-question-form" onSubmit={handleSubmit}>
+      <label htmlFor="ask-question-text">Ask a question (your lecturer and classmates won't see your name):</label>
+      <textarea
+        id="ask-question-text"
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        maxLength={MAX_QUESTION_LENGTH}
+        rows={2}
+        disabled={disabled}
+      />
+      <button type="submit" className="publish-button" disabled={disabled || !text.trim()}>
+        Ask Anonymously
+      </button>
+    </form>
+  );
+};
+
+const StudentQuestionItem = ({ question, isLecturer, onUpvote, onSetStatus, disabled }) => (
+  <li className={`student-question ${question.status}`}>
+    <div className="student-question-votes" aria-label={`${question.upvotes} upvotes`}>
+      {!isLecturer && !question.mine ? (
+        <button
+          type="button"
+          className={`upvote-button ${question.upvoted ? 'active' : ''}`}
+          onClick={() => onUpvote(question.questionId)}
+          disabled={disabled || question.status !== 'open'}
+          aria-pressed={Boolean(question.upvoted)}
+          aria-label={question.upvoted ? 'Remove your upvote' : 'Upvote this question'}
+        >
+          ▲
+        </button>
+      ) : (
+        <span className="upvote-icon" aria-hidden="true">▲</span>
+      )}
+      <span className="upvote-count">{question.upvotes}</span>
+    </div>
+    <div className="student-question-body">
+      <p>{question.text}</p>
+      <div className="student-question-meta">
+        {question.status !== 'open' && (
+          <span className={`student-question-status ${question.status}`}>{STATUS_LABELS[question.status]}</span>
+        )}
+        {question.mine && <span className="student-question-mine">Your question</span>}
+      </div>
+    </div>
+    {isLecturer && (
+      <div className="student-question-actions">
+        {question.status === 'open' ? (
+          <>
+            <button type="button" className="publish-button" onClick={() => onSetStatus(question.questionId, 'answered')} disabled={disabled}>
+              Mark Answered
+            </button>
+            <button type="button" className="discard-button" onClick={() => onSetStatus(question.questionId, 'dismissed')} disabled={disabled}>
+              Dismiss
+            </button>
+          </>
+        ) : (
+          <button type="button" className="discard-button" onClick={() => onSetStatus(question.questionId, 'open')} disabled={disabled}>
+            Reopen
+          </button>
+        )}
+      </div>
+    )}
+  </li>
+);
+
+// Anonymous student questions ranked by upvotes. Students ask and upvote; the lecturer
+// marks questions answered or dismisses them.
+const StudentQuestions = ({ questions, isLecturer = false, onAsk, onUpvote, onSetStatus, disabled = false }) => {
+  const ranked = rankQuestions(questions);
+  const active = ranked.filter(q => q.status !== 'dismissed');
+  const dismissed = ranked.filter(q => q.status === 'dismissed');
+  const openCount = questions.filter(q => q.status === 'open').length;
+
+  const renderList = (items) => (
+    <ul>
+      {items.map(question => (
+        <StudentQuestionItem
+          key={question.questionId}
+          question={question}
+          isLecturer={isLecturer}
+          onUpvote={onUpvote}
+          onSetStatus={onSetStatus}
+          disabled={disabled}
+        />
+      ))}
+    </ul>
+  );
+
+  return (
+    <section className="student-questions" aria-labelledby="student-questions-heading">
+      <h3 id="student-questions-heading">
+        {isLecturer ? `Student Questions (${openCount} open)` : 'Class Questions'}
+      </h3>
+      {!isLecturer && <AskQuestionForm onAsk={onAsk} disabled={disabled} />}
+      {active.length > 0 ? renderList(active) : (
+        <p className="student-questions-empty">
+          {isLecturer ? 'No questions from students yet.' : 'No questions yet. Be the first to ask!'}
+        </p>
+      )}
+      {isLecturer && dismissed.length > 0 && (
+        <details className="student-questions-dismissed">
+          <summary>Dismissed ({dismissed.length})</summary>
+          {renderList(dismissed)}
+        </details>
+      )}
+    </section>
+  );
+};
+
+export default StudentQuestions;
@@ -0,0 +1,239 @@
+import { useState, useEffect } from 'react';
+import { apiRequest } from '../api';
+import { formatCountdown } from '../quizTimer';
+import { questionTypeLabel, formatAnswer } from '../questionTypes';
+import './TranscriptEditor.css';
+
+// Post-session transcript editor: correct speech recognition mistakes segment by segment (the
+// recognized text is kept and can be restored), then re-run question detection over the
+// corrected transcript and add the proposed practice questions to the question bank.
+const TranscriptEditor = ({ sessionId, authToken }) => {
+  const [segments, setSegments] = useState(null);
+  const [editing, setEditing] = useState(null); // { transcriptId, text }
+  const [isSaving, setIsSaving] = useState(false);
+  const [practice, setPractice] = useState(null);
+  const [isProposing, setIsProposing] = useState(false);
+  const [tags, setTags] = useState({ course: '', topic: '' });
+  const [savedProposals, setSavedProposals] = useState([]);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    apiRequest(`/api/sessions/${sessionId}/transcript`, { token: authToken })
+      .then(data => {
+        if (!cancelled) {
+          setSegments(data.segments);
+          setError('');
+        }
+      })
+      .catch(err => {
+        if (!cancelled) {
+          setError('Could not load the transcript: ' + err.message);
+        }
+      });
+    return () => { cancelled = true; };
+  }, [sessionId, authToken]);
+
+  const saveSegment = async (transcriptId, text) => {
+    setIsSaving(true);
+    try {
+      const segment = await apiRequest(`/api/sessions/${sessionId}/transcript/${transcriptId}`, {
+        method: 'PUT',
+        body: { text },
+        token: authToken
+      });
+      setSegments(prev => prev.map(s => (s.transcriptId === transcriptId ? segment : s)));
+      setEditing(null);
+      setError('');
+    } catch (err) {
+      setError('Failed to save the correction: ' + err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const proposeQuestions = async () => {
+    setIsProposing(true);
+    try {
+      const data = await apiRequest(`/api/sessions/${sessionId}/transcript/practice-questions`, {
+        method: 'POST',
+        token: authToken
+      });
+      setPractice(data);
+      setSavedProposals([]);
+      setError('');
+    } catch (err) {
+      setError('Failed to find practice questions: ' + err.message);
+    } finally {
+      setIsProposing(false);
+    }
+  };
+
+  const saveProposal = async (proposal, index) => {
+    try {
+      const { type, question, options, answerKey } = proposal;
+      await apiRequest('/api/question-bank', {
+        method: 'POST',
+        body: { type, question, options, answerKey, ...tags },
+        token: authToken
+      });
+      setSavedProposals(prev => [...prev, index]);
+    } catch (err) {
+      setError('Failed to add the question to your bank: ' + err.message);
+    }
+  };
+
+  if (!segments) {
+    return error ? <p className="error-message" role="alert">{error}</p> : null;
+  }
+
+  const editedCount = segments.filter(segment => segment.isEdited).length;
+
+  return (
+    <div className="transcript-editor">
+      <div className="transcript-editor-header">
+        <h4>📝 Transcript</h4>
+        <span className="transcript-editor-meta">
+          {segments.length} segments{editedCount > 0 ? ` · ${editedCount} corrected` : ''}
+        </span>
+      </div>
+
+      {error && <p className="error-message" role="alert">{error}</p>}
+
+      {segments.length === 0 ? (
+        <p className="transcript-editor-empty">No transcript was recorded in this session.</p>
+      ) : (
+        <ol className="transcript-segments">
+          {segments.map(segment => (
+            <li key={segment.transcriptId} className={`transcript-segment ${segment.isEdited ? 'edited' : ''}`}>
+              <span className="transcript-segment-offset">{formatCountdown(Math.floor(segment.start || 0))}</span>
+              {editing && editing.transcriptId === segment.transcriptId ? (
+                <form
+                  className="transcript-segment-form"
+                  onSubmit={(e) => { e.preventDefault(); saveSegment(segment.transcriptId, editing.text); }}
+                >
+                  <textarea
+                    value={editing.text}
+                    onChange={(e) => setEditing(prev => ({ ...prev, text: e.target.value }))}
+                    rows={3}
+                    aria-label={`Transcript at ${formatCountdown(Math.floor(segment.start || 0))}`}
+                    disabled={isSaving}
+                  />
+                  <div className="transcript-segment-actions">
+                    <button type="submit" className="publish-button" disabled={isSaving || !editing.text.trim()}>
+                      Save
+                    </button>
+                    <button type="button" className="discard-button" onClick={() => setEditing(null)} disabled={isSaving}>
+                      Cancel
+                    </button>
+                  </div>
+                </form>
+              ) : (
+                <div className="transcript-segment-body">
+                  <p>
+                    {segment.speaker && <strong>{segment.speaker}: </strong>}
+                    {segment.text}
+                  </p>
+                  {segment.isEdited && (
+                    <p className="transcript-segment-original">Recognized as: {segment.originalText}</p>
+                  )}
+                  <div className="transcript-segment-actions">
+                    <button
+                      type="button"
+                      className="discard-button"
+                      onClick={() => setEditing({ transcriptId: segment.transcriptId, text: segment.text })}
+                      disabled={isSaving || editing !== null}
+                    >
+                      Edit
+                    </button>
+                    {segment.isEdited && (
+                      <button
+                        type="button"
+                        className="discard-button"
+                        onClick={() => saveSegment(segment.transcriptId, segment.originalText)}
+                        disabled={isSaving || editing !== null}
+                      >
+                        Restore Original
+                      </button>
+                    )}
+                  </div>
+                </div>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {segments.length > 0 && (
+        <div className="practice-questions">
+          <div className="transcript-editor-header">
+            <h4>🧠 Practice Questions</h4>
+            <button type="button" className="publish-button" onClick={proposeQuestions} disabled={isProposing}>
+              {isProposing ? 'Checking transcript…' : 'Find Practice Questions'}
+            </button>
+          </div>
+          <p className="transcript-editor-meta">
+            Re-runs question detection over the corrected transcript and suggests questions the lecture did not turn into quizzes.
+          </p>
+
+          {practice && (
+            <>
+              <p className="transcript-editor-meta" role="status">
+                {practice.proposals.length} suggested from {practice.windowsChecked} transcript passages
+                {practice.errors.length > 0 ? ` · ${practice.errors.length} passages could not be processed` : ''}
+              </p>
+              {practice.proposals.length > 0 && (
+                <div className="bank-tag-fields">
+                  <label>
+                    Course
+                    <input
+                      type="text"
+                      value={tags.course}
+                      onChange={(e) => setTags(prev => ({ ...prev, course: e.target.value }))}
+                      placeholder="e.g. CS101"
+                    />
+                  </label>
+                  <label>
+                    Topic
+                    <input
+                      type="text"
+                      value={tags.topic}
+                      onChange={(e) => setTags(prev => ({ ...prev, topic: e.target.value }))}
+                      placeholder="e.g. Sorting"
+                    />
+                  </label>
+                </div>
+              )}
+              <ol className="practice-question-list">
+                {practice.proposals.map((proposal, index) => (
+                  <li key={`${proposal.start}-${proposal.question}`} className="practice-question">
+                    <p className="practice-question-meta">
+                      {questionTypeLabel(proposal.type)} · asked at {formatCountdown(Math.floor(proposal.start || 0))}
+                    </p>
+                    <p className="practice-question-text">{proposal.question}</p>
+                    {proposal.options && (
+                      <ul>
+                        {Object.entries(proposal.options).map(([key, text]) => <li key={key}>{key}. {text}</li>)}
+                      </ul>
+                    )}
+                    <p className="practice-question-answer">Correct: {formatAnswer(proposal, proposal.correctAnswer)}</p>
+                    <button
+                      type="button"
+                      className="discard-button"
+                      onClick={() => saveProposal(proposal, index)}
+                      disabled={savedProposals.includes(index)}
+                    >
+                      {savedProposals.includes(index) ? '✓ In Question Bank' : 'Add to Question Bank'}
+                    </button>
+                  </li>
+                ))}
+              </ol>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TranscriptEditor;
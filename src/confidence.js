@@ -0,0 +1,14 @@
+// How sure a student says they are of an answer. Answers marked "sure" that turn out wrong are
+// reported to the lecturer as misconceptions.
+
+export const CONFIDENCE_OPTIONS = [
+  { value: 'sure', label: 'Sure', icon: '💪' },
+  { value: 'unsure', label: 'Unsure', icon: '🤔' },
+  { value: 'guessing', label: 'Guessing', icon: '🎲' }
+];
+
+// e.g. "🤔 Unsure", or null when no confidence was given
+export const confidenceLabel = (value) => {
+  const option = CONFIDENCE_OPTIONS.find(o => o.value === value);
+  return option ? `${option.icon} ${option.label}` : null;
+};
@@ -0,0 +1,116 @@
+// Question types supported by the server (see lec-recall-backend/services/questionTypes.js).
+// Quizzes are edited as { type, question, options, answerKey }.
+
+export const QUESTION_TYPES = [
+  { value: 'multiple_choice', label: 'Multiple choice' },
+  { value: 'true_false', label: 'True / false' },
+  { value: 'multi_select', label: 'Multi-select' },
+  { value: 'short_text', label: 'Short answer' },
+  { value: 'numeric', label: 'Numeric' },
+  { value: 'ordering', label: 'Ordering' }
+];
+
+export const CHOICE_KEYS = ['A', 'B', 'C', 'D', 'E', 'F'];
+
+// Types whose options are picked from a list
+const CHOICE_TYPES = ['multiple_choice', 'true_false', 'multi_select'];
+
+export const questionTypeLabel = (type) => {
+  const match = QUESTION_TYPES.find(option => option.value === type);
+  return match ? match.label : QUESTION_TYPES[0].label;
+};
+
+export const isChoiceType = (type) => CHOICE_TYPES.includes(type || 'multiple_choice');
+
+// Blank quiz of the given type, ready for the editor
+export const emptyQuiz = (type = 'multiple_choice') => {
+  switch (type) {
+    case 'true_false':
+      return { type, question: '', options: null, answerKey: { correct: 'true' } };
+    case 'multi_select':
+      return { type, question: '', options: { A: '', B: '', C: '', D: '' }, answerKey: { correct: [] } };
+    case 'short_text':
+      return { type, question: '', options: null, answerKey: { modelAnswer: '', keywords: [], grading: 'keywords' } };
+    case 'numeric':
+      return { type, question: '', options: null, answerKey: { value: '', tolerance: '' } };
+    case 'ordering':
+      return { type, question: '', options: { A: '', B: '', C: '' }, answerKey: { order: ['A', 'B', 'C'] } };
+    default:
+      return { type: 'multiple_choice', question: '', options: { A: '', B: '', C: '', D: '' }, answerKey: { correct: 'A' } };
+  }
+};
+
+// Editor copy of a question received from the server. Ordering items are relabelled in
+// their correct order so the editor can show them as a simple list.
+export const toEditableQuiz = (question) => {
+  const type = question.type || 'multiple_choice';
+  const answerKey = question.answerKey || { correct: question.correctAnswer };
+
+  if (type === 'ordering') {
+    const items = answerKey.order.map(key => question.options[key]);
+    const keys = CHOICE_KEYS.slice(0, items.length);
+    return {
+      type,
+      question: question.question,
+      options: Object.fromEntries(keys.map((key, index) => [key, items[index]])),
+      answerKey: { order: keys }
+    };
+  }
+
+  return {
+    type,
+    question: question.question,
+    options: question.options ? { ...question.options } : null,
+    answerKey: { ...answerKey }
+  };
+};
+
+const filled = (text) => typeof text === 'string' && text.trim().length > 0;
+
+// True when the quiz has everything its type needs
+export const isQuizComplete = (quiz) => {
+  if (!filled(quiz.question)) {
+    return false;
+  }
+
+  const optionsFilled = quiz.options && Object.values(quiz.options).every(filled);
+  switch (quiz.type) {
+    case 'true_false':
+      return true;
+    case 'multi_select':
+      return Boolean(optionsFilled) && quiz.answerKey.correct.length > 0;
+    case 'short_text':
+      return filled(quiz.answerKey.modelAnswer);
+    case 'numeric':
+      return String(quiz.answerKey.value).trim() !== '' && !Number.isNaN(Number(quiz.answerKey.value));
+    default:
+      return Boolean(optionsFilled);
+  }
+};
+
+const optionText = (question, key) => (question.options && question.options[key]) || '';
+
+// Readable form of a stored answer ('B', 'A,C', 'true', 'C,A,B', '42' or free text)
+export const formatAnswer = (question, answer) => {
+  if (answer === null || answer === undefined || answer === '') {
+    return '';
+  }
+
+  switch (question.type || 'multiple_choice') {
+    case 'multiple_choice':
+      return `${answer} - ${optionText(question, answer)}`;
+    case 'true_false':
+      return answer === 'true' ? 'True' : 'False';
+    case 'multi_select':
+      return String(answer).split(',').map(key => `${key} - ${optionText(question, key)}`).join('; ');
+    case 'ordering':
+      return String(answer).split(',').map(key => optionText(question, key)).join(' → ');
+    default:
+      return String(answer);
+  }
+};
+
+// Option keys that make up the correct answer of a choice question
+export const correctOptionKeys = (question, correctAnswer) => (
+  isChoiceType(question.type) && correctAnswer ? String(correctAnswer).split(',') : []
+);
@@ -0,0 +1,24 @@
+// Quiz countdowns. The server sends each running quiz's deadline as `closesAt` (ms since epoch),
+// with `paused` and the `timeRemaining` seconds it had left while the lecturer has paused it.
+
+// Whole seconds left before the quiz closes
+export const quizSecondsLeft = ({ closesAt, paused, timeRemaining }) => {
+  if (paused) {
+    return timeRemaining || 0;
+  }
+  if (!closesAt) {
+    return 0;
+  }
+  return Math.max(0, Math.ceil((closesAt - Date.now()) / 1000));
+};
+
+export const formatCountdown = (seconds) => {
+  const mins = Math.floor(seconds / 60);
+  const secs = seconds % 60;
+  return `${mins}:${secs.toString().padStart(2, '0')}`;
+};
+
+// How long an answer took, e.g. "4.2s", from a response time in ms
+export const formatResponseTime = (ms) => (
+  ms === null || ms === undefined ? '-' : `${(ms / 1000).toFixed(1)}s`
+);